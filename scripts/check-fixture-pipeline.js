@@ -0,0 +1,123 @@
+// ===================================================================
+// Offline pipeline check — `npm run check:fixture`
+//
+// Drives orchestrate() end to end with the "fixture" LLM provider over
+// a small repo written to a temp directory and read through the local
+// source. No network, API keys or MongoDB: the LLM cache and the other
+// Mongo-backed lookups skip themselves while the connection is down.
+//
+// Runs the pipeline twice and fails (exit 1) unless both runs succeed
+// with no agent errors, every step finishes or is skipped, every doc
+// is generated, and the two runs produce the same output.
+// ===================================================================
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+
+const REPO = {
+  "package.json": JSON.stringify(
+    { name: "demo", dependencies: { express: "^4.19.2", mongoose: "^8.4.0" } },
+    null,
+    2,
+  ),
+  "src/app.js": [
+    'import express from "express";',
+    'import users from "./routes/users.js";',
+    "",
+    "const app = express();",
+    'app.use("/users", users);',
+    "app.listen(3000);",
+  ].join("\n"),
+  "src/routes/users.js": [
+    'import { Router } from "express";',
+    'import { User } from "../models/User.js";',
+    "",
+    "const router = Router();",
+    'router.get("/:id", async (req, res) =>',
+    "  res.json(await User.findById(req.params.id)),",
+    ");",
+    "export default router;",
+  ].join("\n"),
+  "src/models/User.js": [
+    'import mongoose from "mongoose";',
+    "",
+    "export const User = mongoose.model(",
+    '  "User",',
+    "  new mongoose.Schema({ email: String }),",
+    ");",
+  ].join("\n"),
+};
+
+async function writeRepo(root) {
+  for (const [file, content] of Object.entries(REPO)) {
+    const target = path.join(root, "demo", file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+}
+
+function problems(result) {
+  if (!result.success) return [`pipeline failed: ${result.error}`];
+  const found = [];
+  for (const { agent, error } of result.agentErrors ?? [])
+    found.push(`${agent}: ${error}`);
+  for (const step of result.pipelineReport?.steps ?? []) {
+    if (step.status !== "done" && step.status !== "skipped")
+      found.push(`step ${step.label} is ${step.status}`);
+  }
+  for (const [doc, md] of Object.entries(result.output ?? {})) {
+    if (typeof md === "string" && !md.trim()) found.push(`${doc} is empty`);
+  }
+  if (!result.lastDocumentedCommit) found.push("no documented commit");
+  return found;
+}
+
+async function main() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "docnine-fixture-"));
+  try {
+    await writeRepo(root);
+
+    // Fail Mongo-backed calls at once instead of buffering them
+    mongoose.set("bufferCommands", false);
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith("LLM_PROVIDER_")) delete process.env[key];
+    }
+    process.env.LLM_PROVIDER = "fixture";
+    process.env.SOURCE_LOCAL_ROOT = root;
+
+    // Read after the env is set up
+    const { orchestrate } = await import(
+      "../src/services/orchestrator.service.js"
+    );
+
+    const first = await orchestrate("local://demo", null);
+    const second = await orchestrate("local://demo", null);
+
+    const found = [...problems(first), ...problems(second)];
+    const same = JSON.stringify(first.output) === JSON.stringify(second.output);
+    if (!found.length && !same)
+      found.push("the two runs produced different output");
+
+    if (found.length) {
+      console.error("\n✗ Fixture pipeline check failed:");
+      for (const problem of found) console.error(`  - ${problem}`);
+      return 1;
+    }
+
+    console.log(
+      `\n✓ Fixture pipeline check passed — ${first.pipelineReport.steps.length} steps, ${Object.keys(first.output).length} docs`,
+    );
+    return 0;
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("Fixture pipeline check crashed:", err);
+    process.exit(1);
+  });
@@ -1,8 +1,24 @@
 // ===================================================================
 // Agent 2: API Extractor (Improved)
 // ===================================================================
+// REST endpoints are read from route files by the LLM. GraphQL, gRPC
+// and tRPC APIs come back as `operations` (services/api-operations
+// .service.js): .graphql / .proto files and SDL template literals are
+// parsed without the LLM; code-first resolvers and tRPC routers go
+// through a second prompt.
+// ===================================================================
 
 import { llmCall } from "../config/llm.js";
+import {
+  API_DEFINITION_FILE,
+  extractSchemaOperations,
+  mergeOperations,
+  summariseOperations,
+  validateOperation,
+} from "../services/api-operations.service.js";
+
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "apiExtractor";
 
 // ─── System Prompt ────────────────────────────────────────────────
 
@@ -93,6 +109,57 @@ If no endpoints are found, return exactly: []
 - Laravel: Route::get(), Route::apiResource(), middleware()
 - Rails: resources :name, get '/path', to: 'controller#action'`;
 
+const OPERATIONS_SYSTEM_PROMPT = `You are a senior API documentation engineer specializing in GraphQL and tRPC APIs.
+
+## YOUR TASK
+Analyze the provided source files and extract every GraphQL operation defined by code-first resolvers (NestJS @Resolver/@Query/@Mutation/@Subscription, TypeGraphQL, Nexus, Pothos, graphql-js GraphQLObjectType, Strawberry, Graphene) and every tRPC procedure (router({...}) / createTRPCRouter with .query(), .mutation(), .subscription()).
+
+## OUTPUT FORMAT
+Return ONLY a valid JSON array.
+No markdown. No code fences. No explanation. No preamble. No trailing text.
+Your entire response must start with [ and end with ].
+If no operations are found, return exactly: []
+
+## SCHEMA (every operation object must follow this exactly)
+[
+  {
+    "protocol": string,             // "graphql" | "trpc"
+    "kind": string,                 // "query" | "mutation" | "subscription"
+    "name": string,                 // Field or procedure name e.g. "user", "byId"
+    "service": string,              // GraphQL root type ("Query", "Mutation", "Subscription") or tRPC router path e.g. "user", "admin.billing" — "" for the root router
+    "fullName": string,             // "Query.user" for GraphQL, "user.byId" for tRPC
+    "file": string,                 // Source file where this operation is defined
+    "line": number | null,          // Line number of the definition if determinable, else null
+    "description": string,          // 1–2 sentences: what this operation does
+    "input": [                      // GraphQL arguments, or the fields of the tRPC .input() schema
+      {
+        "name": string,
+        "type": string,             // GraphQL type e.g. "ID!", or e.g. "string" | "number" | "boolean" | "object" | "array"
+        "required": boolean,
+        "description": string
+      }
+    ],
+    "inputType": string,            // Named input type/schema e.g. "CreateUserInput", "userSchema" — "" if none
+    "output": string,               // Return type e.g. "User", "[Post!]!", "UserDto" — "" if not determinable
+    "auth": {
+      "required": boolean,          // true if a guard, protectedProcedure or auth middleware applies
+      "type": string,               // "JWT" | "API_KEY" | "SESSION" | "OAUTH" | "BASIC" | "NONE" | "unknown"
+      "roles": string[]             // Required roles/permissions if determinable — [] if none
+    },
+    "deprecated": boolean,
+    "deprecationReason": string     // "" if none
+  }
+]
+
+## EXTRACTION RULES
+1. Extract ALL operations — including resolvers split across files and nested tRPC routers.
+2. For nested tRPC routers, build "service" from the keys the router is mounted under (appRouter { user: userRouter } → "user").
+3. publicProcedure is public; protectedProcedure, adminProcedure or a procedure built with an auth middleware requires auth.
+4. Infer GraphQL auth from @UseGuards, @Authorized, @Roles, authScopes or resolver-level guards.
+5. Do not extract field resolvers of non-root types (@ResolveField, User.posts) — only root operations.
+6. Do not extract REST routes or GraphQL client queries (useQuery, gql documents sent by a client).
+7. If a value cannot be determined with confidence, use null for numbers and "" for strings — never fabricate.`;
+
 // ─── Constants ────────────────────────────────────────────────────
 
 const ROUTE_ROLES = new Set(["route", "controller", "entry", "handler", "api"]);
@@ -125,9 +192,31 @@ const ROUTE_REGEX = new RegExp(
 
 const PATH_REGEX = /route|controller|handler|endpoint|api/i;
 
+// Code-first GraphQL resolvers and tRPC routers
+const OPERATION_CODE_REGEX = new RegExp(
+  [
+    // NestJS / TypeGraphQL — @Query(() => User), not REST's @Query()
+    /@Resolver\s*\(/,
+    /@(Query|Mutation|Subscription)\s*\(\s*(\(\s*\)|\w+)\s*=>/,
+    // graphql-js, Nexus, Pothos
+    /new\s+GraphQLObjectType\s*\(/,
+    /\b(queryField|mutationField|subscriptionField|extendType)\s*\(/,
+    /\bbuilder\.(queryType|mutationType|queryField|mutationField)\s*\(/,
+    // Strawberry / Graphene
+    /@strawberry\.(type|mutation|subscription)/,
+    /graphene\.(ObjectType|Mutation)\b/,
+    // tRPC
+    /\binitTRPC\b|\bcreateTRPCRouter\s*\(/,
+    /\b\w*[pP]rocedure\s*\.\s*(input|output|use|meta|query|mutation|subscription)\s*\(/,
+  ]
+    .map((r) => r.source)
+    .join("|"),
+);
+
 const FILES_PER_BATCH = 3;
 const CHARS_PER_FILE = 6000; // was 400 — far too small for real route files
 const MAX_ROUTE_FILES = 40;
+const MAX_OPERATION_FILES = 20;
 const MAX_RETRIES = 2;
 
 // ─── Helpers ──────────────────────────────────────────────────────
@@ -232,11 +321,21 @@ function inferTags(path, file) {
 async function llmCallWithRetry({
   systemPrompt,
   userContent,
+  cacheFiles,
   retries = MAX_RETRIES,
 }) {
+  // Cache by file blob SHA; only parseable answers are worth replaying
+  const cache = cacheFiles
+    ? { files: cacheFiles, validate: (raw) => safeParseJSON(raw) !== null }
+    : undefined;
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent });
+      return await llmCall({
+        systemPrompt,
+        userContent,
+        agent: AGENT_NAME,
+        cache,
+      });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 500 * attempt)); // back-off
@@ -250,9 +349,13 @@ export async function apiExtractorAgent({ files, projectMap, emit }) {
   const notify = (msg, detail) => emit?.(msg, detail);
 
   // ── 1. Filter to route-related files ──────────────────────────
+  // Schema files and resolver / tRPC router files hold no REST routes
   const routeFiles = files
     .filter((f) => {
       if (!f?.path || !f?.content) return false;
+      if (API_DEFINITION_FILE.test(f.path)) return false;
+      if (OPERATION_CODE_REGEX.test(f.content) && !ROUTE_REGEX.test(f.content))
+        return false;
       const meta = projectMap?.find((m) => m.path === f.path);
       return (
         (meta && ROUTE_ROLES.has(meta.role)) ||
@@ -262,17 +365,16 @@ export async function apiExtractorAgent({ files, projectMap, emit }) {
     })
     .slice(0, MAX_ROUTE_FILES);
 
+  const totalBatches = Math.ceil(routeFiles.length / FILES_PER_BATCH);
   if (routeFiles.length === 0) {
-    notify("No route files found", "Skipping API extraction");
-    return { endpoints: [] };
+    notify("No route files found", "Skipping REST endpoint extraction");
+  } else {
+    notify(
+      `Found ${routeFiles.length} route files`,
+      `Processing in ${totalBatches} batch${totalBatches > 1 ? "es" : ""}`,
+    );
   }
 
-  const totalBatches = Math.ceil(routeFiles.length / FILES_PER_BATCH);
-  notify(
-    `Found ${routeFiles.length} route files`,
-    `Processing in ${totalBatches} batch${totalBatches > 1 ? "es" : ""}`,
-  );
-
   // ── 2. Extract endpoints batch by batch ───────────────────────
   const rawEndpoints = [];
   const batchErrors = [];
@@ -302,6 +404,7 @@ export async function apiExtractorAgent({ files, projectMap, emit }) {
       const raw = await llmCallWithRetry({
         systemPrompt: SYSTEM_PROMPT,
         userContent,
+        cacheFiles: batch,
       });
       const parsed = safeParseJSON(raw);
 
@@ -362,8 +465,14 @@ export async function apiExtractorAgent({ files, projectMap, emit }) {
       return tagA.localeCompare(tagB) || a.path.localeCompare(b.path);
     });
 
-  // ── 4. Build summary ──────────────────────────────────────────
-  const summary = buildSummary(endpoints);
+  // ── 4. GraphQL / gRPC / tRPC operations ───────────────────────
+  const operations = await extractOperations(files, notify, batchErrors);
+
+  // ── 5. Build summary ──────────────────────────────────────────
+  const summary = {
+    ...buildSummary(endpoints),
+    operations: summariseOperations(operations),
+  };
 
   if (batchErrors.length > 0) {
     notify(
@@ -379,11 +488,93 @@ export async function apiExtractorAgent({ files, projectMap, emit }) {
 
   return {
     endpoints,
+    operations,
     summary,
     errors: batchErrors.length > 0 ? batchErrors : undefined,
   };
 }
 
+/**
+ * Operations from schema files (parsed) and from resolver / tRPC
+ * router code (LLM, batched like the route files). Failed batches are
+ * added to `batchErrors`.
+ */
+async function extractOperations(files, notify, batchErrors) {
+  const fromSchemas = extractSchemaOperations(files);
+  if (fromSchemas.length)
+    notify(
+      `${fromSchemas.length} operations parsed`,
+      "GraphQL SDL / .proto — no LLM",
+    );
+
+  const codeFiles = files
+    .filter(
+      (f) =>
+        f?.path &&
+        f?.content &&
+        !API_DEFINITION_FILE.test(f.path) &&
+        OPERATION_CODE_REGEX.test(f.content),
+    )
+    .slice(0, MAX_OPERATION_FILES);
+
+  const fromCode = [];
+  for (let i = 0; i < codeFiles.length; i += FILES_PER_BATCH) {
+    const batchNum = Math.floor(i / FILES_PER_BATCH) + 1;
+    const batch = codeFiles.slice(i, i + FILES_PER_BATCH);
+
+    notify(
+      "Extracting GraphQL / tRPC operations…",
+      `Batch ${batchNum} of ${Math.ceil(codeFiles.length / FILES_PER_BATCH)}`,
+    );
+
+    const userContent = batch
+      .map((f) =>
+        [
+          `=== FILE: ${f.path} ===`,
+          f.content.length > CHARS_PER_FILE
+            ? `[Note: file truncated at ${CHARS_PER_FILE} chars]`
+            : "",
+          f.content.slice(0, CHARS_PER_FILE),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      )
+      .join("\n\n");
+
+    try {
+      const raw = await llmCallWithRetry({
+        systemPrompt: OPERATIONS_SYSTEM_PROMPT,
+        userContent,
+        cacheFiles: batch,
+      });
+      const parsed = safeParseJSON(raw);
+      if (!Array.isArray(parsed)) {
+        batchErrors.push({
+          batch: `operations ${batchNum}`,
+          error: "Response was not a JSON array",
+        });
+        continue;
+      }
+      for (const op of parsed) {
+        const matchedFile = batch.find((f) =>
+          op?.file
+            ? f.path.endsWith(op.file) || op.file.endsWith(f.path)
+            : false,
+        );
+        const validated = validateOperation(
+          op,
+          matchedFile?.path || batch[0].path,
+        );
+        if (validated) fromCode.push(validated);
+      }
+    } catch (err) {
+      batchErrors.push({ batch: `operations ${batchNum}`, error: err.message });
+    }
+  }
+
+  return mergeOperations([...fromSchemas, ...fromCode]);
+}
+
 // ─── Utilities ────────────────────────────────────────────────────
 
 /**
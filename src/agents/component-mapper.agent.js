@@ -4,6 +4,9 @@
 
 import { llmCall } from "../config/llm.js";
 
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "componentMapper";
+
 // ─── System Prompt ────────────────────────────────────────────────
 
 const SYSTEM_PROMPT = `You are a senior software engineer and technical documentation specialist with deep expertise in reading and analyzing codebases across multiple languages and frameworks (Node.js, TypeScript, React, Vue, Python, Java, Go, PHP, Ruby, etc.).
@@ -375,11 +378,21 @@ function createFallbackComponent(file, projectMap) {
 async function llmCallWithRetry({
   systemPrompt,
   userContent,
+  cacheFiles,
   retries = MAX_RETRIES,
 }) {
+  // Cache by file blob SHA; only parseable answers are worth replaying
+  const cache = cacheFiles
+    ? { files: cacheFiles, validate: (raw) => safeParseJSON(raw) !== null }
+    : undefined;
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent });
+      return await llmCall({
+        systemPrompt,
+        userContent,
+        agent: AGENT_NAME,
+        cache,
+      });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 500 * attempt));
@@ -476,6 +489,7 @@ export async function componentMapperAgent({
       const raw = await llmCallWithRetry({
         systemPrompt: SYSTEM_PROMPT,
         userContent,
+        cacheFiles: batch,
       });
       const parsed = safeParseJSON(raw);
 
@@ -0,0 +1,317 @@
+// ===================================================================
+// Dependency Auditor — known-vulnerable packages from lockfiles
+// ===================================================================
+// Reads the repo's lockfiles and matches every pinned package against
+// the offline OSV advisory database (services/advisory.service.js).
+// No LLM calls and no network: one Mongo query per ecosystem.
+//
+//   package-lock.json / npm-shrinkwrap.json   → npm  (lockfile v1–v3)
+//   requirements*.txt                         → PyPI (== pins only)
+//   go.sum                                    → Go
+//   Cargo.lock                                → crates.io
+//
+// Findings use the Security Auditor's shape with source "dependency",
+// one per advisory × package version × lockfile, so they are triaged,
+// scored and exported like any other finding.
+// ===================================================================
+
+import {
+  findAdvisories,
+  matchAdvisory,
+  normalisePackageName,
+} from "../services/advisory.service.js";
+import { locationAt } from "../services/security-findings.service.js";
+
+const MAX_PATHS = 10; // install paths kept per finding
+
+// ─── Lockfile Parsers ─────────────────────────────────────────────
+// Each returns [{ name, version, path, at? }] — path is how the package
+// got installed ("express > body-parser > qs"), or the lockfile line;
+// at = [start, end) of its entry in the lockfile, when known.
+
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const packages = [];
+
+  // v2 / v3: flat map keyed by install location
+  if (lock.packages && typeof lock.packages === "object") {
+    for (const [location, entry] of Object.entries(lock.packages)) {
+      if (!location || entry?.link || !entry?.version) continue;
+      const chain = location.split(/(?:^|\/)node_modules\//).filter(Boolean);
+      const key = JSON.stringify(location);
+      const start = content.indexOf(key);
+      packages.push({
+        name: entry.name || chain[chain.length - 1],
+        version: entry.version,
+        path: chain.join(" > "),
+        at: start === -1 ? null : [start, start + key.length],
+      });
+    }
+    return packages;
+  }
+
+  // v1: nested dependencies
+  const walk = (deps, parents) => {
+    for (const [name, entry] of Object.entries(deps || {})) {
+      if (!entry?.version || /^(file|link|git)/.test(entry.version)) continue;
+      const chain = [...parents, name];
+      packages.push({ name, version: entry.version, path: chain.join(" > ") });
+      walk(entry.dependencies, chain);
+    }
+  };
+  walk(lock.dependencies, []);
+  return packages;
+}
+
+function parseRequirements(content) {
+  const packages = [];
+  let offset = 0;
+  for (const [i, raw] of content.split("\n").entries()) {
+    const start = offset;
+    offset += raw.length + 1;
+    const line = raw.replace(/\s+#.*$/, "").trim();
+    if (!line || line.startsWith("#") || line.startsWith("-")) continue;
+    const m = line.match(
+      /^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*===?\s*([^\s;,\\]+)/,
+    );
+    if (m)
+      packages.push({
+        name: m[1],
+        version: m[2],
+        path: `line ${i + 1}`,
+        at: [start, start + raw.trimEnd().length],
+      });
+  }
+  return packages;
+}
+
+function parseGoSum(content) {
+  const packages = [];
+  const seen = new Set();
+  let offset = 0;
+  for (const line of content.split("\n")) {
+    const start = offset;
+    offset += line.length + 1;
+    // "<module> <version>[/go.mod] h1:<hash>" — /go.mod-only lines are
+    // modules consulted for the build graph but never compiled in
+    const [module, version] = line.trim().split(/\s+/);
+    if (!module || !version || version.endsWith("/go.mod")) continue;
+    const key = `${module}@${version}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    packages.push({
+      name: module,
+      version,
+      path: module,
+      at: [start, start + line.trimEnd().length],
+    });
+  }
+  return packages;
+}
+
+function parseCargoLock(content) {
+  const packages = [];
+  const headers = [...content.matchAll(/^\[\[package\]\][ \t]*$/gm)];
+  for (const [i, header] of headers.entries()) {
+    const end = headers[i + 1]?.index ?? content.length;
+    const block = content.slice(header.index, end);
+    const field = (key) =>
+      block.match(new RegExp(`^${key}\\s*=\\s*"([^"]*)"`, "m"))?.[1];
+    const name = field("name");
+    const version = field("version");
+    // Workspace crates have no source — only registry crates have advisories
+    if (!name || !version || !/^registry\+/.test(field("source") || ""))
+      continue;
+    packages.push({
+      name,
+      version,
+      path: name,
+      at: [header.index, header.index + block.trimEnd().length],
+    });
+  }
+  return packages;
+}
+
+const PARSERS = [
+  {
+    test: /(^|\/)(package-lock|npm-shrinkwrap)\.json$/,
+    ecosystem: "npm",
+    parse: parsePackageLock,
+  },
+  {
+    test: /(^|\/)requirements[\w.-]*\.txt$/,
+    ecosystem: "PyPI",
+    parse: parseRequirements,
+  },
+  { test: /(^|\/)go\.sum$/, ecosystem: "Go", parse: parseGoSum },
+  {
+    test: /(^|\/)Cargo\.lock$/,
+    ecosystem: "crates.io",
+    parse: parseCargoLock,
+  },
+];
+
+// ─── Findings ─────────────────────────────────────────────────────
+
+function buildFinding({
+  adv: advisory,
+  ecosystem,
+  pkg,
+  lockfile,
+  fixedIn: fixed,
+  paths,
+  location,
+}) {
+  // OSV lists Go versions without the "v" that go.mod and go get use
+  const fixedIn =
+    ecosystem === "Go" ? fixed.map((v) => v.replace(/^(?!v)/, "v")) : fixed;
+  const alias = advisory.aliases?.find((a) => /^CVE-/.test(a));
+  const summary =
+    advisory.summary || advisory.details?.split("\n")[0] || advisory.osvId;
+  return {
+    id: advisory.osvId,
+    category: "A06:VulnerableComponents",
+    severity: advisory.severity || "MEDIUM",
+    title: `${pkg.name}@${pkg.version}: ${summary}`.slice(0, 200),
+    file: lockfile,
+    line: `${pkg.name}@${pkg.version}`,
+    ...(location ? { line_number: location.startLine, location } : {}),
+    description: [
+      alias ? `${advisory.osvId} (${alias})` : advisory.osvId,
+      advisory.details?.slice(0, 500),
+    ]
+      .filter(Boolean)
+      .join(" — "),
+    impact: "",
+    advice: fixedIn.length
+      ? `Upgrade ${pkg.name} to ${fixedIn[0]} or later.`
+      : `No fixed version of ${pkg.name} is published — replace it or mitigate.`,
+    cwe: advisory.cwes?.[0] || "CWE-1395",
+    count: paths.length,
+    confidence: "HIGH",
+    source: "dependency",
+    package: { ecosystem, name: pkg.name, version: pkg.version },
+    aliases: advisory.aliases || [],
+    fixedIn,
+    paths: paths.slice(0, MAX_PATHS),
+  };
+}
+
+// ─── Agent ────────────────────────────────────────────────────────
+
+/**
+ * @param {object} opts
+ * @param {Array<{ path, content }>} opts.lockfiles
+ * @param {Function} [opts.emit]
+ * @returns {{ findings, summary, errors? }}
+ */
+export async function dependencyAuditorAgent({ lockfiles = [], emit }) {
+  const notify = (msg, detail) => emit?.(msg, detail);
+  const errors = [];
+
+  // ── 1. Parse lockfiles, grouped by ecosystem ──────────────────
+  const byEcosystem = new Map(); // ecosystem → [{ lockfile, content, pkg }]
+  let packageCount = 0;
+
+  for (const file of lockfiles) {
+    const parser = PARSERS.find((p) => p.test.test(file.path));
+    if (!parser) continue;
+    let packages;
+    try {
+      packages = parser.parse(file.content);
+    } catch (err) {
+      errors.push({ file: file.path, error: `Unparseable: ${err.message}` });
+      continue;
+    }
+    if (!byEcosystem.has(parser.ecosystem))
+      byEcosystem.set(parser.ecosystem, []);
+    for (const pkg of packages)
+      byEcosystem
+        .get(parser.ecosystem)
+        .push({ lockfile: file.path, content: file.content, pkg });
+    packageCount += packages.length;
+  }
+
+  if (!packageCount) {
+    notify("No lockfile packages to audit");
+    return {
+      findings: [],
+      summary: { lockfiles: lockfiles.length, packages: 0, vulnerable: 0 },
+      errors: errors.length ? errors : undefined,
+    };
+  }
+
+  notify(
+    "Checking dependencies against the advisory database…",
+    `${packageCount} packages · ${lockfiles.length} lockfile(s) · ${[...byEcosystem.keys()].join(", ")}`,
+  );
+
+  // ── 2. Match against advisories ──────────────────────────────
+  // One finding per advisory × name@version × lockfile; the
+  // install paths it was reached through are collected on it.
+  const grouped = new Map();
+
+  for (const [ecosystem, entries] of byEcosystem) {
+    const advisories = await findAdvisories(
+      ecosystem,
+      entries.map((e) => normalisePackageName(ecosystem, e.pkg.name)),
+    );
+    if (!advisories.length) continue;
+
+    const byName = new Map();
+    for (const adv of advisories) {
+      for (const a of adv.affected) {
+        if (a.ecosystem !== ecosystem) continue;
+        if (!byName.has(a.name)) byName.set(a.name, new Set());
+        byName.get(a.name).add(adv);
+      }
+    }
+
+    for (const { lockfile, content, pkg } of entries) {
+      const candidates = byName.get(normalisePackageName(ecosystem, pkg.name));
+      for (const adv of candidates || []) {
+        const match = matchAdvisory(adv, ecosystem, pkg.name, pkg.version);
+        if (!match) continue;
+        const key = `${adv.osvId}|${pkg.name}@${pkg.version}|${lockfile}`;
+        const hit = grouped.get(key);
+        if (hit) hit.paths.push(pkg.path);
+        else
+          grouped.set(key, {
+            adv,
+            ecosystem,
+            pkg,
+            lockfile,
+            fixedIn: match.fixedIn,
+            paths: [pkg.path],
+            // First occurrence — the lockfile line a link points at
+            location: pkg.at ? locationAt(content, lockfile, ...pkg.at) : null,
+          });
+      }
+    }
+  }
+
+  const findings = [...grouped.values()].map(buildFinding);
+  const vulnerable = new Set(findings.map((f) => f.line)).size;
+
+  if (errors.length) {
+    notify(
+      `⚠ ${errors.length} lockfile(s) could not be read`,
+      errors.map((e) => `${e.file}: ${e.error}`).join("; "),
+    );
+  }
+  notify(
+    `Dependency audit complete — ${findings.length} advisories`,
+    `${vulnerable} vulnerable package version(s) of ${packageCount}`,
+  );
+
+  return {
+    findings,
+    summary: {
+      lockfiles: lockfiles.length,
+      packages: packageCount,
+      vulnerable,
+      advisories: findings.length,
+    },
+    errors: errors.length ? errors : undefined,
+  };
+}
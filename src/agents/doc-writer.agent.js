@@ -3,6 +3,13 @@
 // ===================================================================
 
 import { llmCall } from "../config/llm.js";
+import {
+  operationsMarkdown,
+  summariseOperations,
+} from "../services/api-operations.service.js";
+
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "docWriter";
 
 // ─── System Prompts ───────────────────────────────────────────────
 
@@ -91,6 +98,7 @@ function buildReadmeContext({
   meta,
   techStack,
   endpoints,
+  operations,
   models,
   components,
   structure,
@@ -147,6 +155,8 @@ function buildReadmeContext({
       techStack: techStack || [],
       endpoints: endpointSummary,
       endpointCount: endpoints.length,
+      // GraphQL / gRPC / tRPC — counts only, the API reference lists them
+      operations: summariseOperations(operations || []).byProtocol,
       models: modelSummary,
       structure: structureSummary,
       inferredFeatures,
@@ -278,9 +288,11 @@ function buildComponentRefContext(components) {
  * Build a rich API reference from the improved Agent 2 schema.
  * Fully static — no LLM cost.
  */
-function buildApiReference(endpoints) {
-  if (!endpoints?.length)
+function buildApiReference(endpoints, operations = []) {
+  if (!endpoints?.length && !operations?.length)
     return "# API Reference\n\nNo API endpoints detected.\n";
+  if (!endpoints?.length)
+    return `# API Reference\n\n${operationsMarkdown(operations)}`;
 
   let md = "# API Reference\n\n";
 
@@ -392,6 +404,9 @@ function buildApiReference(endpoints) {
     }
   }
 
+  // GraphQL / gRPC / tRPC operations
+  if (operations?.length) md += operationsMarkdown(operations);
+
   return md;
 }
 
@@ -569,7 +584,12 @@ async function llmCallWithRetry({
 }) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent, temperature });
+      return await llmCall({
+        systemPrompt,
+        userContent,
+        temperature,
+        agent: AGENT_NAME,
+      });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 600 * attempt));
@@ -584,6 +604,7 @@ export async function docWriterAgent({
   techStack,
   structure,
   endpoints,
+  operations,
   models,
   relationships,
   components,
@@ -601,6 +622,7 @@ export async function docWriterAgent({
     meta,
     techStack,
     endpoints,
+    operations,
     models,
     components,
     structure,
@@ -707,9 +729,9 @@ export async function docWriterAgent({
   // ── 4. API Reference (static — no LLM cost) ───────────────────
   notify(
     "Building API reference…",
-    `${endpoints?.length || 0} endpoints · static build`,
+    `${endpoints?.length || 0} endpoints · ${operations?.length || 0} operations · static build`,
   );
-  docs.apiReference = buildApiReference(endpoints || []);
+  docs.apiReference = buildApiReference(endpoints || [], operations || []);
 
   // ── 5. Schema Docs (static — no LLM cost) ─────────────────────
   notify(
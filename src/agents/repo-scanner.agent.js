@@ -5,6 +5,9 @@
 import { llmCall } from "../config/llm.js";
 import { sortAndFilterFiles } from "../utils/token-manager.util.js";
 
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "repoScanner";
+
 // ─── System Prompt ────────────────────────────────────────────────
 
 const SYSTEM_PROMPT = `You are a senior software architect performing a deep codebase audit across any language or framework.
@@ -352,11 +355,21 @@ function inferLanguage(filePath) {
 async function llmCallWithRetry({
   systemPrompt,
   userContent,
+  cacheFiles,
   retries = MAX_RETRIES,
 }) {
+  // Cache by file blob SHA; only parseable answers are worth replaying
+  const cache = cacheFiles
+    ? { files: cacheFiles, validate: (raw) => safeParseJSON(raw) !== null }
+    : undefined;
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent });
+      return await llmCall({
+        systemPrompt,
+        userContent,
+        agent: AGENT_NAME,
+        cache,
+      });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 500 * attempt));
@@ -706,6 +719,7 @@ export async function repoScannerAgent({ files, meta, emit }) {
       const raw = await llmCallWithRetry({
         systemPrompt: SYSTEM_PROMPT,
         userContent,
+        cacheFiles: batch,
       });
       const parsed = safeParseJSON(raw);
 
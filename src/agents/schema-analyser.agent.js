@@ -4,6 +4,9 @@
 
 import { llmCall } from "../config/llm.js";
 
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "schemaAnalyser";
+
 // ─── System Prompt ────────────────────────────────────────────────
 
 const SYSTEM_PROMPT = `You are a principal database architect and ORM specialist with deep expertise in extracting and documenting data models across all major database frameworks and ORMs (Prisma, TypeORM, Sequelize, Mongoose, SQLAlchemy, Django ORM, ActiveRecord, Eloquent, GORM, Hibernate, and raw SQL schemas).
@@ -444,11 +447,21 @@ function scoreRelationship(rel) {
 async function llmCallWithRetry({
   systemPrompt,
   userContent,
+  cacheFiles,
   retries = MAX_RETRIES,
 }) {
+  // Cache by file blob SHA; only parseable answers are worth replaying
+  const cache = cacheFiles
+    ? { files: cacheFiles, validate: (raw) => safeParseJSON(raw) !== null }
+    : undefined;
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent });
+      return await llmCall({
+        systemPrompt,
+        userContent,
+        agent: AGENT_NAME,
+        cache,
+      });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 500 * attempt));
@@ -616,6 +629,7 @@ export async function schemaAnalyserAgent({ files, projectMap, emit }) {
       const raw = await llmCallWithRetry({
         systemPrompt: SYSTEM_PROMPT,
         userContent,
+        cacheFiles: batch,
       });
       const parsed = safeParseJSON(raw);
 
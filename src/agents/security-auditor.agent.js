@@ -4,10 +4,36 @@
 
 import { llmCall } from "../config/llm.js";
 import { chunkText } from "../utils/token-manager.util.js";
+import {
+  applyTriage,
+  scoreFindings,
+  triagedFindingsMarkdown,
+  locationAt,
+  locateSnippet,
+  withPermalinks,
+  findingLocationMarkdown,
+} from "../services/security-findings.service.js";
+import {
+  SECURITY_CONFIG_PATH,
+  inlineSuppressions,
+  ruleAppliesTo,
+  applySeverityOverrides,
+  runCustomRules,
+} from "../services/security-config.service.js";
+import {
+  SECRET_RULE_IDS,
+  scanSecrets,
+  redactedSnippet,
+} from "../services/secret-scanner.service.js";
+
+// Selects this agent's LLM provider (LLM_PROVIDER_<AGENT> override)
+const AGENT_NAME = "securityAuditor";
 
 // ─── Static Rules ─────────────────────────────────────────────────
 // Organised by OWASP Top 10 category for structured reporting.
 // Every rule has: id, category, severity, title, regex, advice, cwe
+// Repos can disable, re-grade and extend them in .docnine/security.yml
+// (see services/security-config.service.js).
 
 const STATIC_RULES = [
   // ── A01: Broken Access Control ───────────────────────────────
@@ -46,38 +72,8 @@ const STATIC_RULES = [
   },
 
   // ── A02: Cryptographic Failures ───────────────────────────────
-  {
-    id: "SEC004",
-    category: "A02:CryptographicFailures",
-    severity: "CRITICAL",
-    title: "Hardcoded secret, API key, or password",
-    regex:
-      /(?:api_?key|apikey|secret|password|passwd|token|auth_?token|private_?key|access_?key)\s*[:=]\s*['"`][a-zA-Z0-9_\-\.\/+]{12,}['"`]/gi,
-    advice:
-      "Move all credentials to environment variables. Never commit secrets to source control.",
-    cwe: "CWE-798",
-  },
-  {
-    id: "SEC005",
-    category: "A02:CryptographicFailures",
-    severity: "CRITICAL",
-    title: "AWS access key ID embedded in code",
-    regex: /AKIA[0-9A-Z]{16}/g,
-    advice:
-      "Rotate this key immediately. Use IAM roles, AWS Secrets Manager, or environment variables.",
-    cwe: "CWE-798",
-  },
-  {
-    id: "SEC006",
-    category: "A02:CryptographicFailures",
-    severity: "CRITICAL",
-    title: "Private key or certificate embedded in source",
-    regex:
-      /-----BEGIN\s+(?:RSA\s+|EC\s+|DSA\s+|OPENSSH\s+)?PRIVATE KEY-----|-----BEGIN CERTIFICATE-----/g,
-    advice:
-      "Never store private keys in source code. Use a secrets manager or HSM.",
-    cwe: "CWE-321",
-  },
+  // Hardcoded credentials (SEC004–006, SEC033–040) are found by the
+  // secret scanner — services/secret-scanner.service.js
   {
     id: "SEC007",
     category: "A02:CryptographicFailures",
@@ -426,6 +422,11 @@ If no vulnerabilities are found, return: []
 const SKIP_REGEX =
   /node_modules|\.lock$|\.min\.|dist\/|build\/|coverage\/|\.nyc_output|__pycache__|\.git\/|\.(md|yaml|yml|txt|svg|png|jpg|jpeg|gif|ico|woff|woff2|ttf|eot|map|d\.ts)$/i;
 
+// The secret scanner reads config and text files too; only generated,
+// vendored and binary files are skipped
+const SECRET_SKIP_REGEX =
+  /node_modules|\.min\.|dist\/|build\/|coverage\/|\.nyc_output|__pycache__|\.git\/|(^|\/)(package-lock|npm-shrinkwrap)\.json$|\.(lock|sum|svg|png|jpg|jpeg|gif|ico|woff|woff2|ttf|eot|map|d\.ts)$/i;
+
 const HIGH_RISK_PATH_REGEX =
   /auth|jwt|bcrypt|crypto|password|token|permission|role|admin|payment|stripe|billing|session|oauth|saml|login|register|secret|key|certificate|identity|access/i;
 
@@ -501,7 +502,7 @@ async function llmCallWithRetry({
 }) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await llmCall({ systemPrompt, userContent });
+      return await llmCall({ systemPrompt, userContent, agent: AGENT_NAME });
     } catch (err) {
       if (attempt === retries) throw err;
       await new Promise((r) => setTimeout(r, 600 * attempt));
@@ -534,6 +535,101 @@ function deduplicateFindings(findings) {
   return Array.from(map.values());
 }
 
+/**
+ * Rules to scan with: built-ins minus the ones the repo config
+ * disables, plus its custom rules. Config mistakes that need the
+ * built-in ids to spot are added to `problems`.
+ */
+function resolveRules(config, problems) {
+  if (!config) return STATIC_RULES;
+
+  const builtInIds = new Set([
+    ...STATIC_RULES.map((r) => r.id),
+    ...SECRET_RULE_IDS,
+  ]);
+  const custom = config.rules.filter((r) => {
+    if (!builtInIds.has(r.id)) return true;
+    problems.push(
+      `rules: ${r.id} is a built-in rule id — disable it and use a new id instead`,
+    );
+    return false;
+  });
+  const customIds = new Set(custom.map((r) => r.id));
+  for (const id of config.disable) {
+    if (!builtInIds.has(id) && !customIds.has(id))
+      problems.push(`disable: unknown rule ${id}`);
+  }
+
+  return [...STATIC_RULES, ...custom].filter((r) => !config.disable.has(r.id));
+}
+
+/**
+ * Secret scan of a set of files — one finding per detector per file,
+ * located at its first match. The quoted line is redacted; the secret
+ * itself is never stored.
+ *
+ * @param {object} opts
+ * @param {Array<{ path, content }>} opts.files
+ * @param {object|null} [opts.config] — parsed .docnine/security.yml
+ * @returns {{ findings: object[], inlineSuppressed: number }}
+ */
+export function scanSecretFiles({ files, config = null }) {
+  const findings = [];
+  let inlineSuppressed = 0;
+  const enabled = (id) => !config?.disable.has(id);
+
+  for (const file of files) {
+    if (!file?.path || !file?.content || SECRET_SKIP_REGEX.test(file.path))
+      continue;
+    const ignores =
+      config?.inlineSuppressions === false
+        ? null
+        : inlineSuppressions(file.content);
+
+    for (const { detector, matches: all } of scanSecrets(file, { enabled })) {
+      const matches = ignores
+        ? all.filter((m) => !ignores.suppresses(detector.id, m.start))
+        : all;
+      inlineSuppressed += all.length - matches.length;
+      if (!matches.length) continue;
+
+      // Grouped matches take the worst severity (a live key among test keys)
+      const severity = detector.severityFor
+        ? SEVERITY_ORDER.find((sev) =>
+            matches.some((m) => detector.severityFor(m.secret) === sev),
+          )
+        : detector.severity;
+      const [first] = matches;
+      const location = locationAt(
+        file.content,
+        file.path,
+        first.start,
+        first.end,
+      );
+      findings.push({
+        id: detector.id,
+        category: "A02:CryptographicFailures",
+        severity,
+        title: detector.title,
+        file: file.path,
+        line: redactedSnippet(file.content, first.start, first.end, detector),
+        line_number: location.startLine,
+        location,
+        description: "",
+        impact: "",
+        advice: detector.advice,
+        cwe: detector.cwe,
+        count: matches.length,
+        confidence: detector.id === "SEC039" ? "MEDIUM" : "HIGH",
+        source: "secret",
+      });
+    }
+  }
+
+  applySeverityOverrides(findings, config);
+  return { findings, inlineSuppressed };
+}
+
 /**
  * Score completeness of a finding for deduplication.
  */
@@ -550,45 +646,6 @@ function scoreFinding(f) {
   return score;
 }
 
-/**
- * Calculate security score and grade from findings.
- */
-function calculateScore(findings) {
-  // Deduct points per finding — CRITICAL findings have diminishing returns
-  // to prevent a single file from dominating the score
-  const criticalCount = findings.filter(
-    (f) => f.severity === "CRITICAL",
-  ).length;
-  const highCount = findings.filter((f) => f.severity === "HIGH").length;
-  const mediumCount = findings.filter((f) => f.severity === "MEDIUM").length;
-  const lowCount = findings.filter((f) => f.severity === "LOW").length;
-
-  // Diminishing deductions — first occurrence hurts more than the 10th
-  const deductCritical =
-    Math.min(criticalCount, 3) * 25 + Math.max(0, criticalCount - 3) * 10;
-  const deductHigh =
-    Math.min(highCount, 5) * 15 + Math.max(0, highCount - 5) * 5;
-  const deductMedium =
-    Math.min(mediumCount, 8) * 7 + Math.max(0, mediumCount - 8) * 2;
-  const deductLow = lowCount * 2;
-
-  const totalDeduction = deductCritical + deductHigh + deductMedium + deductLow;
-  const score = Math.max(0, Math.min(100, 100 - totalDeduction));
-
-  const grade =
-    score >= 90
-      ? "A"
-      : score >= 80
-        ? "B"
-        : score >= 65
-          ? "C"
-          : score >= 45
-            ? "D"
-            : "F";
-
-  return { score, grade };
-}
-
 /**
  * Count findings per severity.
  */
@@ -637,6 +694,9 @@ function buildReport(
   affectedFiles,
   staticCount,
   llmCount,
+  suppressed = [],
+  dependencyCount = 0,
+  secretCount = 0,
 ) {
   let md = `# 🔒 Security Audit Report\n\n`;
 
@@ -647,7 +707,13 @@ function buildReport(
   md += `| **Grade** | **${grade}** |\n`;
   md += `| **Total Findings** | ${findings.length} |\n`;
   md += `| **Static Analysis** | ${staticCount} findings |\n`;
-  md += `| **AI Deep Scan** | ${llmCount} findings |\n\n`;
+  if (secretCount) md += `| **Secret Scan** | ${secretCount} findings |\n`;
+  md += `| **AI Deep Scan** | ${llmCount} findings |\n`;
+  if (dependencyCount)
+    md += `| **Vulnerable Dependencies** | ${dependencyCount} findings |\n`;
+  if (suppressed.length)
+    md += `| **Triaged (excluded)** | ${suppressed.length} findings |\n`;
+  md += "\n";
 
   // ── Severity Breakdown ────────────────────────────────────────
   md += `## Severity Breakdown\n\n`;
@@ -693,8 +759,8 @@ function buildReport(
 
   // ── Findings Detail ───────────────────────────────────────────
   if (!findings.length) {
-    md += `## Findings\n\n✅ No vulnerabilities detected.\n`;
-    return md;
+    md += `## Findings\n\n✅ No vulnerabilities detected.\n\n`;
+    return md + triagedFindingsMarkdown(suppressed);
   }
 
   md += `## Findings\n\n`;
@@ -706,10 +772,14 @@ function buildReport(
     md += `### ${SEVERITY_EMOJI[sev]} ${sev} (${group.length})\n\n`;
 
     group.forEach((f) => {
-      const sourceTag = f.source === "llm" ? " *(AI)*" : " *(static)*";
+      const sourceTag = {
+        llm: " *(AI)*",
+        dependency: " *(dependency)*",
+        secret: " *(secret)*",
+      }[f.source] ?? " *(static)*";
       const confTag = f.confidence ? ` · Confidence: **${f.confidence}**` : "";
       md += `#### [${f.id}] ${f.title}${sourceTag}\n\n`;
-      md += `**File:** \`${f.file}\``;
+      md += `**File:** ${findingLocationMarkdown(f)}`;
       if (f.cwe) md += ` · **${f.cwe}**`;
       md += ` · **${f.category || "uncategorised"}**${confTag}\n\n`;
 
@@ -719,12 +789,18 @@ function buildReport(
 
       if (f.description) md += `**Description:** ${f.description}\n\n`;
       if (f.impact) md += `**Impact:** ${f.impact}\n\n`;
+      if (f.paths?.length) {
+        const via = f.paths.map((p) => `\`${p}\``).join(", ");
+        md += `**Installed via:** ${via}\n\n`;
+      }
+      if (f.fixedIn?.length)
+        md += `**Fixed in:** ${f.fixedIn.join(", ")}\n\n`;
       md += `**Fix:** ${f.advice}\n\n`;
       md += "---\n\n";
     });
   }
 
-  return md;
+  return md + triagedFindingsMarkdown(suppressed);
 }
 
 // ─── Remediation Plan Builder ─────────────────────────────────────
@@ -751,7 +827,7 @@ function buildRemediationPlan(findings) {
 
     group.forEach((f, idx) => {
       md += `${idx + 1}. **[${f.id}] ${f.title}**\n`;
-      md += `   - File: \`${f.file}\`\n`;
+      md += `   - File: ${findingLocationMarkdown(f)}\n`;
       md += `   - Fix: ${f.advice}\n`;
       if (f.cwe)
         md += `   - Reference: https://cwe.mitre.org/data/definitions/${f.cwe.replace("CWE-", "")}.html\n`;
@@ -764,44 +840,136 @@ function buildRemediationPlan(findings) {
 
 // ─── Agent ────────────────────────────────────────────────────────
 
-export async function securityAuditorAgent({ files, projectMap, emit }) {
+/**
+ * @param {object} opts
+ * @param {object[]} opts.files
+ * @param {object[]} [opts.projectMap]
+ * @param {Function} [opts.emit]
+ * @param {object[]} [opts.triage] — Project.securityTriage; findings
+ *   marked false positive or accepted risk are reported but not scored
+ * @param {{ config, errors }} [opts.securityConfig] — the repo's
+ *   .docnine/security.yml, from loadSecurityConfig()
+ * @param {object[]} [opts.dependencyFindings] — from the Dependency
+ *   Auditor; merged in before triage and scoring
+ * @param {Array<{ path, content }>} [opts.envFiles] — `.env*` files,
+ *   read for the secret scan only
+ * @param {(path, location?) => string|null} [opts.permalinkFor] — links
+ *   findings to their lines at the documented commit
+ */
+export async function securityAuditorAgent({
+  files,
+  projectMap,
+  emit,
+  triage = [],
+  securityConfig,
+  dependencyFindings = [],
+  envFiles = [],
+  permalinkFor,
+}) {
   const notify = (msg, detail) => emit?.(msg, detail);
 
   notify("Starting security audit…", "Agent 6 — Security Auditor");
 
+  // ── 0. Repo security config ───────────────────────────────────
+  const config = securityConfig?.config ?? null;
+  const configProblems = [...(securityConfig?.errors ?? [])];
+  const rules = resolveRules(config, configProblems);
+
+  if (configProblems.length) {
+    notify(
+      `⚠ ${SECURITY_CONFIG_PATH}: ${configProblems.length} problem(s)`,
+      configProblems.join("; "),
+    );
+  }
+  if (config) {
+    notify(
+      `Using ${SECURITY_CONFIG_PATH}`,
+      [
+        `${config.disable.size} disabled`,
+        `${rules.filter((r) => r.custom).length} custom rules`,
+        `${config.severity.length} severity overrides`,
+        config.inlineSuppressions ? null : "inline suppressions off",
+      ]
+        .filter(Boolean)
+        .join(" · "),
+    );
+  }
+
   // ── 1. Filter scannable code files ────────────────────────────
   const codeFiles = files.filter(
     (f) => f?.path && f?.content && !SKIP_REGEX.test(f.path),
   );
 
-  if (codeFiles.length === 0) {
+  if (
+    codeFiles.length === 0 &&
+    envFiles.length === 0 &&
+    dependencyFindings.length === 0
+  ) {
     notify("No code files to scan", "Security audit skipped");
     return buildEmptyResult();
   }
 
   notify(
     "Running static pattern scan…",
-    `${codeFiles.length} code files · ${STATIC_RULES.length} rules`,
+    `${codeFiles.length} code files · ${rules.length} rules`,
   );
 
   // ── 2. Static scan — all files, zero LLM cost ─────────────────
+  // Custom rules are the repo's own regexes — matched off-thread
+  const custom = await runCustomRules(
+    codeFiles,
+    rules.filter((r) => r.custom),
+  );
+  if (custom.skipped.length) {
+    notify(
+      `⚠ ${SECURITY_CONFIG_PATH}: ${custom.skipped.length} custom rule(s) too slow — skipped`,
+      custom.skipped.join(", "),
+    );
+  }
+
   const staticFindings = [];
+  let inlineSuppressed = 0;
 
   for (const file of codeFiles) {
-    for (const rule of STATIC_RULES) {
-      // Re-create regex each time to reset lastIndex state
-      const re = new RegExp(
-        rule.regex.source,
-        rule.regex.flags.replace("g", "") + "g",
-      );
-      const matches = [...file.content.matchAll(re)];
+    const ignores =
+      config?.inlineSuppressions === false
+        ? null
+        : inlineSuppressions(file.content);
+
+    for (const rule of rules) {
+      if (!ruleAppliesTo(rule, file.path)) continue;
+
+      let matches;
+      if (rule.custom) {
+        matches = custom.matches.get(rule.id)?.get(file.path) ?? [];
+      } else {
+        // Re-create regex each time to reset lastIndex state
+        const re = new RegExp(
+          rule.regex.source,
+          rule.regex.flags.replace("g", "") + "g",
+        );
+        matches = [...file.content.matchAll(re)].map((m) => ({
+          index: m.index,
+          length: m[0].length,
+          text: m[0],
+        }));
+      }
+      if (ignores) {
+        const kept = matches.filter(
+          (m) => !ignores.suppresses(rule.id, m.index),
+        );
+        inlineSuppressed += matches.length - kept.length;
+        matches = kept;
+      }
       if (!matches.length) continue;
 
-      // Find approximate line number of first match
-      const firstMatchIndex = file.content.indexOf(matches[0][0]);
-      const lineNumber = file.content
-        .slice(0, firstMatchIndex)
-        .split("\n").length;
+      // Location of the first match
+      const location = locationAt(
+        file.content,
+        file.path,
+        matches[0].index,
+        matches[0].index + matches[0].length,
+      );
 
       staticFindings.push({
         id: rule.id,
@@ -809,8 +977,9 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
         severity: rule.severity,
         title: rule.title,
         file: file.path,
-        line: matches[0][0].slice(0, 120).trim(),
-        line_number: lineNumber,
+        line: matches[0].text.slice(0, 120).trim(),
+        line_number: location.startLine,
+        location,
         description: "",
         impact: "",
         advice: rule.advice,
@@ -822,17 +991,32 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
     }
   }
 
+  applySeverityOverrides(staticFindings, config);
   const staticCountBySev = countBySeverity(staticFindings);
   notify(
-    `Static scan complete — ${staticFindings.length} findings`,
+    `Static scan complete — ${staticFindings.length} findings${inlineSuppressed ? ` (${inlineSuppressed} suppressed inline)` : ""}`,
     `Critical:${staticCountBySev.CRITICAL} · High:${staticCountBySev.HIGH} · Medium:${staticCountBySev.MEDIUM} · Low:${staticCountBySev.LOW}`,
   );
 
+  // ── 2b. Secret scan — code, config and .env files ──────────
+  const secretScan = scanSecretFiles({
+    files: [...files, ...envFiles],
+    config,
+  });
+  const secretFindings = secretScan.findings;
+  inlineSuppressed += secretScan.inlineSuppressed;
+  notify(
+    `Secret scan complete — ${secretFindings.length} findings`,
+    `${envFiles.length} .env file(s) · ${new Set(secretFindings.map((f) => f.file)).size} file(s) with secrets`,
+  );
+
   // ── 3. Score files for LLM priority ───────────────────────────
   // Files that already have static findings get priority,
   // plus files that contain high-risk keywords
   const fileRiskScore = (file) => {
-    const staticHits = staticFindings.filter((f) => f.file === file.path);
+    const staticHits = [...staticFindings, ...secretFindings].filter(
+      (f) => f.file === file.path,
+    );
     const staticScore = staticHits.reduce(
       (s, f) => s + (SEVERITY_WEIGHT[f.severity] ?? 2),
       0,
@@ -868,6 +1052,7 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
 
   // ── 4. LLM deep scan — high-risk files only ───────────────────
   const llmFindings = [];
+  const contentByPath = new Map(codeFiles.map((f) => [f.path, f.content]));
   const llmErrors = [];
 
   for (const [i, file] of highRiskFiles.entries()) {
@@ -903,7 +1088,19 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
 
         for (const finding of parsed) {
           const validated = validateLLMFinding(finding, file.path);
-          if (validated) llmFindings.push(validated);
+          if (!validated) continue;
+          // The model quotes code, not line numbers — find the quote
+          const location = locateSnippet(
+            contentByPath.get(validated.file) ?? file.content,
+            contentByPath.has(validated.file) ? validated.file : file.path,
+            validated.line,
+          );
+          if (location) {
+            validated.file = location.path;
+            validated.line_number = location.startLine;
+            validated.location = location;
+          }
+          llmFindings.push(validated);
         }
       } catch (err) {
         llmErrors.push({
@@ -915,6 +1112,7 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
     }
   }
 
+  applySeverityOverrides(llmFindings, config);
   const llmCountBySev = countBySeverity(llmFindings);
   notify(
     `AI scan complete — ${llmFindings.length} additional findings`,
@@ -922,33 +1120,49 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
   );
 
   // ── 5. Merge, deduplicate, and sort all findings ───────────────
-  const rawFindings = [...staticFindings, ...llmFindings];
-  const findings = deduplicateFindings(rawFindings).sort((a, b) => {
+  // Dependency findings are one per advisory and package already, and
+  // keep the advisory's severity — they're triaged, not re-graded
+  const rawFindings = [...staticFindings, ...secretFindings, ...llmFindings];
+  const sorted = [
+    ...deduplicateFindings(rawFindings),
+    ...dependencyFindings,
+  ].sort((a, b) => {
     const sevOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
     return (
       (sevOrder[a.severity] ?? 3) - (sevOrder[b.severity] ?? 3) ||
       a.file.localeCompare(b.file)
     );
   });
+  const findings = withPermalinks(sorted, permalinkFor);
 
-  // ── 6. Calculate score and build outputs ──────────────────────
-  const { score, grade } = calculateScore(findings);
-  const counts = countBySeverity(findings);
-  const categoryCounts = countByCategory(findings);
-  const affectedFiles = buildAffectedFiles(findings);
+  // ── 6. Apply triage, calculate score and build outputs ────────
+  // Every finding is kept (annotated with fingerprint + triage state);
+  // only the active ones are scored, counted and put in the plan.
+  const { findings: triaged, active, suppressed } = applyTriage(
+    findings,
+    triage,
+  );
+  const { score, grade, counts } = scoreFindings(active);
+  const categoryCounts = countByCategory(active);
+  const affectedFiles = buildAffectedFiles(active);
 
   // ── 7. Build summary ──────────────────────────────────────────
   const summary = {
     totalFindings: findings.length,
     staticFindings: staticFindings.length,
+    secretFindings: secretFindings.length,
     llmFindings: llmFindings.length,
+    dependencyFindings: dependencyFindings.length,
     afterDedup: findings.length,
+    inlineSuppressed,
+    suppressed: suppressed.length,
     score,
     grade,
     counts,
     categoryCounts,
     affectedFiles,
     filesScanned: codeFiles.length,
+    envFilesScanned: envFiles.length,
     filesDeepScanned: highRiskFiles.length,
     llmErrors: llmErrors.length,
   };
@@ -963,24 +1177,28 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
   notify(
     `Audit complete — ${score}/100 (${grade})`,
     [
-      `${findings.length} total findings`,
+      `${active.length} open findings`,
+      suppressed.length ? `${suppressed.length} triaged` : null,
       `Critical:${counts.CRITICAL}`,
       `High:${counts.HIGH}`,
       `Medium:${counts.MEDIUM}`,
       `Low:${counts.LOW}`,
-    ].join(" · "),
+    ]
+      .filter(Boolean)
+      .join(" · "),
   );
 
   return {
-    findings,
+    findings: triaged,
     score,
     grade,
     counts,
+    suppressed: suppressed.length,
     categoryCounts,
     affectedFiles,
     summary,
     reportMarkdown: buildReport(
-      findings,
+      active,
       score,
       grade,
       counts,
@@ -988,12 +1206,74 @@ export async function securityAuditorAgent({ files, projectMap, emit }) {
       affectedFiles,
       staticFindings.length,
       llmFindings.length,
+      suppressed,
+      dependencyFindings.length,
+      secretFindings.length,
     ),
-    remediationMarkdown: buildRemediationPlan(findings),
+    remediationMarkdown: buildRemediationPlan(active),
     errors: llmErrors.length > 0 ? llmErrors : undefined,
   };
 }
 
+// ─── Re-triage ────────────────────────────────────────────────────
+
+/**
+ * Re-apply triage to a stored audit result — a checkpoint restored on
+ * a later run carries the triage from when it was saved. Findings keep
+ * their own reportedAt, so a "fixed" entry only regresses when the
+ * finding was reported after it was marked.
+ *
+ * @param {object} result — a securityAuditorAgent() result
+ * @param {object[]} [triage] — Project.securityTriage
+ * @returns {object} the result with findings, score and reports rebuilt
+ */
+export function retriageAudit(result, triage = []) {
+  if (!result.findings?.length) return result;
+  const { findings, active, suppressed } = applyTriage(
+    result.findings,
+    triage,
+    { reportedAt: null },
+  );
+  const { score, grade, counts } = scoreFindings(active);
+  const categoryCounts = countByCategory(active);
+  const affectedFiles = buildAffectedFiles(active);
+  const summary = result.summary ?? {};
+
+  return {
+    ...result,
+    findings,
+    score,
+    grade,
+    counts,
+    suppressed: suppressed.length,
+    categoryCounts,
+    affectedFiles,
+    summary: {
+      ...summary,
+      suppressed: suppressed.length,
+      score,
+      grade,
+      counts,
+      categoryCounts,
+      affectedFiles,
+    },
+    reportMarkdown: buildReport(
+      active,
+      score,
+      grade,
+      counts,
+      categoryCounts,
+      affectedFiles,
+      summary.staticFindings ?? 0,
+      summary.llmFindings ?? 0,
+      suppressed,
+      summary.dependencyFindings ?? 0,
+      summary.secretFindings ?? 0,
+    ),
+    remediationMarkdown: buildRemediationPlan(active),
+  };
+}
+
 // ─── Empty Result Helper ──────────────────────────────────────────
 
 function buildEmptyResult() {
@@ -1003,6 +1283,7 @@ function buildEmptyResult() {
     score: 100,
     grade: "A",
     counts,
+    suppressed: 0,
     categoryCounts: {},
     affectedFiles: [],
     summary: { totalFindings: 0, score: 100, grade: "A", counts },
@@ -7,6 +7,9 @@ import { User } from "../../models/User.js";
 import { Project } from "../../models/Project.js";
 import { Subscription } from "../../models/Subscription.js";
 import { ok, fail, serverError } from "../../utils/response.util.js";
+import { getSchedulerStats } from "../../config/llm-scheduler.js";
+import { getJobQueueStats } from "../../services/job-queue.service.js";
+import * as advisoryService from "../../services/advisory.service.js";
 
 // Plan pricing (monthly equivalent) for MRR estimation
 const PLAN_PRICE_MONTHLY = { free: 0, starter: 15, pro: 49, team: 99 };
@@ -66,6 +69,8 @@ export async function getStats(req, res) {
       planBreakdown,
       estimatedMRR: Math.round(mrr),
       paidSubscriptions: paidSubs.length,
+      llmQueue: getSchedulerStats(),
+      jobQueue: await getJobQueueStats(),
     });
   } catch (err) {
     return serverError(res, err, "admin.getStats");
@@ -230,3 +235,45 @@ export async function listSubscriptions(req, res) {
     return serverError(res, err, "admin.listSubscriptions");
   }
 }
+
+// ── GET /admin/advisories ─────────────────────────────────────
+// Size of the offline OSV database the dependency audit matches against
+export async function getAdvisoryStats(req, res) {
+  try {
+    return ok(res, await advisoryService.advisoryStats());
+  } catch (err) {
+    return serverError(res, err, "admin.getAdvisoryStats");
+  }
+}
+
+// ── POST /admin/advisories/import ─────────────────────────────
+// multipart "file": a JSON array of OSV records, one record, or NDJSON.
+// Small batches can be sent as a JSON body: { advisories: [...] }.
+// Records are upserted by OSV id; older copies never replace newer.
+export async function importAdvisories(req, res) {
+  try {
+    const records = req.file
+      ? advisoryService.parseOsvPayload(req.file.buffer.toString("utf-8"))
+      : req.body?.advisories;
+
+    if (!Array.isArray(records) || !records.length) {
+      return fail(
+        res,
+        "NO_ADVISORIES",
+        "Upload a file of OSV records or send { advisories: [...] }.",
+        400,
+      );
+    }
+
+    const result = await advisoryService.importAdvisories(records);
+    return ok(
+      res,
+      result,
+      `${result.upserted} advisories imported, ${result.rejected} rejected.`,
+    );
+  } catch (err) {
+    if (err.code && err.status)
+      return fail(res, err.code, err.message, err.status);
+    return serverError(res, err, "admin.importAdvisories");
+  }
+}
@@ -3,12 +3,23 @@
 // ===================================================================
 
 import { Router } from "express";
+import multer from "multer";
 import { protect } from "../../middleware/auth.middleware.js";
 import { requireRole } from "../../middleware/auth.middleware.js";
 import * as adminCtrl from "./admin.controller.js";
 
 const router = Router();
 
+// OSV exports run to tens of MB; JSON bodies are capped at 1 MB
+const advisoryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 },
+  fileFilter(_req, file, cb) {
+    const ok = /\.(json|jsonl|ndjson)$/i.test(file.originalname);
+    cb(ok ? null : new Error("Only .json / .jsonl / .ndjson files."), ok);
+  },
+});
+
 // All admin routes require authentication + super-admin role
 router.use(protect, requireRole("super-admin"));
 
@@ -26,4 +37,12 @@ router.delete("/projects/:id", adminCtrl.deleteProject);
 // ── Subscriptions ─────────────────────────────────────────────
 router.get("/subscriptions", adminCtrl.listSubscriptions);
 
+// ── Advisory database (dependency audit) ──────────────────────
+router.get("/advisories", adminCtrl.getAdvisoryStats);
+router.post(
+  "/advisories/import",
+  advisoryUpload.single("file"),
+  adminCtrl.importAdvisories,
+);
+
 export default router;
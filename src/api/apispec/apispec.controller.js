@@ -4,7 +4,12 @@
 // Routes (mounted under /projects/:id/apispec):
 //   GET    /          — get imported spec (metadata + endpoints)
 //   POST   /import    — import spec (file | url | raw)
-//   POST   /sync      — re-fetch from source URL
+//   POST   /sync      — re-fetch from source URL, or regenerate
+//   GET    /generated — OpenAPI 3.1 built from the extracted API
+//                       (?format=json|yaml, download)
+//   POST   /generate  — save the generated spec as the project's
+//                       spec ({ replace } to overwrite an import)
+//   GET    /drift     — imported spec vs the extracted endpoints
 //   DELETE /          — delete spec
 //   PATCH  /endpoint  — update custom note on an endpoint
 //   POST   /try       — proxy Try-It request
@@ -30,6 +35,9 @@ const KNOWN_CODES = new Set([
   "BAD_URL",
   "PRIVATE_URL",
   "PROXY_ERROR",
+  "NO_ENDPOINTS",
+  "SPEC_EXISTS",
+  "SPEC_GENERATED",
 ]);
 
 function dispatch(res, err, context) {
@@ -88,6 +96,54 @@ export async function syncSpec(req, res) {
   }
 }
 
+// ── GET /projects/:id/apispec/generated ──────────────────────
+
+export async function exportGeneratedSpec(req, res) {
+  try {
+    const format = req.query.format === "yaml" ? "yaml" : "json";
+    const { content, repoName } = await svc.exportGeneratedSpec(
+      req.params.id,
+      req.user.userId,
+      { format },
+    );
+    res.setHeader(
+      "Content-Type",
+      format === "yaml" ? "application/yaml" : "application/json",
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${repoName || "project"}-openapi.${format}"`,
+    );
+    res.send(content);
+  } catch (err) {
+    return dispatch(res, err, "exportGeneratedSpec");
+  }
+}
+
+// ── POST /projects/:id/apispec/generate ──────────────────────
+
+export async function generateSpec(req, res) {
+  try {
+    const spec = await svc.generateSpec(req.params.id, req.user.userId, {
+      replace: req.body?.replace === true,
+    });
+    return ok(res, { spec }, "API spec generated from the code.");
+  } catch (err) {
+    return dispatch(res, err, "generateSpec");
+  }
+}
+
+// ── GET /projects/:id/apispec/drift ──────────────────────────
+
+export async function getDrift(req, res) {
+  try {
+    const drift = await svc.getDrift(req.params.id, req.user.userId);
+    return ok(res, { drift });
+  } catch (err) {
+    return dispatch(res, err, "getDrift");
+  }
+}
+
 // ── DELETE /projects/:id/apispec ─────────────────────────────
 
 export async function deleteSpec(req, res) {
@@ -7,7 +7,7 @@
 // =============================================================
 
 import { Router } from "express";
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
 import multer from "multer";
 import * as ctrl from "./apispec.controller.js";
 import { validate } from "../../middleware/validate.middleware.js";
@@ -60,6 +60,35 @@ router.post(
 // ── POST /projects/:id/apispec/sync ──────────────────────────
 router.post("/sync", wrap(ctrl.syncSpec));
 
+// ── GET /projects/:id/apispec/generated ──────────────────────
+router.get(
+  "/generated",
+  [
+    query("format")
+      .optional()
+      .isIn(["json", "yaml"])
+      .withMessage("format must be json or yaml"),
+    validate,
+  ],
+  wrap(ctrl.exportGeneratedSpec),
+);
+
+// ── POST /projects/:id/apispec/generate ──────────────────────
+router.post(
+  "/generate",
+  [
+    body("replace")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("replace must be a boolean"),
+    validate,
+  ],
+  wrap(ctrl.generateSpec),
+);
+
+// ── GET /projects/:id/apispec/drift ──────────────────────────
+router.get("/drift", wrap(ctrl.getDrift));
+
 // ── DELETE /projects/:id/apispec ─────────────────────────────
 router.delete("/", wrap(ctrl.deleteSpec));
 
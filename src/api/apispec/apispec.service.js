@@ -2,13 +2,25 @@
 // apispec.service.js
 //
 // Business logic for importing, fetching, syncing, and
-// proxying OpenAPI / Postman specs.
+// proxying OpenAPI / Postman specs, for generating one from the
+// pipeline's extracted endpoints and models, and for checking an
+// imported spec against those endpoints.
 // =============================================================
 
 import axios from "axios";
 import { ApiSpec } from "../../models/ApiSpec.js";
+import { Project } from "../../models/Project.js";
 import { parseSpec } from "./apispec.parser.js";
+import { isPrivateHost } from "../../utils/url-guard.util.js";
 import { getShareRole } from "../projects/share.service.js";
+import {
+  buildOpenApiDocument,
+  serializeOpenApi,
+} from "../../services/openapi.service.js";
+import {
+  computeApiDrift,
+  isComparableSpec,
+} from "../../services/api-drift.service.js";
 
 // ── Permission helpers ────────────────────────────────────────
 
@@ -125,13 +137,16 @@ export async function getSpec(projectId, userId) {
   return spec; // null if never imported
 }
 
-// ── Sync (URL source only) ────────────────────────────────────
+// ── Sync (URL and generated sources) ─────────────────────────
 
 export async function syncSpec(projectId, userId) {
   await assertWrite(projectId, userId);
 
   const existing = await ApiSpec.findOne({ projectId });
   if (!existing) throw makeError("No spec imported yet.", "NO_SPEC", 404);
+  if (existing.source === "generated") {
+    return saveGeneratedSpec(await loadDocumentedProject(projectId));
+  }
   if (existing.source !== "url" || !existing.sourceUrl) {
     throw makeError(
       "Spec was not imported from a URL; cannot sync.",
@@ -148,6 +163,163 @@ export async function syncSpec(projectId, userId) {
   });
 }
 
+// ── Generate from the extracted API ──────────────────────────
+
+async function loadDocumentedProject(projectId) {
+  const project = await Project.findById(projectId).select("+agentOutputs");
+  if (!project)
+    throw makeError("Project not found.", "PROJECT_NOT_FOUND", 404);
+  if (!project.agentOutputs?.endpoints?.length)
+    throw makeError(
+      project.status === "done"
+        ? "No API endpoints were found in this repository."
+        : "Pipeline has not completed.",
+      "NO_ENDPOINTS",
+      409,
+    );
+  return project;
+}
+
+function generatedDocument(project) {
+  return buildOpenApiDocument({
+    project,
+    endpoints: project.agentOutputs.endpoints,
+    models: project.agentOutputs.models || [],
+  });
+}
+
+/**
+ * Store the project's generated spec as its ApiSpec. Endpoint notes
+ * survive regeneration for endpoints that still exist.
+ */
+async function saveGeneratedSpec(project) {
+  const rawText = serializeOpenApi(generatedDocument(project), "json");
+  const parsed = parseSpec(rawText);
+
+  const previous = await ApiSpec.findOne({ projectId: project._id }).select(
+    "endpoints.id endpoints.customNote",
+  );
+  const notes = new Map(
+    (previous?.endpoints || [])
+      .filter((e) => e.customNote)
+      .map((e) => [e.id, e.customNote]),
+  );
+  for (const ep of parsed.endpoints) {
+    if (notes.has(ep.id)) ep.customNote = notes.get(ep.id);
+  }
+
+  return ApiSpec.findOneAndUpdate(
+    { projectId: project._id },
+    {
+      $set: {
+        projectId: project._id,
+        source: "generated",
+        sourceUrl: undefined,
+        rawContent: rawText,
+        autoSync: false,
+        lastSyncedAt: new Date(),
+        ...parsed,
+      },
+    },
+    { upsert: true, new: true, runValidators: false },
+  );
+}
+
+/**
+ * The OpenAPI 3.1 document for the project's extracted API, as a
+ * file body.
+ *
+ * @param {{ format?: "json"|"yaml" }} [opts]
+ * @returns {Promise<{ content: string, repoName: string }>}
+ */
+export async function exportGeneratedSpec(
+  projectId,
+  userId,
+  { format = "json" } = {},
+) {
+  await assertRead(projectId, userId);
+  const project = await loadDocumentedProject(projectId);
+  return {
+    content: serializeOpenApi(generatedDocument(project), format),
+    repoName: project.repoName,
+  };
+}
+
+/**
+ * Save the generated spec as the project's ApiSpec. An imported
+ * spec is only replaced with `replace: true`.
+ */
+export async function generateSpec(
+  projectId,
+  userId,
+  { replace = false } = {},
+) {
+  await assertWrite(projectId, userId);
+
+  const existing = await ApiSpec.findOne({ projectId }).select("source");
+  if (existing && existing.source !== "generated" && !replace) {
+    throw makeError(
+      "The project already has an imported spec. Pass replace: true to overwrite it.",
+      "SPEC_EXISTS",
+      409,
+    );
+  }
+  return saveGeneratedSpec(await loadDocumentedProject(projectId));
+}
+
+/**
+ * Rebuild a saved generated spec after a pipeline run. No-op when
+ * the project's spec was imported or never saved.
+ */
+export async function refreshGeneratedSpec(projectId) {
+  const existing = await ApiSpec.findOne({ projectId }).select("source");
+  if (existing?.source !== "generated") return null;
+
+  const project = await Project.findById(projectId).select("+agentOutputs");
+  // A run that found no endpoints leaves the last good spec in place
+  if (!project?.agentOutputs?.endpoints?.length) return null;
+  return saveGeneratedSpec(project);
+}
+
+// ── Drift between the spec and the code ──────────────────────
+
+/**
+ * Compare the imported spec with the endpoints from the last run.
+ * Computed on request, so a spec imported since then is included;
+ * the stored `drift` is the one in the security report.
+ */
+export async function getDrift(projectId, userId) {
+  await assertRead(projectId, userId);
+
+  const spec = await ApiSpec.findOne({ projectId }).lean();
+  if (!spec) throw makeError("No spec imported yet.", "NO_SPEC", 404);
+  if (spec.source === "generated")
+    throw makeError(
+      "The spec is generated from the code, so it cannot drift from it.",
+      "SPEC_GENERATED",
+      409,
+    );
+
+  const project = await loadDocumentedProject(projectId);
+  return computeApiDrift({ spec, endpoints: project.agentOutputs.endpoints });
+}
+
+/**
+ * The spec as the orchestrators need it to compute drift, or
+ * undefined when there is nothing to compare.
+ */
+export async function loadSpecForDrift(projectId) {
+  const spec = await ApiSpec.findOne({ projectId })
+    .select("source specVersion servers endpoints schemas drift")
+    .lean();
+  return isComparableSpec(spec) ? spec : undefined;
+}
+
+/** Store a run's drift on the spec — null clears it. */
+export async function saveDrift(projectId, drift) {
+  await ApiSpec.updateOne({ projectId }, { $set: { drift: drift ?? null } });
+}
+
 // ── Delete spec ───────────────────────────────────────────────
 
 export async function deleteSpec(projectId, userId) {
@@ -207,15 +379,7 @@ export async function tryRequest(projectId, userId, opts) {
     throw makeError("Invalid endpoint URL.", "BAD_URL", 400);
   }
 
-  const hostname = targetUrl.hostname.toLowerCase();
-  if (
-    hostname === "localhost" ||
-    hostname.endsWith(".local") ||
-    /^127\./.test(hostname) ||
-    /^192\.168\./.test(hostname) ||
-    /^10\./.test(hostname) ||
-    hostname === "0.0.0.0"
-  ) {
+  if (isPrivateHost(targetUrl.hostname)) {
     throw makeError(
       "Proxying to localhost or private network addresses is not allowed.",
       "PRIVATE_URL",
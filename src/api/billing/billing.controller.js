@@ -86,6 +86,11 @@ export async function getSubscription(req, res) {
       usage: {
         aiChatsUsed: usage?.aiChatsUsed ?? 0,
         aiChatsResetAt: usage?.aiChatsResetAt ?? null,
+        // Counted per calendar month (UTC) — 0 once a new month starts
+        portalChatsUsed:
+          usage?.portalChatsPeriod === new Date().toISOString().slice(0, 7)
+            ? usage.portalChatsUsed
+            : 0,
         // Count real (non-archived) projects for accuracy
         projectCount: await Project.countDocuments({
           userId: sub.userId,
@@ -0,0 +1,358 @@
+// =============================================================
+// Portal chat — "Ask the docs" on a published portal.
+//
+// Functions:
+//   openPortalChat(slug, { password, ip }) — gate a visitor's question
+//                                            and reserve quota
+//   releasePortalChat(chat)                — give back a failed answer
+//   recordQuestion(chat, { … })            — store it for analytics
+//   getChatAnalytics(projectId, userId, { days }) — owner's view
+//
+// Visitors see the public sections only: the chat session is built
+// from them alone, with its own doc index, and never gets code,
+// internal docs or tools. Password portals need X-Portal-Password
+// like GET /portal/:slug.
+//
+// Answers count against the portal owner's portalChatsPerMonth
+// (plans.js), apart from their own aiChatsPerMonth. Per-visitor and
+// per-portal rate limits are route middleware (rateLimiter.middleware).
+// =============================================================
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Portal } from "../../models/Portal.js";
+import { Project } from "../../models/Project.js";
+import { PlanUsage } from "../../models/PlanUsage.js";
+import { PortalChatQuestion } from "../../models/PortalChatQuestion.js";
+import { planForUser } from "../../middleware/plan-gate.middleware.js";
+import { createChatSession } from "../../services/chat.service.js";
+import { buildRetrievalIndex } from "../../services/retrieval.service.js";
+import {
+  getPortalForOwner,
+  publicContent,
+  verifyPortalPassword,
+} from "./portal.service.js";
+
+const MAX_ANALYTICS_DAYS = 180;
+const TOP_QUESTIONS = 20;
+const RECENT_QUESTIONS = 50;
+
+// portalId → fingerprint of the content its chat session was built from
+const sessionFingerprints = new Map();
+
+// ── Helpers ───────────────────────────────────────────────────
+
+function portalError(message, code, status) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+/** "2026-10" — quota period, UTC calendar month. */
+function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+/** Anonymous, per-portal id for a visitor — no IP is stored. */
+function visitorId(portalId, ip) {
+  return crypto
+    .createHmac("sha256", process.env.JWT_ACCESS_SECRET || "")
+    .update(`${portalId}:${ip}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/** Groups "How do I log in?" with "how do i log in" */
+function normaliseQuestion(question) {
+  return question
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 300);
+}
+
+/**
+ * Count one answer against the owner's month. Returns false when the
+ * quota is used up. Unlimited plans (null) are counted too, for
+ * billing usage.
+ */
+async function consumeQuota(ownerId, limit) {
+  const period = currentPeriod();
+
+  // First chat of the month (or ever) starts the count over
+  const restarted = await PlanUsage.updateOne(
+    { userId: ownerId, portalChatsPeriod: { $ne: period } },
+    { $set: { portalChatsPeriod: period, portalChatsUsed: 1 } },
+  );
+  if (restarted.matchedCount) return { period };
+
+  const filter = { userId: ownerId, portalChatsPeriod: period };
+  if (limit !== null) filter.portalChatsUsed = { $lt: limit };
+  const usage = await PlanUsage.findOneAndUpdate(filter, {
+    $inc: { portalChatsUsed: 1 },
+  });
+  if (usage) return { period };
+
+  // No usage record yet — otherwise the quota is used up
+  const created = await PlanUsage.updateOne(
+    { userId: ownerId },
+    { $setOnInsert: { portalChatsPeriod: period, portalChatsUsed: 1 } },
+    { upsert: true },
+  );
+  return created.upsertedCount ? { period } : false;
+}
+
+/** Chat session over the public sections, rebuilt when they change. */
+async function ensurePortalSession(portal, project, content) {
+  const sessionId = `portal:${portal._id}`;
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([project.meta?.name, content]))
+    .digest("hex")
+    .slice(0, 16);
+  if (sessionFingerprints.get(String(portal._id)) === fingerprint)
+    return sessionId;
+
+  let index = null;
+  try {
+    index = await buildRetrievalIndex({ agentOutputs: {}, output: content });
+  } catch (err) {
+    console.warn(
+      `[portal-chat] ${portal.slug}: could not index the docs — ${err.message}`,
+    );
+  }
+  createChatSession({
+    jobId: sessionId,
+    output: content,
+    meta: project.meta,
+    index,
+  });
+  sessionFingerprints.set(String(portal._id), fingerprint);
+  return sessionId;
+}
+
+// ── Public exports ────────────────────────────────────────────
+
+/**
+ * Everything a visitor's question needs, or a typed error. Reserves
+ * one answer of the owner's monthly quota — release it if the answer
+ * fails.
+ *
+ * @param {string} slug
+ * @param {{ password?: string, ip: string }} visitor
+ * @returns {Promise<{ portalId, projectId, ownerId, sessionId,
+ *                     visitor, period }>}
+ */
+export async function openPortalChat(slug, { password, ip }) {
+  const portal = await Portal.findOne({ slug }).lean();
+  if (!portal?.isPublished)
+    throw portalError("Portal not found.", "NOT_FOUND", 404);
+  if (!portal.chat?.enabled)
+    throw portalError(
+      "Ask the docs is not enabled on this portal.",
+      "PORTAL_CHAT_DISABLED",
+      404,
+    );
+
+  if (portal.accessMode === "password") {
+    if (!password)
+      throw portalError(
+        "This portal is password protected.",
+        "PASSWORD_REQUIRED",
+        401,
+      );
+    if (!(await verifyPortalPassword(slug, password)))
+      throw portalError("Incorrect portal password.", "INVALID_PASSWORD", 401);
+  }
+
+  const project = await Project.findById(portal.projectId)
+    .select("userId meta output editedOutput")
+    .lean();
+  if (!project) throw portalError("Project not found.", "NOT_FOUND", 404);
+
+  const content = publicContent(portal, project);
+  if (!Object.keys(content).length)
+    throw portalError(
+      "This portal has no public docs to answer from.",
+      "PORTAL_CHAT_NO_CONTENT",
+      409,
+    );
+
+  const plan = await planForUser(project.userId);
+  const limit = plan.limits.portalChatsPerMonth;
+  if (limit === 0)
+    throw portalError(
+      "Ask the docs is not available on this portal.",
+      "PORTAL_CHAT_UNAVAILABLE",
+      403,
+    );
+  const reserved = await consumeQuota(project.userId, limit);
+  if (!reserved)
+    throw portalError(
+      "This portal has answered all the questions it can this month.",
+      "PORTAL_CHAT_LIMIT_REACHED",
+      403,
+    );
+
+  return {
+    portalId: portal._id,
+    projectId: project._id,
+    ownerId: String(project.userId),
+    sessionId: await ensurePortalSession(portal, project, content),
+    visitor: visitorId(portal._id, ip),
+    period: reserved.period,
+  };
+}
+
+/**
+ * Give back the answer reserved by openPortalChat — the model failed.
+ * @param {{ ownerId, period }} chat
+ */
+export async function releasePortalChat({ ownerId, period }) {
+  await PlanUsage.updateOne(
+    {
+      userId: ownerId,
+      portalChatsPeriod: period,
+      portalChatsUsed: { $gt: 0 },
+    },
+    { $inc: { portalChatsUsed: -1 } },
+  );
+}
+
+/**
+ * Store a question for the owner's analytics. Never throws — a lost
+ * record must not fail the visitor's answer.
+ *
+ * @param {{ portalId, projectId, visitor }} chat
+ * @param {{ question, status, citations?, replyChars? }} record
+ */
+export async function recordQuestion(
+  { portalId, projectId, visitor },
+  { question, status, citations = [], replyChars = 0 },
+) {
+  try {
+    await PortalChatQuestion.create({
+      portalId,
+      projectId,
+      question,
+      normalised: normaliseQuestion(question) || question.slice(0, 300),
+      visitor,
+      status,
+      sections: [...new Set(citations.map((c) => c.section).filter(Boolean))],
+      replyChars,
+    });
+  } catch (err) {
+    console.warn(`[portal-chat] could not record a question: ${err.message}`);
+  }
+}
+
+/**
+ * What visitors asked over the last `days` days, for the project owner.
+ *
+ * @param {string} projectId
+ * @param {string} userId
+ * @param {{ days?: number }} opts
+ * @returns {Promise<{ enabled, since, totals, perDay, topQuestions,
+ *                     sections, recent, quota }>}
+ */
+export async function getChatAnalytics(projectId, userId, { days = 30 } = {}) {
+  const portal = await getPortalForOwner(projectId, userId);
+  const span = Math.min(Math.max(Number(days) || 30, 1), MAX_ANALYTICS_DAYS);
+  const since = new Date(Date.now() - span * 24 * 60 * 60 * 1000);
+  // aggregate() doesn't cast — the owner check has vetted the id
+  const match = {
+    projectId: new mongoose.Types.ObjectId(String(projectId)),
+    createdAt: { $gte: since },
+  };
+
+  const [facets] = await PortalChatQuestion.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              questions: { $sum: 1 },
+              failed: {
+                $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] },
+              },
+              visitors: { $addToSet: "$visitor" },
+            },
+          },
+        ],
+        perDay: [
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        topQuestions: [
+          { $sort: { createdAt: -1 } },
+          {
+            $group: {
+              _id: "$normalised",
+              question: { $first: "$question" },
+              count: { $sum: 1 },
+              lastAskedAt: { $first: "$createdAt" },
+            },
+          },
+          { $sort: { count: -1, lastAskedAt: -1 } },
+          { $limit: TOP_QUESTIONS },
+        ],
+        sections: [
+          { $unwind: "$sections" },
+          { $group: { _id: "$sections", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        recent: [
+          { $sort: { createdAt: -1 } },
+          { $limit: RECENT_QUESTIONS },
+          {
+            $project: {
+              _id: 0,
+              question: 1,
+              status: 1,
+              sections: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0];
+  const [usage, plan] = await Promise.all([
+    PlanUsage.findOne({ userId }).lean(),
+    planForUser(userId),
+  ]);
+  const period = currentPeriod();
+
+  return {
+    enabled: !!portal?.chat?.enabled,
+    since,
+    totals: {
+      questions: totals?.questions ?? 0,
+      failed: totals?.failed ?? 0,
+      uniqueVisitors: totals?.visitors.length ?? 0,
+    },
+    perDay: facets.perDay.map((d) => ({ date: d._id, count: d.count })),
+    topQuestions: facets.topQuestions.map(({ _id, ...q }) => q),
+    sections: facets.sections.map((s) => ({
+      section: s._id,
+      count: s.count,
+    })),
+    recent: facets.recent,
+    quota: {
+      period,
+      used:
+        usage?.portalChatsPeriod === period ? usage.portalChatsUsed : 0,
+      limit: plan.limits.portalChatsPerMonth,
+    },
+  };
+}
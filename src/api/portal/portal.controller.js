@@ -3,8 +3,15 @@
 // All business logic lives in portal.service.js.
 // =============================================================
 
+import { randomUUID } from "crypto";
 import { ok, fail, serverError } from "../../utils/response.util.js";
 import * as portalService from "./portal.service.js";
+import * as portalChatService from "./portal-chat.service.js";
+import { chatStream } from "../../services/chat.service.js";
+import {
+  runWithLLMContext,
+  cancelQueued,
+} from "../../config/llm-scheduler.js";
 
 // ── Owner routes (require auth + project ownership) ───────────
 
@@ -65,6 +72,24 @@ export async function togglePublish(req, res) {
   }
 }
 
+/**
+ * GET /projects/:id/portal/chat/analytics
+ * What visitors asked the portal's chat. Query: ?days= (default 30).
+ */
+export async function getChatAnalytics(req, res) {
+  try {
+    const analytics = await portalChatService.getChatAnalytics(
+      req.params.id,
+      req.user.userId,
+      { days: req.query.days },
+    );
+    return ok(res, { analytics });
+  } catch (err) {
+    if (err.status) return fail(res, err.code, err.message, err.status);
+    return serverError(res, err, "getChatAnalytics");
+  }
+}
+
 // ── Public routes (no auth) ───────────────────────────────────
 
 /**
@@ -74,6 +99,7 @@ export async function togglePublish(req, res) {
  * call POST /portal/:slug/auth to get a session token, then re-fetch.
  *
  * Query param:  ?_pt=<token>  — portal password token (set by /auth endpoint)
+ *               ?version=<ref> — doc build to show (see `versions`)
  * For simplicity in this implementation we use a query param approach:
  * the client sends the raw password in the body of the auth endpoint,
  * and on success we return a short-lived signed indicator.
@@ -83,7 +109,9 @@ export async function togglePublish(req, res) {
  */
 export async function getPublicPortal(req, res) {
   try {
-    const data = await portalService.getPublicPortal(req.params.slug);
+    const data = await portalService.getPublicPortal(req.params.slug, {
+      version: req.query.version,
+    });
 
     // If password-protected, require verification before returning content
     if (data.portal.accessMode === "password") {
@@ -93,6 +121,8 @@ export async function getPublicPortal(req, res) {
         return ok(res, {
           portal: data.portal,
           project: data.project,
+          versions: data.versions,
+          version: data.version,
           protected: true,
           content: null,
           sectionVisibility: null,
@@ -136,3 +166,91 @@ export async function authPortal(req, res) {
     return serverError(res, err, "authPortal");
   }
 }
+
+/**
+ * POST /portal/:slug/chat
+ * "Ask the docs" — answers from the portal's public sections, streamed
+ * as SSE. NOT wrapped — it owns the response lifecycle.
+ * Body: { message, history?: [{ role, content }] } — visitors keep
+ * their own history; nothing is stored but the question.
+ * Password-protected portals need the X-Portal-Password header.
+ *
+ * Event shapes:
+ *   data: { type: "token", token: "..." }
+ *   data: { type: "citations", citations: [...], unmatchedRefs: [N] }
+ *   data: { type: "done" }
+ *   data: { type: "error", message: "..." }
+ */
+export async function portalChat(req, res) {
+  const message = req.body.message.trim();
+
+  let chat;
+  try {
+    chat = await portalChatService.openPortalChat(req.params.slug, {
+      password: req.headers["x-portal-password"],
+      ip: req.ip,
+    });
+  } catch (err) {
+    if (err.status) return fail(res, err.code, err.message, err.status);
+    return serverError(res, err, "portalChat");
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const send = (obj) => {
+    try {
+      res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    } catch {
+      /* client gone */
+    }
+  };
+
+  const requestId = `portal-chat:${randomUUID()}`;
+  req.on("close", () => cancelQueued({ jobId: requestId }));
+
+  // onDone and onError each end the stream — only the first one counts
+  let finished = false;
+
+  // Scheduled as the owner's chat — their plan pays for it
+  await runWithLLMContext(
+    { userId: chat.ownerId, jobId: requestId, priority: "chat" },
+    () =>
+      chatStream({
+        jobId: chat.sessionId,
+        message,
+        history: req.body.history ?? [],
+        onToken(token) {
+          if (!finished) send({ type: "token", token });
+        },
+        async onDone({ reply, citations, unmatchedRefs }) {
+          if (finished) return;
+          finished = true;
+          send({ type: "citations", citations, unmatchedRefs });
+          send({ type: "done" });
+          res.end();
+          await portalChatService.recordQuestion(chat, {
+            question: message,
+            status: "answered",
+            citations,
+            replyChars: reply.length,
+          });
+        },
+        async onError(err) {
+          if (finished) return;
+          finished = true;
+          console.warn(`[portal-chat] ${req.params.slug}: ${err.message}`);
+          send({ type: "error", message: "Could not answer right now." });
+          res.end();
+          await portalChatService.releasePortalChat(chat).catch(() => {});
+          await portalChatService.recordQuestion(chat, {
+            question: message,
+            status: "failed",
+          });
+        },
+      }),
+  );
+}
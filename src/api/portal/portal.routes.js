@@ -2,16 +2,32 @@
 // Public portal routes — no authentication required.
 //
 //   GET  /portal/:slug        — fetch portal + content
+//                               (?version=<ref> picks a doc build)
 //   POST /portal/:slug/auth   — verify portal password
+//   POST /portal/:slug/chat   — "Ask the docs" (SSE, opt-in per portal)
+//                               rate-limited per visitor and per portal
 // =============================================================
 
 import { Router } from "express";
 import { wrap } from "../../utils/response.util.js";
+import { rules, validate } from "../../middleware/validate.middleware.js";
+import {
+  portalChatVisitorLimiter,
+  portalChatLimiter,
+} from "../../middleware/rateLimiter.middleware.js";
 import * as ctrl from "./portal.controller.js";
 
 const router = Router();
 
 router.get("/:slug", wrap(ctrl.getPublicPortal));
 router.post("/:slug/auth", wrap(ctrl.authPortal));
+// Not wrapped — the SSE handler owns the response lifecycle
+router.post(
+  "/:slug/chat",
+  [...rules.portalChat, validate],
+  portalChatVisitorLimiter,
+  portalChatLimiter,
+  ctrl.portalChat,
+);
 
 export default router;
@@ -6,13 +6,15 @@
 //   getPortalForOwner(projectId, userId)— gate-checked read for owner
 //   updatePortal(projectId, userId, body) — gate-checked mutation
 //   togglePublish(projectId, userId)    — flip isPublished
-//   getPublicPortal(slug, password?)    — public read, content included
+//   getPublicPortal(slug, { version })  — public read, content included
 //   verifyPortalPassword(slug, attempt) — check portal password
+//   publicContent(portal, project)      — sections visible to everyone
 // =============================================================
 
 import bcrypt from "bcryptjs";
 import { Portal } from "../../models/Portal.js";
 import { Project } from "../../models/Project.js";
+import { DocBuild } from "../../models/DocBuild.js";
 
 // ── Section keys and their display labels ─────────────────────
 export const SECTION_KEYS = [
@@ -83,6 +85,16 @@ function mergeOutput(project) {
   return merged;
 }
 
+// ── Per-section visibility map from portal.sections ───────────
+
+function sectionVisibility(portal) {
+  const map = {};
+  for (const s of SECTION_KEYS) map[s] = "public"; // default
+  for (const entry of portal.sections || [])
+    map[entry.sectionKey] = entry.visibility;
+  return map;
+}
+
 // ── Public exports ────────────────────────────────────────────
 
 /**
@@ -134,6 +146,7 @@ export async function updatePortal(projectId, userId, body) {
     "seoDescription",
     "customDomain",
     "accessMode",
+    "chat",
   ];
   for (const key of allowed) {
     if (body[key] !== undefined) portal[key] = body[key];
@@ -172,12 +185,56 @@ export async function togglePublish(projectId, userId) {
   return portal.toObject();
 }
 
+// ── Version switcher ──────────────────────────────────────────
+// The project's own docs are the default version; published doc
+// builds that have finished a run follow, oldest first. Versions are
+// keyed by ref name.
+
+async function listVersions(project) {
+  const builds = await DocBuild.find({
+    projectId: project._id,
+    published: true,
+    lastDocumentedCommit: { $ne: null },
+  })
+    .select("ref label lastDocumentedCommit updatedAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const defaultRef =
+    project.lastDocumentedRef ||
+    project.trackedRef?.name ||
+    project.meta?.defaultBranch ||
+    null;
+
+  return [
+    {
+      ref: defaultRef,
+      kind: project.trackedRef?.kind || "branch",
+      label: defaultRef || "latest",
+      isDefault: true,
+      commit: project.lastDocumentedCommit || null,
+    },
+    ...builds.map((b) => ({
+      ref: b.ref.name,
+      kind: b.ref.kind,
+      label: b.label || b.ref.name,
+      isDefault: false,
+      commit: b.lastDocumentedCommit,
+      buildId: b._id,
+      updatedAt: b.updatedAt,
+    })),
+  ];
+}
+
 /**
  * Public read — returns portal metadata + published section content.
- * Throws if the portal is not found or not published.
+ * `version` picks a ref from the version switcher; omitted, the
+ * project's default docs are served.
+ * Throws if the portal is not found or not published, or the version
+ * is not one of the portal's versions.
  * Does NOT check the password here — password checking is separate.
  */
-export async function getPublicPortal(slug) {
+export async function getPublicPortal(slug, { version } = {}) {
   const portal = await Portal.findOne({ slug });
   if (!portal)
     throw Object.assign(new Error("Portal not found."), {
@@ -192,7 +249,9 @@ export async function getPublicPortal(slug) {
 
   // Load project (need to compute effectiveOutput)
   const project = await Project.findById(portal.projectId)
-    .select("repoOwner repoName meta techStack output editedOutput")
+    .select(
+      "repoOwner repoName meta techStack output editedOutput trackedRef lastDocumentedRef lastDocumentedCommit",
+    )
     .lean();
   if (!project)
     throw Object.assign(new Error("Project not found."), {
@@ -200,14 +259,25 @@ export async function getPublicPortal(slug) {
       code: "NOT_FOUND",
     });
 
-  // Build per-section visibility map from portal.sections array
-  const sectionVisMap = {};
-  for (const s of SECTION_KEYS) sectionVisMap[s] = "public"; // default
-  for (const entry of portal.sections)
-    sectionVisMap[entry.sectionKey] = entry.visibility;
+  const versions = await listVersions(project);
+  const selected = version
+    ? versions.find((v) => v.ref === version)
+    : versions[0];
+  if (!selected)
+    throw Object.assign(new Error(`Version "${version}" not found.`), {
+      status: 404,
+      code: "VERSION_NOT_FOUND",
+    });
+
+  // A build holds AI output only — no user edits to merge
+  const docs = selected.isDefault
+    ? project
+    : await DocBuild.findById(selected.buildId).select("output").lean();
+
+  const sectionVisMap = sectionVisibility(portal);
 
   // Merge effective content
-  const effectiveOutput = mergeOutput(project);
+  const effectiveOutput = mergeOutput(docs || {});
 
   // Build content object — only non-internal sections
   const content = {};
@@ -227,6 +297,7 @@ export async function getPublicPortal(slug) {
       seoTitle: portal.seoTitle,
       seoDescription: portal.seoDescription,
       customDomain: portal.customDomain,
+      chat: { enabled: !!portal.chat?.enabled },
     },
     project: {
       repoOwner: project.repoOwner,
@@ -234,6 +305,8 @@ export async function getPublicPortal(slug) {
       meta: project.meta,
       techStack: project.techStack,
     },
+    versions: versions.map(({ buildId, ...v }) => v),
+    version: selected.ref,
     sectionVisibility: sectionVisMap,
     content,
   };
@@ -248,3 +321,20 @@ export async function verifyPortalPassword(slug, attempt) {
   if (portal.accessMode !== "password" || !portal.passwordHash) return false;
   return bcrypt.compare(String(attempt), portal.passwordHash);
 }
+
+/**
+ * The project's default docs limited to "public" sections — what the
+ * portal's chat may answer from. Empty sections are left out.
+ * @param {object} portal
+ * @param {object} project  with output / editedOutput
+ */
+export function publicContent(portal, project) {
+  const visibility = sectionVisibility(portal);
+  const effectiveOutput = mergeOutput(project);
+  const content = {};
+  for (const key of SECTION_KEYS) {
+    if (visibility[key] === "public" && effectiveOutput[key])
+      content[key] = effectiveOutput[key];
+  }
+  return content;
+}
@@ -0,0 +1,219 @@
+// =============================================================
+// Chat Controller — "chat with your codebase" and its threads.
+//
+// Routes (mounted under /projects/:id/chat):
+//   POST   /                      chatHandler (SSE) { message, threadId? }
+//   DELETE /                      resetChat (?threadId=)
+//   GET    /threads               listThreads
+//   POST   /threads               createThread { title?, shared? }
+//   GET    /threads/:threadId     getThread (full history)
+//   PATCH  /threads/:threadId     updateThread { title?, shared? }
+//   DELETE /threads/:threadId     deleteThread
+// =============================================================
+
+import { randomUUID } from "crypto";
+import * as chatService from "./chat.service.js";
+import * as projectService from "./project.service.js";
+import { chatStream, ensureSession } from "../../services/chat.service.js";
+import { loadRetrievalIndex } from "../../services/retrieval.service.js";
+import { createChatToolbox } from "../../services/chat-tools.service.js";
+import {
+  runWithLLMContext,
+  cancelQueued,
+} from "../../config/llm-scheduler.js";
+import { ok, fail, serverError } from "../../utils/response.util.js";
+
+function handleError(res, err, label) {
+  if (err.code && err.status)
+    return fail(res, err.code, err.message, err.status);
+  return serverError(res, err, label);
+}
+
+// ── POST /projects/:id/chat ───────────────────────────────────
+// Streams LLM tokens via SSE. NOT wrapped — it owns the response
+// lifecycle. Without threadId the user's latest thread is continued.
+// Event shapes:
+//   data: { type: "token",  token: "..." }
+//   data: { type: "tool",   name: "listEndpoints", arguments: {...} }
+//   data: { type: "citations", citations: [...], unmatchedRefs: [N] }
+//   data: { type: "done",   threadId, historyLength: N }
+//   data: { type: "error",  message: "..." }
+export async function chatHandler(req, res) {
+  const message = req.body.message.trim();
+  const userId = req.user.userId;
+
+  let project, turn;
+  try {
+    project = await projectService.getProjectById({
+      projectId: req.params.id,
+      userId,
+    });
+    if (!project.chatSessionId)
+      return fail(
+        res,
+        "CHAT_SESSION_NOT_FOUND",
+        "No chat session available. Run the documentation pipeline first.",
+        409,
+      );
+    turn = await chatService.openThread({
+      projectId: project._id,
+      userId,
+      threadId: req.body.threadId,
+    });
+  } catch (err) {
+    return handleError(res, err, "chat");
+  }
+  const threadId = turn.thread._id;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  // Rebuild the run's docs context and retrieval index if the server
+  // was restarted since the pipeline last ran.
+  const effectiveOutput = Object.fromEntries(
+    ["readme", "apiReference", "schemaDocs", "internalDocs", "securityReport", "otherDocs"]
+      .map((k) => [k, project.editedOutput?.[k] || project.output?.[k] || ""])
+  );
+  await ensureSession({
+    jobId: project.chatSessionId,
+    output: effectiveOutput,
+    meta: project.meta,
+    loadIndex: () => loadRetrievalIndex(project._id),
+  });
+
+  const send = (obj) => {
+    try { res.write(`data: ${JSON.stringify(obj)}\n\n`); } catch { /* client gone */ }
+  };
+
+  // Each reply is its own scheduler "job" so a closed tab can drop it
+  // from the queue before it ever reaches the provider.
+  const requestId = `chat:${randomUUID()}`;
+  req.on("close", () => cancelQueued({ jobId: requestId }));
+
+  await runWithLLMContext(
+    { userId, jobId: requestId, priority: "chat" },
+    async () => {
+      let recorded = false;
+      await chatStream({
+        jobId: project.chatSessionId,
+        message,
+        history: turn.history,
+        summary: turn.summary,
+        permalinkFor: chatService.permalinkerFor(project),
+        tools: createChatToolbox({ projectId: project._id }),
+        onToken(token) { send({ type: "token", token }); },
+        onToolCall(call) { send({ type: "tool", ...call }); },
+        async onDone({ reply, citations, unmatchedRefs, toolCalls }) {
+          const { messageCount } = await chatService.recordTurn({
+            threadId,
+            userId,
+            message,
+            reply,
+            citations,
+            unmatchedRefs,
+            toolCalls,
+          });
+          recorded = true;
+          send({ type: "citations", citations, unmatchedRefs });
+          send({ type: "done", threadId, historyLength: messageCount / 2 });
+          res.end();
+        },
+        onError(err) { send({ type: "error", message: err.message }); res.end(); },
+      });
+      // After the response — the summary is for the next turn
+      if (recorded) await chatService.compactThread(threadId);
+    },
+  );
+}
+
+// ── DELETE /projects/:id/chat ─────────────────────────────────
+// Clears a thread's history (?threadId=, default: the latest one).
+export async function resetChat(req, res) {
+  try {
+    const threadId = await chatService.clearThread({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      threadId: req.query.threadId,
+    });
+    return ok(res, { threadId }, "Chat history cleared.");
+  } catch (err) {
+    return handleError(res, err, "resetChat");
+  }
+}
+
+// ── GET /projects/:id/chat/threads ────────────────────────────
+export async function listThreads(req, res) {
+  try {
+    const result = await chatService.listThreads({
+      projectId: req.params.id,
+      userId: req.user.userId,
+    });
+    return ok(res, result);
+  } catch (err) {
+    return handleError(res, err, "listThreads");
+  }
+}
+
+// ── POST /projects/:id/chat/threads ───────────────────────────
+// Body: { title?, shared? }
+export async function createThread(req, res) {
+  try {
+    const thread = await chatService.createThread({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      title: req.body.title,
+      shared: req.body.shared,
+    });
+    return ok(res, { thread }, "Chat thread created.", 201);
+  } catch (err) {
+    return handleError(res, err, "createThread");
+  }
+}
+
+// ── GET /projects/:id/chat/threads/:threadId ──────────────────
+export async function getThread(req, res) {
+  try {
+    const thread = await chatService.getThread({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      threadId: req.params.threadId,
+    });
+    return ok(res, { thread });
+  } catch (err) {
+    return handleError(res, err, "getThread");
+  }
+}
+
+// ── PATCH /projects/:id/chat/threads/:threadId ────────────────
+// Body: { title?, shared? }
+export async function updateThread(req, res) {
+  try {
+    const thread = await chatService.updateThread({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      threadId: req.params.threadId,
+      title: req.body.title,
+      shared: req.body.shared,
+    });
+    return ok(res, { thread }, "Chat thread updated.");
+  } catch (err) {
+    return handleError(res, err, "updateThread");
+  }
+}
+
+// ── DELETE /projects/:id/chat/threads/:threadId ───────────────
+export async function deleteThread(req, res) {
+  try {
+    await chatService.deleteThread({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      threadId: req.params.threadId,
+    });
+    return ok(res, null, "Chat thread deleted.");
+  } catch (err) {
+    return handleError(res, err, "deleteThread");
+  }
+}
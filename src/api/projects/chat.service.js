@@ -0,0 +1,400 @@
+// =============================================================
+// Chat threads — persistent "chat with your codebase" history.
+//
+// Exports:
+//   listThreads    — own threads + threads shared on the project (viewer+)
+//   createThread   — start an empty thread (viewer+; shared: editor+)
+//   getThread      — one thread with its full history
+//   updateThread   — rename / share / unshare (creator)
+//   deleteThread   — creator, or the project owner
+//   clearThread    — drop a thread's messages and summary (creator)
+//   openThread     — resolve the thread a new message goes to
+//   recordTurn     — append a question and its cited reply
+//   permalinkerFor — links cited files to the documented commit
+//   compactThread  — fold older turns into the summary
+//
+// The model sees the thread's summary plus the messages after
+// summarisedCount (services/chat.service.js trims those to its
+// budget). Once more than SUMMARISE_AFTER messages are unsummarised,
+// all but the last KEEP_RECENT are folded into the summary. A failed
+// summary leaves the thread as it was; the next turn tries again.
+// =============================================================
+
+import { ChatThread } from "../../models/ChatThread.js";
+import { getShareRole } from "./share.service.js";
+import { summariseConversation } from "../../services/chat.service.js";
+import { openRepo } from "../../services/sources/index.js";
+
+const SUMMARISE_AFTER = 12; // messages (6 turns)
+const KEEP_RECENT = 6;
+// A thread is a conversation, not a log — start a new one past this
+const MAX_THREAD_MESSAGES = 400;
+const MAX_LISTED_THREADS = 200;
+
+// ─────────────────────────────────────────────────────────────
+// Internal helpers
+// ─────────────────────────────────────────────────────────────
+
+function domainError(msg, code, status = 400) {
+  const e = new Error(msg);
+  e.code = code;
+  e.status = status;
+  return e;
+}
+
+async function assertRole(projectId, userId) {
+  const role = await getShareRole(projectId, userId);
+  if (!role)
+    throw domainError("Project not found.", "PROJECT_NOT_FOUND", 404);
+  return role;
+}
+
+function assertCanShare(role) {
+  if (role === "viewer")
+    throw domainError(
+      "Viewers cannot share chat threads.",
+      "FORBIDDEN",
+      403,
+    );
+}
+
+const idOf = (ref) => String(ref?._id ?? ref);
+const isCreator = (thread, userId) => idOf(thread.userId) === String(userId);
+
+function canPost(thread, userId, role) {
+  return isCreator(thread, userId) || (thread.shared && role !== "viewer");
+}
+
+/** A thread the user can see, or CHAT_THREAD_NOT_FOUND. */
+async function loadThread(
+  projectId,
+  userId,
+  threadId,
+  { messages = false } = {},
+) {
+  const query = ChatThread.findOne({ _id: threadId, projectId });
+  if (!messages) query.select("-messages");
+  const thread = await query.populate("userId", "name").lean();
+  if (!thread || !(isCreator(thread, userId) || thread.shared))
+    throw domainError("Chat thread not found.", "CHAT_THREAD_NOT_FOUND", 404);
+  return thread;
+}
+
+/** The creator's own thread, or 403 for a shared thread they only see. */
+async function loadOwnThread(projectId, userId, threadId) {
+  const thread = await loadThread(projectId, userId, threadId);
+  if (!isCreator(thread, userId))
+    throw domainError(
+      "Only the thread's creator can change it.",
+      "FORBIDDEN",
+      403,
+    );
+  return thread;
+}
+
+/** First line of the first question, shortened. */
+function titleFrom(message) {
+  const line = message.trim().split("\n")[0].replace(/\s+/g, " ");
+  return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+}
+
+function serializeThread(thread, userId, role) {
+  const creator = thread.userId;
+  return {
+    _id: thread._id,
+    title: thread.title || "New chat",
+    shared: thread.shared,
+    createdBy: {
+      _id: idOf(creator),
+      name: creator?.name ?? null,
+    },
+    mine: isCreator(thread, userId),
+    canPost: canPost(thread, userId, role),
+    messageCount: thread.messageCount,
+    lastMessageAt: thread.lastMessageAt,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ projectId, userId }} opts
+ * @returns {{ threads }} most recently active first, without messages
+ */
+export async function listThreads({ projectId, userId }) {
+  const role = await assertRole(projectId, userId);
+  const threads = await ChatThread.find({
+    projectId,
+    $or: [{ userId }, { shared: true }],
+  })
+    .select("-messages -summary")
+    .sort({ lastMessageAt: -1, createdAt: -1 })
+    .limit(MAX_LISTED_THREADS)
+    .populate("userId", "name")
+    .lean();
+  return { threads: threads.map((t) => serializeThread(t, userId, role)) };
+}
+
+/**
+ * @param {{ projectId, userId, title?, shared? }} opts
+ * @returns {object} the new thread
+ */
+export async function createThread({ projectId, userId, title, shared }) {
+  const role = await assertRole(projectId, userId);
+  if (shared) assertCanShare(role);
+
+  const thread = await ChatThread.create({
+    projectId,
+    userId,
+    title: title ?? "",
+    shared: !!shared,
+  });
+  return serializeThread(thread.toObject(), userId, role);
+}
+
+/**
+ * @param {{ projectId, userId, threadId }} opts
+ * @returns {object} thread with `summary` and every message, oldest first
+ */
+export async function getThread({ projectId, userId, threadId }) {
+  const role = await assertRole(projectId, userId);
+  const thread = await loadThread(projectId, userId, threadId, {
+    messages: true,
+  });
+  return {
+    ...serializeThread(thread, userId, role),
+    summary: thread.summary,
+    messages: thread.messages,
+  };
+}
+
+/**
+ * @param {{ projectId, userId, threadId, title?, shared? }} opts
+ * @returns {object} the updated thread
+ */
+export async function updateThread({
+  projectId,
+  userId,
+  threadId,
+  title,
+  shared,
+}) {
+  const role = await assertRole(projectId, userId);
+  await loadOwnThread(projectId, userId, threadId);
+  if (shared) assertCanShare(role);
+
+  const $set = {};
+  if (title !== undefined) $set.title = title;
+  if (shared !== undefined) $set.shared = shared;
+
+  const thread = await ChatThread.findByIdAndUpdate(
+    threadId,
+    { $set },
+    { new: true },
+  )
+    .select("-messages")
+    .populate("userId", "name")
+    .lean();
+  return serializeThread(thread, userId, role);
+}
+
+/**
+ * Creators delete their threads; the project owner can delete any.
+ * @param {{ projectId, userId, threadId }} opts
+ */
+export async function deleteThread({ projectId, userId, threadId }) {
+  const role = await assertRole(projectId, userId);
+  const thread = await loadThread(projectId, userId, threadId);
+  if (!isCreator(thread, userId) && role !== "owner")
+    throw domainError(
+      "Only the thread's creator or the project owner can delete it.",
+      "FORBIDDEN",
+      403,
+    );
+  await ChatThread.deleteOne({ _id: threadId });
+}
+
+/**
+ * Empty a thread, keeping its title and sharing. Without threadId,
+ * the user's most recent thread (nothing to do if they have none).
+ * @param {{ projectId, userId, threadId? }} opts
+ * @returns {string|null} the cleared thread's id
+ */
+export async function clearThread({ projectId, userId, threadId }) {
+  await assertRole(projectId, userId);
+  const thread = threadId
+    ? await loadOwnThread(projectId, userId, threadId)
+    : await ChatThread.findOne({ projectId, userId })
+        .select("_id")
+        .sort({ lastMessageAt: -1, createdAt: -1 })
+        .lean();
+  if (!thread) return null;
+
+  await ChatThread.updateOne(
+    { _id: thread._id },
+    {
+      $set: {
+        messages: [],
+        messageCount: 0,
+        summary: "",
+        summarisedCount: 0,
+      },
+    },
+  );
+  return thread._id;
+}
+
+/**
+ * The thread a new message goes to, with what the model should see.
+ * Without threadId the user's most recent thread is continued, and a
+ * new one started when they have none or it is full.
+ *
+ * @param {{ projectId, userId, threadId? }} opts
+ * @returns {{ thread, summary, history }}
+ *   history — messages after the summary, oldest first
+ */
+export async function openThread({ projectId, userId, threadId }) {
+  const role = await assertRole(projectId, userId);
+
+  let thread;
+  if (threadId) {
+    thread = await loadThread(projectId, userId, threadId, { messages: true });
+    if (!canPost(thread, userId, role))
+      throw domainError(
+        "Viewers can read shared threads but not post in them.",
+        "CHAT_THREAD_READ_ONLY",
+        403,
+      );
+    if (thread.messageCount >= MAX_THREAD_MESSAGES)
+      throw domainError(
+        "This thread is full — start a new one.",
+        "CHAT_THREAD_FULL",
+        409,
+      );
+  } else {
+    thread = await ChatThread.findOne({
+      projectId,
+      userId,
+      messageCount: { $lt: MAX_THREAD_MESSAGES },
+    })
+      .sort({ lastMessageAt: -1, createdAt: -1 })
+      .lean();
+    thread ??= (await ChatThread.create({ projectId, userId })).toObject();
+  }
+
+  return {
+    thread,
+    summary: thread.summary,
+    history: thread.messages.slice(thread.summarisedCount),
+  };
+}
+
+/**
+ * Append a question and its reply. Names untitled threads after the
+ * first question.
+ *
+ * @param {{ threadId, userId, message, reply, citations?,
+ *           unmatchedRefs?, toolCalls? }} opts
+ * @returns {{ threadId, messageCount }}
+ */
+export async function recordTurn({
+  threadId,
+  userId,
+  message,
+  reply,
+  citations = [],
+  unmatchedRefs = [],
+  toolCalls = [],
+}) {
+  const now = new Date();
+  const thread = await ChatThread.findByIdAndUpdate(
+    threadId,
+    {
+      $push: {
+        messages: {
+          $each: [
+            { role: "user", content: message, userId, createdAt: now },
+            {
+              role: "assistant",
+              content: reply,
+              citations,
+              unmatchedRefs,
+              toolCalls,
+              createdAt: new Date(),
+            },
+          ],
+        },
+      },
+      $inc: { messageCount: 2 },
+      $set: { lastMessageAt: now },
+    },
+    { new: true },
+  )
+    .select("messageCount")
+    .lean();
+  if (!thread)
+    throw domainError(
+      "The chat thread was deleted.",
+      "CHAT_THREAD_NOT_FOUND",
+      404,
+    );
+
+  await ChatThread.updateOne(
+    { _id: threadId, title: "" },
+    { $set: { title: titleFrom(message) } },
+  );
+  return { threadId, messageCount: thread.messageCount };
+}
+
+/**
+ * Links to the documented commit for chat citations; null when the
+ * project's source can't be opened or has no web UI.
+ * @param {object} project
+ */
+export function permalinkerFor(project) {
+  if (!project.lastDocumentedCommit) return null;
+  try {
+    const source = openRepo(project.repoUrl, { provider: project.provider });
+    return (path, location) =>
+      source.permalink(project.lastDocumentedCommit, path, location);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Summarise older turns once enough have piled up. Never throws —
+ * an unsummarised thread still works, its history is just trimmed
+ * harder.
+ * @param {string} threadId
+ */
+export async function compactThread(threadId) {
+  try {
+    const thread = await ChatThread.findById(threadId)
+      .select("messages summary summarisedCount")
+      .lean();
+    if (!thread) return;
+    const { messages, summarisedCount } = thread;
+    if (messages.length - summarisedCount <= SUMMARISE_AFTER) return;
+
+    const upTo = messages.length - KEEP_RECENT;
+    const summary = await summariseConversation({
+      summary: thread.summary,
+      messages: messages.slice(summarisedCount, upTo),
+    });
+
+    // Skip if another turn compacted, or the thread was cleared, meanwhile
+    await ChatThread.updateOne(
+      { _id: threadId, summarisedCount, messageCount: { $gte: upTo } },
+      { $set: { summary, summarisedCount: upTo } },
+    );
+  } catch (err) {
+    console.warn(
+      `[chat] thread ${threadId}: could not summarise — ${err.message}`,
+    );
+  }
+}
@@ -5,7 +5,13 @@
 
 import * as projectService from "./project.service.js";
 import { ok, fail, serverError } from "../../utils/response.util.js";
-import { jobs, streams } from "../../services/job-registry.service.js";
+import {
+  jobs,
+  streams,
+  loadPersistedJob,
+  followPersistedJob,
+  terminalEvent,
+} from "../../services/job-registry.service.js";
 import { SECTIONS } from "../../models/DocumentVersion.js";
 import { PlanUsage } from "../../models/PlanUsage.js";
 
@@ -79,8 +85,16 @@ const DOMAIN_CODES = new Set([
   "PROJECT_RUNNING",
   "PROJECT_ARCHIVED",
   "PROJECT_NOT_READY",
+  "PROJECT_NOT_RUNNING",
   "INVALID_SECTION",
+  "INVALID_STEP",
+  "INVALID_REF",
   "VERSION_NOT_FOUND",
+  "BUILD_NOT_FOUND",
+  "BUILD_RUNNING",
+  "BUILD_NOT_RUNNING",
+  "BUILD_LIMIT_REACHED",
+  "DUPLICATE_BUILD",
 ]);
 
 function handleErr(res, err, ctx) {
@@ -97,6 +111,7 @@ export async function createProject(req, res) {
     const project = await projectService.createProject({
       userId: req.user.userId,
       repoUrl: req.body.repoUrl,
+      provider: req.body.provider,
     });
     // Track usage for plan gate checks
     await PlanUsage.increment(req.user.userId, { projectCount: 1 }).catch(() => {});
@@ -140,6 +155,7 @@ export async function getProject(req, res) {
       effectiveOutput: project.effectiveOutput,
       editedSections: project.editedSections,
       lastSyncedCommit: project.lastDocumentedCommit,
+      lastSyncedRef: project.lastDocumentedRef,
       shareRole: project._shareRole ?? "owner", // "owner" | "editor" | "viewer"
     });
   } catch (err) {
@@ -175,15 +191,30 @@ export async function updateProject(req, res) {
 }
 
 export async function retryProject(req, res) {
+  const { forceSteps = [] } = req.body || {};
+  if (!Array.isArray(forceSteps))
+    return fail(
+      res,
+      "VALIDATION_ERROR",
+      "forceSteps must be an array of step names.",
+      422,
+    );
   try {
-    const project = await projectService.retryProject({
+    const { project, resumableSteps } = await projectService.retryProject({
       projectId: req.params.id,
       userId: req.user.userId,
+      forceSteps,
     });
     return ok(
       res,
-      { project, streamUrl: `/projects/${project._id}/stream` },
-      "Pipeline restarted.",
+      {
+        project,
+        resumableSteps,
+        streamUrl: `/projects/${project._id}/stream`,
+      },
+      resumableSteps.length
+        ? "Pipeline resuming from checkpoint."
+        : "Pipeline restarted.",
       202,
     );
   } catch (err) {
@@ -219,6 +250,35 @@ export async function syncProject(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// CANCELLATION
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /projects/:id/cancel
+ * Abort the queued or running pipeline. 200 when it is already
+ * settled; 202 when a running pipeline is still unwinding — the
+ * stream ends with a `cancelled` event once it has.
+ */
+export async function cancelProject(req, res) {
+  try {
+    const { project, pending } = await projectService.cancelProject({
+      projectId: req.params.id,
+      userId: req.user.userId,
+    });
+    return pending
+      ? ok(
+          res,
+          { project, streamUrl: `/projects/${project._id}/stream` },
+          "Cancellation requested.",
+          202,
+        )
+      : ok(res, { project }, "Pipeline cancelled.");
+  } catch (err) {
+    return handleErr(res, err, "cancelProject");
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // SSE STREAM
 // ─────────────────────────────────────────────────────────────
@@ -260,45 +320,11 @@ export async function streamProject(req, res) {
     });
   }
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("X-Accel-Buffering", "no");
-  res.flushHeaders();
-
-  const jobId = project.jobId;
-  
-  console.log(
-    `[stream] Project ${projectId} · jobId: ${jobId} · status: ${project.status}`,
-  );
-
-  // ── Wait for job to be registered (up to 5 seconds) ────────
-  // This handles serverless environments where webhook and stream
-  // might run on different instances, or there's a slight delay in
-  // job registration between instances.
-  let job = jobs.get(jobId);
-  if (!job && project.status === "running") {
-    console.log(
-      `[stream] Job not yet registered, waiting (timeout 5s)…`,
-    );
-    let waited = 0;
-    while (!job && waited < 5000) {
-      await new Promise((r) => setTimeout(r, 200));
-      waited += 200;
-      job = jobs.get(jobId);
-    }
-    if (job) {
-      console.log(`[stream] Job registered after ${waited}ms`);
-    }
-  }
-
-  if (!job) {
-    // Job not in memory. Two cases:
-    //  1. Project is done/error — serve a synthetic result from DB (normal path
-    //     after recovery re-registration was skipped or a very old jobId).
-    //  2. Project is somehow still "running" — this should not happen after
-    //     recoverOrphanedJobs() runs at startup, but guard defensively.
-    const syntheticResult = {
+  return streamJob(req, res, {
+    label: `Project ${projectId}`,
+    jobId: project.jobId,
+    status: project.status,
+    syntheticResult: {
       success: project.status === "done",
       output: project.effectiveOutput,
       stats: project.stats,
@@ -307,11 +333,45 @@ export async function streamProject(req, res) {
       meta: project.meta,
       chat: project.chatSessionId ? { sessionId: project.chatSessionId } : null,
       error: project.errorMessage || null,
-    };
+    },
+    retryUrl: `/projects/${project._id}/retry`,
+  });
+}
+
+/**
+ * Stream a pipeline job's events over SSE — shared by the project and
+ * doc build streams. `status` is the owning document's status and
+ * `syntheticResult` what to send when the job itself has expired.
+ */
+async function streamJob(
+  req,
+  res,
+  { label, jobId, status, syntheticResult, retryUrl },
+) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
 
-    if (project.status === "done" || project.status === "error") {
+  console.log(`[stream] ${label} · jobId: ${jobId} · status: ${status}`);
+
+  // ── Locate the job ──────────────────────────────────────────
+  // Running on this instance → in-memory registry (instant delivery).
+  // Otherwise → its PipelineJob document: queued, running on another
+  // instance, waiting for a retry, or finished.
+  const local = jobs.has(jobId);
+  const job = local ? jobs.get(jobId) : await loadPersistedJob(jobId);
+
+  if (!job) {
+    // No job anywhere. Two cases:
+    //  1. Done/error — serve a synthetic result from DB (normal path
+    //     for old jobIds whose PipelineJob has expired).
+    //  2. Somehow still "running" — a run from before the durable
+    //     queue that recoverOrphanedJobs() did not catch; guard defensively.
+    if (status === "done" || status === "error") {
       console.log(
-        `[stream] Project ${projectId} in ${project.status} state, sending synthetic result`,
+        `[stream] ${label} in ${status} state, sending synthetic result`,
       );
       res.write(
         `data: ${JSON.stringify({ step: "done", result: syntheticResult })}\n\n`,
@@ -320,38 +380,36 @@ export async function streamProject(req, res) {
       // Still running but no in-memory job — server restarted mid-pipeline.
       // Tell the client clearly and include a retry hint.
       console.warn(
-        `[stream] Project ${projectId} still running but job not in memory (server restart?)`,
+        `[stream] ${label} still running but job not in memory (server restart?)`,
       );
       res.write(
         `data: ${JSON.stringify({
           step: "error",
           status: "error",
           msg: "Pipeline was interrupted (server restart). Please retry this project.",
-          retryUrl: `/projects/${project._id}/retry`,
+          retryUrl,
         })}\n\n`,
       );
     }
     return res.end();
   }
 
-  console.log(`[stream] Project ${projectId} · streaming ${job.events.length} buffered events`);
+  console.log(`[stream] ${label} · streaming ${job.events.length} buffered events`);
   for (const e of job.events) {
     res.write(`data: ${JSON.stringify(e)}\n\n`);
   }
 
+  // A cancelled job's log already ends with its `cancelled` event
+  if (job.status === "cancelled") return res.end();
+
   if (job.status !== "running") {
-    console.log(`[stream] Project ${projectId} · job ${job.status}, sending final result`);
+    console.log(`[stream] ${label} · job ${job.status}, sending final result`);
     res.write(
-      `data: ${JSON.stringify({ step: "done", result: job.result })}\n\n`,
+      `data: ${JSON.stringify(terminalEvent(job.status, job.result))}\n\n`,
     );
     return res.end();
   }
 
-  console.log(`[stream] Project ${projectId} · job still running, subscribing to updates`);
-  const clients = streams.get(jobId) || new Set();
-  clients.add(res);
-  streams.set(jobId, clients);
-
   const heartbeat = setInterval(() => {
     try {
       res.write(": heartbeat\n\n");
@@ -360,6 +418,19 @@ export async function streamProject(req, res) {
     }
   }, 25_000);
 
+  if (!local) {
+    // Persisted job — tail MongoDB until it finishes
+    console.log(`[stream] ${label} · job runs elsewhere, tailing persisted log`);
+    followPersistedJob(jobId, res, job.eventCount);
+    req.on("close", () => clearInterval(heartbeat));
+    return;
+  }
+
+  console.log(`[stream] ${label} · job still running, subscribing to updates`);
+  const clients = streams.get(jobId) || new Set();
+  clients.add(res);
+  streams.set(jobId, clients);
+
   req.on("close", () => {
     clearInterval(heartbeat);
     const s = streams.get(jobId);
@@ -514,6 +585,228 @@ export async function restoreVersion(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// DOC BUILDS
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * GET /projects/:id/builds
+ */
+export async function listBuilds(req, res) {
+  try {
+    const builds = await projectService.listBuilds({
+      projectId: req.params.id,
+      userId: req.user.userId,
+    });
+    return ok(res, { builds });
+  } catch (err) {
+    return handleErr(res, err, "listBuilds");
+  }
+}
+
+/**
+ * POST /projects/:id/builds
+ * Body: { ref, label?, published? } — starts the build's first run.
+ */
+export async function createBuild(req, res) {
+  try {
+    const build = await projectService.createBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      ref: req.body.ref,
+      label: req.body.label,
+      published: req.body.published,
+    });
+    return ok(
+      res,
+      {
+        build,
+        streamUrl: `/projects/${req.params.id}/builds/${build._id}/stream`,
+      },
+      "Build started.",
+      201,
+    );
+  } catch (err) {
+    return handleErr(res, err, "createBuild");
+  }
+}
+
+/**
+ * GET /projects/:id/builds/:buildId
+ */
+export async function getBuild(req, res) {
+  try {
+    const build = await projectService.getBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+    });
+    return ok(res, { build });
+  } catch (err) {
+    return handleErr(res, err, "getBuild");
+  }
+}
+
+/**
+ * PATCH /projects/:id/builds/:buildId
+ * Body: { label?, published? }
+ */
+export async function updateBuild(req, res) {
+  try {
+    const build = await projectService.updateBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+      updates: req.body,
+    });
+    return ok(res, { build }, "Build updated.");
+  } catch (err) {
+    return handleErr(res, err, "updateBuild");
+  }
+}
+
+/**
+ * DELETE /projects/:id/builds/:buildId
+ */
+export async function deleteBuild(req, res) {
+  try {
+    await projectService.deleteBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+    });
+    return ok(res, null, "Build deleted.");
+  } catch (err) {
+    return handleErr(res, err, "deleteBuild");
+  }
+}
+
+/**
+ * POST /projects/:id/builds/:buildId/sync
+ * Same as POST /projects/:id/sync, for one build (?force=true for full).
+ */
+export async function syncBuild(req, res) {
+  const forceFullRun = req.query.force === "true";
+  try {
+    const { build, streamUrl } = await projectService.syncBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+      forceFullRun,
+    });
+    return ok(
+      res,
+      { build, streamUrl },
+      forceFullRun ? "Full re-run started." : "Incremental sync started.",
+      202,
+    );
+  } catch (err) {
+    return handleErr(res, err, "syncBuild");
+  }
+}
+
+/**
+ * POST /projects/:id/builds/:buildId/cancel
+ * Same responses as POST /projects/:id/cancel.
+ */
+export async function cancelBuild(req, res) {
+  try {
+    const { build, pending } = await projectService.cancelBuild({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+    });
+    return pending
+      ? ok(
+          res,
+          {
+            build,
+            streamUrl: `/projects/${req.params.id}/builds/${build._id}/stream`,
+          },
+          "Cancellation requested.",
+          202,
+        )
+      : ok(res, { build }, "Pipeline cancelled.");
+  } catch (err) {
+    return handleErr(res, err, "cancelBuild");
+  }
+}
+
+/**
+ * GET /projects/:id/builds/:buildId/stream
+ * SSE live events for the build's current run.
+ */
+export async function streamBuild(req, res) {
+  const { id: projectId, buildId } = req.params;
+
+  let build;
+  try {
+    build = await projectService.getBuild({
+      projectId,
+      userId: req.user.userId,
+      buildId,
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({
+      success: false,
+      error: { code: err.code || "INTERNAL_ERROR", message: err.message },
+    });
+  }
+
+  return streamJob(req, res, {
+    label: `Build ${buildId}`,
+    jobId: build.jobId,
+    status: build.status,
+    syntheticResult: {
+      success: build.status === "done",
+      output: build.output,
+      stats: build.stats,
+      security: build.security,
+      techStack: build.techStack,
+      meta: build.meta,
+      error: build.errorMessage || null,
+    },
+    retryUrl: `/projects/${projectId}/builds/${buildId}/sync?force=true`,
+  });
+}
+
+/**
+ * GET /projects/:id/builds/:buildId/docs/:section/versions
+ */
+export async function listBuildVersions(req, res) {
+  const { page = "1", limit = "20" } = req.query;
+  try {
+    const result = await projectService.listVersions({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+      section: req.params.section,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+    });
+    return ok(res, result);
+  } catch (err) {
+    return handleErr(res, err, "listBuildVersions");
+  }
+}
+
+/**
+ * GET /projects/:id/builds/:buildId/docs/:section/versions/:versionId
+ */
+export async function getBuildVersion(req, res) {
+  try {
+    const version = await projectService.getVersion({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      buildId: req.params.buildId,
+      versionId: req.params.versionId,
+    });
+    return ok(res, { version });
+  } catch (err) {
+    return handleErr(res, err, "getBuildVersion");
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // EXPORTS
 // ─────────────────────────────────────────────────────────────
@@ -539,6 +832,7 @@ export async function exportPdf(req, res) {
       output: project.effectiveOutput, // serve merged content
       stats: project.stats || {},
       securityScore: project.security?.score ?? null,
+      findings: project.security?.findings || [],
     });
   } catch (err) {
     return handleErr(res, err, "exportPdf");
@@ -694,100 +988,3 @@ export async function exportGoogleDocs(req, res) {
     return handleErr(res, err, "exportGoogleDocs");
   }
 }
-
-// ─────────────────────────────────────────────────────────────
-// CHAT (streaming SSE)
-// ─────────────────────────────────────────────────────────────
-
-/**
- * POST /projects/:id/chat
- * Streams LLM tokens via SSE. NOT wrapped — it owns the response lifecycle.
- * Event shapes:
- *   data: { type: "token",  token: "..." }
- *   data: { type: "done",   historyLength: N }
- *   data: { type: "error",  message: "..." }
- */
-export async function chatHandler(req, res) {
-  const { message } = req.body;
-  if (!message?.trim()) {
-    return res.status(422).json({
-      success: false,
-      error: { code: "VALIDATION_ERROR", message: "message is required" },
-    });
-  }
-
-  let project;
-  try {
-    project = await projectService.getProjectById({
-      projectId: req.params.id,
-      userId: req.user.userId,
-    });
-  } catch (err) {
-    return handleErr(res, err, "chat");
-  }
-
-  if (!project.chatSessionId) {
-    return res.status(409).json({
-      success: false,
-      error: {
-        code: "CHAT_SESSION_NOT_FOUND",
-        message: "No chat session available. Run the documentation pipeline first.",
-      },
-    });
-  }
-
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("X-Accel-Buffering", "no");
-  res.flushHeaders();
-
-  const { chatStream, ensureSession } = await import("../../services/chat.service.js");
-
-  // Rebuild the in-memory session from persisted output if the server was
-  // restarted since the pipeline last ran (sessions are in-memory only).
-  const effectiveOutput = Object.fromEntries(
-    ["readme", "apiReference", "schemaDocs", "internalDocs", "securityReport", "otherDocs"]
-      .map((k) => [k, project.editedOutput?.[k] || project.output?.[k] || ""])
-  );
-  ensureSession({
-    jobId: project.chatSessionId,
-    output: effectiveOutput,
-    meta: project.meta,
-  });
-
-  const send = (obj) => {
-    try { res.write(`data: ${JSON.stringify(obj)}\n\n`); } catch { /* client gone */ }
-  };
-
-  await chatStream({
-    jobId: project.chatSessionId,
-    message: message.trim(),
-    onToken(token) { send({ type: "token", token }); },
-    onDone(result) { send({ type: "done", ...result }); res.end(); },
-    onError(err)  { send({ type: "error", message: err.message }); res.end(); },
-  });
-}
-
-/**
- * DELETE /projects/:id/chat
- * Clears the in-memory conversation history for this project's session.
- */
-export async function resetChat(req, res) {
-  let project;
-  try {
-    project = await projectService.getProjectById({
-      projectId: req.params.id,
-      userId: req.user.userId,
-    });
-  } catch (err) {
-    return handleErr(res, err, "resetChat");
-  }
-
-  if (project.chatSessionId) {
-    const { resetSession } = await import("../../services/chat.service.js");
-    resetSession(project.chatSessionId);
-  }
-
-  return ok(res, null, "Chat history cleared.");
-}
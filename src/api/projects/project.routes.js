@@ -4,10 +4,12 @@
 //   POST   /projects                          create + start pipeline
 //   GET    /projects                          list (paginated, filtered)
 //   GET    /projects/:id                      detail + effectiveOutput
-//   PATCH  /projects/:id                      archive
+//   PATCH  /projects/:id                      archive / set trackedRef
 //   DELETE /projects/:id                      hard delete
-//   POST   /projects/:id/retry                full re-run
+//   POST   /projects/:id/retry                resume full run from checkpoints
+//                                             (body.forceSteps to re-run steps)
 //   POST   /projects/:id/sync                 incremental sync (?force=true for full)
+//   POST   /projects/:id/cancel               abort a queued / running pipeline
 //   GET    /projects/:id/stream               SSE live events
 //
 //   ── Document editing ────────────────────────────────────────
@@ -20,9 +22,38 @@
 //   GET    /projects/:id/docs/:section/versions/:versionId  full content
 //   POST   /projects/:id/docs/:section/versions/:versionId/restore
 //
+//   ── Doc builds (other refs, e.g. release branches) ──────────
+//   GET    /projects/:id/builds                       list
+//   POST   /projects/:id/builds                       { ref, label?, published? }
+//   GET    /projects/:id/builds/:buildId              detail + output
+//   PATCH  /projects/:id/builds/:buildId              { label?, published? }
+//   DELETE /projects/:id/builds/:buildId
+//   POST   /projects/:id/builds/:buildId/sync         (?force=true for full)
+//   POST   /projects/:id/builds/:buildId/cancel
+//   GET    /projects/:id/builds/:buildId/stream       SSE live events
+//   GET    /projects/:id/builds/:buildId/docs/:section/versions
+//   GET    /projects/:id/builds/:buildId/docs/:section/versions/:versionId
+//
+//   ── Security finding triage ─────────────────────────────────
+//   GET    /projects/:id/security/findings                (?state=)
+//   GET    /projects/:id/security/findings/:fingerprint
+//   PATCH  /projects/:id/security/findings/:fingerprint   { state, note?, expiresAt? }
+//   DELETE /projects/:id/security/findings/:fingerprint   reset to open
+//   GET    /projects/:id/security/history                 score trend (?limit=&since=)
+//
+//   ── Chat (threads persist per project + user) ───────────────
+//   POST   /projects/:id/chat                 SSE reply { message, threadId? }
+//   DELETE /projects/:id/chat                 clear a thread (?threadId=)
+//   GET    /projects/:id/chat/threads         own + shared threads
+//   POST   /projects/:id/chat/threads         { title?, shared? }
+//   GET    /projects/:id/chat/threads/:threadId   full history
+//   PATCH  /projects/:id/chat/threads/:threadId   { title?, shared? }
+//   DELETE /projects/:id/chat/threads/:threadId
+//
 //   ── Exports (read from MongoDB — survive server restarts) ───
 //   GET    /projects/:id/export/pdf
 //   GET    /projects/:id/export/yaml
+//   GET    /projects/:id/export/sarif        security findings (SARIF 2.1.0)
 //   POST   /projects/:id/export/notion
 //
 //   ── Attachments (Other Docs) ─────────────────────────────────
@@ -37,7 +68,10 @@
 //   ── API Spec (OpenAPI / Postman importer) ────────────────────
 //   GET    /projects/:id/apispec
 //   POST   /projects/:id/apispec/import          (file | url | raw)
-//   POST   /projects/:id/apispec/sync            (URL source only)
+//   POST   /projects/:id/apispec/sync            (URL or generated source)
+//   GET    /projects/:id/apispec/generated       OpenAPI 3.1 from the code (?format=json|yaml)
+//   POST   /projects/:id/apispec/generate        save it as the spec { replace? }
+//   GET    /projects/:id/apispec/drift           imported spec vs extracted endpoints
 //   DELETE /projects/:id/apispec
 //   PATCH  /projects/:id/apispec/endpoint        (custom note)
 //   POST   /projects/:id/apispec/try             (Try It proxy)
@@ -49,6 +83,8 @@ import multer from "multer";
 import * as ctrl from "./project.controller.js";
 import * as attachmentCtrl from "./attachment.controller.js";
 import * as shareCtrl from "./share.controller.js";
+import * as securityCtrl from "./security.controller.js";
+import * as chatCtrl from "./chat.controller.js";
 import * as portalCtrl from "../portal/portal.controller.js";
 import apispecRoutes from "../apispec/apispec.routes.js";
 import { protect } from "../../middleware/auth.middleware.js";
@@ -105,6 +141,7 @@ router.patch(
 // ── Pipeline actions ──────────────────────────────────────────
 router.post("/:id/retry", validateMongoId, wrap(ctrl.retryProject));
 router.post("/:id/sync", validateMongoId, wrap(ctrl.syncProject));
+router.post("/:id/cancel", validateMongoId, wrap(ctrl.cancelProject));
 
 // SSE (not wrapped — streaming response)
 router.get("/:id/stream", validateMongoId, ctrl.streamProject);
@@ -160,9 +197,121 @@ router.post(
   wrap(ctrl.restoreVersion),
 );
 
+// ── Doc builds ────────────────────────────────────────────────
+const validateBuildId = [
+  param("buildId").isMongoId().withMessage("Invalid build ID"),
+  validate,
+];
+
+router.get("/:id/builds", validateMongoId, wrap(ctrl.listBuilds));
+router.post(
+  "/:id/builds",
+  validateMongoId,
+  [...rules.createBuild, validate],
+  wrap(ctrl.createBuild),
+);
+router.get(
+  "/:id/builds/:buildId",
+  validateMongoId,
+  validateBuildId,
+  wrap(ctrl.getBuild),
+);
+router.patch(
+  "/:id/builds/:buildId",
+  validateMongoId,
+  validateBuildId,
+  [...rules.updateBuild, validate],
+  wrap(ctrl.updateBuild),
+);
+router.delete(
+  "/:id/builds/:buildId",
+  validateMongoId,
+  validateBuildId,
+  wrap(ctrl.deleteBuild),
+);
+router.post(
+  "/:id/builds/:buildId/sync",
+  validateMongoId,
+  validateBuildId,
+  wrap(ctrl.syncBuild),
+);
+router.post(
+  "/:id/builds/:buildId/cancel",
+  validateMongoId,
+  validateBuildId,
+  wrap(ctrl.cancelBuild),
+);
+// SSE (not wrapped — streaming response)
+router.get(
+  "/:id/builds/:buildId/stream",
+  validateMongoId,
+  validateBuildId,
+  ctrl.streamBuild,
+);
+router.get(
+  "/:id/builds/:buildId/docs/:section/versions",
+  validateMongoId,
+  validateBuildId,
+  validateSection,
+  wrap(ctrl.listBuildVersions),
+);
+router.get(
+  "/:id/builds/:buildId/docs/:section/versions/:versionId",
+  validateMongoId,
+  validateBuildId,
+  validateSection,
+  validateVersionId,
+  wrap(ctrl.getBuildVersion),
+);
+
+// ── Security finding triage ───────────────────────────────────
+const validateFingerprint = [
+  param("fingerprint")
+    .matches(/^[a-f0-9]{16}$/)
+    .withMessage("Invalid finding fingerprint"),
+  validate,
+];
+
+router.get(
+  "/:id/security/findings",
+  validateMongoId,
+  [...rules.listFindings, validate],
+  wrap(securityCtrl.listFindings),
+);
+router.get(
+  "/:id/security/findings/:fingerprint",
+  validateMongoId,
+  validateFingerprint,
+  wrap(securityCtrl.getFinding),
+);
+router.patch(
+  "/:id/security/findings/:fingerprint",
+  validateMongoId,
+  validateFingerprint,
+  [...rules.triageFinding, validate],
+  wrap(securityCtrl.triageFinding),
+);
+router.delete(
+  "/:id/security/findings/:fingerprint",
+  validateMongoId,
+  validateFingerprint,
+  wrap(securityCtrl.resetFinding),
+);
+router.get(
+  "/:id/security/history",
+  validateMongoId,
+  [...rules.securityHistory, validate],
+  wrap(securityCtrl.getHistory),
+);
+
 // ── Exports ───────────────────────────────────────────────────
 router.get("/:id/export/pdf", validateMongoId, wrap(ctrl.exportPdf));
 router.get("/:id/export/yaml", validateMongoId, wrap(ctrl.exportYaml));
+router.get(
+  "/:id/export/sarif",
+  validateMongoId,
+  wrap(securityCtrl.exportSarif),
+);
 router.post("/:id/export/notion", validateMongoId, wrap(ctrl.exportNotion));
 
 // Google Docs export
@@ -171,9 +320,50 @@ router.get("/:id/export/google-docs/status", validateMongoId, wrap(ctrl.googleDo
 router.delete("/:id/export/google-docs", validateMongoId, wrap(ctrl.googleDocsDisconnect));
 router.post("/:id/export/google-docs", validateMongoId, wrap(ctrl.exportGoogleDocs));
 
-// ── Chat (streaming SSE — chatHandler not wrapped; resetChat is wrapped) ──────
-router.post("/:id/chat", validateMongoId, ctrl.chatHandler);
-router.delete("/:id/chat", validateMongoId, wrap(ctrl.resetChat));
+// ── Chat (streaming SSE — chatHandler not wrapped; the rest are) ──────────────
+const validateThreadId = [
+  param("threadId").isMongoId().withMessage("Invalid thread ID"),
+  validate,
+];
+
+router.post(
+  "/:id/chat",
+  validateMongoId,
+  [...rules.chatMessage, validate],
+  chatCtrl.chatHandler,
+);
+router.delete(
+  "/:id/chat",
+  validateMongoId,
+  [...rules.resetChat, validate],
+  wrap(chatCtrl.resetChat),
+);
+router.get("/:id/chat/threads", validateMongoId, wrap(chatCtrl.listThreads));
+router.post(
+  "/:id/chat/threads",
+  validateMongoId,
+  [...rules.createChatThread, validate],
+  wrap(chatCtrl.createThread),
+);
+router.get(
+  "/:id/chat/threads/:threadId",
+  validateMongoId,
+  validateThreadId,
+  wrap(chatCtrl.getThread),
+);
+router.patch(
+  "/:id/chat/threads/:threadId",
+  validateMongoId,
+  validateThreadId,
+  [...rules.updateChatThread, validate],
+  wrap(chatCtrl.updateThread),
+);
+router.delete(
+  "/:id/chat/threads/:threadId",
+  validateMongoId,
+  validateThreadId,
+  wrap(chatCtrl.deleteThread),
+);
 
 // ── Sharing ───────────────────────────────────────────────────
 const validateShareId = [
@@ -236,10 +426,17 @@ router.delete(
 // GET    /projects/:id/portal          — get portal settings
 // PUT    /projects/:id/portal          — upsert portal settings
 // POST   /projects/:id/portal/publish  — toggle isPublished
+// GET    /projects/:id/portal/chat/analytics — questions visitors asked
 
 router.get("/:id/portal", validateMongoId, wrap(portalCtrl.getOwnerPortal));
 router.put("/:id/portal", validateMongoId, wrap(portalCtrl.upsertPortal));
 router.post("/:id/portal/publish", validateMongoId, checkPortalPublishLimit, wrap(portalCtrl.togglePublish));
+router.get(
+  "/:id/portal/chat/analytics",
+  validateMongoId,
+  [...rules.portalChatAnalytics, validate],
+  wrap(portalCtrl.getChatAnalytics),
+);
 
 
 // ── API Spec (OpenAPI / Postman importer) ─────────────────────
@@ -15,40 +15,80 @@
 //
 // Pipeline lifecycle:
 //   queued → running → done | error → (archived)
-//   error | done → running  (via retryProject or syncProject)
+//   error | done → queued   (via retryProject or syncProject)
+//   queued | running → error, or back to done for a sync (via cancelProject)
+//
+// Runs are PipelineJob documents executed by the job queue worker
+// (job-queue.service.js) on whichever instance claims them, so a run
+// interrupted by a deploy is resumed, not failed.
 //
 // Operations:
 //   createProject      — start full pipeline for a new repo
-//   retryProject       — re-run full pipeline on an existing project
+//   retryProject       — resume full pipeline from its checkpoints
 //   syncProject        — incremental or forced full re-run
+//   cancelProject      — abort a queued or running pipeline
 //   listProjects       — paginated project list with filtering/sorting
 //   getProjectById     — owner or shared-member access
 //   getProjectEvents   — SSE event log
 //   deleteProject      — owner-only hard delete
-//   updateProject      — archive or soft update
+//   updateProject      — archive, or change the tracked ref
 //   editDocSection     — save user edit for one doc section
 //   revertDocSection   — restore latest AI content, clear user edit
 //   acceptAISection    — accept AI regeneration (clears stale flag)
 //   listVersions       — paginated version history
 //   getVersion         — single version with full content
 //   restoreVersion     — restore a historical version as current edit
+//   listBuilds / createBuild / getBuild / updateBuild / deleteBuild /
+//   syncBuild / cancelBuild — extra doc builds for other refs
+//                        (e.g. release branches), see DocBuild.js
 //   recoverOrphanedJobs — startup recovery for interrupted pipelines
+//   startPipelineWorker — start this instance's durable job worker
 // ===================================================================
 
 import { randomUUID, randomBytes } from "crypto";
 
-import { Project } from "../../models/Project.js";
+import { Project, PIPELINE_STEPS } from "../../models/Project.js";
 import { DocumentVersion, SECTIONS } from "../../models/DocumentVersion.js";
+import { DocBuild } from "../../models/DocBuild.js";
+import { SecuritySnapshot } from "../../models/SecuritySnapshot.js";
+import { RetrievalChunk } from "../../models/RetrievalChunk.js";
+import { ChatThread } from "../../models/ChatThread.js";
+import { PortalChatQuestion } from "../../models/PortalChatQuestion.js";
 import { ProjectShare } from "../../models/ProjectShare.js";
 import { User } from "../../models/User.js";
 
 import {
-  registerJob,
   pushEvent,
   finishJob,
   failJob,
   recoverLostJob,
+  markJobCancelled,
 } from "../../services/job-registry.service.js";
+import {
+  enqueueJob,
+  startJobWorker,
+  permanentJobError,
+  isJobPending,
+  cancelJob,
+} from "../../services/job-queue.service.js";
+import { runWithLLMContext } from "../../config/llm-scheduler.js";
+import { recordSecurityRun } from "../../services/security-history.service.js";
+import {
+  loadRetrievalIndex,
+  saveRetrievalIndex,
+} from "../../services/retrieval.service.js";
+import { setSessionIndex } from "../../services/chat.service.js";
+import {
+  loadSpecForDrift,
+  refreshGeneratedSpec,
+  saveDrift,
+} from "../apispec/apispec.service.js";
+import {
+  openRepo,
+  parseRepoUrl,
+  parseTrackedRef,
+  providerFilter,
+} from "../../services/sources/index.js";
 
 // ─── All known output sections ────────────────────────────────────
 // Superset of SECTIONS from the model — includes new sections added
@@ -90,35 +130,19 @@ async function getIncrementalSync() {
 // ─── Helpers ──────────────────────────────────────────────────────
 
 /**
- * Parse and normalise a GitHub repository URL.
- * Accepts: full HTTPS URL, SSH URL, or "owner/repo" shorthand.
+ * Parse and normalise a repository URL on any supported source.
+ * Accepts HTTPS and SSH URLs, "owner/repo" (GitHub) shorthand and
+ * local:// URLs — see services/sources/index.js.
  */
-function parseGitHubUrl(raw) {
-  const cleaned = raw
-    .trim()
-    .replace(/\.git$/, "")
-    .replace(/\/$/, "");
-
-  const https = cleaned.match(/github\.com[:/]([^/\s]+)\/([^/\s#?]+)/);
-  if (https)
-    return {
-      owner: https[1],
-      repoName: https[2],
-      normalised: `https://github.com/${https[1]}/${https[2]}`,
-    };
-
-  const short = cleaned.match(/^([^/\s]+)\/([^/\s]+)$/);
-  if (short)
-    return {
-      owner: short[1],
-      repoName: short[2],
-      normalised: `https://github.com/${short[1]}/${short[2]}`,
-    };
-
-  const err = new Error(`Cannot parse GitHub URL: "${raw}"`);
-  err.code = "INVALID_REPO_URL";
-  err.status = 400;
-  throw err;
+function parseRepoUrlOrThrow(raw, provider) {
+  const parsed = parseRepoUrl(raw, { provider });
+  if (!parsed) {
+    const err = new Error(`Cannot parse repository URL: "${raw}"`);
+    err.code = "INVALID_REPO_URL";
+    err.status = 400;
+    throw err;
+  }
+  return parsed;
 }
 
 /**
@@ -213,6 +237,7 @@ function normaliseSecurity(security) {
     score: security.score ?? 100,
     grade: security.grade ?? "A",
     counts: security.counts ?? { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 },
+    suppressed: security.suppressed ?? 0,
     categoryCounts: security.categoryCounts ?? {},
     affectedFiles: (security.affectedFiles ?? []).slice(0, 10),
     findings: (security.findings ?? []).slice(0, 50),
@@ -256,17 +281,21 @@ function buildManifestFromTree(tree, projectMap) {
 /**
  * Build the SSE progress handler.
  * Pushes events to the in-memory job registry AND persists
- * the last 200 events to MongoDB (capped slice).
+ * the last 200 events to MongoDB (capped slice) on the project —
+ * or on the DocBuild being run, when Model is DocBuild.
  */
-function makeProgressHandler(projectId, jobId) {
+function makeProgressHandler(id, jobId, Model = Project, signal) {
   return async (event) => {
+    // An aborted run may no longer own the job — see leaseLostError
+    if (signal?.aborted) return;
+
     // Always push to in-memory registry (instant SSE delivery)
     pushEvent(jobId, event);
 
     // Persist to DB — non-critical, swallow errors
     try {
-      await Project.updateOne(
-        { _id: projectId },
+      await Model.updateOne(
+        { _id: id },
         { $push: { events: { $each: [event], $slice: -200 } } },
       );
     } catch {
@@ -275,22 +304,85 @@ function makeProgressHandler(projectId, jobId) {
   };
 }
 
+/**
+ * Build the checkpoint store handed to orchestrate(). Steps live on
+ * the project under the commit they were produced from; loading for
+ * another commit starts a fresh set. Outputs too large to keep in the
+ * project document are skipped — that step just re-runs on resume.
+ * Nothing is saved once the run's signal has aborted.
+ */
+const MAX_CHECKPOINT_BYTES = 4 * 1024 * 1024;
+
+function makeCheckpointStore(projectId, signal) {
+  return {
+    async load(commitSha) {
+      const project = await Project.findById(projectId)
+        .select("+checkpoints")
+        .lean();
+      const current = project?.checkpoints;
+      if (current?.commitSha === commitSha) return current.steps || {};
+
+      await Project.updateOne(
+        { _id: projectId },
+        { $set: { checkpoints: { commitSha, steps: {} } } },
+      );
+      return {};
+    },
+
+    async save(commitSha, step, entry) {
+      if (signal?.aborted) return;
+      const bytes = Buffer.byteLength(JSON.stringify(entry.output ?? null));
+      if (bytes > MAX_CHECKPOINT_BYTES) {
+        console.warn(
+          `[checkpoint] ${step} output is ${Math.round(bytes / 1024)} KB — not checkpointed`,
+        );
+        return;
+      }
+      await Project.updateOne(
+        { _id: projectId, "checkpoints.commitSha": commitSha },
+        { $set: { [`checkpoints.steps.${step}`]: entry } },
+      );
+    },
+
+    async invalidate(commitSha, steps) {
+      if (signal?.aborted) return;
+      await Project.updateOne(
+        { _id: projectId, "checkpoints.commitSha": commitSha },
+        {
+          $unset: Object.fromEntries(
+            steps.map((step) => [`checkpoints.steps.${step}`, ""]),
+          ),
+        },
+      );
+    },
+  };
+}
+
 /**
  * Create initial DocumentVersion entries for all sections after
  * a full pipeline run. Runs in parallel for speed.
+ * buildId is set when the run was for a DocBuild.
  */
-async function createInitialVersions(projectId, output, commitSha) {
+async function createInitialVersions(
+  projectId,
+  output,
+  commitSha,
+  ref,
+  buildId = null,
+) {
   const promises = ALL_OUTPUT_SECTIONS.map(async (section) => {
     const content = output?.[section];
     if (!content) return;
     try {
       await DocumentVersion.createVersion({
         projectId,
+        buildId,
         section,
         content,
         source: "ai_full",
         meta: {
           commitSha,
+          ref,
           agentsRun: [
             "repoScanner",
             "apiExtractor",
@@ -313,6 +405,104 @@ async function createInitialVersions(projectId, output, commitSha) {
   await Promise.all(promises);
 }
 
+/**
+ * Add a finished run to the project's security score history; a
+ * webhook run that made things worse emails the owner. `project` is
+ * the pre-run state, `update` what was just saved. Never fails the
+ * run — the docs are already written.
+ */
+async function recordSecurityHistory(
+  project,
+  update,
+  { trigger, isFullRun = false },
+) {
+  try {
+    await recordSecurityRun({
+      project,
+      security: update.security,
+      findings: update.agentOutputs?.findings ?? update.security?.findings,
+      commitSha: update.lastDocumentedCommit,
+      ref: update.lastDocumentedRef,
+      trigger,
+      isFullRun,
+    });
+  } catch (err) {
+    console.warn(
+      `[security-history] ${project._id}: could not record run — ${err.message}`,
+    );
+  }
+}
+
+/**
+ * The imported spec a run should check for drift. A failed lookup
+ * only leaves the drift section out of the report.
+ */
+async function apiSpecForRun(projectId) {
+  try {
+    return await loadSpecForDrift(projectId);
+  } catch (err) {
+    console.warn(
+      `[apispec] ${projectId}: could not load the spec — ${err.message}`,
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Rebuild the project's generated API spec, if it has one, from the
+ * endpoints and models just saved, and store the run's drift on an
+ * imported one. Never fails the run; a failed rebuild still stores
+ * the drift, so the last run's is never left in place.
+ */
+async function refreshApiSpec(projectId, drift) {
+  try {
+    await refreshGeneratedSpec(projectId);
+  } catch (err) {
+    console.warn(
+      `[apispec] ${projectId}: could not refresh the spec — ${err.message}`,
+    );
+  }
+  try {
+    await saveDrift(projectId, drift);
+  } catch (err) {
+    console.warn(
+      `[apispec] ${projectId}: could not store the drift — ${err.message}`,
+    );
+  }
+}
+
+/**
+ * The project's stored chat index, handed to a run so unchanged chunks
+ * keep their vectors. A failed lookup only means re-embedding.
+ */
+async function retrievalIndexForRun(projectId) {
+  try {
+    return await loadRetrievalIndex(projectId);
+  } catch (err) {
+    console.warn(
+      `[retrieval] ${projectId}: could not load the index — ${err.message}`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Store the chat index a run built and give it to the project's live
+ * chat session. Never fails the run — chat falls back to keyword
+ * context.
+ */
+async function saveChatIndex(projectId, index, chatSessionId) {
+  if (!index) return;
+  try {
+    await saveRetrievalIndex(projectId, index);
+    if (chatSessionId) setSessionIndex(chatSessionId, index);
+  } catch (err) {
+    console.warn(
+      `[retrieval] ${projectId}: could not store the index — ${err.message}`,
+    );
+  }
+}
+
 /**
  * Build the full project update payload from a successful orchestrate result.
  * Centralises all field mapping in one place so runPipeline and runSync
@@ -332,6 +522,7 @@ function buildFullRunUpdate(result, commitSha, freshTree) {
     chatSessionId: result.chat?.sessionId || null,
     security: normaliseSecurity(result.security),
     lastDocumentedCommit: commitSha || result.lastDocumentedCommit || null,
+    lastDocumentedRef: result.lastDocumentedRef || null,
     fileManifest: freshTree
       ? buildManifestFromTree(freshTree, result.agentOutputs?.projectMap || [])
       : result.fileManifest || [],
@@ -345,13 +536,43 @@ function buildFullRunUpdate(result, commitSha, freshTree) {
   };
 }
 
+/**
+ * Parse a ref as given by the client and check it exists on the host.
+ * Throws INVALID_REF naming `field` when either fails.
+ * @returns {{ kind, name }}
+ */
+async function resolveRefOrThrow(project, input, field = "ref") {
+  const ref = parseTrackedRef(input);
+  if (!ref)
+    throw domainError(
+      `${field} must be a branch name, refs/tags/<tag>, a full commit SHA, or { kind, name }.`,
+      "INVALID_REF",
+      400,
+    );
+  try {
+    await openRepo(project.repoUrl, {
+      provider: project.provider,
+    }).getCommitSha(ref.name);
+  } catch (err) {
+    throw domainError(
+      `Ref "${ref.name}" not found in ${project.repoOwner}/${project.repoName}: ${err.message}`,
+      "INVALID_REF",
+      400,
+    );
+  }
+  return ref;
+}
+
 // ─── Startup Recovery ─────────────────────────────────────────────
 
 /**
  * Called once at server startup.
- * Finds projects stuck in "running" or "queued" state (server crash),
- * marks them as "error", and registers synthetic lost jobs so that
- * SSE clients connecting after a restart receive a proper error event.
+ * Finds projects stuck in "running" or "queued" state with no pending
+ * durable job to resume them (runs started before the job queue
+ * existed), marks them as "error", and registers synthetic lost jobs
+ * so that SSE clients connecting after a restart receive a proper
+ * error event. Projects with a pending PipelineJob are left alone —
+ * a worker picks the job up once its lease expires.
  */
 export async function recoverOrphanedJobs() {
   try {
@@ -369,6 +590,8 @@ export async function recoverOrphanedJobs() {
     for (const p of orphans) {
       // Skip if already registered — genuine in-flight pipeline
       if (p.jobId && jobs.has(p.jobId)) continue;
+      // Durable job still pending — it will be resumed
+      if (await isJobPending(p.jobId)) continue;
       if (p.jobId) recoverLostJob(p.jobId, RECOVERY_MSG);
       orphanIds.push(p._id);
     }
@@ -400,12 +623,18 @@ export async function recoverOrphanedJobs() {
  * Create a new project and start the full documentation pipeline.
  * Returns immediately with the project document — pipeline runs async.
  */
-export async function createProject({ userId, repoUrl }) {
-  const { owner, repoName, normalised } = parseGitHubUrl(repoUrl);
+export async function createProject({ userId, repoUrl, provider }) {
+  const {
+    provider: source,
+    owner,
+    repo: repoName,
+    repoUrl: normalised,
+  } = parseRepoUrlOrThrow(repoUrl, provider);
 
   // Prevent duplicate pipelines for the same repo
   const active = await Project.findOne({
     userId,
+    provider: providerFilter(source),
     repoOwner: owner,
     repoName,
     status: { $in: ["queued", "running"] },
@@ -423,31 +652,43 @@ export async function createProject({ userId, repoUrl }) {
 
   const project = await Project.create({
     userId,
+    provider: source,
     repoUrl: normalised,
     repoOwner: owner,
     repoName,
     jobId,
-    status: "running",
+    status: "queued",
     search_language: "english",
     webhookSecret,
     webhookEnabled: true,
   });
 
-  registerJob(jobId);
-
-  // Fire-and-forget — caller streams progress via SSE
-  runPipeline({ project, normalised, jobId }).catch((err) =>
-    console.error(`❌ Pipeline crash [${jobId}]:`, err.message),
-  );
+  // Durable — caller streams progress via SSE from any instance
+  await enqueuePipelineJob(project, { jobId, kind: "full" });
 
   return project;
 }
 
 /**
- * Retry a failed or errored project with a completely fresh full pipeline run.
- * Clears all stored outputs so the run starts from a clean state.
+ * Retry a project with a full pipeline run that resumes from its
+ * checkpoints: agents that finished on the same commit are restored,
+ * the first failed or timed-out step and everything after it re-runs.
+ * forceSteps discards those steps' checkpoints (and so re-runs their
+ * downstream steps too); a new commit on the branch discards them all.
+ * Stored outputs are cleared — the run rebuilds them.
+ *
+ * @param {{ projectId, userId, forceSteps?: string[] }}
+ * @returns {{ project, resumableSteps: string[] }}
  */
-export async function retryProject({ projectId, userId }) {
+export async function retryProject({ projectId, userId, forceSteps = [] }) {
+  const invalid = forceSteps.filter((s) => !PIPELINE_STEPS.includes(s));
+  if (invalid.length)
+    throw domainError(
+      `Invalid step(s): ${invalid.join(", ")}. Must be one of: ${PIPELINE_STEPS.join(", ")}`,
+      "INVALID_STEP",
+      400,
+    );
+
   const project = await assertOwnership(projectId, userId);
 
   if (project.status === "running" || project.status === "queued")
@@ -460,12 +701,18 @@ export async function retryProject({ projectId, userId }) {
     );
 
   const jobId = randomUUID();
+  const forced = forceSteps.includes("scan") ? PIPELINE_STEPS : forceSteps;
 
-  // Clear all outputs before retry to ensure a clean state
+  // Clear all outputs before retry; keep checkpoints except forced steps
   await Project.findByIdAndUpdate(project._id, {
+    ...(forced.length && {
+      $unset: Object.fromEntries(
+        forced.map((step) => [`checkpoints.steps.${step}`, ""]),
+      ),
+    }),
     $set: {
       jobId,
-      status: "running",
+      status: "queued",
       errorMessage: null,
       techStack: [],
       testFrameworks: [],
@@ -489,13 +736,17 @@ export async function retryProject({ projectId, userId }) {
     },
   });
 
-  registerJob(jobId);
+  await enqueuePipelineJob(project, { jobId, kind: "full" });
 
-  runPipeline({ project, normalised: project.repoUrl, jobId }).catch((err) =>
-    console.error(`❌ Retry crash [${jobId}]:`, err.message),
+  // Steps the run will restore — provided the branch has no new commit
+  const [updated, saved] = await Promise.all([
+    Project.findById(project._id),
+    Project.findById(project._id).select("+checkpoints").lean(),
+  ]);
+  const resumableSteps = PIPELINE_STEPS.filter(
+    (step) => saved?.checkpoints?.steps?.[step],
   );
-
-  return Project.findById(project._id);
+  return { project: updated, resumableSteps };
 }
 
 /**
@@ -566,8 +817,8 @@ export async function getProjectEvents({ projectId, userId }) {
 }
 
 /**
- * Hard-delete a project and all its version history.
- * Owner-only.
+ * Hard-delete a project, its doc builds, version history, chat
+ * threads and portal chat questions. Owner-only.
  */
 export async function deleteProject({ projectId, userId }) {
   const project = await assertOwnership(projectId, userId);
@@ -581,19 +832,50 @@ export async function deleteProject({ projectId, userId }) {
 
   await Promise.all([
     Project.findByIdAndDelete(projectId),
+    DocBuild.deleteMany({ projectId }),
     DocumentVersion.deleteMany({ projectId }),
+    SecuritySnapshot.deleteMany({ projectId }),
+    RetrievalChunk.deleteMany({ projectId }),
+    ChatThread.deleteMany({ projectId }),
+    PortalChatQuestion.deleteMany({ projectId }),
   ]);
 }
 
 /**
- * Soft-update a project (currently: archive only).
- * Owner-only.
+ * Soft-update a project. Owner-only.
+ *
+ *   status: "archived"  — archive the project
+ *   trackedRef          — branch, tag or commit to document
+ *                         ("main", "refs/tags/v1.2", a full SHA, or
+ *                         { kind, name }); null returns to the default
+ *                         branch. Checked against the host. Takes
+ *                         effect on the next sync.
  */
 export async function updateProject({ projectId, userId, updates }) {
   const project = await assertOwnership(projectId, userId);
+  const running = project.status === "running" || project.status === "queued";
+
+  if (updates.trackedRef !== undefined) {
+    if (running)
+      throw domainError(
+        "Cannot change the tracked ref while a pipeline is running.",
+        "PROJECT_RUNNING",
+        409,
+      );
+
+    if (updates.trackedRef === null || updates.trackedRef === "") {
+      project.trackedRef = undefined;
+    } else {
+      project.trackedRef = await resolveRefOrThrow(
+        project,
+        updates.trackedRef,
+        "trackedRef",
+      );
+    }
+  }
 
   if (updates.status === "archived") {
-    if (project.status === "running" || project.status === "queued")
+    if (running)
       throw domainError(
         "Cannot archive a running project.",
         "PROJECT_RUNNING",
@@ -602,9 +884,9 @@ export async function updateProject({ projectId, userId, updates }) {
 
     project.status = "archived";
     project.archivedAt = new Date();
-    await project.save();
   }
 
+  if (project.isModified()) await project.save();
   return project;
 }
 
@@ -619,8 +901,10 @@ export async function updateProject({ projectId, userId, updates }) {
  *   - Changed file count exceeds FULL_RUN_THRESHOLD
  *
  * Accessible to owner only — sync mutates project state.
+ * trigger is "webhook" for pushes — their security regressions are
+ * emailed to the owner (services/security-history.service.js).
  *
- * @param {{ projectId, userId, forceFullRun, webhookChangedFiles }}
+ * @param {{ projectId, userId, forceFullRun, webhookChangedFiles, trigger }}
  * @returns {{ project, streamUrl }}
  */
 export async function syncProject({
@@ -628,6 +912,7 @@ export async function syncProject({
   userId,
   forceFullRun = false,
   webhookChangedFiles = null,
+  trigger = "sync",
 }) {
   // Load with extra fields needed for incremental sync
   const project = await Project.findOne({ _id: projectId, userId }).select(
@@ -653,17 +938,19 @@ export async function syncProject({
     );
 
   const jobId = randomUUID();
+  // A cancelled sync restores this — the previous docs are still valid
+  const previousStatus = project.status;
   project.jobId = jobId;
-  project.status = "running";
+  project.status = "queued";
   project.errorMessage = null;
   await project.save();
 
-  registerJob(jobId);
-
-  // Fire-and-forget — caller streams progress via SSE
-  runSync({ project, jobId, forceFullRun, webhookChangedFiles }).catch((err) =>
-    console.error(`❌ Sync crash [${jobId}]:`, err.message),
-  );
+  // Durable — caller streams progress via SSE from any instance
+  await enqueuePipelineJob(project, {
+    jobId,
+    kind: "sync",
+    payload: { forceFullRun, webhookChangedFiles, previousStatus, trigger },
+  });
 
   return {
     project,
@@ -671,6 +958,60 @@ export async function syncProject({
   };
 }
 
+// ─── Cancellation ─────────────────────────────────────────────────
+
+/**
+ * Cancel the project's queued or running pipeline.
+ * Owner-only. A queued job is settled at once; a running one is
+ * aborted and settles when the pipeline unwinds (on whichever
+ * instance runs it), so the caller should keep watching the stream
+ * for the `cancelled` event.
+ *
+ * Checkpoints are kept — a later retry resumes from them.
+ *
+ * @returns {{ project, pending: boolean }}
+ */
+export async function cancelProject({ projectId, userId }) {
+  const project = await assertOwnership(projectId, userId);
+
+  if (project.status !== "running" && project.status !== "queued")
+    throw domainError(
+      "No pipeline is running for this project.",
+      "PROJECT_NOT_RUNNING",
+      409,
+    );
+
+  const { state, job } = await cancelJob(project.jobId);
+
+  if (state === "running") return { project, pending: true };
+
+  // Queued, or a run that predates the durable queue — nothing will
+  // unwind, so settle here
+  await settleCancelledJob({
+    projectId: project._id,
+    jobId: project.jobId,
+    previousStatus: job?.payload?.previousStatus,
+  });
+  return { project: await Project.findById(projectId), pending: false };
+}
+
+/**
+ * Put a cancelled run's project back into a consistent state and tell
+ * stream clients. A cancelled sync leaves the previous docs untouched,
+ * so a project that was "done" goes back to "done"; anything else ends
+ * as "error" so it can be retried.
+ */
+async function settleCancelledJob({ projectId, jobId, previousStatus }) {
+  const message = "Pipeline cancelled.";
+  await Project.updateOne(
+    { _id: projectId, jobId },
+    previousStatus === "done"
+      ? { status: "done", errorMessage: null }
+      : { status: "error", errorMessage: message },
+  );
+  markJobCancelled(jobId, message);
+}
+
 // ─── Document Editing ─────────────────────────────────────────────
 
 /**
@@ -809,12 +1150,14 @@ export async function acceptAISection({ projectId, userId, section }) {
 /**
  * List version history for a section — newest first.
  * Content is excluded from list results (too large); use getVersion for full content.
+ * buildId selects a DocBuild's history; null is the default build.
  * Accessible to owner and shared members (viewer+).
  */
 export async function listVersions({
   projectId,
   userId,
   section,
+  buildId = null,
   page = 1,
   limit = 20,
 }) {
@@ -826,27 +1169,39 @@ export async function listVersions({
     );
 
   await assertAccess(projectId, userId, "viewer");
+  if (buildId) await findBuildOrThrow(projectId, buildId);
 
+  const query = { projectId, buildId, section };
   const [versions, total] = await Promise.all([
-    DocumentVersion.find({ projectId, section })
+    DocumentVersion.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit)
       .select("-content"),
-    DocumentVersion.countDocuments({ projectId, section }),
+    DocumentVersion.countDocuments(query),
   ]);
 
   return { versions, total, page, limit, totalPages: Math.ceil(total / limit) };
 }
 
 /**
- * Fetch a single version with full content.
+ * Fetch a single version with full content, from the default build's
+ * history or buildId's.
  * Accessible to owner and shared members (viewer+).
  */
-export async function getVersion({ projectId, userId, versionId }) {
+export async function getVersion({
+  projectId,
+  userId,
+  versionId,
+  buildId = null,
+}) {
   await assertAccess(projectId, userId, "viewer");
 
-  const version = await DocumentVersion.findOne({ _id: versionId, projectId });
+  const version = await DocumentVersion.findOne({
+    _id: versionId,
+    projectId,
+    buildId,
+  });
   if (!version)
     throw domainError("Version not found.", "VERSION_NOT_FOUND", 404);
 
@@ -856,11 +1211,17 @@ export async function getVersion({ projectId, userId, versionId }) {
 /**
  * Restore a historical version as the current user edit.
  * Snapshots current content first, then applies restore.
+ * Only the default build's versions can be restored — builds hold no
+ * user edits.
  * Requires editor or owner access.
  */
 export async function restoreVersion({ projectId, userId, versionId }) {
   const project = await assertAccess(projectId, userId, "editor");
-  const version = await DocumentVersion.findOne({ _id: versionId, projectId });
+  const version = await DocumentVersion.findOne({
+    _id: versionId,
+    projectId,
+    buildId: null,
+  });
   if (!version)
     throw domainError("Version not found.", "VERSION_NOT_FOUND", 404);
 
@@ -920,19 +1281,462 @@ export async function restoreVersion({ projectId, userId, versionId }) {
   return getProjectById({ projectId, userId });
 }
 
+// ─── Doc Builds ───────────────────────────────────────────────────
+// Extra documentation builds for other refs — e.g. the v1 and v2
+// release branches documented side by side. The project itself stays
+// the default build. A build runs through the same incremental sync
+// as the project (its first run falls back to a full pipeline) and
+// keeps its own output, manifest, agent outputs and version history.
+
+const MAX_BUILDS_PER_PROJECT = 10;
+
+/**
+ * Load one of the project's builds or throw BUILD_NOT_FOUND.
+ */
+async function findBuildOrThrow(projectId, buildId, select = "") {
+  const build = await DocBuild.findOne({ _id: buildId, projectId }).select(
+    select,
+  );
+  if (!build) throw domainError("Build not found.", "BUILD_NOT_FOUND", 404);
+  return build;
+}
+
+/**
+ * List the project's builds, oldest first. Output is excluded — use
+ * getBuild for a build's docs.
+ * Accessible to owner and shared members (viewer+).
+ */
+export async function listBuilds({ projectId, userId }) {
+  await assertAccess(projectId, userId, "viewer");
+  return DocBuild.find({ projectId }).sort({ createdAt: 1 }).select("-output");
+}
+
+/**
+ * Get one build, with its output.
+ * Accessible to owner and shared members (viewer+).
+ */
+export async function getBuild({ projectId, userId, buildId }) {
+  await assertAccess(projectId, userId, "viewer");
+  return findBuildOrThrow(projectId, buildId);
+}
+
+/**
+ * Add a build for a ref and start its first run. Owner-only.
+ * `ref` takes the same forms as trackedRef and is checked against
+ * the host.
+ *
+ * @param {{ projectId, userId, ref, label?, published? }}
+ */
+export async function createBuild({
+  projectId,
+  userId,
+  ref,
+  label,
+  published = false,
+}) {
+  const project = await assertOwnership(projectId, userId);
+  if (project.status === "archived")
+    throw domainError(
+      "Cannot add a build to an archived project.",
+      "PROJECT_ARCHIVED",
+      409,
+    );
+
+  const count = await DocBuild.countDocuments({ projectId });
+  if (count >= MAX_BUILDS_PER_PROJECT)
+    throw domainError(
+      `A project can hold at most ${MAX_BUILDS_PER_PROJECT} builds.`,
+      "BUILD_LIMIT_REACHED",
+      409,
+    );
+
+  const parsed = await resolveRefOrThrow(project, ref);
+  const exists = await DocBuild.exists({
+    projectId,
+    "ref.kind": parsed.kind,
+    "ref.name": parsed.name,
+  });
+  if (exists)
+    throw domainError(
+      `A build for ${parsed.kind} "${parsed.name}" already exists.`,
+      "DUPLICATE_BUILD",
+      409,
+    );
+
+  const jobId = randomUUID();
+  const build = await DocBuild.create({
+    projectId,
+    ref: parsed,
+    label: label?.trim() || parsed.name,
+    published: Boolean(published),
+    jobId,
+    status: "queued",
+  });
+
+  await enqueuePipelineJob(project, {
+    jobId,
+    kind: "build",
+    payload: { buildId: String(build._id) },
+  });
+
+  return build;
+}
+
+/**
+ * Rename a build or publish / unpublish it in the portal's version
+ * switcher. Owner-only.
+ *
+ * @param {{ projectId, userId, buildId, updates: { label?, published? } }}
+ */
+export async function updateBuild({ projectId, userId, buildId, updates }) {
+  await assertOwnership(projectId, userId);
+  const build = await findBuildOrThrow(projectId, buildId);
+
+  if (typeof updates.label === "string")
+    build.label = updates.label.trim() || build.ref.name;
+  if (updates.published !== undefined)
+    build.published = Boolean(updates.published);
+
+  if (build.isModified()) await build.save();
+  return build;
+}
+
+/**
+ * Delete a build and its version history. Owner-only.
+ */
+export async function deleteBuild({ projectId, userId, buildId }) {
+  await assertOwnership(projectId, userId);
+  const build = await findBuildOrThrow(projectId, buildId);
+
+  if (build.status === "running" || build.status === "queued")
+    throw domainError("Cannot delete a running build.", "BUILD_RUNNING", 409);
+
+  await Promise.all([
+    DocBuild.deleteOne({ _id: build._id }),
+    DocumentVersion.deleteMany({ projectId, buildId: build._id }),
+  ]);
+}
+
+/**
+ * Re-document a build from its ref's latest commit — incrementally,
+ * or from scratch with forceFullRun. Owner-only.
+ *
+ * @returns {{ build, streamUrl }}
+ */
+export async function syncBuild({
+  projectId,
+  userId,
+  buildId,
+  forceFullRun = false,
+}) {
+  const project = await assertOwnership(projectId, userId);
+  if (project.status === "archived")
+    throw domainError(
+      "Cannot sync an archived project.",
+      "PROJECT_ARCHIVED",
+      409,
+    );
+
+  const build = await findBuildOrThrow(projectId, buildId);
+  if (build.status === "running" || build.status === "queued")
+    throw domainError(
+      "A pipeline is already running for this build.",
+      "BUILD_RUNNING",
+      409,
+    );
+
+  const jobId = randomUUID();
+  const previousStatus = build.status;
+  build.jobId = jobId;
+  build.status = "queued";
+  build.errorMessage = null;
+  await build.save();
+
+  await enqueuePipelineJob(project, {
+    jobId,
+    kind: "build",
+    payload: { buildId: String(build._id), forceFullRun, previousStatus },
+  });
+
+  return {
+    build,
+    streamUrl: `/projects/${project._id}/builds/${build._id}/stream`,
+  };
+}
+
+/**
+ * Cancel a build's queued or running pipeline. Owner-only.
+ * Settles the same way as cancelProject.
+ *
+ * @returns {{ build, pending: boolean }}
+ */
+export async function cancelBuild({ projectId, userId, buildId }) {
+  await assertOwnership(projectId, userId);
+  const build = await findBuildOrThrow(projectId, buildId);
+
+  if (build.status !== "running" && build.status !== "queued")
+    throw domainError(
+      "No pipeline is running for this build.",
+      "BUILD_NOT_RUNNING",
+      409,
+    );
+
+  const { state, job } = await cancelJob(build.jobId);
+
+  if (state === "running") return { build, pending: true };
+
+  await settleCancelledBuild({
+    buildId: build._id,
+    jobId: build.jobId,
+    previousStatus: job?.payload?.previousStatus,
+  });
+  return { build: await DocBuild.findById(build._id), pending: false };
+}
+
+/**
+ * Build counterpart of settleCancelledJob.
+ */
+async function settleCancelledBuild({ buildId, jobId, previousStatus }) {
+  const message = "Pipeline cancelled.";
+  await DocBuild.updateOne(
+    { _id: buildId, jobId },
+    previousStatus === "done"
+      ? { status: "done", errorMessage: null }
+      : { status: "error", errorMessage: message },
+  );
+  markJobCancelled(jobId, message);
+}
+
+/**
+ * The project as incrementalSync() should see it when running a
+ * build: repository identity from the project, pipeline state from
+ * the build. Builds hold no user edits and share the project's
+ * security triage.
+ */
+function buildSyncState(project, build) {
+  return {
+    _id: project._id,
+    userId: project.userId,
+    provider: project.provider,
+    repoUrl: project.repoUrl,
+    repoOwner: project.repoOwner,
+    repoName: project.repoName,
+    trackedRef: build.ref,
+    meta: build.meta?.defaultBranch ? build.meta : project.meta,
+    techStack: build.techStack,
+    architectureHint: build.architectureHint,
+    output: build.output,
+    security: build.security,
+    securityTriage: project.securityTriage,
+    lastDocumentedCommit: build.lastDocumentedCommit,
+    fileManifest: build.fileManifest,
+    agentOutputs: build.agentOutputs,
+    editedSections: [],
+  };
+}
+
+// ─── Durable Job Handlers ─────────────────────────────────────────
+// Run by the job queue worker on whichever instance claims the job —
+// possibly not the one that enqueued it, and possibly a later attempt.
+// A thrown error is retried with backoff; onGiveUp marks the project
+// failed once attempts run out. A cancelled job skips both and goes
+// to onCancel.
+
+/**
+ * Persist a PipelineJob for the project. If the queue write fails the
+ * project (or the build in payload.buildId) would sit in "queued"
+ * forever, so it is marked failed.
+ */
+async function enqueuePipelineJob(project, { jobId, kind, payload }) {
+  try {
+    await enqueueJob({
+      jobId,
+      projectId: project._id,
+      userId: project.userId,
+      kind,
+      payload,
+    });
+  } catch (err) {
+    const failed = {
+      status: "error",
+      errorMessage: "Could not queue pipeline.",
+    };
+    if (payload?.buildId)
+      await DocBuild.updateOne({ _id: payload.buildId, jobId }, failed);
+    else await Project.updateOne({ _id: project._id, jobId }, failed);
+    throw err;
+  }
+}
+
+/**
+ * Load the job's project and flip it to "running". Throws a permanent
+ * error when the project was deleted or a newer run replaced this job.
+ */
+async function claimJobProject(job, select = "") {
+  const project = await Project.findById(job.projectId).select(select);
+  if (!project) throw permanentJobError("Project no longer exists.");
+  if (project.jobId !== job.jobId)
+    throw permanentJobError("Job was superseded by a newer run.");
+
+  if (project.status !== "running") {
+    project.status = "running";
+    await Project.updateOne({ _id: project._id }, { status: "running" });
+  }
+  return project;
+}
+
+async function abandonJob(job, err) {
+  // Only touch the project if this job is still its current run
+  await Project.updateOne(
+    { _id: job.projectId, jobId: job.jobId },
+    { status: "error", errorMessage: err.message },
+  );
+  failJob(job.jobId, err);
+}
+
+function onJobCancelled(job) {
+  return settleCancelledJob({
+    projectId: job.projectId,
+    jobId: job.jobId,
+    previousStatus: job.payload?.previousStatus,
+  });
+}
+
+/**
+ * Load a "build" job's DocBuild (with its sync baseline) and project,
+ * and flip the build to "running". Throws a permanent error when
+ * either was deleted or a newer run replaced this job.
+ */
+async function claimJobBuild(job) {
+  const build = await DocBuild.findById(job.payload?.buildId).select(
+    "+agentOutputs +fileManifest",
+  );
+  if (!build) throw permanentJobError("Build no longer exists.");
+  if (build.jobId !== job.jobId)
+    throw permanentJobError("Job was superseded by a newer run.");
+
+  const project = await Project.findById(job.projectId);
+  if (!project) throw permanentJobError("Project no longer exists.");
+
+  if (build.status !== "running") {
+    build.status = "running";
+    await DocBuild.updateOne({ _id: build._id }, { status: "running" });
+  }
+  return { project, build };
+}
+
+async function abandonBuildJob(job, err) {
+  await DocBuild.updateOne(
+    { _id: job.payload?.buildId, jobId: job.jobId },
+    { status: "error", errorMessage: err.message },
+  );
+  failJob(job.jobId, err);
+}
+
+function onBuildJobCancelled(job) {
+  return settleCancelledBuild({
+    buildId: job.payload?.buildId,
+    jobId: job.jobId,
+    previousStatus: job.payload?.previousStatus,
+  });
+}
+
+const JOB_HANDLERS = {
+  full: {
+    async run(job, { signal }) {
+      const project = await claimJobProject(job);
+      await runPipeline({
+        project,
+        normalised: project.repoUrl,
+        jobId: job.jobId,
+        signal,
+      });
+    },
+    onGiveUp: abandonJob,
+    onCancel: onJobCancelled,
+  },
+  sync: {
+    async run(job, { signal }) {
+      const project = await claimJobProject(
+        job,
+        "+agentOutputs +fileManifest +events",
+      );
+      await runSync({
+        project,
+        jobId: job.jobId,
+        forceFullRun: Boolean(job.payload?.forceFullRun),
+        webhookChangedFiles: job.payload?.webhookChangedFiles ?? null,
+        trigger: job.payload?.trigger === "webhook" ? "webhook" : "sync",
+        signal,
+      });
+    },
+    onGiveUp: abandonJob,
+    onCancel: onJobCancelled,
+  },
+  build: {
+    async run(job, { signal }) {
+      const { project, build } = await claimJobBuild(job);
+      await runSync({
+        project,
+        build,
+        jobId: job.jobId,
+        forceFullRun: Boolean(job.payload?.forceFullRun),
+        webhookChangedFiles: null,
+        signal,
+      });
+    },
+    onGiveUp: abandonBuildJob,
+    onCancel: onBuildJobCancelled,
+  },
+};
+
+/**
+ * Start this instance's job worker. Called once at startup, after
+ * recoverOrphanedJobs().
+ */
+export function startPipelineWorker() {
+  startJobWorker(JOB_HANDLERS);
+}
+
 // ─── Internal Pipeline Runners ────────────────────────────────────
 
 /**
  * Run the full 6-agent documentation pipeline.
- * Called by createProject and retryProject.
+ * Called by the "full" job handler (createProject / retryProject).
  * Persists the complete result to MongoDB and finishes the job.
+ * Agent outputs are checkpointed on the project, so a resumed attempt
+ * skips the agents that already finished.
+ * Every LLM call below is scheduled as this user's "full" priority work
+ * and is aborted together with the run when it is cancelled.
  */
-async function runPipeline({ project, normalised, jobId }) {
+async function runPipeline({ project, normalised, jobId, signal }) {
+  return runWithLLMContext(
+    { userId: project.userId, jobId, priority: "full", signal },
+    () => executePipeline({ project, normalised, jobId, signal }),
+  );
+}
+
+async function executePipeline({ project, normalised, jobId, signal }) {
   const orchestrate = await getOrchestrate();
-  const onProgress = makeProgressHandler(project._id, jobId);
+  const onProgress = makeProgressHandler(
+    project._id,
+    jobId,
+    Project,
+    signal,
+  );
 
   try {
-    const result = await orchestrate(normalised, onProgress);
+    const result = await orchestrate(normalised, onProgress, {
+      provider: project.provider,
+      ref: project.trackedRef?.name,
+      securityTriage: project.securityTriage,
+      apiSpec: await apiSpecForRun(project._id),
+      retrievalIndex: await retrievalIndexForRun(project._id),
+      checkpoints: makeCheckpointStore(project._id, signal),
+      signal,
+    });
+    // Lost the lease or cancelled while finishing — write nothing
+    signal?.throwIfAborted();
 
     if (!result.success) {
       await Project.findByIdAndUpdate(project._id, {
@@ -950,12 +1754,19 @@ async function runPipeline({ project, normalised, jobId }) {
       null,
     );
     await Project.findByIdAndUpdate(project._id, { $set: update });
+    await recordSecurityHistory(project, update, {
+      trigger: "full",
+      isFullRun: true,
+    });
+    await refreshApiSpec(project._id, result.apiDrift);
+    await saveChatIndex(project._id, result.retrievalIndex);
 
     // Create version history for all generated sections (parallel)
     await createInitialVersions(
       project._id,
       result.output,
       result.lastDocumentedCommit,
+      result.lastDocumentedRef,
     );
 
     // Log non-fatal agent errors to console (they're also stored in agentErrors field)
@@ -974,28 +1785,72 @@ async function runPipeline({ project, normalised, jobId }) {
       routing: result.routing,
     });
   } catch (err) {
-    console.error(`[pipeline:${jobId}] Fatal error:`, err);
-    await Project.findByIdAndUpdate(project._id, {
-      status: "error",
-      errorMessage: err.message,
-    });
-    failJob(jobId, err);
+    // Unexpected — rethrow so the job queue retries with backoff
+    // (or settles the cancellation)
+    if (!signal?.aborted)
+      console.error(`[pipeline:${jobId}] Fatal error:`, err);
+    throw err;
   }
 }
 
 /**
  * Run the incremental sync pipeline.
- * Called by syncProject.
+ * Called by the "sync" job handler (syncProject), and by the "build"
+ * job handler with `build` set — results then go to that DocBuild
+ * instead of the project.
  * Handles three outcomes: skipped, full run fallback, incremental success.
+ * LLM calls are scheduled as "incremental" unless a full run was forced.
  */
-async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
-  const incrementalSync = await getIncrementalSync();
-  const onProgress = makeProgressHandler(project._id, jobId);
+async function runSync({
+  project,
+  build = null,
+  jobId,
+  forceFullRun,
+  webhookChangedFiles,
+  trigger = "sync",
+  signal,
+}) {
+  return runWithLLMContext(
+    {
+      userId: project.userId,
+      jobId,
+      priority: forceFullRun ? "full" : "incremental",
+      signal,
+    },
+    () =>
+      executeSync({
+        project: build ? buildSyncState(project, build) : project,
+        target: build
+          ? { Model: DocBuild, id: build._id, buildId: build._id }
+          : { Model: Project, id: project._id, buildId: null },
+        jobId,
+        forceFullRun,
+        webhookChangedFiles,
+        trigger,
+        signal,
+      }),
+  );
+}
 
-  console.log(
-    `[sync:${jobId}] 🚀 runSync async execution starting immediately · job should be in memory now`,
+async function executeSync({
+  project,
+  target,
+  jobId,
+  forceFullRun,
+  webhookChangedFiles,
+  trigger,
+  signal,
+}) {
+  const incrementalSync = await getIncrementalSync();
+  const onProgress = makeProgressHandler(
+    target.id,
+    jobId,
+    target.Model,
+    signal,
   );
 
+  console.log(`[sync:${jobId}] 🚀 runSync starting on this instance`);
+
   try {
     console.log(
       `[sync:${jobId}] Starting incremental sync for ${project.repoUrl} · forceFullRun=${forceFullRun} · webhookFiles=${webhookChangedFiles?.length || 0}`,
@@ -1004,7 +1859,14 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
     const syncResult = await incrementalSync(project, onProgress, {
       forceFullRun,
       webhookChangedFiles,
+      buildId: target.buildId,
+      apiSpec: target.buildId ? undefined : await apiSpecForRun(project._id),
+      retrievalIndex: target.buildId
+        ? undefined
+        : await retrievalIndexForRun(project._id),
+      signal,
     });
+    signal?.throwIfAborted();
 
     console.log(`[sync:${jobId}] Sync result: `, {
       success: syncResult.success,
@@ -1017,7 +1879,7 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
     if (!syncResult.success) {
       const errorMsg = syncResult.error || "Sync failed";
       console.error(`[sync:${jobId}] Sync failed: ${errorMsg}`);
-      await Project.findByIdAndUpdate(project._id, {
+      await target.Model.findByIdAndUpdate(target.id, {
         status: "error",
         errorMessage: errorMsg,
       });
@@ -1030,9 +1892,10 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
       console.log(
         `[sync:${jobId}] Sync skipped (${syncResult.reason}), marking done`,
       );
-      await Project.findByIdAndUpdate(project._id, {
+      await target.Model.findByIdAndUpdate(target.id, {
         status: "done",
         lastDocumentedCommit: syncResult.currentCommit,
+        lastDocumentedRef: syncResult.currentRef,
         "stats.lastChecked": new Date(),
       });
       finishJob(jobId, {
@@ -1053,7 +1916,7 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
       if (!result?.success) {
         const errorMsg = result?.error || "Full sync failed";
         console.error(`[sync:${jobId}] Full sync failed: ${errorMsg}`);
-        await Project.findByIdAndUpdate(project._id, {
+        await target.Model.findByIdAndUpdate(target.id, {
           status: "error",
           errorMessage: errorMsg,
         });
@@ -1067,13 +1930,23 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
         syncResult._freshTree,
       );
 
-      await Project.findByIdAndUpdate(project._id, { $set: update });
+      await target.Model.findByIdAndUpdate(target.id, { $set: update });
+      if (!target.buildId) {
+        await recordSecurityHistory(project, update, {
+          trigger,
+          isFullRun: true,
+        });
+        await refreshApiSpec(project._id, result.apiDrift);
+        await saveChatIndex(project._id, result.retrievalIndex);
+      }
 
       // Create version history for all sections (parallel)
       await createInitialVersions(
         project._id,
         result.output,
         syncResult.currentCommit,
+        result.lastDocumentedRef,
+        target.buildId,
       );
 
       finishJob(jobId, {
@@ -1096,7 +1969,7 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
       // Shouldn't happen — guard against malformed sync result
       const errorMsg = "Sync returned no update payload";
       console.error(`[sync:${jobId}] ${errorMsg}`);
-      await Project.findByIdAndUpdate(project._id, {
+      await target.Model.findByIdAndUpdate(target.id, {
         status: "error",
         errorMessage: errorMsg,
       });
@@ -1108,7 +1981,7 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
       `[sync:${jobId}] Incremental sync successful · ${syncResult.sectionsRegenerated?.length || 0} sections updated`,
     );
 
-    await Project.findByIdAndUpdate(project._id, {
+    await target.Model.findByIdAndUpdate(target.id, {
       $set: {
         ..._update,
         status: "done",
@@ -1120,6 +1993,15 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
           project.architectureHint || _update.architectureHint || "",
       },
     });
+    if (!target.buildId) {
+      await recordSecurityHistory(project, _update, { trigger });
+      await refreshApiSpec(project._id, syncResult.apiDrift);
+      await saveChatIndex(
+        project._id,
+        syncResult.retrievalIndex,
+        project.chatSessionId,
+      );
+    }
 
     // Log non-fatal errors
     if (syncResult.errors?.length) {
@@ -1140,14 +2022,13 @@ async function runSync({ project, jobId, forceFullRun, webhookChangedFiles }) {
       changedFileCount: syncMeta.changedFileCount,
       removedFileCount: syncMeta.removedFileCount,
       totalDuration: syncMeta.totalDuration,
+      llmCache: syncMeta.llmCache,
       errors: syncResult.errors,
     });
   } catch (err) {
-    console.error(`[sync:${jobId}] Fatal error:`, err);
-    await Project.findByIdAndUpdate(project._id, {
-      status: "error",
-      errorMessage: err.message,
-    });
-    failJob(jobId, err);
+    // Unexpected — rethrow so the job queue retries with backoff
+    // (or settles the cancellation)
+    if (!signal?.aborted) console.error(`[sync:${jobId}] Fatal error:`, err);
+    throw err;
   }
 }
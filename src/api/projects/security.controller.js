@@ -0,0 +1,115 @@
+// =============================================================
+// Security Controller — finding triage.
+//
+// Routes (mounted under /projects/:id/security):
+//   GET    /findings                  listFindings (?state=)
+//   GET    /findings/:fingerprint     getFinding
+//   PATCH  /findings/:fingerprint     triageFinding { state, note?, expiresAt? }
+//   DELETE /findings/:fingerprint     resetFinding (back to open)
+//   GET    /history                   getHistory (?limit=&since=)
+//
+// Also GET /projects/:id/export/sarif → exportSarif
+// =============================================================
+
+import * as securityService from "./security.service.js";
+import { ok, fail, serverError } from "../../utils/response.util.js";
+
+function handleError(res, err, label) {
+  if (err.code && err.status)
+    return fail(res, err.code, err.message, err.status);
+  return serverError(res, err, label);
+}
+
+// ── GET /projects/:id/security/findings ───────────────────────
+export async function listFindings(req, res) {
+  try {
+    const result = await securityService.listFindings({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      state: req.query.state,
+    });
+    return ok(res, result);
+  } catch (err) {
+    return handleError(res, err, "listFindings");
+  }
+}
+
+// ── GET /projects/:id/security/findings/:fingerprint ──────────
+export async function getFinding(req, res) {
+  try {
+    const finding = await securityService.getFinding({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      fingerprint: req.params.fingerprint,
+    });
+    return ok(res, { finding });
+  } catch (err) {
+    return handleError(res, err, "getFinding");
+  }
+}
+
+// ── PATCH /projects/:id/security/findings/:fingerprint ────────
+// Body: { state, note?, expiresAt? }
+export async function triageFinding(req, res) {
+  try {
+    const result = await securityService.triageFinding({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      fingerprint: req.params.fingerprint,
+      state: req.body.state,
+      note: req.body.note,
+      expiresAt: req.body.expiresAt,
+    });
+    return ok(res, result, "Finding triaged.");
+  } catch (err) {
+    return handleError(res, err, "triageFinding");
+  }
+}
+
+// ── DELETE /projects/:id/security/findings/:fingerprint ───────
+export async function resetFinding(req, res) {
+  try {
+    const result = await securityService.resetFinding({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      fingerprint: req.params.fingerprint,
+    });
+    return ok(res, result, "Finding reset to open.");
+  } catch (err) {
+    return handleError(res, err, "resetFinding");
+  }
+}
+
+// ── GET /projects/:id/security/history ────────────────────────
+export async function getHistory(req, res) {
+  try {
+    const result = await securityService.getHistory({
+      projectId: req.params.id,
+      userId: req.user.userId,
+      limit: req.query.limit,
+      since: req.query.since,
+    });
+    return ok(res, result);
+  } catch (err) {
+    return handleError(res, err, "getHistory");
+  }
+}
+
+// ── GET /projects/:id/export/sarif ────────────────────────────
+// SARIF 2.1.0 log of the security findings, as a download.
+export async function exportSarif(req, res) {
+  try {
+    const { sarif, repoName } = await securityService.exportSarif({
+      projectId: req.params.id,
+      userId: req.user.userId,
+    });
+    res.setHeader("Content-Type", "application/sarif+json");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${repoName || "project"}-security.sarif"`,
+    );
+    res.send(JSON.stringify(sarif, null, 2));
+  } catch (err) {
+    return handleError(res, err, "exportSarif");
+  }
+}
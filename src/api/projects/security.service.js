@@ -0,0 +1,321 @@
+// =============================================================
+// Security finding triage — per-project state on audit findings.
+//
+// Exports:
+//   listFindings    — current findings with their triage (viewer+)
+//   getFinding      — one finding by fingerprint (viewer+)
+//   triageFinding   — set state / note / expiry (editor+)
+//   resetFinding    — drop the triage entry, back to open (editor+)
+//   exportSarif     — findings as a SARIF 2.1.0 log (viewer+)
+//   getHistory      — score trend, one entry per run (viewer+)
+//
+// Triage lives on Project.securityTriage, keyed by finding
+// fingerprint (services/security-findings.service.js), so it
+// survives full and incremental syncs. Changing it re-scores
+// project.security straight away; the Markdown security report is
+// regenerated on the next sync.
+// =============================================================
+
+import { Project } from "../../models/Project.js";
+import { getShareRole } from "./share.service.js";
+import {
+  applyTriage,
+  scoreFindings,
+  withPermalinks,
+} from "../../services/security-findings.service.js";
+import { openRepo } from "../../services/sources/index.js";
+import { buildSarifLog } from "../../services/sarif.service.js";
+import { listSecurityHistory } from "../../services/security-history.service.js";
+
+// ─────────────────────────────────────────────────────────────
+// Internal helpers
+// ─────────────────────────────────────────────────────────────
+
+function domainError(msg, code, status = 400) {
+  const e = new Error(msg);
+  e.code = code;
+  e.status = status;
+  return e;
+}
+
+async function assertRole(projectId, userId, { write = false } = {}) {
+  const role = await getShareRole(projectId, userId);
+  if (!role)
+    throw domainError("Project not found.", "PROJECT_NOT_FOUND", 404);
+  if (write && role === "viewer")
+    throw domainError("Viewers cannot triage findings.", "FORBIDDEN", 403);
+  return role;
+}
+
+async function loadProject(projectId) {
+  const project = await Project.findById(projectId).select("+agentOutputs");
+  if (!project)
+    throw domainError("Project not found.", "PROJECT_NOT_FOUND", 404);
+  return project;
+}
+
+/** Links to the documented commit; null when the source can't be opened. */
+function permalinkerFor(project) {
+  if (!project.lastDocumentedCommit) return null;
+  try {
+    const source = openRepo(project.repoUrl, { provider: project.provider });
+    return (path, location) =>
+      source.permalink(project.lastDocumentedCommit, path, location);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The project's current findings, annotated with fingerprint, triage
+ * state and permalink. agentOutputs keeps up to 200; projects
+ * documented before agentOutputs existed only have the top 50 in
+ * `security`.
+ */
+function currentFindings(project) {
+  const stored = project.agentOutputs?.findings?.length
+    ? project.agentOutputs.findings
+    : project.security?.findings || [];
+  return applyTriage(
+    withPermalinks(stored, permalinkerFor(project)),
+    project.securityTriage,
+    { reportedAt: null },
+  );
+}
+
+function serializeDecision(entry) {
+  if (!entry) return null;
+  return {
+    state: entry.state,
+    note: entry.note || "",
+    expiresAt: entry.expiresAt || null,
+    updatedBy: entry.updatedBy || null,
+    updatedAt: entry.updatedAt || null,
+  };
+}
+
+function withDecision(finding, triage) {
+  const entry = triage.find((t) => t.fingerprint === finding.fingerprint);
+  return { ...finding, decision: serializeDecision(entry) };
+}
+
+/** Re-score project.security from the findings under the new triage. */
+async function rescore(projectId) {
+  const project = await loadProject(projectId);
+  const { findings, active, suppressed } = currentFindings(project);
+  const { score, grade, counts } = scoreFindings(active);
+
+  await Project.findByIdAndUpdate(projectId, {
+    $set: {
+      "security.score": score,
+      "security.grade": grade,
+      "security.counts": counts,
+      "security.suppressed": suppressed.length,
+      "security.findings": findings.slice(0, 50),
+    },
+  });
+
+  return {
+    project,
+    findings,
+    security: { score, grade, counts, suppressed: suppressed.length },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ projectId, userId, state? }} opts
+ *   state — only findings currently in this triage state
+ * @returns {{ findings, triage, security }}
+ *   triage — every stored decision, including ones whose finding
+ *            is no longer reported
+ */
+export async function listFindings({ projectId, userId, state }) {
+  await assertRole(projectId, userId);
+  const project = await loadProject(projectId);
+  const triage = project.securityTriage || [];
+  const { findings } = currentFindings(project);
+
+  const visible = state ? findings.filter((f) => f.triage === state) : findings;
+
+  return {
+    findings: visible.map((f) => withDecision(f, triage)),
+    triage: triage.map((entry) => ({
+      fingerprint: entry.fingerprint,
+      ruleId: entry.ruleId,
+      file: entry.file,
+      title: entry.title,
+      ...serializeDecision(entry),
+    })),
+    security: {
+      score: project.security?.score ?? 100,
+      grade: project.security?.grade ?? "A",
+      counts: project.security?.counts,
+      suppressed: project.security?.suppressed ?? 0,
+    },
+  };
+}
+
+/**
+ * @param {{ projectId, userId, fingerprint }} opts
+ * @returns {object} finding with its `decision`
+ */
+export async function getFinding({ projectId, userId, fingerprint }) {
+  await assertRole(projectId, userId);
+  const project = await loadProject(projectId);
+  const finding = currentFindings(project).findings.find(
+    (f) => f.fingerprint === fingerprint,
+  );
+  if (!finding)
+    throw domainError("Finding not found.", "FINDING_NOT_FOUND", 404);
+  return withDecision(finding, project.securityTriage || []);
+}
+
+/**
+ * Record a triage decision. "open" clears any stored decision.
+ *
+ * @param {{ projectId, userId, fingerprint, state, note?, expiresAt? }} opts
+ *   expiresAt — required (and in the future) for accepted_risk,
+ *               ignored otherwise
+ * @returns {{ finding, security }}
+ */
+export async function triageFinding({
+  projectId,
+  userId,
+  fingerprint,
+  state,
+  note,
+  expiresAt,
+}) {
+  await assertRole(projectId, userId, { write: true });
+
+  if (state === "accepted_risk") {
+    if (!expiresAt || new Date(expiresAt) <= new Date())
+      throw domainError(
+        "Accepting a risk needs an expiresAt date in the future.",
+        "INVALID_EXPIRY",
+        400,
+      );
+  }
+
+  const project = await loadProject(projectId);
+  const finding = currentFindings(project).findings.find(
+    (f) => f.fingerprint === fingerprint,
+  );
+  if (!finding)
+    throw domainError("Finding not found.", "FINDING_NOT_FOUND", 404);
+
+  await Project.updateOne(
+    { _id: projectId },
+    { $pull: { securityTriage: { fingerprint } } },
+  );
+  if (state !== "open") {
+    await Project.updateOne(
+      { _id: projectId },
+      {
+        $push: {
+          securityTriage: {
+            fingerprint,
+            state,
+            ruleId: finding.id,
+            file: finding.file,
+            title: finding.title,
+            note: note || undefined,
+            expiresAt: state === "accepted_risk" ? expiresAt : undefined,
+            updatedBy: userId,
+            updatedAt: new Date(),
+          },
+        },
+      },
+    );
+  }
+
+  const rescored = await rescore(projectId);
+  return {
+    finding: withDecision(
+      rescored.findings.find((f) => f.fingerprint === fingerprint),
+      rescored.project.securityTriage || [],
+    ),
+    security: rescored.security,
+  };
+}
+
+/**
+ * Remove the triage decision for a fingerprint — also works once the
+ * finding is no longer reported, to clear out old decisions.
+ *
+ * @returns {{ security }}
+ */
+export async function resetFinding({ projectId, userId, fingerprint }) {
+  await assertRole(projectId, userId, { write: true });
+
+  const res = await Project.updateOne(
+    { _id: projectId, "securityTriage.fingerprint": fingerprint },
+    { $pull: { securityTriage: { fingerprint } } },
+  );
+  if (!res.modifiedCount)
+    throw domainError(
+      "No triage decision for this finding.",
+      "FINDING_NOT_FOUND",
+      404,
+    );
+
+  const { security } = await rescore(projectId);
+  return { security };
+}
+
+/**
+ * All stored findings (up to 200) as a SARIF log, triage as
+ * suppressions.
+ *
+ * @returns {{ sarif: object, repoName: string }}
+ */
+export async function exportSarif({ projectId, userId }) {
+  await assertRole(projectId, userId);
+  const project = await loadProject(projectId);
+  if (project.security?.score == null)
+    throw domainError(
+      "No security audit has completed yet.",
+      "PROJECT_NOT_READY",
+      409,
+    );
+
+  const { findings } = currentFindings(project);
+  return {
+    sarif: buildSarifLog({
+      project,
+      findings,
+      triage: project.securityTriage || [],
+    }),
+    repoName: project.repoName,
+  };
+}
+
+/**
+ * Score, grade and severity counts after each full run and sync,
+ * newest first. Triage changes between runs are not entries — they
+ * show up in the next run's numbers.
+ *
+ * @param {{ projectId, userId, limit?, since? }} opts
+ * @returns {{ history: object[], current: object }}
+ */
+export async function getHistory({ projectId, userId, limit, since }) {
+  await assertRole(projectId, userId);
+  const project = await Project.findById(projectId).select("security");
+  if (!project)
+    throw domainError("Project not found.", "PROJECT_NOT_FOUND", 404);
+
+  const history = await listSecurityHistory(project._id, { limit, since });
+  return {
+    history: history.map(({ _id, ...entry }) => ({ id: _id, ...entry })),
+    current: {
+      score: project.security?.score ?? null,
+      grade: project.security?.grade ?? null,
+      counts: project.security?.counts,
+      suppressed: project.security?.suppressed ?? 0,
+    },
+  };
+}
@@ -4,8 +4,9 @@
 // Route map:
 //   /auth          — authentication & session management
 //   /github        — GitHub OAuth + repository access
+//   /sources       — repository sources: OAuth + repo listing per host
 //   /projects      — project CRUD + pipeline + SSE stream + exports
-//   /webhook       — user-level GitHub webhooks + billing webhooks
+//   /webhook       — user-level push webhooks per source + billing webhooks
 //   /document      — legacy document processing (backward compatibility)
 //   /stream        — SSE streaming for jobs (backward compatibility)
 //   /chat          — chat service
@@ -15,6 +16,7 @@
 import { Router } from "express";
 import authRoutes from "./auth/auth.routes.js";
 import githubRoutes from "./github/github.routes.js";
+import sourceRoutes from "./sources/sources.routes.js";
 import projectRoutes from "./projects/project.routes.js";
 import portalRoutes from "./portal/portal.routes.js";
 import billingRoutes from "./billing/billing.routes.js";
@@ -29,6 +31,7 @@ const router = Router();
 
 router.use("/auth", authRoutes);
 router.use("/github", githubRoutes);
+router.use("/sources", sourceRoutes);
 router.use("/projects", projectRoutes);
 router.use("/portal", portalRoutes); // public — no auth
 router.use("/billing", billingRoutes);
@@ -103,6 +106,7 @@ export async function loadServices() {
 }
 
 router.post("/webhook/github", handleWebhook);
+router.post("/webhook/:source(gitlab|bitbucket|git|local)", handleWebhook);
 
 // ── Flutterwave Webhook ────────────────────────────────────────────
 router.post("/webhook/flutterwave", handleFlutterwaveWebhook);
@@ -0,0 +1,127 @@
+// ===================================================================
+// Thin HTTP layer — calls sources.service.js, formats responses.
+// ===================================================================
+
+import * as sourcesService from "./sources.service.js";
+import { ok, fail, serverError } from "../../utils/response.util.js";
+
+function handleErr(res, err, ctx) {
+  if (err.code && err.status)
+    return fail(res, err.code, err.message, err.status);
+  return serverError(res, err, ctx);
+}
+
+// ── GET /sources ──────────────────────────────────────────────
+export async function listSources(req, res) {
+  try {
+    const sources = await sourcesService.listConnections(req.user.userId);
+    return ok(res, { sources });
+  } catch (err) {
+    return handleErr(res, err, "listSources");
+  }
+}
+
+// ── GET /sources/:provider/oauth/start ────────────────────────
+// Returns the authorization URL as JSON — see GET /github/oauth/start
+// for why this is not a redirect.
+export async function oauthStart(req, res) {
+  try {
+    const url = sourcesService.buildOAuthUrl(
+      req.user.userId,
+      req.params.provider,
+    );
+    return ok(res, { url }, "Redirect to this URL to authorise access.");
+  } catch (err) {
+    if (err.message?.includes("GITHUB_CLIENT_ID"))
+      return fail(res, "SOURCE_NOT_CONFIGURED", err.message, 503);
+    return handleErr(res, err, "oauthStart");
+  }
+}
+
+// ── GET /sources/:provider/oauth/callback ─────────────────────
+// Browser navigation from the host — no Bearer token. User identity
+// comes from the signed `state` JWT set in oauthStart.
+//
+// Redirects the popup to the SPA's /sources/oauth/complete page,
+// which postMessages the result to the parent window.
+export async function oauthCallback(req, res) {
+  const frontendUrl = process.env.FRONTEND_URL || "";
+  const { provider } = req.params;
+  const { code, state, error: oauthError } = req.query;
+  const complete = (params) =>
+    res.redirect(
+      `${frontendUrl}/sources/oauth/complete?${new URLSearchParams({ provider, ...params })}`,
+    );
+
+  if (oauthError)
+    return complete({ status: "error", msg: `Access denied: ${oauthError}` });
+  if (!code || !state)
+    return complete({
+      status: "error",
+      msg: "Missing code or state — please try again.",
+    });
+
+  try {
+    const { username } = await sourcesService.handleOAuthCallback({
+      provider,
+      code,
+      state,
+    });
+    return complete({ status: "connected", user: username });
+  } catch (err) {
+    return complete({
+      status: "error",
+      msg: err.message || "Connection failed.",
+    });
+  }
+}
+
+// ── GET /sources/:provider/repos ──────────────────────────────
+export async function listRepos(req, res) {
+  const page = Math.max(1, parseInt(req.query.page || "1", 10));
+  const perPage = Math.min(
+    100,
+    Math.max(1, parseInt(req.query.perPage || "30", 10)),
+  );
+
+  try {
+    const result = await sourcesService.getUserRepos(
+      req.user.userId,
+      req.params.provider,
+      {
+        page,
+        perPage,
+        type: req.query.type || "all",
+        sort: req.query.sort || "updated",
+        org: req.query.org || null,
+      },
+    );
+    return ok(res, result);
+  } catch (err) {
+    return handleErr(res, err, "listRepos");
+  }
+}
+
+// ── GET /sources/:provider/status ─────────────────────────────
+export async function connectionStatus(req, res) {
+  try {
+    const status = await sourcesService.getConnectionStatus(
+      req.user.userId,
+      req.params.provider,
+    );
+    if (!status) return ok(res, { connected: false });
+    return ok(res, status);
+  } catch (err) {
+    return handleErr(res, err, "connectionStatus");
+  }
+}
+
+// ── DELETE /sources/:provider/disconnect ──────────────────────
+export async function disconnect(req, res) {
+  try {
+    await sourcesService.disconnect(req.user.userId, req.params.provider);
+    return ok(res, null, "Account disconnected.");
+  } catch (err) {
+    return handleErr(res, err, "disconnect");
+  }
+}
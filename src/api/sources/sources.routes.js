@@ -0,0 +1,36 @@
+// ===================================================================
+// Repository sources — account connections and repo listing for the
+// repo picker, per provider (github | gitlab | bitbucket).
+//
+// Route ordering mirrors github.routes.js:
+//
+//   /:provider/oauth/callback — PUBLIC, no Bearer token. Identity is
+//     carried in the signed `state` JWT. Must come BEFORE
+//     router.use(protect) or it will 401.
+//
+//   All other routes — require valid Bearer access token + API rate limit.
+// ===================================================================
+
+import { Router } from "express";
+import * as ctrl from "./sources.controller.js";
+import { protect } from "../../middleware/auth.middleware.js";
+import { apiLimiter } from "../../middleware/rateLimiter.middleware.js";
+import { wrap } from "../../utils/response.util.js";
+
+const router = Router();
+
+const PROVIDER = ":provider(github|gitlab|bitbucket|git|local)";
+
+// ── Public (no auth) — identity via state JWT ─────────────────
+router.get(`/${PROVIDER}/oauth/callback`, wrap(ctrl.oauthCallback));
+
+// ── Protected — access token + rate limit ─────────────────────
+router.use(protect, apiLimiter);
+
+router.get("/", wrap(ctrl.listSources));
+router.get(`/${PROVIDER}/oauth/start`, wrap(ctrl.oauthStart));
+router.get(`/${PROVIDER}/repos`, wrap(ctrl.listRepos));
+router.get(`/${PROVIDER}/status`, wrap(ctrl.connectionStatus));
+router.delete(`/${PROVIDER}/disconnect`, wrap(ctrl.disconnect));
+
+export default router;
@@ -0,0 +1,284 @@
+// ===================================================================
+// Repository source connections — OAuth and repo listing per host.
+//
+// GitHub delegates to api/github (its token model and routes predate
+// sources and stay as they are). GitLab and Bitbucket use the OAuth
+// methods on their source (services/sources) and store tokens in
+// SourceToken. The "git" and "local" sources have no accounts —
+// projects on them are created from a URL.
+//
+// Ingestion does not use these tokens: pipelines read repositories
+// with the server-side credentials of each source (GITHUB_TOKEN,
+// GITLAB_TOKEN, BITBUCKET_TOKEN, …).
+//
+// Required env (per provider, read at call time):
+//   <PROVIDER>_CLIENT_ID / _CLIENT_SECRET / _REDIRECT_URI
+//   JWT_ACCESS_SECRET — reused as OAuth state JWT secret (10-min expiry)
+// ===================================================================
+
+import jwt from "jsonwebtoken";
+
+import { SourceToken } from "../../models/SourceToken.js";
+import { encrypt, decrypt } from "../../utils/crypto.util.js";
+import { getSource, listSources } from "../../services/sources/index.js";
+import * as githubService from "../github/github.service.js";
+
+// Refresh this long before the host says the token expires
+const REFRESH_MARGIN_MS = 60_000;
+
+// ── Internal helpers ──────────────────────────────────────────
+
+function sourceError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/** JWT secret for signing the OAuth state parameter. */
+function getStateSecret() {
+  const secret = process.env.JWT_ACCESS_SECRET;
+  if (!secret) throw new Error("JWT_ACCESS_SECRET must be set in .env");
+  return secret;
+}
+
+/** Source with an OAuth app configured, or a typed error. */
+function oauthSource(provider) {
+  const source = getSource(provider);
+  if (!source.oauth)
+    throw sourceError(
+      `The ${source.label} source has no account connection — add repositories by URL.`,
+      "SOURCE_OAUTH_UNSUPPORTED",
+      400,
+    );
+  const config = source.oauth.config();
+  if (!config)
+    throw sourceError(
+      `${provider.toUpperCase()}_CLIENT_ID and ${provider.toUpperCase()}_CLIENT_SECRET must be set in .env`,
+      "SOURCE_NOT_CONFIGURED",
+      503,
+    );
+  return { source, config };
+}
+
+function expiryDate(expiresIn) {
+  return expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+}
+
+/**
+ * Decrypted access token for a connection, refreshed first when it
+ * has expired (or is about to).
+ */
+async function getAccessToken(userId, provider) {
+  const record = await SourceToken.findOne({ userId, provider }).select(
+    "+accessTokenEncrypted +refreshTokenEncrypted",
+  );
+  if (!record)
+    throw sourceError(
+      `No ${provider} account connected. Please connect via GET /sources/${provider}/oauth/start.`,
+      "SOURCE_NOT_CONNECTED",
+      403,
+    );
+
+  const expired =
+    record.expiresAt &&
+    record.expiresAt.getTime() - REFRESH_MARGIN_MS < Date.now();
+  if (!expired) return decrypt(record.accessTokenEncrypted);
+
+  const { source, config } = oauthSource(provider);
+  if (!record.refreshTokenEncrypted || !source.oauth.refresh)
+    throw sourceError(
+      `The ${source.label} connection has expired. Please reconnect.`,
+      "SOURCE_NOT_CONNECTED",
+      403,
+    );
+
+  const tokens = await source.oauth.refresh(
+    config,
+    decrypt(record.refreshTokenEncrypted),
+  );
+  record.accessTokenEncrypted = encrypt(tokens.accessToken);
+  record.refreshTokenEncrypted = tokens.refreshToken
+    ? encrypt(tokens.refreshToken)
+    : null;
+  record.expiresAt = expiryDate(tokens.expiresIn);
+  await record.save();
+
+  return tokens.accessToken;
+}
+
+// ── Sources overview ──────────────────────────────────────────
+
+/**
+ * Sources offered by this deployment, with the user's connection
+ * status for each.
+ * @param {string} userId
+ */
+export async function listConnections(userId) {
+  const [github, records] = await Promise.all([
+    githubService.getConnectionStatus(userId),
+    SourceToken.find({ userId }).lean(),
+  ]);
+  const byProvider = new Map(records.map((r) => [r.provider, r]));
+
+  return listSources().map((source) => {
+    const record = byProvider.get(source.name);
+    const connection =
+      source.name === "github"
+        ? github
+        : record && {
+            connected: true,
+            username: record.username,
+            scopes: record.scopes,
+            connectedAt: record.connectedAt,
+          };
+    return { ...source, connection: connection || { connected: false } };
+  });
+}
+
+// ── OAuth Step 1: Build authorisation URL ─────────────────────
+
+/**
+ * Authorisation URL for a provider. `state` is a short-lived signed
+ * JWT carrying the userId and provider (CSRF protection, no
+ * server-side state).
+ *
+ * @param {string} userId
+ * @param {string} provider
+ * @returns {string}
+ */
+export function buildOAuthUrl(userId, provider) {
+  if (provider === "github") return githubService.buildOAuthUrl(userId);
+
+  const { source, config } = oauthSource(provider);
+  const state = jwt.sign({ userId, provider }, getStateSecret(), {
+    expiresIn: "10m",
+  });
+  return source.oauth.authorizeUrl(config, state);
+}
+
+// ── OAuth Step 2: Exchange code → token ───────────────────────
+
+/**
+ * Complete the OAuth flow: verify state, exchange the code, fetch the
+ * account and persist the encrypted tokens.
+ *
+ * @param {{ provider: string, code: string, state: string }}
+ * @returns {{ username: string }}
+ */
+export async function handleOAuthCallback({ provider, code, state }) {
+  if (provider === "github") {
+    const { githubUsername } = await githubService.handleOAuthCallback({
+      code,
+      state,
+    });
+    return { username: githubUsername };
+  }
+
+  const { source, config } = oauthSource(provider);
+
+  let statePayload;
+  try {
+    statePayload = jwt.verify(state, getStateSecret());
+  } catch {
+    statePayload = null;
+  }
+  if (statePayload?.provider !== provider)
+    throw sourceError(
+      "Invalid or expired OAuth state. Please start the OAuth flow again.",
+      "INVALID_OAUTH_STATE",
+      400,
+    );
+
+  let tokens;
+  try {
+    tokens = await source.oauth.exchangeCode(config, code);
+  } catch (err) {
+    throw sourceError(
+      `${source.label} OAuth error: ${err.response?.data?.error_description || err.message}`,
+      "OAUTH_EXCHANGE_FAILED",
+      400,
+    );
+  }
+
+  const account = await source.oauth.fetchAccount(tokens.accessToken);
+
+  await SourceToken.findOneAndUpdate(
+    { userId: statePayload.userId, provider },
+    {
+      userId: statePayload.userId,
+      provider,
+      accessTokenEncrypted: encrypt(tokens.accessToken),
+      refreshTokenEncrypted: tokens.refreshToken
+        ? encrypt(tokens.refreshToken)
+        : null,
+      expiresAt: expiryDate(tokens.expiresIn),
+      scopes: tokens.scopes || [],
+      accountId: account.id,
+      username: account.username,
+      email: account.email,
+      connectedAt: new Date(),
+    },
+    { upsert: true, new: true },
+  );
+
+  return { username: account.username };
+}
+
+// ── Get user repositories ─────────────────────────────────────
+
+/**
+ * Repositories the user can access on a provider.
+ * @param {string} userId
+ * @param {string} provider
+ * @param {{ page, perPage, type, sort, org }} opts — type/sort/org are GitHub-only
+ * @returns {{ repos, page, perPage, hasNextPage }}
+ */
+export async function getUserRepos(userId, provider, opts = {}) {
+  if (provider === "github") return githubService.getUserRepos(userId, opts);
+
+  const { page = 1, perPage = 30 } = opts;
+  const { source } = oauthSource(provider);
+  const token = await getAccessToken(userId, provider);
+  const { repos, hasNextPage } = await source.oauth.listRepos(token, {
+    page,
+    perPage,
+  });
+  return { repos, page, perPage, hasNextPage };
+}
+
+// ── Connection status ─────────────────────────────────────────
+
+/**
+ * Public connection metadata for a provider, or null if not connected.
+ * @param {string} userId
+ * @param {string} provider
+ */
+export async function getConnectionStatus(userId, provider) {
+  if (provider === "github") return githubService.getConnectionStatus(userId);
+
+  getSource(provider);
+  const record = await SourceToken.findOne({ userId, provider });
+  if (!record) return null;
+  return {
+    connected: true,
+    username: record.username,
+    scopes: record.scopes,
+    expiresAt: record.expiresAt,
+    connectedAt: record.connectedAt,
+  };
+}
+
+// ── Disconnect ────────────────────────────────────────────────
+
+/**
+ * Remove the stored tokens for a provider.
+ * @param {string} userId
+ * @param {string} provider
+ */
+export async function disconnect(userId, provider) {
+  if (provider === "github") return githubService.disconnectGitHub(userId);
+
+  getSource(provider);
+  await SourceToken.findOneAndDelete({ userId, provider });
+}
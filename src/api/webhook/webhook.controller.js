@@ -1,7 +1,8 @@
 // =============================================================
 // Webhook Handler Controller
 // =============================================================
-// Processes incoming GitHub webhooks at the user account level.
+// Processes incoming push webhooks at the user account level, from
+// every repository source (GitHub, GitLab, Bitbucket, plain git).
 //
 // Architecture:
 //   - One shared webhook secret per user (stored in User document)
@@ -9,7 +10,8 @@
 //   - Single global endpoint for all user webhooks
 //
 // Routes:
-//   POST /webhook             — GitHub push webhook (user-level)
+//   POST /webhook/github      — GitHub push webhook (user-level)
+//   POST /webhook/:source     — gitlab | bitbucket | git | local
 //   POST /webhook/flutterwave — Flutterwave billing webhook
 // =============================================================
 
@@ -28,10 +30,12 @@ export function registerWebhookHandlers(globalHook, flutterwaveHook) {
 }
 
 /**
- * POST /webhook
+ * POST /webhook/github
+ * POST /webhook/:source
  *
- * Handle incoming GitHub webhook from user's repositories.
- * Validates HMAC signature using the user's webhook secret.
+ * Handle an incoming push webhook from the user's repositories.
+ * Validates the signature (or token) using the user's webhook secret
+ * — each source checks its own header.
  * Extracts repo URL from payload and identifies matching project.
  * Triggers incremental sync for the matched project.
  *
@@ -54,13 +58,17 @@ export async function handleWebhook(req, res) {
   }
 
   try {
-    const payload = req.body;
-    const rawSig = req.headers["x-hub-signature-256"];
-    const signature = Array.isArray(rawSig) ? rawSig[0] : rawSig || "";
+    const headers = Object.fromEntries(
+      Object.entries(req.headers).map(([k, v]) => [
+        k,
+        Array.isArray(v) ? v[0] : v,
+      ]),
+    );
 
     const result = await _handleGlobalWebhook({
-      payload,
-      signature,
+      payload: req.body,
+      headers,
+      provider: req.params.source || "github",
     });
 
     res.status(result.status).json(result.body);
@@ -5,7 +5,10 @@ import cookieParser from "cookie-parser";
 
 import { connectDB } from "./config/db.js";
 import apiRouter, { loadServices } from "./api/router.js";
-import { recoverOrphanedJobs } from "./api/projects/project.service.js";
+import {
+  recoverOrphanedJobs,
+  startPipelineWorker,
+} from "./api/projects/project.service.js";
 import { startBillingCron } from "./services/cron.service.js";
 
 const app = express();
@@ -22,7 +25,8 @@ let initialized = false;
 /**
  * Initialize once per cold start (serverless-safe).
  * After DB connects, recover any projects that were left in
- * "running"/"queued" state from a previous server instance.
+ * "running"/"queued" state from a previous server instance, then
+ * start the durable job worker that resumes or runs queued pipelines.
  * Load services (orchestrator, chat, webhook, etc).
  */
 async function initOnce() {
@@ -33,6 +37,9 @@ async function initOnce() {
   // Best-effort recovery — don't block the request if it fails
   await recoverOrphanedJobs();
 
+  // Claims queued jobs and jobs whose instance died mid-run
+  startPipelineWorker();
+
   // Load optional services (webhook, chat, export, etc)
   await loadServices();
 
@@ -85,7 +92,16 @@ app.use(
 // Webhook routes need the raw Buffer for signature verification —
 // must be registered BEFORE express.json() consumes the body.
 // The /webhook/github prefix covers both GitHub and Flutterwave webhooks,
-app.use("/webhook/github", express.raw({ type: "*/*", limit: "10mb" }));
+app.use(
+  [
+    "/webhook/github",
+    "/webhook/gitlab",
+    "/webhook/bitbucket",
+    "/webhook/git",
+    "/webhook/local",
+  ],
+  express.raw({ type: "*/*", limit: "10mb" }),
+);
 
 app.use(express.json({ limit: "1mb" }));
 app.use(cookieParser());
@@ -104,6 +120,7 @@ app.get("/health/check", (_req, res) => {
   res.json({
     env: process.env.NODE_ENV || "(not set)",
     frontend_url: process.env.FRONTEND_URL || "(not set)",
+    llm_provider: process.env.LLM_PROVIDER || "groq",
     vars: {
       MONGODB_URI: check("MONGODB_URI"),
       JWT_ACCESS_SECRET: check("JWT_ACCESS_SECRET"),
@@ -114,6 +131,8 @@ app.get("/health/check", (_req, res) => {
       GITHUB_REDIRECT_URI: check("GITHUB_REDIRECT_URI"),
       FRONTEND_URL: check("FRONTEND_URL"),
       GROQ_API_KEY: check("GROQ_API_KEY"),
+      OPENAI_API_KEY: check("OPENAI_API_KEY"),
+      ANTHROPIC_API_KEY: check("ANTHROPIC_API_KEY"),
     },
   });
 });
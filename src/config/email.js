@@ -126,6 +126,77 @@ export async function sendProjectInviteEmail({
   });
 }
 
+// ── Security email senders ────────────────────────────────────
+
+/**
+ * Tell a project owner that a push made the security audit worse.
+ * previousGrade is set only when the grade dropped; newCritical lists
+ * up to a handful of new CRITICAL findings ({ title, file, line?,
+ * permalink? }), moreCritical counts the rest.
+ */
+export async function sendSecurityRegressionEmail({
+  to,
+  name,
+  projectId,
+  projectName,
+  score,
+  previousGrade,
+  grade,
+  commitSha,
+  newCritical = [],
+  moreCritical = 0,
+}) {
+  const link = `${FRONTEND_URL}/projects/${projectId}`;
+  const commit = commitSha ? ` at ${commitSha.slice(0, 8)}` : "";
+  const total = newCritical.length + moreCritical;
+  const headline = previousGrade
+    ? `Security grade dropped from ${previousGrade} to ${grade}`
+    : `${total} new critical security finding${total === 1 ? "" : "s"}`;
+  const where = (f) => `${f.file}${f.line ? `:${f.line}` : ""}`;
+
+  const textList = newCritical
+    .map(
+      (f) =>
+        `  - ${f.title} (${where(f)})` +
+        (f.permalink ? `\n    ${f.permalink}` : ""),
+    )
+    .join("\n");
+  const htmlList = newCritical
+    .map((f) => {
+      const file = escapeHtml(where(f));
+      const loc = f.permalink
+        ? `<a href="${escapeHtml(f.permalink)}" style="color:#58a6ff">${file}</a>`
+        : file;
+      return `<li><strong>${escapeHtml(f.title)}</strong><br><code>${loc}</code></li>`;
+    })
+    .join("");
+  const more = moreCritical ? `…and ${moreCritical} more.` : "";
+
+  await getTransporter().sendMail({
+    from: FROM,
+    to,
+    subject: `${projectName}: ${headline}`,
+    text: [
+      `Hi ${name},`,
+      `The security audit of the latest push to ${projectName}${commit} found a regression. ${headline}. Score: ${score}/100 (${grade}).`,
+      total
+        ? `New critical findings:\n${textList}${more ? `\n  ${more}` : ""}`
+        : "",
+      `Review the security report:\n${link}`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    html: emailTemplate({
+      title: `Security regression in ${escapeHtml(projectName)}`,
+      body: `<p>Hi <strong>${name}</strong>,</p><p>The security audit of the latest push to <strong>${escapeHtml(projectName)}</strong>${commit} found a regression. ${headline}. The score is now <strong>${score}/100 (${grade})</strong>.</p>${total ? `<p>New critical findings:</p><ul>${htmlList}</ul>${more ? `<p>${more}</p>` : ""}` : ""}`,
+      ctaText: "Review Findings",
+      ctaUrl: link,
+      footer:
+        "Sent for pushes that lower the grade or add a critical finding. Mark findings as triaged to stop them counting.",
+    }),
+  });
+}
+
 // ── Billing email senders ─────────────────────────────────────
 
 export async function sendTrialStartedEmail({
@@ -437,6 +508,16 @@ export async function sendCardExpiryWarningEmail({
   });
 }
 
+// Finding titles and paths come from scanned code — don't let them
+// inject markup
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 // ── Minimal branded HTML template ─────────────────────────────
 function emailTemplate({ title, body, ctaText, ctaUrl, footer }) {
   return `<!DOCTYPE html>
@@ -0,0 +1,240 @@
+// ===================================================================
+// Embedding Provider Registry
+// ===================================================================
+// Embedders turn text into vectors for the chat retrieval index
+// (services/retrieval.service.js). Same shape as the LLM registry:
+//
+//   {
+//     name, kind, model,
+//     id,                              // "<name>:<model>" — vectors from
+//                                      // different ids never mix
+//     isConfigured()  → boolean
+//     embed(texts, { signal }) → Promise<number[][]>
+//   }
+//
+// Kinds:
+//   local   — feature-hashed bag of words, no network. Deterministic:
+//             the same text always gives the same vector. The default,
+//             and the fallback whenever a remote embedder fails.
+//   openai  — any OpenAI-compatible /embeddings API
+//   ollama  — local Ollama HTTP server (/api/embed)
+//
+// Selection (read lazily):
+//   EMBEDDING_PROVIDER=local               default
+//   EMBEDDING_<PROVIDER>_MODEL             per-provider model override
+//   openai re-uses OPENAI_API_KEY / OPENAI_BASE_URL, ollama
+//   OLLAMA_BASE_URL
+// ===================================================================
+
+import axios from "axios";
+import OpenAI from "openai";
+
+export const DEFAULT_EMBEDDER = "local";
+
+const DEFINITIONS = {
+  local: {
+    kind: "local",
+    model: "hash-512",
+  },
+  openai: {
+    kind: "openai",
+    apiKeyEnv: "OPENAI_API_KEY",
+    baseURLEnv: "OPENAI_BASE_URL",
+    baseURL: "https://api.openai.com/v1",
+    model: "text-embedding-3-small",
+  },
+  ollama: {
+    kind: "ollama",
+    baseURLEnv: "OLLAMA_BASE_URL",
+    baseURL: "http://localhost:11434",
+    model: "nomic-embed-text",
+  },
+};
+
+export const EMBEDDER_NAMES = Object.keys(DEFINITIONS);
+
+function notConfigured(name, detail) {
+  const err = new Error(`Embedder "${name}" is not configured — ${detail}`);
+  err.code = "EMBEDDING_NOT_CONFIGURED";
+  return err;
+}
+
+// ── Kind: local feature hashing ───────────────────────────────
+// Identifiers are split (getUserById → get user by id) so a question
+// in prose meets the code that spells it in camelCase. Unigrams and
+// adjacent bigrams are hashed into a signed fixed-size vector with
+// sublinear term frequency.
+
+const LOCAL_DIMENSIONS = 512;
+
+const STOPWORDS = new Set(
+  "a an and are as at be by do does for from how i in is it of on or the this to what when where which who why with you".split(
+    " ",
+  ),
+);
+
+export function tokenize(text) {
+  return String(text ?? "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// FNV-1a, 32-bit
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function hashVector(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  const add = (feature, weight) =>
+    counts.set(feature, (counts.get(feature) ?? 0) + weight);
+  tokens.forEach((t, i) => {
+    add(t, 1);
+    if (i > 0) add(`${tokens[i - 1]} ${t}`, 0.5);
+  });
+
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  for (const [feature, tf] of counts) {
+    const h = hash(feature);
+    const sign = h & 0x80000000 ? -1 : 1;
+    vector[h % LOCAL_DIMENSIONS] += sign * (1 + Math.log(tf));
+  }
+  return vector;
+}
+
+function createLocalEmbedder() {
+  return {
+    isConfigured: () => true,
+    async embed(texts, { signal } = {}) {
+      signal?.throwIfAborted();
+      return texts.map(hashVector);
+    },
+  };
+}
+
+// ── Kind: OpenAI-compatible ───────────────────────────────────
+
+function createOpenAIEmbedder(name, def) {
+  let client = null;
+  const apiKey = () => process.env[def.apiKeyEnv];
+  const baseURL = () =>
+    (def.baseURLEnv && process.env[def.baseURLEnv]) || def.baseURL;
+
+  return {
+    isConfigured: () => !!apiKey(),
+    async embed(texts, { model, signal } = {}) {
+      if (!apiKey()) throw notConfigured(name, `set ${def.apiKeyEnv} in .env`);
+      if (!client)
+        client = new OpenAI({ apiKey: apiKey(), baseURL: baseURL() });
+      const response = await client.embeddings.create(
+        { model, input: texts },
+        { signal },
+      );
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map((d) => d.embedding);
+    },
+  };
+}
+
+// ── Kind: Ollama / local HTTP ─────────────────────────────────
+
+function createOllamaEmbedder(name, def) {
+  const baseURL = () =>
+    ((def.baseURLEnv && process.env[def.baseURLEnv]) || def.baseURL).replace(
+      /\/$/,
+      "",
+    );
+
+  return {
+    isConfigured: () => true,
+    async embed(texts, { model, signal } = {}) {
+      const { data } = await axios.post(
+        `${baseURL()}/api/embed`,
+        { model, input: texts },
+        { timeout: 120_000, signal },
+      );
+      return data.embeddings;
+    },
+  };
+}
+
+const FACTORIES = {
+  local: createLocalEmbedder,
+  openai: createOpenAIEmbedder,
+  ollama: createOllamaEmbedder,
+};
+
+// ── Registry ──────────────────────────────────────────────────
+
+const instances = new Map();
+
+/**
+ * Get an embedder by name. Throws EMBEDDING_UNKNOWN_PROVIDER for names
+ * that are not registered.
+ * @param {string} name
+ */
+export function getEmbedder(name) {
+  const def = DEFINITIONS[name];
+  if (!def) {
+    const err = new Error(
+      `Unknown embedder "${name}". Valid embedders: ${EMBEDDER_NAMES.join(", ")}`,
+    );
+    err.code = "EMBEDDING_UNKNOWN_PROVIDER";
+    throw err;
+  }
+  if (!instances.has(name))
+    instances.set(name, FACTORIES[def.kind](name, def));
+  const impl = instances.get(name);
+
+  const model =
+    def.kind === "local"
+      ? def.model
+      : process.env[`EMBEDDING_${name.toUpperCase()}_MODEL`] || def.model;
+  return {
+    name,
+    kind: def.kind,
+    model,
+    id: `${name}:${model}`,
+    isConfigured: impl.isConfigured,
+    embed: (texts, opts = {}) => impl.embed(texts, { ...opts, model }),
+  };
+}
+
+/**
+ * Look an embedder up by the id stored with its vectors. Null when the
+ * name is no longer registered.
+ * @param {string} id  "<name>:<model>"
+ */
+export function embedderForId(id) {
+  const [name, ...rest] = String(id ?? "").split(":");
+  if (!DEFINITIONS[name]) return null;
+  const embedder = getEmbedder(name);
+  const model = rest.join(":");
+  if (embedder.model === model) return embedder;
+  // Vectors from a model no longer configured — still query with it
+  return {
+    ...embedder,
+    model,
+    id,
+    embed: (texts, opts = {}) =>
+      instances.get(name).embed(texts, { ...opts, model }),
+  };
+}
+
+/** The deployment's embedder: EMBEDDING_PROVIDER → "local". */
+export function resolveEmbedder() {
+  const name = (process.env.EMBEDDING_PROVIDER || DEFAULT_EMBEDDER)
+    .trim()
+    .toLowerCase();
+  return getEmbedder(name);
+}
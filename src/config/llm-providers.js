@@ -0,0 +1,668 @@
+// ===================================================================
+// LLM Provider Registry
+// ===================================================================
+// Every provider exposes the same small surface so llm.js can stay
+// provider-agnostic:
+//
+//   {
+//     name, kind, model,
+//     limits: { tpm, rpm },            // null = no local budget
+//     isConfigured()  → boolean
+//     complete({ messages, temperature, maxTokens, agent, signal, tools })
+//                     → { content, totalTokens, toolCalls }
+//     stream({ messages, temperature, maxTokens, agent, signal, tools })
+//                     → async iterable of text tokens, and
+//                       { type: "tool_call", id, name, arguments } items
+//   }
+//
+// `signal` (optional AbortSignal) aborts the HTTP request in flight.
+//
+// Tools (optional) are provider-neutral and converted per kind:
+//   tools:     [{ name, description, parameters }]   JSON Schema params
+//   messages:  { role: "assistant", content, toolCalls: [{ id, name,
+//                arguments }] } for a turn that called tools, then
+//              { role: "tool", toolCallId, name, content } per result
+//
+// Kinds:
+//   openai     — any OpenAI-compatible chat completions API (Groq, OpenAI,
+//                Together, vLLM …) via the openai SDK
+//   anthropic  — Anthropic-style /v1/messages API
+//   ollama     — local Ollama HTTP server (/api/chat)
+//   fixture    — deterministic offline responses, no network. Used to run
+//                the full pipeline in tests and air-gapped dev boxes.
+//
+// Selection (read lazily — see github.service.js for the dotenv race):
+//   LLM_PROVIDER=groq                     deployment default
+//   LLM_PROVIDER_<AGENT>=anthropic        per-agent override, e.g.
+//                                         LLM_PROVIDER_SECURITY_AUDITOR
+//   LLM_<PROVIDER>_MODEL / _TPM / _RPM    per-provider overrides
+// ===================================================================
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import OpenAI from "openai";
+
+export const DEFAULT_PROVIDER = "groq";
+
+// ── Built-in provider definitions ─────────────────────────────
+// limits are the defaults; LLM_<NAME>_TPM / _RPM override them.
+const DEFINITIONS = {
+  groq: {
+    kind: "openai",
+    apiKeyEnv: "GROQ_API_KEY",
+    baseURL: "https://api.groq.com/openai/v1",
+    model: "llama-3.1-8b-instant",
+    limits: { tpm: 5000, rpm: 30 }, // free tier is 6000 TPM — keep a buffer
+  },
+  openai: {
+    kind: "openai",
+    apiKeyEnv: "OPENAI_API_KEY",
+    baseURLEnv: "OPENAI_BASE_URL",
+    baseURL: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    limits: { tpm: 200000, rpm: 500 },
+  },
+  anthropic: {
+    kind: "anthropic",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    baseURLEnv: "ANTHROPIC_BASE_URL",
+    baseURL: "https://api.anthropic.com",
+    model: "claude-3-5-haiku-latest",
+    limits: { tpm: 40000, rpm: 50 },
+  },
+  ollama: {
+    kind: "ollama",
+    baseURLEnv: "OLLAMA_BASE_URL",
+    baseURL: "http://localhost:11434",
+    model: "llama3.1",
+    limits: { tpm: null, rpm: null }, // local — the GPU is the limit
+  },
+  fixture: {
+    kind: "fixture",
+    model: "fixture-v1",
+    limits: { tpm: null, rpm: null },
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(DEFINITIONS);
+
+// ── Env helpers ───────────────────────────────────────────────
+
+function envKey(name) {
+  // "securityAuditor" → "SECURITY_AUDITOR", "docWriter" → "DOC_WRITER"
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .toUpperCase();
+}
+
+function envLimit(name, key, fallback) {
+  const raw = process.env[`LLM_${envKey(name)}_${key}`];
+  if (raw === undefined || raw === "") return fallback;
+  const n = parseInt(raw, 10);
+  // 0 or negative disables the budget for that dimension
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function notConfigured(name, detail) {
+  const err = new Error(
+    `LLM provider "${name}" is not configured — ${detail}`,
+  );
+  err.code = "LLM_NOT_CONFIGURED";
+  return err;
+}
+
+// Split a chat message list into Anthropic's { system, messages } shape.
+// Tool calls become tool_use blocks; consecutive tool results are sent
+// back together as one user turn of tool_result blocks.
+function splitSystem(messages) {
+  const system = messages
+    .filter((m) => m.role === "system")
+    .map((m) => m.content)
+    .join("\n\n");
+  const rest = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    if (m.role === "tool") {
+      const block = {
+        type: "tool_result",
+        tool_use_id: m.toolCallId,
+        content: m.content,
+      };
+      const last = rest.at(-1);
+      if (last?.role === "user" && last.content[0]?.type === "tool_result")
+        last.content.push(block);
+      else rest.push({ role: "user", content: [block] });
+    } else if (m.toolCalls?.length) {
+      rest.push({
+        role: "assistant",
+        content: [
+          ...(m.content ? [{ type: "text", text: m.content }] : []),
+          ...m.toolCalls.map((c) => ({
+            type: "tool_use",
+            id: c.id,
+            name: c.name,
+            input: c.arguments ?? {},
+          })),
+        ],
+      });
+    } else {
+      rest.push({ role: m.role, content: m.content });
+    }
+  }
+  return { system, messages: rest };
+}
+
+// OpenAI and Ollama share the function-tool shape; Ollama sends
+// arguments as an object and has no call ids
+function toFunctionMessages(messages, { stringArgs }) {
+  return messages.map((m) => {
+    if (m.role === "tool")
+      return stringArgs
+        ? { role: "tool", tool_call_id: m.toolCallId, content: m.content }
+        : { role: "tool", content: m.content };
+    if (!m.toolCalls?.length) return { role: m.role, content: m.content };
+    return {
+      role: "assistant",
+      content: m.content || (stringArgs ? null : ""),
+      tool_calls: m.toolCalls.map((c) => ({
+        ...(stringArgs ? { id: c.id, type: "function" } : {}),
+        function: {
+          name: c.name,
+          arguments: stringArgs
+            ? JSON.stringify(c.arguments ?? {})
+            : (c.arguments ?? {}),
+        },
+      })),
+    };
+  });
+}
+
+const toFunctionTools = (tools) =>
+  tools?.length
+    ? tools.map((t) => ({
+        type: "function",
+        function: {
+          name: t.name,
+          description: t.description,
+          parameters: t.parameters,
+        },
+      }))
+    : undefined;
+
+// Models occasionally send malformed JSON arguments — call with none
+function parseArguments(raw) {
+  if (raw && typeof raw === "object") return raw;
+  try {
+    const parsed = JSON.parse(raw || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+const toolCallItem = (id, name, args) => ({
+  type: "tool_call",
+  id,
+  name,
+  arguments: parseArguments(args),
+});
+
+// Yield complete lines from a Node readable (axios responseType "stream")
+async function* readLines(stream) {
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += chunk.toString("utf8");
+    let idx;
+    while ((idx = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (line) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+const estimateTokens = (messages) =>
+  Math.ceil(messages.reduce((n, m) => n + (m.content?.length || 0), 0) / 3.5);
+
+// ── Kind: OpenAI-compatible ───────────────────────────────────
+
+function createOpenAIProvider(name, def) {
+  let client = null;
+
+  const apiKey = () => process.env[def.apiKeyEnv];
+  const baseURL = () =>
+    (def.baseURLEnv && process.env[def.baseURLEnv]) || def.baseURL;
+
+  function getClient() {
+    if (!apiKey()) throw notConfigured(name, `set ${def.apiKeyEnv} in .env`);
+    if (!client) client = new OpenAI({ apiKey: apiKey(), baseURL: baseURL() });
+    return client;
+  }
+
+  return {
+    isConfigured: () => !!apiKey(),
+
+    async complete({ messages, temperature, maxTokens, model, signal, tools }) {
+      const response = await getClient().chat.completions.create(
+        {
+          model,
+          messages: toFunctionMessages(messages, { stringArgs: true }),
+          temperature,
+          max_tokens: maxTokens,
+          tools: toFunctionTools(tools),
+        },
+        { signal },
+      );
+      const message = response.choices[0]?.message;
+      return {
+        content: message?.content?.trim() ?? "",
+        totalTokens: response.usage?.total_tokens ?? null,
+        toolCalls: (message?.tool_calls || []).map((c) => ({
+          id: c.id,
+          name: c.function?.name,
+          arguments: parseArguments(c.function?.arguments),
+        })),
+      };
+    },
+
+    async *stream({ messages, temperature, maxTokens, model, signal, tools }) {
+      const stream = await getClient().chat.completions.create(
+        {
+          model,
+          messages: toFunctionMessages(messages, { stringArgs: true }),
+          temperature,
+          max_tokens: maxTokens,
+          tools: toFunctionTools(tools),
+          stream: true,
+        },
+        { signal },
+      );
+      // Tool calls arrive in fragments, keyed by index
+      const calls = [];
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        for (const part of delta?.tool_calls || []) {
+          const call = (calls[part.index] ??= { id: "", name: "", args: "" });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.args += part.function.arguments;
+        }
+        const token = delta?.content ?? "";
+        if (token) yield token;
+      }
+      for (const call of calls.filter(Boolean))
+        yield toolCallItem(call.id, call.name, call.args);
+    },
+  };
+}
+
+// ── Kind: Anthropic-style messages API ────────────────────────
+
+const anthropicTools = (tools) =>
+  tools?.length
+    ? tools.map((t) => ({
+        name: t.name,
+        description: t.description,
+        input_schema: t.parameters,
+      }))
+    : undefined;
+
+function createAnthropicProvider(name, def) {
+  const apiKey = () => process.env[def.apiKeyEnv];
+  const baseURL = () =>
+    ((def.baseURLEnv && process.env[def.baseURLEnv]) || def.baseURL).replace(
+      /\/$/,
+      "",
+    );
+
+  function request(body, extra = {}) {
+    if (!apiKey()) throw notConfigured(name, `set ${def.apiKeyEnv} in .env`);
+    return axios.post(`${baseURL()}/v1/messages`, body, {
+      headers: {
+        "x-api-key": apiKey(),
+        "anthropic-version": "2023-06-01",
+        "content-type": "application/json",
+      },
+      timeout: 120_000,
+      ...extra,
+    });
+  }
+
+  return {
+    isConfigured: () => !!apiKey(),
+
+    async complete({ messages, temperature, maxTokens, model, signal, tools }) {
+      const { system, messages: rest } = splitSystem(messages);
+      const { data } = await request(
+        {
+          model,
+          system: system || undefined,
+          messages: rest,
+          temperature,
+          max_tokens: maxTokens,
+          tools: anthropicTools(tools),
+        },
+        { signal },
+      );
+      const blocks = data.content || [];
+      const content = blocks
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join("");
+      const usage = data.usage || {};
+      return {
+        content: content.trim(),
+        totalTokens:
+          usage.input_tokens != null
+            ? usage.input_tokens + (usage.output_tokens || 0)
+            : null,
+        toolCalls: blocks
+          .filter((b) => b.type === "tool_use")
+          .map((b) => ({ id: b.id, name: b.name, arguments: b.input ?? {} })),
+      };
+    },
+
+    async *stream({ messages, temperature, maxTokens, model, signal, tools }) {
+      const { system, messages: rest } = splitSystem(messages);
+      const res = await request(
+        {
+          model,
+          system: system || undefined,
+          messages: rest,
+          temperature,
+          max_tokens: maxTokens,
+          tools: anthropicTools(tools),
+          stream: true,
+        },
+        { responseType: "stream", signal },
+      );
+      let call = null; // tool_use block being streamed
+      for await (const line of readLines(res.data)) {
+        if (!line.startsWith("data:")) continue;
+        let event;
+        try {
+          event = JSON.parse(line.slice(5).trim());
+        } catch {
+          continue;
+        }
+        if (
+          event.type === "content_block_start" &&
+          event.content_block?.type === "tool_use"
+        ) {
+          const { id, name } = event.content_block;
+          call = { id, name, json: "" };
+        } else if (event.type === "content_block_delta") {
+          if (event.delta?.text) yield event.delta.text;
+          if (call && event.delta?.type === "input_json_delta")
+            call.json += event.delta.partial_json ?? "";
+        } else if (event.type === "content_block_stop" && call) {
+          yield toolCallItem(call.id, call.name, call.json);
+          call = null;
+        }
+      }
+    },
+  };
+}
+
+// ── Kind: Ollama / local HTTP ─────────────────────────────────
+
+function createOllamaProvider(name, def) {
+  const baseURL = () =>
+    ((def.baseURLEnv && process.env[def.baseURLEnv]) || def.baseURL).replace(
+      /\/$/,
+      "",
+    );
+
+  const body = (
+    { messages, temperature, maxTokens, model, tools },
+    stream,
+  ) => ({
+    model,
+    messages: toFunctionMessages(messages, { stringArgs: false }),
+    tools: toFunctionTools(tools),
+    stream,
+    options: { temperature, num_predict: maxTokens },
+  });
+
+  const toolCalls = (message) =>
+    (message?.tool_calls || []).map((c, i) => ({
+      id: `call_${i}`,
+      name: c.function?.name,
+      arguments: parseArguments(c.function?.arguments),
+    }));
+
+  return {
+    // No credentials — reachability is only known at call time
+    isConfigured: () => true,
+
+    async complete(args) {
+      const { data } = await axios.post(
+        `${baseURL()}/api/chat`,
+        body(args, false),
+        { timeout: 300_000, signal: args.signal },
+      );
+      const total =
+        data.prompt_eval_count != null
+          ? data.prompt_eval_count + (data.eval_count || 0)
+          : null;
+      return {
+        content: data.message?.content?.trim() ?? "",
+        totalTokens: total,
+        toolCalls: toolCalls(data.message),
+      };
+    },
+
+    async *stream(args) {
+      const res = await axios.post(`${baseURL()}/api/chat`, body(args, true), {
+        responseType: "stream",
+        timeout: 300_000,
+        signal: args.signal,
+      });
+      for await (const line of readLines(res.data)) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (event.message?.content) yield event.message.content;
+        for (const call of toolCalls(event.message))
+          yield { type: "tool_call", ...call };
+        if (event.done) break;
+      }
+    },
+  };
+}
+
+// ── Kind: deterministic fixture (offline) ─────────────────────
+// Lookup order for a call:
+//   1. $LLM_FIXTURE_DIR/<hash>.txt  — hash = first 16 hex chars of
+//      sha256(all message contents joined by "\n\n")
+//   2. $LLM_FIXTURE_DIR/<agent>.txt — per-agent canned answer
+//   3. Built-in answer for the agent (shapes each agent's parser accepts)
+// The same input always yields the same output.
+//
+// When tools are offered and none has answered yet,
+// $LLM_FIXTURE_DIR/<agent>.tools.json — [{ name, arguments }] — is
+// returned as tool calls instead (names that aren't offered dropped).
+
+const FIXTURE_DEFAULTS = {
+  repoScanner: "[]",
+  apiExtractor: "[]",
+  componentMapper: "[]",
+  securityAuditor: "[]",
+  schemaAnalyser: '{"models":[],"relationships":[]}',
+};
+
+export function fixtureKey(messages) {
+  return crypto
+    .createHash("sha256")
+    .update(messages.map((m) => m.content).join("\n\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function readFixture(dir, file) {
+  try {
+    return fs.readFileSync(path.join(dir, file), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+function fixtureResponse(messages, agent) {
+  const key = fixtureKey(messages);
+  const dir = process.env.LLM_FIXTURE_DIR;
+  if (dir) {
+    const hit =
+      readFixture(dir, `${key}.txt`) ??
+      (agent ? readFixture(dir, `${agent}.txt`) : null);
+    if (hit !== null) return hit.trim();
+  }
+  if (agent && FIXTURE_DEFAULTS[agent]) return FIXTURE_DEFAULTS[agent];
+  if (agent === "docWriter") {
+    // Must pass doc-writer's markdown validation (not JSON, >= 100 chars)
+    return [
+      "## Overview",
+      "",
+      "This section was generated by the offline fixture LLM provider.",
+      "It is deterministic placeholder text used for tests and local runs.",
+      "",
+      `Fixture key: \`${key}\``,
+    ].join("\n");
+  }
+  return `Fixture response (${key}). No live model is configured for this deployment.`;
+}
+
+function fixtureToolCalls(messages, agent, tools) {
+  const dir = process.env.LLM_FIXTURE_DIR;
+  if (!dir || !agent || !tools?.length) return [];
+  if (messages.some((m) => m.role === "tool")) return [];
+  const raw = readFixture(dir, `${agent}.tools.json`);
+  if (!raw) return [];
+  let calls;
+  try {
+    calls = JSON.parse(raw);
+  } catch {
+    return [];
+  }
+  return (Array.isArray(calls) ? calls : [])
+    .filter((c) => tools.some((t) => t.name === c?.name))
+    .map((c, i) => ({
+      id: `fixture_${i}`,
+      name: c.name,
+      arguments: c.arguments ?? {},
+    }));
+}
+
+function createFixtureProvider() {
+  return {
+    isConfigured: () => true,
+
+    async complete({ messages, agent, signal, tools }) {
+      signal?.throwIfAborted();
+      const toolCalls = fixtureToolCalls(messages, agent, tools);
+      const content = toolCalls.length ? "" : fixtureResponse(messages, agent);
+      return {
+        content,
+        totalTokens: estimateTokens(messages) + Math.ceil(content.length / 3.5),
+        toolCalls,
+      };
+    },
+
+    async *stream({ messages, agent, signal, tools }) {
+      const toolCalls = fixtureToolCalls(messages, agent, tools);
+      if (toolCalls.length) {
+        for (const call of toolCalls) yield { type: "tool_call", ...call };
+        return;
+      }
+      // Split on word boundaries so consumers see several tokens
+      for (const token of fixtureResponse(messages, agent).split(/(?<=\s)/)) {
+        signal?.throwIfAborted();
+        yield token;
+      }
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  ollama: createOllamaProvider,
+  fixture: createFixtureProvider,
+};
+
+// ── Registry ──────────────────────────────────────────────────
+// Provider instances are cached; model/limits are re-read from env on
+// every lookup so they can be changed in tests without re-importing.
+
+const instances = new Map();
+
+function instantiate(name) {
+  if (instances.has(name)) return instances.get(name);
+  const def = DEFINITIONS[name];
+  const impl = FACTORIES[def.kind](name, def);
+  instances.set(name, impl);
+  return impl;
+}
+
+/**
+ * Get a provider by name.
+ * Throws LLM_UNKNOWN_PROVIDER for names that are not registered.
+ * @param {string} name
+ */
+export function getProvider(name) {
+  const def = DEFINITIONS[name];
+  if (!def) {
+    const err = new Error(
+      `Unknown LLM provider "${name}". Valid providers: ${PROVIDER_NAMES.join(", ")}`,
+    );
+    err.code = "LLM_UNKNOWN_PROVIDER";
+    throw err;
+  }
+  const impl = instantiate(name);
+  return {
+    name,
+    kind: def.kind,
+    model: process.env[`LLM_${envKey(name)}_MODEL`] || def.model,
+    limits: {
+      tpm: envLimit(name, "TPM", def.limits.tpm),
+      rpm: envLimit(name, "RPM", def.limits.rpm),
+    },
+    ...impl,
+  };
+}
+
+/**
+ * Throw LLM_NOT_CONFIGURED if the provider is missing credentials.
+ * @param {ReturnType<typeof getProvider>} provider
+ */
+export function assertConfigured(provider) {
+  if (provider.isConfigured()) return;
+  const def = DEFINITIONS[provider.name];
+  throw notConfigured(provider.name, `set ${def.apiKeyEnv} in .env`);
+}
+
+/**
+ * Work out which provider name an agent should use.
+ * Per-agent env override → deployment default → "groq".
+ * @param {string} [agent]  e.g. "securityAuditor", "chat"
+ */
+export function resolveProviderName(agent) {
+  const perAgent = agent && process.env[`LLM_PROVIDER_${envKey(agent)}`];
+  return (perAgent || process.env.LLM_PROVIDER || DEFAULT_PROVIDER)
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Resolve the provider for an agent.
+ * @param {string} [agent]
+ */
+export function resolveProvider(agent) {
+  return getProvider(resolveProviderName(agent));
+}
@@ -0,0 +1,267 @@
+// ===================================================================
+// LLM Scheduler
+// ===================================================================
+// Problem: one global promise chain meant a 200-file scan from one
+// user blocked every other user's chat reply for minutes.
+//
+// Solution: one "lane" per provider, each with
+//   • a concurrency cap (LLM_CONCURRENCY, LLM_<PROVIDER>_CONCURRENCY)
+//   • three strict priority classes: chat > incremental > full
+//   • per-user round-robin inside a class — a user with 200 queued
+//     calls gets one slot, then the next user gets one, and so on
+//   • cancellation of queued (not yet started) calls by job / stage,
+//     or by the job's AbortSignal — an aborted call leaves its queue
+//     at once, it doesn't wait to be popped
+//
+// Callers don't thread user / job / priority through every agent —
+// the pipeline runners set it once with runWithLLMContext() and it
+// follows the async call chain via AsyncLocalStorage.
+// ===================================================================
+
+import { AsyncLocalStorage } from "async_hooks";
+
+// Lower number = served first
+export const PRIORITY = { chat: 0, incremental: 1, full: 2 };
+const PRIORITY_NAMES = Object.keys(PRIORITY);
+const DEFAULT_PRIORITY = "full";
+const DEFAULT_CONCURRENCY = 2;
+
+// ── Request context ───────────────────────────────────────────
+// { userId, jobId, priority, stage, signal }
+
+const contextStore = new AsyncLocalStorage();
+
+/**
+ * Run fn with LLM scheduling context. Nested calls inherit and extend
+ * the outer context (e.g. runAgent adds `stage` to the job's context).
+ * @param {{ userId?, jobId?, priority?, stage?, signal? }} ctx
+ * @param {Function} fn
+ */
+export function runWithLLMContext(ctx, fn) {
+  return contextStore.run({ ...getLLMContext(), ...ctx }, fn);
+}
+
+export function getLLMContext() {
+  return contextStore.getStore() || {};
+}
+
+// ── Lanes ─────────────────────────────────────────────────────
+// providerName → {
+//   running,
+//   queues: { chat|incremental|full: Map<userKey, task[]> },
+//   counters: { completed, failed, cancelled }
+// }
+const lanes = new Map();
+
+function concurrencyFor(providerName) {
+  const key = providerName.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+  const raw =
+    process.env[`LLM_${key}_CONCURRENCY`] || process.env.LLM_CONCURRENCY;
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_CONCURRENCY;
+}
+
+function getLane(providerName) {
+  if (!lanes.has(providerName)) {
+    lanes.set(providerName, {
+      running: 0,
+      queues: Object.fromEntries(PRIORITY_NAMES.map((p) => [p, new Map()])),
+      counters: { completed: 0, failed: 0, cancelled: 0 },
+    });
+  }
+  return lanes.get(providerName);
+}
+
+/**
+ * Pop the next task: highest priority class first, then round-robin
+ * across users — the served user moves to the back of the Map.
+ */
+function nextTask(lane) {
+  for (const priority of PRIORITY_NAMES) {
+    const queue = lane.queues[priority];
+    for (const [userKey, tasks] of queue) {
+      const task = tasks.shift();
+      queue.delete(userKey);
+      if (tasks.length) queue.set(userKey, tasks);
+      if (task) return task;
+    }
+  }
+  return null;
+}
+
+// A task leaving its queue no longer listens for its signal's abort
+function forget(task) {
+  task.signal?.removeEventListener("abort", task.onAbort);
+}
+
+function drain(providerName) {
+  const lane = getLane(providerName);
+  const limit = concurrencyFor(providerName);
+
+  while (lane.running < limit) {
+    const task = nextTask(lane);
+    if (!task) return;
+    forget(task);
+    if (task.signal?.aborted) {
+      lane.counters.cancelled++;
+      task.reject(task.signal.reason);
+      continue;
+    }
+
+    lane.running++;
+    Promise.resolve()
+      .then(task.run)
+      .then(
+        (value) => {
+          lane.counters.completed++;
+          task.resolve(value);
+        },
+        (err) => {
+          lane.counters.failed++;
+          task.reject(err);
+        },
+      )
+      .finally(() => {
+        lane.running--;
+        drain(providerName);
+      });
+  }
+}
+
+// ── Public API ────────────────────────────────────────────────
+
+/**
+ * Queue a call on a provider's lane. Context not passed explicitly is
+ * taken from the surrounding runWithLLMContext(). A call whose signal
+ * is aborted before it starts is rejected with the signal's reason.
+ *
+ * @param {string} providerName
+ * @param {{ userId?, jobId?, priority?, stage?, signal? }} ctx
+ * @param {() => Promise<any>} run
+ * @returns {Promise<any>}
+ */
+export function schedule(providerName, ctx, run) {
+  const merged = { ...getLLMContext(), ...ctx };
+  const priority = PRIORITY[merged.priority] !== undefined
+    ? merged.priority
+    : DEFAULT_PRIORITY;
+  const userKey = merged.userId ? String(merged.userId) : "anonymous";
+
+  return new Promise((resolve, reject) => {
+    if (merged.signal?.aborted) return reject(merged.signal.reason);
+    const lane = getLane(providerName);
+    const queue = lane.queues[priority];
+    const task = {
+      run,
+      resolve,
+      reject,
+      jobId: merged.jobId ? String(merged.jobId) : null,
+      stage: merged.stage || null,
+      signal: merged.signal || null,
+      enqueuedAt: Date.now(),
+    };
+    // Aborted while queued — give up its place right away
+    task.onAbort = () => {
+      const tasks = queue.get(userKey);
+      const i = tasks ? tasks.indexOf(task) : -1;
+      if (i === -1) return; // already started
+      tasks.splice(i, 1);
+      if (!tasks.length) queue.delete(userKey);
+      lane.counters.cancelled++;
+      reject(task.signal.reason);
+    };
+    task.signal?.addEventListener("abort", task.onAbort, { once: true });
+
+    if (!queue.has(userKey)) queue.set(userKey, []);
+    queue.get(userKey).push(task);
+    drain(providerName);
+  });
+}
+
+/**
+ * Reject every queued (not yet started) call for a job, optionally only
+ * those from one pipeline stage. In-flight calls are left to finish.
+ *
+ * @param {{ jobId: string, stage?: string }} filter
+ * @returns {number} how many calls were cancelled
+ */
+export function cancelQueued({ jobId, stage } = {}) {
+  if (!jobId) return 0; // never cancel across jobs
+  let cancelled = 0;
+
+  for (const lane of lanes.values()) {
+    for (const queue of Object.values(lane.queues)) {
+      for (const [userKey, tasks] of queue) {
+        const keep = [];
+        for (const task of tasks) {
+          const match =
+            task.jobId === String(jobId) && (!stage || task.stage === stage);
+          if (!match) {
+            keep.push(task);
+            continue;
+          }
+          const err = new Error("LLM call cancelled — job was abandoned.");
+          err.code = "LLM_CALL_CANCELLED";
+          forget(task);
+          task.reject(err);
+          lane.counters.cancelled++;
+          cancelled++;
+        }
+        if (keep.length) queue.set(userKey, keep);
+        else queue.delete(userKey);
+      }
+    }
+  }
+
+  if (cancelled) {
+    console.log(
+      `[llm-scheduler] Cancelled ${cancelled} queued call(s) for job ${jobId}${stage ? ` (${stage})` : ""}`,
+    );
+  }
+  return cancelled;
+}
+
+/**
+ * Queue depth and throughput per provider lane — for /admin/stats.
+ */
+export function getSchedulerStats() {
+  const now = Date.now();
+  const providers = [];
+
+  for (const [provider, lane] of lanes) {
+    const byPriority = {};
+    const users = new Set();
+    let queued = 0;
+    let oldest = null;
+
+    for (const priority of PRIORITY_NAMES) {
+      let depth = 0;
+      for (const [userKey, tasks] of lane.queues[priority]) {
+        depth += tasks.length;
+        users.add(userKey);
+        if (tasks[0] && (oldest === null || tasks[0].enqueuedAt < oldest)) {
+          oldest = tasks[0].enqueuedAt;
+        }
+      }
+      byPriority[priority] = depth;
+      queued += depth;
+    }
+
+    providers.push({
+      provider,
+      concurrency: concurrencyFor(provider),
+      running: lane.running,
+      queued,
+      byPriority,
+      usersWaiting: users.size,
+      oldestWaitMs: oldest === null ? 0 : now - oldest,
+      ...lane.counters,
+    });
+  }
+
+  return {
+    totalRunning: providers.reduce((n, p) => n + p.running, 0),
+    totalQueued: providers.reduce((n, p) => n + p.queued, 0),
+    providers,
+  };
+}
@@ -1,138 +1,431 @@
 // ===================================================================
 // Global LLM Config File
 // ===================================================================
-// Problem: 4 agents running in parallel all share one 6,000 TPM
-// bucket. They fire independently → instant rate limit storm.
+// Problem: 4 agents running in parallel all share one provider's
+// rate limit. They fire independently → instant rate limit storm.
 //
-// Solution: ALL agents submit to a single global queue.
-//   • Queue drains one call at a time
-//   • Tracks tokens used in the last 60s (sliding window)
-//   • If next call would exceed TPM_LIMIT → wait until window clears
-//   • Each call estimates its own token cost upfront
-//   • Result: smooth, predictable throughput, zero retry storms
+// Solution: every call goes through the scheduler lane of its provider.
+//   • Provider chosen per agent (see llm-providers.js)
+//   • Each provider has its own TPM / RPM budget and sliding window
+//   • The scheduler (llm-scheduler.js) runs a few calls at a time per
+//     provider, chat first, fair across users
+//   • If next call would exceed the budget → wait until window clears,
+//     before taking a scheduler slot, so calls stalled on budget never
+//     hold the slots a chat reply needs; estimated tokens are reserved
+//     once the slot is taken so concurrent calls can't overshoot
+//   • Missing credentials fail the call, not the import — agents fall
+//     back via runAgent instead of the whole server refusing to boot
+//   • A cancelled pipeline's AbortSignal (from runWithLLMContext) drops
+//     its queued calls, stops budget waits and aborts requests in flight
 // ===================================================================
 
-import OpenAI from "openai";
 import dotenv from "dotenv";
+import {
+  resolveProvider,
+  getProvider,
+  assertConfigured,
+  PROVIDER_NAMES,
+} from "./llm-providers.js";
+import { schedule, getLLMContext } from "./llm-scheduler.js";
 
 dotenv.config();
 
-if (!process.env.GROQ_API_KEY) {
-  throw new Error("GROQ_API_KEY is required in .env");
-}
+// ── Rate limit config ─────────────────────────────────────────
+const WINDOW_MS = 62000; // 62s window (slightly over 60s for safety)
+const OUTPUT_TOKEN_ESTIMATE = 512; // assume ~512 output tokens per call
+const MAX_OUTPUT_TOKENS = 1536; // hard cap on output tokens
 
-export const client = new OpenAI({
-  apiKey: process.env.GROQ_API_KEY,
-  baseURL: "https://api.groq.com/openai/v1",
-});
+// ── Per-provider sliding window tracker ──────────────────────
+// providerName → { log: [{ tokens, ts }] }
+const budgets = new Map();
 
-export const MODEL = "llama-3.1-8b-instant";
+function getBudget(name) {
+  if (!budgets.has(name)) {
+    budgets.set(name, { log: [] });
+  }
+  return budgets.get(name);
+}
 
-// ── Rate limit config ─────────────────────────────────────────
-const TPM_LIMIT = 5000; // stay under 6000 — leave 1000 buffer
-const TPM_WINDOW_MS = 62000; // 62s window (slightly over 60s for safety)
-const MAX_TOKENS_PER_CALL = 1800; // input + output budget per call
+function evict(budget) {
+  const cutoff = Date.now() - WINDOW_MS;
+  while (budget.log.length && budget.log[0].ts < cutoff) budget.log.shift();
+}
 
-// ── Sliding window token tracker ─────────────────────────────
-// Each entry: { tokens, ts }
-const tokenLog = [];
+function tokensUsedInWindow(budget) {
+  evict(budget);
+  return budget.log.reduce((sum, e) => sum + e.tokens, 0);
+}
 
-function tokensUsedInWindow() {
-  const now = Date.now();
-  const cutoff = now - TPM_WINDOW_MS;
-  // Evict old entries
-  while (tokenLog.length && tokenLog[0].ts < cutoff) tokenLog.shift();
-  return tokenLog.reduce((sum, e) => sum + e.tokens, 0);
+function requestsInWindow(budget) {
+  evict(budget);
+  return budget.log.length;
 }
 
-function recordTokens(tokens) {
-  tokenLog.push({ tokens, ts: Date.now() });
+// Returns the log entry so the caller can correct the estimate later
+function recordTokens(budget, tokens) {
+  const entry = { tokens, ts: Date.now() };
+  budget.log.push(entry);
+  return entry;
 }
 
-function msUntilCapacity(needed) {
+function hasCapacity(budget, limits, needed) {
+  // An empty window always admits one call, even if it alone is over
+  // budget — otherwise an oversized prompt would wait forever.
+  if (requestsInWindow(budget) === 0) return true;
+  if (limits.tpm && tokensUsedInWindow(budget) + needed > limits.tpm)
+    return false;
+  if (limits.rpm && requestsInWindow(budget) + 1 > limits.rpm) return false;
+  return true;
+}
+
+function msUntilCapacity(budget, limits, needed) {
   /**
    *  How long until oldest entries roll out of window to free up space?
    */
-  let freed = 0;
   const now = Date.now();
-  const cutoff = now - TPM_WINDOW_MS;
-
-  for (const entry of tokenLog) {
-    if (entry.ts < cutoff) continue; // already expired
-    freed += entry.tokens;
-    const expiresAt = entry.ts + TPM_WINDOW_MS;
-    if (tokensUsedInWindow() - freed + needed <= TPM_LIMIT) {
-      return Math.max(0, expiresAt - now + 200); // +200ms buffer
+  const used = tokensUsedInWindow(budget);
+  const count = budget.log.length;
+  let freedTokens = 0;
+  let freedCalls = 0;
+
+  for (const entry of budget.log) {
+    freedTokens += entry.tokens;
+    freedCalls += 1;
+    const tokensOk = !limits.tpm || used - freedTokens + needed <= limits.tpm;
+    const callsOk = !limits.rpm || count - freedCalls + 1 <= limits.rpm;
+    if (tokensOk && callsOk) {
+      return Math.max(0, entry.ts + WINDOW_MS - now + 200); // +200ms buffer
     }
   }
 
   return 0;
 }
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// ── Estimate tokens for a call ────────────────────────────────
-function estimateTokens(systemPrompt, userContent) {
-  return Math.ceil((systemPrompt.length + userContent.length) / 3.5);
-}
-
-// ── Global sequential queue ───────────────────────────────────
-// Prevents concurrent calls from racing to the same token bucket
-let queuePromise = Promise.resolve();
-
-export async function llmCall({ systemPrompt, userContent, temperature = 0 }) {
-  // Chain onto the global queue — each call waits for the previous to finish
-  const result = new Promise((resolve, reject) => {
-    queuePromise = queuePromise.then(() =>
-      executeCall({ systemPrompt, userContent, temperature })
-        .then(resolve)
-        .catch(reject),
-    );
+// Resolves after ms, or rejects with signal.reason once aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
   });
-
-  return result;
 }
 
-async function executeCall({ systemPrompt, userContent, temperature }) {
-  const estimatedInput = estimateTokens(systemPrompt, userContent);
-  const estimatedTotal = estimatedInput + 512; // assume ~512 output tokens
-
-  if (estimatedInput > 4000) {
-    console.warn(`Request ~${estimatedInput} tokens — trimming recommended`);
-  }
+// ── Estimate tokens for a call ────────────────────────────────
+function estimateTokens(messages) {
+  const chars = messages.reduce((n, m) => n + (m.content?.length || 0), 0);
+  return Math.ceil(chars / 3.5);
+}
 
-  // Wait if adding this call would exceed TPM window
+async function waitForCapacity(provider, budget, needed, signal) {
   let waited = false;
-  while (tokensUsedInWindow() + estimatedTotal > TPM_LIMIT) {
-    const waitMs = msUntilCapacity(estimatedTotal) || 5000;
+  while (!hasCapacity(budget, provider.limits, needed)) {
+    const waitMs = msUntilCapacity(budget, provider.limits, needed) || 5000;
     if (!waited) {
       console.log(
-        `-- Token bucket full (~${tokensUsedInWindow()}/${TPM_LIMIT} TPM used). Waiting ${(waitMs / 1000).toFixed(1)}s…`,
+        `-- [${provider.name}] budget full (~${tokensUsedInWindow(budget)}/${provider.limits.tpm ?? "∞"} TPM, ${requestsInWindow(budget)}/${provider.limits.rpm ?? "∞"} RPM). Waiting ${(waitMs / 1000).toFixed(1)}s…`,
       );
       waited = true;
     }
-    await sleep(waitMs);
+    await sleep(waitMs, signal);
+  }
+}
+
+// ── Call execution ────────────────────────────────────────────
+
+// A queued call whose budget was used up by the time it got a slot
+const NO_CAPACITY = Symbol("no capacity");
+
+/**
+ * Wait for the provider's budget, then run the call in a scheduler
+ * slot. If other calls used the budget up while this one queued, the
+ * slot is given back and the wait starts over.
+ */
+async function scheduleCall(ctx, call) {
+  const { provider, messages, signal } = call;
+  signal?.throwIfAborted();
+  assertConfigured(provider);
+  const budget = getBudget(provider.name);
+
+  const estimatedInput = estimateTokens(messages);
+  const estimatedTotal = estimatedInput + OUTPUT_TOKEN_ESTIMATE;
+
+  if (estimatedInput > 4000) {
+    console.warn(`Request ~${estimatedInput} tokens — trimming recommended`);
+  }
+
+  for (;;) {
+    await waitForCapacity(provider, budget, estimatedTotal, signal);
+    const result = await schedule(provider.name, ctx, () => {
+      if (!hasCapacity(budget, provider.limits, estimatedTotal))
+        return NO_CAPACITY;
+      // Reserve before the first await so parallel slots see it
+      const reservation = recordTokens(budget, estimatedTotal);
+      return executeCall({ ...call, budget, reservation, estimatedTotal });
+    });
+    if (result !== NO_CAPACITY) return result;
   }
+}
 
-  // Make the call
-  const response = await client.chat.completions.create({
-    model: MODEL,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userContent },
-    ],
+// Runs inside a scheduler slot, with the budget already reserved
+async function executeCall({
+  provider,
+  messages,
+  temperature,
+  agent,
+  onToken,
+  signal,
+  tools,
+  budget,
+  reservation,
+  estimatedTotal,
+}) {
+  signal?.throwIfAborted();
+
+  const args = {
+    messages,
     temperature,
-    max_tokens: 1536, // hard cap on output tokens
-  });
+    maxTokens: MAX_OUTPUT_TOKENS,
+    model: provider.model,
+    agent,
+    signal,
+    tools,
+  };
+
+  let content;
+  let actualTokens;
+  let toolCalls = [];
+  if (onToken) {
+    content = "";
+    for await (const item of provider.stream(args)) {
+      if (typeof item !== "string") {
+        const { type, ...call } = item;
+        toolCalls.push(call);
+        continue;
+      }
+      content += item;
+      onToken(item);
+    }
+    // Streaming APIs rarely report usage — estimate from the text
+    actualTokens = estimateTokens([...messages, { content }]);
+  } else {
+    const response = await provider.complete(args);
+    content = response.content;
+    toolCalls = response.toolCalls || [];
+    actualTokens = response.totalTokens || estimatedTotal;
+  }
 
-  // Record actual tokens used (from response header if available)
-  const actualTokens = response.usage?.total_tokens || estimatedTotal;
-  recordTokens(actualTokens);
+  // Swap the reservation for actual usage
+  reservation.tokens = actualTokens;
 
-  const remaining = TPM_LIMIT - tokensUsedInWindow();
+  const remaining = provider.limits.tpm
+    ? provider.limits.tpm - tokensUsedInWindow(budget)
+    : "∞";
   console.log(
-    `✓ LLM call done (${actualTokens} tokens | ${remaining} remaining in window)`,
+    `✓ LLM call done [${provider.name}${agent ? `/${agent}` : ""}] (${actualTokens} tokens | ${remaining} remaining in window)`,
   );
 
-  return response.choices[0].message.content.trim();
+  return { content, tokens: actualTokens, toolCalls };
+}
+
+/**
+ * Serve a call from the response cache, or run it and store the result.
+ * Only responses that pass the caller's validate() are stored, so a
+ * malformed answer is retried next time instead of being replayed.
+ */
+async function cachedCall({
+  provider,
+  systemPrompt,
+  userContent,
+  agent,
+  cache,
+  run,
+}) {
+  const svc = await import("../services/llm-cache.service.js");
+  if (!svc.cacheEnabled()) return (await run()).content;
+
+  const stats = getLLMContext().cacheStats;
+  const keyParts = svc.buildCacheKey({
+    provider: provider.name,
+    model: provider.model,
+    systemPrompt,
+    userContent,
+    files: cache.files,
+  });
+
+  const hit = await svc.getCached(keyParts.key);
+  if (hit) {
+    svc.recordCacheResult(stats, agent, true, hit.tokens);
+    console.log(`✓ LLM cache hit [${provider.name}/${agent ?? "-"}]`);
+    return hit.response;
+  }
+
+  svc.recordCacheResult(stats, agent, false);
+  const { content, tokens } = await run();
+  if (content && (!cache.validate || cache.validate(content))) {
+    await svc.putCached({
+      ...keyParts,
+      provider: provider.name,
+      model: provider.model,
+      agent,
+      response: content,
+      tokens,
+    });
+  }
+  return content;
+}
+
+// ── Public API ────────────────────────────────────────────────
+// userId / jobId / priority / signal default to the surrounding
+// runWithLLMContext() — pass them only to override.
+
+const signalOf = (ctx) => ctx.signal ?? getLLMContext().signal;
+
+/**
+ * Single-turn completion used by every agent.
+ * Pass `cache: { files, validate? }` to make the call content-addressed
+ * on (prompt, file blob SHAs, model) — see llm-cache.service.js.
+ *
+ * @param {{ systemPrompt: string, userContent: string,
+ *           temperature?: number, agent?: string,
+ *           cache?: { files: Array<{ content, sha? }>,
+ *                     validate?: (raw: string) => boolean },
+ *           userId?: string, jobId?: string, priority?: string,
+ *           signal?: AbortSignal }} args
+ * @returns {Promise<string>}
+ */
+export async function llmCall({
+  systemPrompt,
+  userContent,
+  temperature = 0,
+  agent,
+  cache,
+  ...ctx
+}) {
+  const provider = resolveProvider(agent);
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userContent },
+  ];
+
+  const signal = signalOf(ctx);
+  const run = () =>
+    scheduleCall(ctx, { provider, messages, temperature, agent, signal });
+
+  if (!cache) return (await run()).content;
+  return cachedCall({ provider, systemPrompt, userContent, agent, cache, run });
+}
+
+/**
+ * Multi-turn completion (chat). Scheduled in the "chat" priority class
+ * so it jumps ahead of queued pipeline calls.
+ *
+ * @param {{ messages: Array<{role, content}>, temperature?: number,
+ *           agent?: string, userId?: string, jobId?: string }} args
+ * @returns {Promise<string>}
+ */
+export async function llmChat({
+  messages,
+  temperature = 0.1,
+  agent = "chat",
+  ...ctx
+}) {
+  const provider = resolveProvider(agent);
+  const signal = signalOf(ctx);
+  const { content } = await scheduleCall(
+    { priority: "chat", ...ctx },
+    { provider, messages, temperature, agent, signal },
+  );
+  return content;
+}
+
+/**
+ * Streaming multi-turn completion. Calls onToken for each text token and
+ * resolves with the full reply. The scheduler slot is held until the
+ * stream ends.
+ *
+ * @param {{ messages: Array<{role, content}>, temperature?: number,
+ *           agent?: string, onToken: (token: string) => void,
+ *           userId?: string, jobId?: string }} args
+ * @returns {Promise<string>}
+ */
+export async function llmChatStream({
+  messages,
+  temperature = 0.1,
+  agent = "chat",
+  onToken,
+  ...ctx
+}) {
+  const provider = resolveProvider(agent);
+  const signal = signalOf(ctx);
+  const { content } = await scheduleCall(
+    { priority: "chat", ...ctx },
+    {
+      provider,
+      messages,
+      temperature,
+      agent,
+      onToken: onToken || (() => {}),
+      signal,
+    },
+  );
+  return content;
+}
+
+/**
+ * One step of a chat that offers tools. The reply is either text or a
+ * set of tool calls for the caller to run and answer with
+ * { role: "tool", toolCallId, name, content } messages before the next
+ * step (message shapes in llm-providers.js). Streams text through
+ * onToken when given.
+ *
+ * @param {{ messages: Array<object>,
+ *           tools: Array<{ name, description, parameters }>,
+ *           temperature?: number, agent?: string,
+ *           onToken?: (token: string) => void,
+ *           userId?: string, jobId?: string }} args
+ * @returns {Promise<{ content: string,
+ *                     toolCalls: Array<{ id, name, arguments }> }>}
+ */
+export async function llmChatWithTools({
+  messages,
+  tools,
+  temperature = 0.1,
+  agent = "chat",
+  onToken,
+  ...ctx
+}) {
+  const provider = resolveProvider(agent);
+  const signal = signalOf(ctx);
+  const { content, toolCalls } = await scheduleCall(
+    { priority: "chat", ...ctx },
+    { provider, messages, temperature, agent, onToken, signal, tools },
+  );
+  return { content, toolCalls };
+}
+
+/**
+ * Snapshot of every registered provider — configuration state, model,
+ * budget and current window usage. Safe to expose (no secrets).
+ */
+export function getLLMStatus() {
+  return PROVIDER_NAMES.map((name) => {
+    const provider = getProvider(name);
+    const budget = getBudget(name);
+    return {
+      name,
+      kind: provider.kind,
+      model: provider.model,
+      configured: provider.isConfigured(),
+      limits: provider.limits,
+      tokensInWindow: tokensUsedInWindow(budget),
+      requestsInWindow: requestsInWindow(budget),
+    };
+  });
 }
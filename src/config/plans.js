@@ -20,6 +20,9 @@
  * @property {number}      maxFileSizeMb    - max upload per file
  * @property {number|null} aiChatsPerMonth  - null = unlimited, 0 = none
  * @property {number|null} portals          - public doc portals (null = unlimited)
+ * @property {number|null} portalChatsPerMonth - portal "Ask the docs" answers
+ *                                           (null = unlimited), counted apart
+ *                                           from aiChatsPerMonth
  * @property {number|null} versionHistoryDays - null = full history, 0 = none
  * @property {string[]}    exportFormats    - e.g. ['pdf', 'google_docs', 'notion']
  */
@@ -62,6 +65,7 @@ export const PLANS = {
       maxFileSizeMb: 5,
       aiChatsPerMonth: 0,
       portals: 0,
+      portalChatsPerMonth: 0,
       versionHistoryDays: 0,
       exportFormats: [],
     },
@@ -97,6 +101,7 @@ export const PLANS = {
       maxFileSizeMb: 20,
       aiChatsPerMonth: 0,
       portals: 1,
+      portalChatsPerMonth: 100,
       versionHistoryDays: 30,
       exportFormats: ["pdf"],
     },
@@ -132,6 +137,7 @@ export const PLANS = {
       maxFileSizeMb: 50,
       aiChatsPerMonth: 50,
       portals: null, // unlimited
+      portalChatsPerMonth: 1000,
       versionHistoryDays: null, // full
       exportFormats: ["pdf", "google_docs"],
     },
@@ -167,6 +173,7 @@ export const PLANS = {
       maxFileSizeMb: 100,
       aiChatsPerMonth: null, // unlimited
       portals: null,
+      portalChatsPerMonth: null, // unlimited
       versionHistoryDays: null,
       exportFormats: ["pdf", "google_docs", "notion"],
     },
@@ -43,6 +43,17 @@ function effectivePlan(sub) {
   return "free";
 }
 
+/**
+ * Effective plan of a user who isn't making the request — e.g. the
+ * owner of a public portal, whose plan pays for its chat.
+ * @param {string} userId
+ * @returns {Promise<object>} plan config from plans.js
+ */
+export async function planForUser(userId) {
+  const sub = await Subscription.findOne({ userId }).lean();
+  return getPlan(sub ? effectivePlan(sub) : "free");
+}
+
 // ── Middleware factories ───────────────────────────────────────────
 
 /**
@@ -56,3 +56,30 @@ export const apiLimiter = rateLimit({
   legacyHeaders: false,
   handler: onLimitReached,
 });
+
+/**
+ * Portal "Ask the docs" — per visitor, on each portal.
+ * 10 questions per 5 minutes per IP.
+ */
+export const portalChatVisitorLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `${req.params.slug}:${req.ip}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: onLimitReached,
+});
+
+/**
+ * Portal "Ask the docs" — per portal, all visitors together.
+ * 120 questions per 5 minutes, so a burst can't spend the owner's
+ * monthly quota at once.
+ */
+export const portalChatLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  max: 120,
+  keyGenerator: (req) => req.params.slug,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: onLimitReached,
+});
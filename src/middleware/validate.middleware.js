@@ -15,6 +15,12 @@
 // ===================================================================
 
 import { body, query, param, validationResult } from "express-validator";
+import {
+  parseRepoUrl,
+  parseTrackedRef,
+  SOURCE_NAMES,
+} from "../services/sources/index.js";
+import { TRIAGE_STATES } from "../services/security-findings.service.js";
 
 /**
  * Run after rule chains — short-circuits with 422 if any rule failed.
@@ -70,8 +76,49 @@ const repoUrlField = () =>
     .trim()
     .notEmpty()
     .withMessage("repoUrl is required")
-    .contains("github.com")
-    .withMessage("repoUrl must be a GitHub repository URL");
+    .custom((value, { req }) =>
+      Boolean(parseRepoUrl(value, { provider: req.body.provider })),
+    )
+    .withMessage(
+      "repoUrl must be a GitHub, GitLab, Bitbucket or git repository URL",
+    );
+
+const providerField = () =>
+  body("provider")
+    .optional()
+    .isIn(SOURCE_NAMES)
+    .withMessage(`provider must be one of: ${SOURCE_NAMES.join(", ")}`);
+
+const buildLabelField = () =>
+  body("label")
+    .optional()
+    .isString()
+    .withMessage("label must be a string")
+    .isLength({ max: 60 })
+    .withMessage("label must be 60 characters or fewer");
+
+const publishedField = () =>
+  body("published")
+    .optional()
+    .isBoolean()
+    .withMessage("published must be a boolean")
+    .toBoolean();
+
+const chatThreadTitleField = () =>
+  body("title")
+    .optional()
+    .isString()
+    .withMessage("title must be a string")
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage("title must be 120 characters or fewer");
+
+const chatThreadSharedField = () =>
+  body("shared")
+    .optional()
+    .isBoolean()
+    .withMessage("shared must be a boolean")
+    .toBoolean();
 
 // ── Rule sets — one per endpoint ──────────────────────────────
 export const rules = {
@@ -104,7 +151,7 @@ export const rules = {
   ],
 
   /** POST /projects */
-  createProject: [repoUrlField()],
+  createProject: [providerField(), repoUrlField()],
 
   /** GET /projects — query params */
   listProjects: [
@@ -146,6 +193,133 @@ export const rules = {
       .optional()
       .isIn(["archived"])
       .withMessage("Only 'archived' status can be set via PATCH"),
+    body("trackedRef")
+      .optional({ values: "null" })
+      .custom((value) => value === "" || Boolean(parseTrackedRef(value)))
+      .withMessage(
+        "trackedRef must be a branch name, refs/tags/<tag>, a full commit SHA, or { kind, name }",
+      ),
+  ],
+
+  /** POST /projects/:id/builds */
+  createBuild: [
+    body("ref")
+      .custom((value) => Boolean(parseTrackedRef(value)))
+      .withMessage(
+        "ref must be a branch name, refs/tags/<tag>, a full commit SHA, or { kind, name }",
+      ),
+    buildLabelField(),
+    publishedField(),
+  ],
+
+  /** PATCH /projects/:id/builds/:buildId */
+  updateBuild: [
+    buildLabelField(),
+    publishedField(),
+  ],
+
+  /** GET /projects/:id/security/findings — query params */
+  listFindings: [
+    query("state")
+      .optional()
+      .isIn(TRIAGE_STATES)
+      .withMessage(`state must be one of: ${TRIAGE_STATES.join(", ")}`),
+  ],
+
+  /** GET /projects/:id/security/history — query params */
+  securityHistory: [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage("limit must be between 1 and 500")
+      .toInt(),
+    query("since")
+      .optional()
+      .isISO8601()
+      .withMessage("since must be an ISO 8601 date")
+      .toDate(),
+  ],
+
+  /**
+   * PATCH /projects/:id/security/findings/:fingerprint — REQUEST BODY.
+   * accepted_risk needs a future expiresAt — checked in the service.
+   */
+  triageFinding: [
+    body("state")
+      .isIn(TRIAGE_STATES)
+      .withMessage(`state must be one of: ${TRIAGE_STATES.join(", ")}`),
+    body("note")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("note must be a string")
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("note must be 1000 characters or fewer"),
+    body("expiresAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("expiresAt must be an ISO 8601 date")
+      .toDate(),
+  ],
+
+  /** POST /projects/:id/chat */
+  chatMessage: [
+    body("message")
+      .isString()
+      .withMessage("message is required")
+      .trim()
+      .notEmpty()
+      .withMessage("message is required")
+      .isLength({ max: 4000 })
+      .withMessage("message must be 4000 characters or fewer"),
+    body("threadId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid thread ID"),
+  ],
+
+  /** DELETE /projects/:id/chat — query params */
+  resetChat: [
+    query("threadId").optional().isMongoId().withMessage("Invalid thread ID"),
+  ],
+
+  /** POST /projects/:id/chat/threads */
+  createChatThread: [chatThreadTitleField(), chatThreadSharedField()],
+
+  /** PATCH /projects/:id/chat/threads/:threadId */
+  updateChatThread: [chatThreadTitleField(), chatThreadSharedField()],
+
+  /** POST /portal/:slug/chat */
+  portalChat: [
+    body("message")
+      .isString()
+      .withMessage("message is required")
+      .trim()
+      .notEmpty()
+      .withMessage("message is required")
+      .isLength({ max: 1000 })
+      .withMessage("message must be 1000 characters or fewer"),
+    body("history")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("history must be an array of at most 10 messages"),
+    body("history.*.role")
+      .isIn(["user", "assistant"])
+      .withMessage("history role must be user or assistant"),
+    body("history.*.content")
+      .isString()
+      .withMessage("history content must be a string")
+      .isLength({ max: 4000 })
+      .withMessage("history content must be 4000 characters or fewer"),
+  ],
+
+  /** GET /projects/:id/portal/chat/analytics — query params */
+  portalChatAnalytics: [
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 180 })
+      .withMessage("days must be between 1 and 180")
+      .toInt(),
   ],
 
   /** PATCH /auth/profile */
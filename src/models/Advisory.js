@@ -0,0 +1,67 @@
+// =============================================================
+// Advisory — offline vulnerability database, OSV format.
+//
+// One document per OSV record (https://ossf.github.io/osv-schema/),
+// imported by an admin (POST /admin/advisories/import). The
+// dependency auditor matches lockfile packages against `affected`
+// by ecosystem + name and evaluates the ranges itself, so no
+// network call is made during a pipeline run.
+//
+// Only the ecosystems the auditor reads lockfiles for are indexed
+// usefully — npm, PyPI, Go, crates.io — but records for any
+// ecosystem are kept as imported.
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const ADVISORY_SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+
+// ── affected[].ranges[] ───────────────────────────────────────
+// events: [{ introduced } | { fixed } | { last_affected } | { limit }]
+const RangeSchema = new Schema(
+  {
+    type: { type: String, enum: ["SEMVER", "ECOSYSTEM", "GIT"] },
+    events: { type: [Schema.Types.Mixed], default: [] },
+  },
+  { _id: false },
+);
+
+const AffectedSchema = new Schema(
+  {
+    ecosystem: { type: String, required: true },
+    name: { type: String, required: true },
+    ranges: { type: [RangeSchema], default: [] },
+    versions: { type: [String], default: [] }, // explicitly affected
+  },
+  { _id: false },
+);
+
+const AdvisorySchema = new Schema(
+  {
+    osvId: { type: String, required: true, unique: true }, // GHSA-…, PYSEC-…
+    aliases: { type: [String], default: [] }, // CVE ids etc.
+    summary: { type: String, default: "" },
+    details: { type: String, default: "" },
+
+    // Normalised from database_specific.severity or the CVSS vector
+    severity: { type: String, enum: ADVISORY_SEVERITIES, default: "MEDIUM" },
+    cwes: { type: [String], default: [] },
+
+    affected: { type: [AffectedSchema], default: [] },
+    references: { type: [String], default: [] },
+
+    published: { type: Date, default: null },
+    modified: { type: Date, default: null },
+    withdrawn: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+AdvisorySchema.index({ "affected.ecosystem": 1, "affected.name": 1 });
+
+export const Advisory = model("Advisory", AdvisorySchema);
@@ -4,6 +4,14 @@
 // One document per project. Stores both the raw imported spec
 // and a normalised, framework-agnostic representation that the
 // frontend can consume without further parsing.
+//
+// source "generated" is an OpenAPI 3.1 document built from the
+// pipeline's extracted endpoints and models
+// (services/openapi.service.js); it is rebuilt after every run.
+//
+// drift is the last run's comparison of an imported spec with the
+// extracted endpoints (services/api-drift.service.js) — the one shown
+// in the security report.
 // =============================================================
 
 import mongoose from "mongoose";
@@ -55,8 +63,12 @@ const ApiSpecSchema = new Schema(
       index: true,
     },
 
-    // How the spec was imported
-    source: { type: String, enum: ["file", "url", "raw"], required: true },
+    // How the spec was imported — or "generated" from the code
+    source: {
+      type: String,
+      enum: ["file", "url", "raw", "generated"],
+      required: true,
+    },
     sourceUrl: { type: String }, // only for "url" source
 
     // Detected spec flavour
@@ -109,6 +121,10 @@ const ApiSpecSchema = new Schema(
     // Auto-sync options (URL source only)
     autoSync: { type: Boolean, default: false },
     lastSyncedAt: { type: Date },
+
+    // { checkedAt, summary, undocumented, missingFromCode, mismatched }
+    // null for generated specs and before the first run after import
+    drift: { type: Mixed, default: null },
   },
   { timestamps: true },
 );
@@ -0,0 +1,69 @@
+// =============================================================
+// ChatThread — one "chat with your codebase" conversation.
+//
+// Threads belong to a project and the user who started them, and
+// survive restarts and re-runs of the pipeline. Every message is kept
+// so a thread can be resumed; only the tail goes to the model. Older
+// turns are folded into `summary` — messages[0 … summarisedCount) are
+// covered by it (api/projects/chat.service.js).
+//
+// Sharing:
+//   shared: false — only the creator sees the thread
+//   shared: true  — every collaborator on the project can read it;
+//                   owners and editors can also post in it
+// Only owners and editors can share a thread.
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const ChatMessageSchema = new Schema(
+  {
+    role: { type: String, enum: ["user", "assistant"], required: true },
+    content: { type: String, required: true },
+    // Who asked — shared threads mix authors. Null on replies.
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    // Replies: the sources they cite (services/chat.service.js), and
+    // cited numbers that matched no source
+    citations: { type: [Schema.Types.Mixed], default: undefined },
+    unmatchedRefs: { type: [Number], default: undefined },
+    // Replies: the tools the model called, [{ name, arguments }]
+    toolCalls: { type: [Schema.Types.Mixed], default: undefined },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const ChatThreadSchema = new Schema(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    // Creator — the only one who can rename, share or clear the thread
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: { type: String, default: "", trim: true, maxlength: 120 },
+    shared: { type: Boolean, default: false },
+
+    messages: { type: [ChatMessageSchema], default: [] },
+    // Kept alongside messages so lists don't have to load them
+    messageCount: { type: Number, default: 0 },
+    summary: { type: String, default: "" },
+    summarisedCount: { type: Number, default: 0 },
+    lastMessageAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// "My threads on this project, most recent first"
+ChatThreadSchema.index({ projectId: 1, userId: 1, lastMessageAt: -1 });
+// Threads shared with the project
+ChatThreadSchema.index({ projectId: 1, shared: 1 });
+
+export const ChatThread = model("ChatThread", ChatThreadSchema);
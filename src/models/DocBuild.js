@@ -0,0 +1,123 @@
+// =============================================================
+// An additional documentation build of a project, for one ref —
+// e.g. the `v1` and `v2` release branches documented side by side.
+//
+// The project document itself stays the default build (it follows
+// Project.trackedRef, or the default branch). Each DocBuild holds
+// the same pipeline state for its own ref:
+//
+//   output, stats, security      — results of the last run
+//   lastDocumentedCommit / Ref   — what `output` was generated from
+//   fileManifest, agentOutputs   — incremental sync baseline
+//                                  (select:false)
+//
+// Builds are AI output only — user edits apply to the default
+// build. Version history is kept per build (DocumentVersion.buildId).
+//
+//   published  — offered in the portal's version switcher
+//   label      — switcher label, defaults to the ref name
+//
+// Lifecycle mirrors the project's: queued → running → done | error.
+// =============================================================
+
+import mongoose from "mongoose";
+import {
+  StatsSchema,
+  SecuritySchema,
+  OutputSchema,
+  FileManifestEntrySchema,
+  AgentOutputsSchema,
+} from "./Project.js";
+
+const { Schema, model } = mongoose;
+
+const DocBuildSchema = new Schema(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+
+    // Branch, tag or pinned commit this build documents
+    ref: {
+      kind: {
+        type: String,
+        enum: ["branch", "tag", "commit"],
+        required: true,
+      },
+      name: { type: String, required: true, trim: true },
+    },
+
+    label: { type: String, trim: true, maxlength: 60 },
+    published: { type: Boolean, default: false },
+
+    // ── Pipeline state ────────────────────────────────────────
+    jobId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "done", "error"],
+      default: "queued",
+    },
+
+    errorMessage: String,
+
+    // ── Pipeline results ──────────────────────────────────────
+    meta: {
+      name: String,
+      description: String,
+      language: String,
+      stars: Number,
+      defaultBranch: String,
+      isPrivate: Boolean,
+      topics: [String],
+    },
+    techStack: [String],
+    architectureHint: String,
+
+    stats: { type: StatsSchema, default: () => ({}) },
+    security: { type: SecuritySchema, default: () => ({}) },
+    output: { type: OutputSchema, default: () => ({}) },
+
+    // ── Incremental sync state ────────────────────────────────
+    lastDocumentedCommit: { type: String, default: null },
+    lastDocumentedRef: { type: String, default: null },
+
+    fileManifest: {
+      type: [FileManifestEntrySchema],
+      default: [],
+      select: false,
+    },
+
+    agentOutputs: {
+      type: AgentOutputsSchema,
+      default: () => ({}),
+      select: false,
+    },
+
+    // ── Pipeline event log (last 200 events) ──────────────────
+    events: {
+      type: [Schema.Types.Mixed],
+      default: [],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// One build per ref per project
+DocBuildSchema.index(
+  { projectId: 1, "ref.kind": 1, "ref.name": 1 },
+  { unique: true },
+);
+
+export const DocBuild = model("DocBuild", DocBuildSchema);
@@ -11,7 +11,11 @@
 //   ai_incremental   — only the section was re-generated during a sync
 //   user             — user manually edited the section in the UI
 //
-// Capped at MAX_VERSIONS_PER_SECTION per section per project.
+// buildId: the DocBuild the version belongs to; null (or unset, for
+// versions written before builds existed) is the project's default
+// build. Each build has its own history.
+//
+// Capped at MAX_VERSIONS_PER_SECTION per section per build.
 // Oldest versions are pruned synchronously after every write.
 // =============================================================
 
@@ -37,6 +41,11 @@ const DocumentVersionSchema = new Schema(
       required: true,
       index: true,
     },
+    buildId: {
+      type: Schema.Types.ObjectId,
+      ref: "DocBuild",
+      default: null,
+    },
 
     // ── Which doc section this version is for ─────────────────
     section: {
@@ -60,8 +69,10 @@ const DocumentVersionSchema = new Schema(
 
     // ── Optional metadata for traceability ───────────────────
     meta: {
-      // For AI versions: which git commit was the repo at
+      // For AI versions: which git commit was the repo at, and the
+      // branch / tag / SHA it was read from
       commitSha: String,
+      ref: String,
       // For incremental versions: which files triggered the regen
       changedFiles: [String],
       // Which agents ran and produced this content
@@ -77,21 +88,27 @@ const DocumentVersionSchema = new Schema(
 );
 
 // ── Indexes ───────────────────────────────────────────────────
-// List versions for a section: newest first
-DocumentVersionSchema.index({ projectId: 1, section: 1, createdAt: -1 });
+// List versions for a section of one build: newest first
+DocumentVersionSchema.index({
+  projectId: 1,
+  buildId: 1,
+  section: 1,
+  createdAt: -1,
+});
 
 // ── Static helper: create a version + prune old ones ─────────
 DocumentVersionSchema.statics.createVersion = async function ({
   projectId,
+  buildId = null,
   section,
   content,
   source,
   meta = {},
 }) {
-  await this.create({ projectId, section, content, source, meta });
+  await this.create({ projectId, buildId, section, content, source, meta });
 
   // Prune: keep only the newest MAX_VERSIONS_PER_SECTION
-  const versions = await this.find({ projectId, section })
+  const versions = await this.find({ projectId, buildId, section })
     .sort({ createdAt: -1 })
     .select("_id")
     .lean();
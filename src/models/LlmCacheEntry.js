@@ -0,0 +1,53 @@
+// =============================================================
+// LlmCacheEntry — content-addressed cache of agent LLM responses.
+//
+// key = sha256(provider, model, prompt hash, sorted file blob SHAs)
+//
+// Git blob SHAs only change when file content changes, so an
+// unchanged batch of files resolves to the same key on a retry,
+// a forced full re-run, or in another project that forked the
+// same repo — and costs zero tokens.
+//
+// Bounded three ways:
+//   expiresAt  — TTL index; pushed forward on every hit
+//   bytes      — oversized responses are never stored
+//   entry cap  — least-recently-hit entries pruned by
+//                llm-cache.service.js when the collection grows
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const LlmCacheEntrySchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+
+    // ── Key components (kept for inspection / targeted purges) ─
+    provider: { type: String, required: true },
+    model: { type: String, required: true },
+    agent: { type: String, default: null },
+    promptHash: { type: String, required: true },
+    blobShas: { type: [String], default: [] },
+
+    // ── Payload ───────────────────────────────────────────────
+    response: { type: String, required: true },
+    bytes: { type: Number, required: true },
+    tokens: { type: Number, default: 0 }, // tokens the original call cost
+
+    // ── Usage ─────────────────────────────────────────────────
+    hits: { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: Date.now, index: true },
+
+    // MongoDB TTL monitor removes the document once this passes
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+LlmCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LlmCacheEntry = model("LlmCacheEntry", LlmCacheEntrySchema);
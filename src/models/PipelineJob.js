@@ -0,0 +1,89 @@
+// =============================================================
+// PipelineJob — durable record of one pipeline / sync run.
+//
+// Replaces process memory as the source of truth for job state
+// so a run survives a deploy or crash:
+//
+//   status      queued → running → done | error
+//               running → queued   (attempt failed, retry later)
+//               queued | running → cancelled  (POST /projects/:id/cancel)
+//
+//   lease       the instance currently executing the job holds
+//               leaseOwner until leaseExpiresAt and renews it with
+//               heartbeats. An expired lease means the instance
+//               died — any other instance may claim the job.
+//
+//   attempts    bumped on every claim; runAfter delays the next
+//               claim with exponential backoff after a failure.
+//
+//   cancelRequested  set when a cancel arrives for a job running on
+//               another instance; its worker polls for it and aborts.
+//
+//   events      SSE progress log with a running eventCount so
+//               stream endpoints on other instances can tail it.
+//
+// Finished jobs expire via TTL (expiresAt) — the project keeps
+// its own copy of the last 200 events and the final result.
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const PipelineJobSchema = new Schema(
+  {
+    jobId: { type: String, required: true, unique: true },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    // "full" → orchestrate(), "sync" → incrementalSync(),
+    // "build" → incrementalSync() for one of the project's DocBuilds
+    kind: { type: String, enum: ["full", "sync", "build"], required: true },
+    // Handler arguments, e.g. { forceFullRun, webhookChangedFiles, buildId }
+    payload: { type: Schema.Types.Mixed, default: () => ({}) },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "done", "error", "cancelled"],
+      default: "queued",
+    },
+
+    // ── Retry ─────────────────────────────────────────────────
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAfter: { type: Date, default: Date.now },
+    lastError: { type: String, default: null },
+    cancelRequested: { type: Boolean, default: false },
+
+    // ── Lease ─────────────────────────────────────────────────
+    leaseOwner: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    heartbeatAt: { type: Date, default: null },
+
+    // ── SSE fan-out ───────────────────────────────────────────
+    events: { type: [Schema.Types.Mixed], default: [] },
+    eventCount: { type: Number, default: 0 },
+    result: { type: Schema.Types.Mixed, default: null },
+
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// Claim query: oldest runnable job first
+PipelineJobSchema.index({ status: 1, runAfter: 1 });
+// Lease takeover query
+PipelineJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+PipelineJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PipelineJob = model("PipelineJob", PipelineJobSchema);
@@ -37,6 +37,19 @@ const PlanUsageSchema = new Schema(
       index: true, // queried by reset_ai_usage cron
     },
 
+    // ── Portal "Ask the docs" answers ─────────────────────────
+    // Billed to the portal's owner, apart from aiChatsUsed. Counted per
+    // calendar month (UTC): a chat in a new month starts over at 1.
+    portalChatsUsed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    portalChatsPeriod: {
+      type: String, // "YYYY-MM"
+      default: null,
+    },
+
     // ── Project count ─────────────────────────────────────────
     // Cached to avoid a Project.countDocuments() on every gate check.
     // Updated on project create/delete.
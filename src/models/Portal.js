@@ -17,6 +17,11 @@
 //     "internal"     — excluded from the portal output
 //     "coming_soon"  — shown in nav but content is a placeholder card
 //
+// chat:
+//   enabled — opt-in "Ask the docs" at POST /portal/:slug/chat. Answers
+//   come from the public sections only; questions are kept for the
+//   owner's analytics (PortalChatQuestion).
+//
 // branding:
 //   All fields optional — sensible defaults applied by the public
 //   portal page when not set.
@@ -71,6 +76,13 @@ const PortalSectionSchema = new Schema(
   { _id: false },
 );
 
+const PortalChatSchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 // ── Main schema ───────────────────────────────────────────────
 
 const PortalSchema = new Schema(
@@ -110,6 +122,8 @@ const PortalSchema = new Schema(
     // Per-section visibility overrides. Sections not listed → treated as "public"
     sections: { type: [PortalSectionSchema], default: [] },
 
+    chat: { type: PortalChatSchema, default: () => ({}) },
+
     seoTitle: String,
     seoDescription: String,
 
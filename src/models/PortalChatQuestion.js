@@ -0,0 +1,61 @@
+// =============================================================
+// PortalChatQuestion — one question asked through a portal's
+// "Ask the docs" chat, for the owner's analytics.
+//
+// Visitors are anonymous: `visitor` is a salted hash of their IP,
+// enough to count unique askers without storing the address. Replies
+// aren't kept, only which doc sections they cited.
+//
+// Questions expire after RETENTION_DAYS (TTL index on createdAt).
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const RETENTION_DAYS = 180;
+
+const PortalChatQuestionSchema = new Schema(
+  {
+    portalId: {
+      type: Schema.Types.ObjectId,
+      ref: "Portal",
+      required: true,
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    question: { type: String, required: true, maxlength: 4000 },
+    // Lower-cased, punctuation stripped — groups repeats of a question
+    normalised: { type: String, required: true, maxlength: 300 },
+    visitor: { type: String, required: true },
+
+    status: {
+      type: String,
+      enum: ["answered", "failed"],
+      default: "answered",
+    },
+    // Doc sections the reply cited, e.g. ["apiReference"]
+    sections: { type: [String], default: [] },
+    replyChars: { type: Number, default: 0 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+// Owner analytics — a project's questions over a period
+PortalChatQuestionSchema.index({ projectId: 1, createdAt: -1 });
+PortalChatQuestionSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+export const PortalChatQuestion = model(
+  "PortalChatQuestion",
+  PortalChatQuestionSchema,
+);
@@ -1,5 +1,7 @@
 // =============================================================
-// Represents one documentation project for a GitHub repository.
+// Represents one documentation project for a repository on any
+// supported source (GitHub, GitLab, Bitbucket, plain git — see
+// services/sources).
 //
 // v3.1 additions:
 //
@@ -14,21 +16,49 @@
 //   lastDocumentedCommit — git SHA at the time of last successful
 //                      full or incremental pipeline run.
 //
+//   trackedRef       — { kind: branch|tag|commit, name } the docs
+//                      follow. Unset = the repo's default branch.
+//   lastDocumentedRef — ref name lastDocumentedCommit was read from.
+//
 //   fileManifest     — [{path, sha, role}] snapshot of the repo
 //                      tree as of lastDocumentedCommit. Used for
-//                      SHA-based diffing without GitHub compare API.
+//                      SHA-based diffing without a host compare API.
 //
 //   agentOutputs     — raw structured outputs from each agent.
 //                      select:false — not returned in queries.
 //                      Stored so incremental sync can surgically
 //                      remove/merge changed-file entries without
 //                      re-running agents on the whole repo.
+//
+//   securityTriage   — per-finding triage (false positive, accepted
+//                      risk, fixed) keyed by finding fingerprint.
+//                      Kept across runs; applied when scoring.
+//
+//   checkpoints      — per-agent outputs of the current full run,
+//                      keyed by step and tied to the commit they
+//                      were produced from. A resumed run skips the
+//                      steps found here. select:false.
+//
+// A project can also hold DocBuild documents — extra builds for
+// other refs (release branches). The project itself is the default
+// build; the result sub-schemas below are shared with DocBuild.
 // =============================================================
 
 import mongoose from "mongoose";
 
 const { Schema, model } = mongoose;
 
+// Agent steps that are checkpointed, in pipeline order. Re-running a
+// step also re-runs everything downstream of it.
+export const PIPELINE_STEPS = [
+  "scan",
+  "api",
+  "schema",
+  "components",
+  "security",
+  "write",
+];
+
 // ── Security sub-schemas ──────────────────────────────────────
 
 const SecurityFindingSchema = new Schema(
@@ -37,14 +67,67 @@ const SecurityFindingSchema = new Schema(
     severity: { type: String, enum: ["CRITICAL", "HIGH", "MEDIUM", "LOW"] },
     title: String,
     file: String,
-    line: String,
+    line: String, // detected snippet
+    line_number: Number,
+    // 1-based; endColumn is one past the last character (as in SARIF)
+    location: {
+      path: String,
+      startLine: Number,
+      endLine: Number,
+      startColumn: Number,
+      endColumn: Number,
+    },
+    permalink: String, // host link to the lines at the documented commit
     advice: String,
-    source: { type: String, enum: ["static", "llm"] },
+    source: {
+      type: String,
+      enum: ["static", "llm", "dependency", "secret"],
+    },
+    // Dependency findings — { ecosystem, name, version } and the
+    // upgrade path; paths are how the package got installed
+    package: {
+      ecosystem: String,
+      name: String,
+      version: String,
+    },
+    fixedIn: { type: [String], default: undefined },
+    paths: { type: [String], default: undefined },
+    // Stable across runs — see services/security-findings.service.js
+    fingerprint: String,
+    triage: {
+      type: String,
+      enum: ["open", "false_positive", "accepted_risk", "fixed"],
+    },
+    regressed: Boolean, // marked fixed, but reported again
+    reportedAt: Date, // run that last reported it
+  },
+  { _id: false },
+);
+
+// Triage decision for one finding, by fingerprint. ruleId / file /
+// title are a snapshot so the entry stays readable once the finding
+// is gone.
+const SecurityTriageSchema = new Schema(
+  {
+    fingerprint: { type: String, required: true },
+    state: {
+      type: String,
+      enum: ["open", "false_positive", "accepted_risk", "fixed"],
+      required: true,
+    },
+    ruleId: String,
+    file: String,
+    title: String,
+    note: { type: String, maxlength: 1000 },
+    // accepted_risk only — the finding counts again after this
+    expiresAt: Date,
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedAt: { type: Date, default: Date.now },
   },
   { _id: false },
 );
 
-const SecuritySchema = new Schema(
+export const SecuritySchema = new Schema(
   {
     score: Number,
     grade: String,
@@ -54,6 +137,8 @@ const SecuritySchema = new Schema(
       MEDIUM: { type: Number, default: 0 },
       LOW: { type: Number, default: 0 },
     },
+    // Findings excluded from the score by triage
+    suppressed: { type: Number, default: 0 },
     findings: { type: [SecurityFindingSchema], default: [] },
   },
   { _id: false },
@@ -61,10 +146,11 @@ const SecuritySchema = new Schema(
 
 // ── Stats sub-schema ──────────────────────────────────────────
 
-const StatsSchema = new Schema(
+export const StatsSchema = new Schema(
   {
     filesAnalysed: { type: Number, default: 0 },
     endpoints: { type: Number, default: 0 },
+    operations: { type: Number, default: 0 },
     models: { type: Number, default: 0 },
     relationships: { type: Number, default: 0 },
     components: { type: Number, default: 0 },
@@ -76,7 +162,7 @@ const StatsSchema = new Schema(
 // This always holds the latest AI content.
 // Do not write user edits here — use editedOutput.
 
-const OutputSchema = new Schema(
+export const OutputSchema = new Schema(
   {
     readme: { type: String, default: "" },
     internalDocs: { type: String, default: "" },
@@ -103,7 +189,7 @@ const EditedSectionSchema = new Schema(
 
 // ── File manifest entry — for incremental diff ────────────────
 
-const FileManifestEntrySchema = new Schema(
+export const FileManifestEntrySchema = new Schema(
   {
     path: { type: String, required: true },
     sha: { type: String, required: true }, // Git blob SHA
@@ -116,10 +202,13 @@ const FileManifestEntrySchema = new Schema(
 // Each entry has a `file` field so stale entries can be removed
 // when that file changes, without touching entries from other files.
 
-const AgentOutputsSchema = new Schema(
+export const AgentOutputsSchema = new Schema(
   {
     // From apiExtractorAgent: [{method, path, description, file, ...}]
     endpoints: { type: [Schema.Types.Mixed], default: [] },
+    // From apiExtractorAgent: GraphQL / gRPC / tRPC operations
+    // [{protocol, kind, fullName, file, input, output, ...}]
+    operations: { type: [Schema.Types.Mixed], default: [] },
     // From schemaAnalyserAgent: [{name, fields, description, file, ...}]
     models: { type: [Schema.Types.Mixed], default: [] },
     // From schemaAnalyserAgent: [{from, to, type, through}]
@@ -147,10 +236,22 @@ const ProjectSchema = new Schema(
     },
 
     // ── Repository identity ───────────────────────────────────
+    // Unset on projects created before sources existed — GitHub
+    provider: {
+      type: String,
+      enum: ["github", "gitlab", "bitbucket", "git", "local"],
+      default: "github",
+    },
     repoUrl: { type: String, required: true, trim: true },
     repoOwner: { type: String, required: true, trim: true },
     repoName: { type: String, required: true, trim: true },
 
+    // Branch, tag or pinned commit to document — see PATCH /projects/:id
+    trackedRef: {
+      kind: { type: String, enum: ["branch", "tag", "commit"] },
+      name: { type: String, trim: true },
+    },
+
     // ── Pipeline state ────────────────────────────────────────
     jobId: {
       type: String,
@@ -201,10 +302,18 @@ const ProjectSchema = new Schema(
       default: [],
     },
 
+    // ── Security triage ───────────────────────────────────────
+    // Survives full and incremental runs; builds use it too.
+    securityTriage: {
+      type: [SecurityTriageSchema],
+      default: [],
+    },
+
     // ── Incremental sync state (v3.1) ─────────────────────────
     // Git SHA of the commit that `output` was generated from.
     // null = never synced or full run happened without capturing SHA.
     lastDocumentedCommit: { type: String, default: null },
+    lastDocumentedRef: { type: String, default: null },
 
     // File tree snapshot as of lastDocumentedCommit.
     // Used to compute diffs via SHA comparison — no compare API needed.
@@ -221,6 +330,14 @@ const ProjectSchema = new Schema(
       select: false, // only fetched during sync operations
     },
 
+    // ── Pipeline checkpoints ──────────────────────────────────
+    // { commitSha, steps: { <PIPELINE_STEPS>: { output, duration, savedAt } } }
+    checkpoints: {
+      type: Schema.Types.Mixed,
+      default: null,
+      select: false,
+    },
+
     // ── Chat session ──────────────────────────────────────────
     chatSessionId: String,
 
@@ -0,0 +1,49 @@
+// =============================================================
+// Retrieval index for chat — one document per embedded chunk.
+//
+// Built at the end of every full run and patched by incremental
+// syncs (services/retrieval.service.js): source files cut into
+// overlapping line windows, plus one chunk per endpoint, operation,
+// model and component and per heading of the generated docs.
+//
+// `embedder` is the "<name>:<model>" id the vector came from. A
+// project's chunks always share one; a question is embedded with the
+// same embedder before it is compared against them.
+//
+// The whole set is replaced on every write — it is derived data.
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const RetrievalChunkSchema = new Schema(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    embedder: { type: String, required: true },
+
+    // code | doc | endpoint | operation | model | component
+    kind: { type: String, required: true },
+    title: { type: String, default: "" },
+    file: { type: String, default: null },
+    startLine: { type: Number, default: null },
+    endLine: { type: Number, default: null },
+    // Doc chunks: the output section and heading they come from
+    section: { type: String, default: null },
+    heading: { type: String, default: null },
+
+    text: { type: String, required: true },
+    // sha256 of text — unchanged chunks keep their vector across runs
+    hash: { type: String, required: true },
+    embedding: { type: [Number], required: true },
+  },
+  { versionKey: false },
+);
+
+RetrievalChunkSchema.index({ projectId: 1 });
+
+export const RetrievalChunk = model("RetrievalChunk", RetrievalChunkSchema);
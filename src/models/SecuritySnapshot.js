@@ -0,0 +1,97 @@
+// =============================================================
+// Security score history — one entry per pipeline run.
+//
+// project.security is overwritten by every full run and sync; a
+// snapshot of it is recorded here first-class so the trend can be
+// charted (GET /projects/:id/security/history) and a run compared
+// with the one before it (services/security-history.service.js); a
+// run that was worse carries `regression`.
+//
+// Only the project's default build is tracked. `critical` holds the
+// fingerprints of the open CRITICAL findings, which is what "a new
+// critical finding appeared" is decided from.
+//
+// Capped at MAX_SNAPSHOTS_PER_PROJECT; the oldest are pruned after
+// every write.
+// =============================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const MAX_SNAPSHOTS_PER_PROJECT = 500;
+
+const SecuritySnapshotSchema = new Schema(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+
+    // ── Score at the time of the run ──────────────────────────
+    score: { type: Number, required: true },
+    grade: { type: String, required: true },
+    counts: {
+      CRITICAL: { type: Number, default: 0 },
+      HIGH: { type: Number, default: 0 },
+      MEDIUM: { type: Number, default: 0 },
+      LOW: { type: Number, default: 0 },
+    },
+    suppressed: { type: Number, default: 0 },
+    critical: { type: [String], default: [] },
+
+    // ── The run that produced it ──────────────────────────────
+    // full    — full pipeline run (create / retry / forced sync)
+    // sync    — incremental sync started from the UI or API
+    // webhook — incremental or full sync started by a push
+    trigger: {
+      type: String,
+      enum: ["full", "sync", "webhook"],
+      required: true,
+    },
+    isFullRun: { type: Boolean, default: false },
+    commitSha: String,
+    ref: String,
+
+    // Set when the run was worse than the one before it
+    regression: {
+      type: new Schema(
+        {
+          previousGrade: String,
+          gradeDropped: Boolean,
+          newCritical: Number, // open CRITICALs the previous run lacked
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+// Newest first for one project
+SecuritySnapshotSchema.index({ projectId: 1, createdAt: -1 });
+
+// ── Static helper: record a snapshot + prune old ones ─────────
+SecuritySnapshotSchema.statics.record = async function (fields) {
+  const snapshot = await this.create(fields);
+
+  const stale = await this.find({ projectId: fields.projectId })
+    .sort({ createdAt: -1 })
+    .skip(MAX_SNAPSHOTS_PER_PROJECT)
+    .select("_id")
+    .lean();
+  if (stale.length)
+    await this.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+
+  return snapshot;
+};
+
+export const SecuritySnapshot = model(
+  "SecuritySnapshot",
+  SecuritySnapshotSchema,
+);
@@ -0,0 +1,69 @@
+// ===================================================================
+// Stores OAuth tokens for the non-GitHub repository sources
+// (GitLab, Bitbucket). GitHub connections keep their own
+// GitHubToken document.
+// One document per (user, provider) — upserted on each OAuth callback.
+//
+// Security: both tokens are AES-256-GCM encrypted before storage.
+// The decrypt() call happens in sources.service.js — never here.
+// ===================================================================
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const SourceTokenSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    provider: {
+      type: String,
+      enum: ["gitlab", "bitbucket"],
+      required: true,
+    },
+
+    // Encrypted tokens (AES-256-GCM via crypto.util)
+    accessTokenEncrypted: {
+      type: String,
+      required: true,
+      select: false, // never returned without explicit .select("+...")
+    },
+    refreshTokenEncrypted: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    // Access token expiry — null when the host issues non-expiring tokens
+    expiresAt: { type: Date, default: null },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    // Account data cached at OAuth time
+    accountId: String,
+    username: String,
+    email: String,
+
+    connectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// One connection per user per provider
+SourceTokenSchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+export const SourceToken = model("SourceToken", SourceTokenSchema);
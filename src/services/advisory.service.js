@@ -0,0 +1,484 @@
+// =============================================================
+// Advisory database — OSV import and version matching.
+//
+// The dependency auditor never calls out to osv.dev: an admin
+// imports OSV records (an export of the osv.dev bucket, a GHSA
+// dump, a hand-written advisory) and runs match against them.
+//
+//   importAdvisories(records) — normalise + upsert by OSV id
+//   advisoryStats()           — counts per ecosystem, newest record
+//   findAdvisories(eco, names)— advisories touching any of the names
+//   matchAdvisory(adv, eco, name, version)
+//                             — { fixedIn } when the version is
+//                               affected, null otherwise
+//
+// Version ordering is per ecosystem: semver for npm, crates.io and
+// Go (pseudo-versions are semver prereleases), PEP 440 for PyPI.
+// GIT ranges are commit-based and can't be matched from a lockfile
+// version, so they are ignored.
+// =============================================================
+
+import { Advisory, ADVISORY_SEVERITIES } from "../models/Advisory.js";
+
+export const ECOSYSTEMS = ["npm", "PyPI", "Go", "crates.io"];
+
+const MAX_IMPORT = 50_000;
+const QUERY_CHUNK = 500;
+
+// ── Package names ─────────────────────────────────────────────
+
+/** PyPI names compare after PEP 503 normalisation; others as-is. */
+export function normalisePackageName(ecosystem, name) {
+  const trimmed = String(name || "").trim();
+  return ecosystem === "PyPI"
+    ? trimmed.toLowerCase().replace(/[-_.]+/g, "-")
+    : trimmed;
+}
+
+// ── Version ordering ──────────────────────────────────────────
+
+const SEMVER =
+  /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function compareSemver(a, b) {
+  const ma = SEMVER.exec(a);
+  const mb = SEMVER.exec(b);
+  if (!ma || !mb) return compareLoose(a, b);
+
+  for (let i = 1; i <= 3; i++) {
+    const d = Number(ma[i] || 0) - Number(mb[i] || 0);
+    if (d) return Math.sign(d);
+  }
+  // A release sorts after its prereleases
+  if (!ma[4] || !mb[4]) return (ma[4] ? -1 : 0) + (mb[4] ? 1 : 0);
+
+  const pa = ma[4].split(".");
+  const pb = mb[4].split(".");
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if (pa[i] === undefined) return -1;
+    if (pb[i] === undefined) return 1;
+    const na = /^\d+$/.test(pa[i]);
+    const nb = /^\d+$/.test(pb[i]);
+    if (na && nb) {
+      const d = Number(pa[i]) - Number(pb[i]);
+      if (d) return Math.sign(d);
+    } else if (na !== nb) {
+      return na ? -1 : 1;
+    } else if (pa[i] !== pb[i]) {
+      return pa[i] < pb[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+const PEP440 =
+  /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d*))?(?:(?:-(\d+))|(?:[-_.]?(?:post|rev|r)[-_.]?(\d*)))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9.]+)?$/i;
+
+const PRE_RANK = {
+  a: 0,
+  alpha: 0,
+  b: 1,
+  beta: 1,
+  c: 2,
+  rc: 2,
+  pre: 2,
+  preview: 2,
+};
+
+function pep440Key(version) {
+  const m = PEP440.exec(String(version).trim());
+  if (!m) return null;
+  const [, epoch, release, preTag, preNum, postImplicit, postNum, devNum] = m;
+  const hasPost = postImplicit !== undefined || postNum !== undefined;
+  const hasDev = devNum !== undefined;
+
+  // dev-only releases sort before prereleases, finals after them
+  let pre;
+  if (preTag) pre = [PRE_RANK[preTag.toLowerCase()], Number(preNum || 0)];
+  else if (hasDev && !hasPost) pre = [-1, 0];
+  else pre = [3, 0];
+
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split(".").map(Number),
+    pre,
+    post: hasPost ? Number(postImplicit ?? (postNum || 0)) : -1,
+    dev: hasDev ? Number(devNum || 0) : Infinity,
+  };
+}
+
+function comparePep440(a, b) {
+  const ka = pep440Key(a);
+  const kb = pep440Key(b);
+  if (!ka || !kb) return compareLoose(a, b);
+
+  if (ka.epoch !== kb.epoch) return Math.sign(ka.epoch - kb.epoch);
+  const len = Math.max(ka.release.length, kb.release.length);
+  for (let i = 0; i < len; i++) {
+    const d = (ka.release[i] ?? 0) - (kb.release[i] ?? 0);
+    if (d) return Math.sign(d);
+  }
+  for (const [x, y] of [
+    [ka.pre[0], kb.pre[0]],
+    [ka.pre[1], kb.pre[1]],
+    [ka.post, kb.post],
+    [ka.dev, kb.dev],
+  ]) {
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function compareLoose(a, b) {
+  return Math.sign(
+    String(a).localeCompare(String(b), "en", { numeric: true }),
+  );
+}
+
+/** -1 / 0 / 1 under the ecosystem's version ordering. */
+export function compareVersions(ecosystem, a, b) {
+  return ecosystem === "PyPI" ? comparePep440(a, b) : compareSemver(a, b);
+}
+
+// ── Range evaluation ──────────────────────────────────────────
+
+// OSV: "introduced: 0" means every version up to the next event
+const isZero = (v) => v === "0" || v === "0.0.0";
+
+function eventVersion(ev) {
+  return ev.introduced ?? ev.fixed ?? ev.last_affected ?? ev.limit;
+}
+
+/**
+ * OSV range walk: events in version order toggle "affected" on
+ * (introduced) and off (fixed, or past last_affected / limit).
+ */
+function inRange(ecosystem, range, version) {
+  const cmp = (a, b) => compareVersions(ecosystem, a, b);
+  const events = [...(range.events || [])]
+    .filter((ev) => eventVersion(ev) !== undefined)
+    .sort((x, y) => {
+      const vx = eventVersion(x);
+      const vy = eventVersion(y);
+      if (isZero(vx) || isZero(vy)) return isZero(vx) ? -1 : 1;
+      return cmp(vx, vy);
+    });
+
+  let affected = false;
+  for (const ev of events) {
+    if (ev.introduced !== undefined) {
+      if (isZero(ev.introduced) || cmp(version, ev.introduced) >= 0)
+        affected = true;
+    } else if (ev.fixed !== undefined) {
+      if (cmp(version, ev.fixed) >= 0) affected = false;
+    } else if (ev.last_affected !== undefined) {
+      if (cmp(version, ev.last_affected) > 0) affected = false;
+    } else if (ev.limit !== undefined) {
+      if (cmp(version, ev.limit) >= 0) affected = false;
+    }
+  }
+  return affected;
+}
+
+const stripV = (v) => String(v).replace(/^v/, "");
+
+/**
+ * Is `version` of ecosystem/name affected by this advisory?
+ *
+ * @returns {{ fixedIn: string[] } | null} fixedIn — fixed versions
+ *   above the installed one, lowest first
+ */
+export function matchAdvisory(advisory, ecosystem, name, version) {
+  const wanted = normalisePackageName(ecosystem, name);
+  let affected = false;
+  const fixed = new Set();
+
+  for (const entry of advisory.affected || []) {
+    if (entry.ecosystem !== ecosystem) continue;
+    if (normalisePackageName(ecosystem, entry.name) !== wanted) continue;
+
+    if ((entry.versions || []).some((v) => stripV(v) === stripV(version)))
+      affected = true;
+
+    for (const range of entry.ranges || []) {
+      if (range.type === "GIT") continue;
+      if (inRange(ecosystem, range, version)) affected = true;
+      for (const ev of range.events || []) {
+        if (
+          ev.fixed !== undefined &&
+          compareVersions(ecosystem, ev.fixed, version) > 0
+        )
+          fixed.add(ev.fixed);
+      }
+    }
+  }
+
+  if (!affected) return null;
+  return {
+    fixedIn: [...fixed].sort((a, b) => compareVersions(ecosystem, a, b)),
+  };
+}
+
+// ── Import ────────────────────────────────────────────────────
+
+// CVSS v3 base score from the vector — enough for a severity band
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 },
+};
+
+function cvss3Score(vector) {
+  const m = Object.fromEntries(
+    String(vector)
+      .split("/")
+      .slice(1)
+      .map((part) => part.split(":")),
+  );
+  const w = CVSS3_WEIGHTS;
+  if (!w.AV[m.AV] || !w.AC[m.AC] || !w.UI[m.UI] || !m.PR || !m.S) return null;
+  if ([m.C, m.I, m.A].some((x) => w.C[x] === undefined)) return null;
+
+  const changed = m.S === "C";
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[
+    m.PR
+  ];
+  if (pr === undefined) return null;
+
+  const iss = 1 - (1 - w.C[m.C]) * (1 - w.I[m.I]) * (1 - w.A[m.A]);
+  const impact = changed
+    ? 7.52 * (iss - 0.029) - 3.25 * (iss - 0.02) ** 15
+    : 6.42 * iss;
+  if (impact <= 0) return 0;
+  const exploitability = 8.22 * w.AV[m.AV] * w.AC[m.AC] * pr * w.UI[m.UI];
+  const raw = changed
+    ? Math.min(1.08 * (impact + exploitability), 10)
+    : Math.min(impact + exploitability, 10);
+  return Math.ceil(raw * 10) / 10;
+}
+
+function severityFromScore(score) {
+  if (score >= 9) return "CRITICAL";
+  if (score >= 7) return "HIGH";
+  if (score >= 4) return "MEDIUM";
+  return "LOW";
+}
+
+/** GHSA-style database_specific.severity first, then any CVSS v3 vector. */
+function normaliseSeverity(record) {
+  const label = String(
+    record.database_specific?.severity || "",
+  ).toUpperCase();
+  if (label === "MODERATE") return "MEDIUM";
+  if (ADVISORY_SEVERITIES.includes(label)) return label;
+
+  for (const s of record.severity || []) {
+    if (!/^CVSS_V3/.test(s.type || "")) continue;
+    const score = cvss3Score(s.score);
+    if (score != null) return severityFromScore(score);
+  }
+  return "MEDIUM";
+}
+
+const toDate = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !isNaN(d) ? d : null;
+};
+
+/**
+ * One OSV record → Advisory fields, or an error string.
+ */
+export function normaliseOsvRecord(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record))
+    return { error: "not an object" };
+  if (typeof record.id !== "string" || !record.id.trim())
+    return { error: "missing id" };
+  if (!Array.isArray(record.affected))
+    return { error: `${record.id}: missing affected[]` };
+
+  const affected = [];
+  for (const entry of record.affected) {
+    const ecosystem = entry?.package?.ecosystem;
+    const name = entry?.package?.name;
+    if (!ecosystem || !name) continue;
+    affected.push({
+      ecosystem: String(ecosystem).split(":")[0], // "Debian:11" → "Debian"
+      name: normalisePackageName(ecosystem, name),
+      ranges: (entry.ranges || [])
+        .filter((r) => ["SEMVER", "ECOSYSTEM", "GIT"].includes(r?.type))
+        .map((r) => ({
+          type: r.type,
+          events: (r.events || []).filter((ev) => ev && typeof ev === "object"),
+        })),
+      versions: (entry.versions || []).map(String),
+    });
+  }
+  if (!affected.length)
+    return { error: `${record.id}: no affected package` };
+
+  return {
+    advisory: {
+      osvId: record.id.trim(),
+      aliases: (record.aliases || []).map(String),
+      summary: String(record.summary || "").slice(0, 500),
+      details: String(record.details || "").slice(0, 10_000),
+      severity: normaliseSeverity(record),
+      cwes: (record.database_specific?.cwe_ids || []).map(String),
+      affected,
+      references: (record.references || [])
+        .map((r) => r?.url)
+        .filter(Boolean)
+        .slice(0, 20),
+      published: toDate(record.published),
+      modified: toDate(record.modified),
+      withdrawn: toDate(record.withdrawn),
+    },
+  };
+}
+
+/**
+ * Parse an upload: a JSON array, a single record, or NDJSON (one
+ * record per line — how OSV exports are usually concatenated).
+ */
+export function parseOsvPayload(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return [];
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return trimmed
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      });
+  }
+}
+
+/**
+ * Upsert OSV records by id. A record older than the stored copy
+ * (by `modified`) is skipped.
+ *
+ * @returns {{ received, upserted, unchanged, rejected, errors: string[] }}
+ */
+export async function importAdvisories(records) {
+  if (records.length > MAX_IMPORT) {
+    const e = new Error(
+      `At most ${MAX_IMPORT} advisories per import — split the file.`,
+    );
+    e.code = "IMPORT_TOO_LARGE";
+    e.status = 413;
+    throw e;
+  }
+
+  const errors = [];
+  const ops = [];
+  for (const [i, record] of records.entries()) {
+    const { advisory, error } = normaliseOsvRecord(record);
+    if (error) {
+      errors.push(`#${i + 1}: ${error}`);
+      continue;
+    }
+    const newer = advisory.modified
+      ? {
+          $or: [
+            { modified: null },
+            { modified: { $lte: advisory.modified } },
+          ],
+        }
+      : {};
+    ops.push({
+      updateOne: {
+        filter: { osvId: advisory.osvId, ...newer },
+        update: { $set: advisory },
+        upsert: true,
+      },
+    });
+  }
+
+  let upserted = 0;
+  let unchanged = 0;
+  for (let i = 0; i < ops.length; i += 1000) {
+    try {
+      const res = await Advisory.bulkWrite(ops.slice(i, i + 1000), {
+        ordered: false,
+      });
+      upserted += res.upsertedCount + res.modifiedCount;
+      unchanged += res.matchedCount - res.modifiedCount;
+    } catch (err) {
+      // Duplicate-key errors are the "stored copy is newer" case:
+      // the filter missed and the upsert collided with it
+      const result = err.result ?? err;
+      upserted += (result.upsertedCount ?? 0) + (result.modifiedCount ?? 0);
+      unchanged +=
+        (result.matchedCount ?? 0) -
+        (result.modifiedCount ?? 0) +
+        (err.writeErrors?.filter((w) => w.code === 11000).length ?? 0);
+      if (err.writeErrors?.some((w) => w.code !== 11000)) throw err;
+    }
+  }
+
+  return {
+    received: records.length,
+    upserted,
+    unchanged,
+    rejected: errors.length,
+    errors: errors.slice(0, 50),
+  };
+}
+
+/** @returns {{ total, withdrawn, byEcosystem, lastModified }} */
+export async function advisoryStats() {
+  const [total, withdrawn, byEcosystem, newest] = await Promise.all([
+    Advisory.countDocuments(),
+    Advisory.countDocuments({ withdrawn: { $ne: null } }),
+    Advisory.aggregate([
+      { $unwind: "$affected" },
+      { $group: { _id: "$affected.ecosystem", ids: { $addToSet: "$_id" } } },
+      { $project: { count: { $size: "$ids" } } },
+      { $sort: { count: -1 } },
+    ]),
+    Advisory.findOne().sort({ modified: -1 }).select("modified").lean(),
+  ]);
+  return {
+    total,
+    withdrawn,
+    byEcosystem: Object.fromEntries(byEcosystem.map((e) => [e._id, e.count])),
+    lastModified: newest?.modified ?? null,
+  };
+}
+
+// ── Lookup ────────────────────────────────────────────────────
+
+/**
+ * Non-withdrawn advisories that name any of the packages.
+ *
+ * @param {string} ecosystem
+ * @param {string[]} names — normalised package names
+ */
+export async function findAdvisories(ecosystem, names) {
+  const unique = [...new Set(names)];
+  const found = [];
+  for (let i = 0; i < unique.length; i += QUERY_CHUNK) {
+    found.push(
+      ...(await Advisory.find({
+        withdrawn: null,
+        affected: {
+          $elemMatch: {
+            ecosystem,
+            name: { $in: unique.slice(i, i + QUERY_CHUNK) },
+          },
+        },
+      }).lean()),
+    );
+  }
+  return found;
+}
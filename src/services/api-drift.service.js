@@ -0,0 +1,377 @@
+// ===================================================================
+// API drift — imported spec vs the endpoints found in the code
+// ===================================================================
+//
+// Compares a project's imported ApiSpec (OpenAPI / Swagger / Postman,
+// normalised by api/apispec/apispec.parser.js) with the API Extractor
+// endpoints. Endpoints are matched by method and normalised path:
+//
+//   "/users/:id", "/users/<int:id>", "/Users/{userId}/"  →  "/users/{}"
+//
+// A spec path also matches with its server's base path in front
+// ("/v1" + "/users"), since extractors usually see the mounted route.
+//
+// Three lists come out:
+//
+//   undocumented     — in the code, not in the spec (shadow endpoints,
+//                      OWASP API9:2023 Improper Inventory Management)
+//   missingFromCode  — in the spec, no route in the code
+//   mismatched       — matched, but query / header / body parameters
+//                      or the auth requirement disagree
+//
+// Path parameter names are not compared — the normalised path already
+// lines them up by position. A spec generated from the code (source
+// "generated") is not compared; it cannot drift from itself.
+//
+// The drift is stored on the ApiSpec after every run and rendered
+// into the security report by both orchestrators.
+// ===================================================================
+
+import { openApiPath } from "./openapi.service.js";
+
+const HTTP_METHODS = new Set([
+  "GET",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+  "HEAD",
+  "TRACE",
+]);
+
+// Described by the spec's security / media type, not as parameters
+const IGNORED_HEADERS = /^(?:authorization|content-type|accept|cookie)$/i;
+
+// Entries per list in the report — the API returns all of them
+const REPORT_LIMIT = 25;
+
+const DRIFT_HEADING = "## 🧭 API Spec Drift";
+
+// ─── Matching ─────────────────────────────────────────────────────
+
+/** "/Users/:id/" → "/users/{}" */
+function normalisePath(path) {
+  return openApiPath(String(path || "/").trim())
+    .path.replace(/\{[^}]*\}/g, "{}")
+    .toLowerCase();
+}
+
+/** Path prefixes of the spec's servers — "https://x.io/api/v1" → "/api/v1". */
+function serverBasePaths(servers = []) {
+  const bases = new Set();
+  for (const server of servers) {
+    let pathname;
+    try {
+      pathname = new URL(server?.url || "/", "http://spec.local").pathname;
+    } catch {
+      continue;
+    }
+    const base = normalisePath(pathname.replace(/{[^}]*}/g, ""));
+    if (base !== "/") bases.add(base);
+  }
+  return [...bases];
+}
+
+function specKeys(ep, bases) {
+  const path = normalisePath(ep.path);
+  const method = ep.method.toUpperCase();
+  return [
+    `${method} ${path}`,
+    ...bases.map((base) => `${method} ${path === "/" ? base : base + path}`),
+  ];
+}
+
+// ─── Parameters ───────────────────────────────────────────────────
+
+/** `{ "query:page": required, … }` for a code endpoint. */
+function codeParams(ep) {
+  const params = new Map();
+  for (const p of ep.request?.params || []) {
+    const location = String(p?.in || "").toLowerCase();
+    if (!p?.name || !["query", "header", "body"].includes(location)) continue;
+    const name = location === "header" ? p.name.toLowerCase() : p.name;
+    params.set(`${location}:${name}`, Boolean(p.required));
+  }
+  for (const h of ep.request?.headers || []) {
+    if (!h?.name) continue;
+    params.set(`header:${h.name.toLowerCase()}`, Boolean(h.required));
+  }
+  return params;
+}
+
+function resolveRef(schema, schemas) {
+  const ref = schema?.$ref;
+  if (typeof ref !== "string") return schema;
+  return schemas?.[ref.split("/").pop()] ?? null;
+}
+
+/** Same shape as codeParams(), for a spec endpoint. */
+function specParams(ep, schemas) {
+  const params = new Map();
+  for (const p of ep.parameters || []) {
+    const location = String(p?.in || "").toLowerCase();
+    if (!p?.name) continue;
+    if (location === "query") params.set(`query:${p.name}`, !!p.required);
+    else if (location === "header")
+      params.set(`header:${p.name.toLowerCase()}`, !!p.required);
+    else if (location === "body") {
+      // Swagger 2 body parameter — its schema holds the fields
+      addBodyFields(params, resolveRef(p.schema, schemas));
+    }
+  }
+  const media = Object.values(ep.requestBody?.content || {})[0];
+  addBodyFields(params, resolveRef(media?.schema, schemas));
+  return params;
+}
+
+function addBodyFields(params, schema) {
+  const required = new Set(schema?.required || []);
+  for (const name of Object.keys(schema?.properties || {})) {
+    params.set(`body:${name}`, required.has(name));
+  }
+}
+
+function parameterIssues(code, spec) {
+  const issues = [];
+  const split = (key) => {
+    const at = key.indexOf(":");
+    return { in: key.slice(0, at), name: key.slice(at + 1) };
+  };
+  // An extractor that listed no body fields, or a spec body without
+  // properties (Postman raw JSON), says nothing about the body
+  const hasBody = (params) =>
+    [...params.keys()].some((key) => key.startsWith("body:"));
+  const compareBody = hasBody(code) && hasBody(spec);
+
+  for (const [key, required] of code) {
+    const param = split(key);
+    if (param.in === "body" && !compareBody) continue;
+    if (param.in === "header" && IGNORED_HEADERS.test(param.name)) continue;
+    if (!spec.has(key)) {
+      issues.push({ type: "param", ...param, problem: "not_in_spec" });
+    } else if (spec.get(key) !== required) {
+      issues.push({
+        type: "param",
+        ...param,
+        problem: "required",
+        code: required,
+        spec: spec.get(key),
+      });
+    }
+  }
+  for (const key of spec.keys()) {
+    const param = split(key);
+    if (param.in === "body" && !compareBody) continue;
+    if (param.in === "header" && IGNORED_HEADERS.test(param.name)) continue;
+    if (!code.has(key))
+      issues.push({ type: "param", ...param, problem: "not_in_code" });
+  }
+  return issues;
+}
+
+// ─── Auth ─────────────────────────────────────────────────────────
+
+/**
+ * Whether the spec requires credentials. `[]` is public; a `{}`
+ * requirement makes auth optional, which counts as not required.
+ */
+function specRequiresAuth(security) {
+  if (!Array.isArray(security) || !security.length) return false;
+  return security.every(
+    (requirement) => requirement && Object.keys(requirement).length > 0,
+  );
+}
+
+function authIssue(codeEp, specEp, specVersion) {
+  // Postman keeps auth on the collection, which the parser drops
+  if (specVersion === "postman") return null;
+  if (typeof codeEp.auth?.required !== "boolean") return null;
+  const spec = specRequiresAuth(specEp.security);
+  if (codeEp.auth.required === spec) return null;
+  return {
+    type: "auth",
+    problem: codeEp.auth.required ? "not_in_spec" : "not_in_code",
+    code: codeEp.auth.required,
+    spec,
+    ...(codeEp.auth.type && codeEp.auth.type !== "unknown"
+      ? { authType: codeEp.auth.type }
+      : {}),
+  };
+}
+
+// ─── Drift ────────────────────────────────────────────────────────
+
+/** Whether a spec should be compared with the code at all. */
+export function isComparableSpec(spec) {
+  return Boolean(spec?.endpoints?.length) && spec.source !== "generated";
+}
+
+/**
+ * Compare an imported spec with the extracted endpoints.
+ *
+ * @param {object}   opts
+ * @param {object}   opts.spec      — ApiSpec (plain object or document)
+ * @param {object[]} opts.endpoints — agentOutputs.endpoints
+ * @returns {{ checkedAt, specSource, specVersion, summary,
+ *             undocumented, missingFromCode, mismatched }}
+ */
+export function computeApiDrift({ spec, endpoints = [] }) {
+  const bases = serverBasePaths(spec.servers);
+  const specEndpoints = (spec.endpoints || []).filter(
+    (ep) => ep?.method && ep?.path,
+  );
+
+  const specByKey = new Map();
+  for (const ep of specEndpoints) {
+    for (const key of specKeys(ep, bases)) {
+      if (!specByKey.has(key)) specByKey.set(key, ep);
+    }
+  }
+
+  // One entry per route — ":id" and "{id}" variants, or the same
+  // route registered in two files, are the same endpoint
+  const codeByKey = new Map();
+  for (const ep of endpoints) {
+    const method = String(ep?.method || "").toUpperCase();
+    if (!HTTP_METHODS.has(method) || !ep.path) continue;
+    const key = `${method} ${normalisePath(ep.path)}`;
+    if (!codeByKey.has(key)) codeByKey.set(key, { ...ep, method });
+  }
+
+  const undocumented = [];
+  const mismatched = [];
+  const matchedSpec = new Set();
+
+  for (const [key, ep] of codeByKey) {
+    const specEp = specByKey.get(key);
+    const location = {
+      method: ep.method,
+      path: ep.path,
+      file: ep.file,
+      ...(ep.line ? { line: ep.line } : {}),
+    };
+    if (!specEp) {
+      undocumented.push(location);
+      continue;
+    }
+    matchedSpec.add(specEp);
+
+    const issues = parameterIssues(
+      codeParams(ep),
+      specParams(specEp, spec.schemas),
+    );
+    const auth = authIssue(ep, specEp, spec.specVersion);
+    if (auth) issues.push(auth);
+    if (issues.length)
+      mismatched.push({ ...location, specId: specEp.id, issues });
+  }
+
+  const missingFromCode = specEndpoints
+    .filter((ep) => !matchedSpec.has(ep))
+    .map((ep) => ({
+      id: ep.id,
+      method: ep.method.toUpperCase(),
+      path: ep.path,
+    }));
+
+  const byRoute = (a, b) =>
+    a.path.localeCompare(b.path) || a.method.localeCompare(b.method);
+
+  return {
+    checkedAt: new Date(),
+    specSource: spec.source,
+    specVersion: spec.specVersion,
+    summary: {
+      codeEndpoints: codeByKey.size,
+      specEndpoints: specEndpoints.length,
+      matched: matchedSpec.size,
+      undocumented: undocumented.length,
+      missingFromCode: missingFromCode.length,
+      mismatched: mismatched.length,
+    },
+    undocumented: undocumented.sort(byRoute),
+    missingFromCode: missingFromCode.sort(byRoute),
+    mismatched: mismatched.sort(byRoute),
+  };
+}
+
+/**
+ * A stable string for what the drift found, without the timestamp —
+ * equal keys mean the report section would not change.
+ */
+export function driftKey(drift) {
+  if (!drift) return "";
+  const { checkedAt: _checkedAt, ...rest } = drift;
+  return JSON.stringify(rest);
+}
+
+// ─── Report ───────────────────────────────────────────────────────
+
+function issueText(issue) {
+  if (issue.type === "auth") {
+    return issue.code
+      ? `auth required in code${issue.authType ? ` (${issue.authType})` : ""}, public in spec`
+      : "auth required in spec, public in code";
+  }
+  const param = `${issue.in} \`${issue.name}\``;
+  if (issue.problem === "not_in_spec") return `${param} not in spec`;
+  if (issue.problem === "not_in_code") return `${param} not in code`;
+  return `${param} is ${issue.code ? "required" : "optional"} in code, ${issue.spec ? "required" : "optional"} in spec`;
+}
+
+function listMarkdown(items, line) {
+  let md = items
+    .slice(0, REPORT_LIMIT)
+    .map((item) => `- ${line(item)}\n`)
+    .join("");
+  if (items.length > REPORT_LIMIT)
+    md += `- …and ${items.length - REPORT_LIMIT} more\n`;
+  return md + "\n";
+}
+
+/** The security report section for a drift result; "" without one. */
+export function driftMarkdown(drift) {
+  if (!drift) return "";
+  const { summary } = drift;
+  const route = (ep) => `\`${ep.method} ${ep.path}\``;
+
+  let md = `${DRIFT_HEADING}\n\n`;
+  md += `Imported spec (${drift.specSource}, ${drift.specVersion}) compared with the endpoints found in the code.\n\n`;
+  md += `| Metric | Count |\n|--------|-------|\n`;
+  md += `| Endpoints in code | ${summary.codeEndpoints} |\n`;
+  md += `| Endpoints in spec | ${summary.specEndpoints} |\n`;
+  md += `| Matched | ${summary.matched} |\n`;
+  md += `| Undocumented | ${summary.undocumented} |\n`;
+  md += `| Missing from code | ${summary.missingFromCode} |\n`;
+  md += `| Mismatched | ${summary.mismatched} |\n\n`;
+
+  if (!summary.undocumented && !summary.missingFromCode && !summary.mismatched)
+    return md + "✅ The spec matches the code.\n\n";
+
+  if (drift.undocumented.length) {
+    md += `### Undocumented endpoints\n\n`;
+    md += `Reachable in the code but absent from the spec — shadow endpoints escape review and API inventory.\n\n`;
+    md += listMarkdown(
+      drift.undocumented,
+      (ep) => `${route(ep)} — \`${ep.file}${ep.line ? `:${ep.line}` : ""}\``,
+    );
+  }
+  if (drift.missingFromCode.length) {
+    md += `### Missing from code\n\n`;
+    md += listMarkdown(drift.missingFromCode, route);
+  }
+  if (drift.mismatched.length) {
+    md += `### Mismatched endpoints\n\n`;
+    md += listMarkdown(
+      drift.mismatched,
+      (ep) => `${route(ep)} — ${ep.issues.map(issueText).join("; ")}`,
+    );
+  }
+  return md;
+}
+
+/** Whether a security report still carries a drift section. */
+export function hasDriftSection(markdown) {
+  return typeof markdown === "string" && markdown.includes(DRIFT_HEADING);
+}
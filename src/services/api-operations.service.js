@@ -0,0 +1,913 @@
+// ===================================================================
+// API operations — GraphQL, gRPC and tRPC
+// ===================================================================
+//
+// The API Extractor's endpoints are REST routes. Operations are what
+// an RPC-style API exposes, in one shape for all three protocols:
+//
+//   {
+//     protocol:  "graphql" | "grpc" | "trpc",
+//     kind:      "query" | "mutation" | "subscription"     (GraphQL, tRPC)
+//                "unary" | "server_stream" | "client_stream" | "bidi_stream"
+//     name:      "user"         | "GetUser"                   | "byId",
+//     service:   "Query"        | "users.v1.UserService"      | "user",
+//     fullName:  "Query.user"   | "users.v1.UserService/GetUser" | "user.byId",
+//     file, line, description,
+//     input:     [{ name, type, required, description, default? }],
+//     inputType: request message / input schema name, "" if none,
+//     output:    "User!" | "GetUserResponse" | "" when not known,
+//     http:      { method, path } — gRPC google.api.http transcoding,
+//     auth:      { required, type, roles } | null when not known,
+//     deprecated, deprecationReason,
+//     source:    "schema" (parsed here) | "code" (read by the LLM)
+//   }
+//
+// .graphql / .gql / .graphqls files, GraphQL SDL embedded in gql`` /
+// buildSchema`` / typeDefs template literals, and .proto files are
+// parsed here — no LLM call. Code-first resolvers (NestJS, TypeGraphQL,
+// Nexus, graphql-js) and tRPC routers are read by the API Extractor's
+// LLM prompt and normalised with validateOperation().
+//
+// Rendered into the API reference by the Doc Writer and by the
+// incremental sync's static builder; chat picks that section up.
+// ===================================================================
+
+export const API_DEFINITION_FILE = /\.(graphql|graphqls|gql|proto)$/i;
+
+export const OPERATIONS_HEADING = "## RPC & GraphQL Operations";
+
+const PROTOCOLS = ["graphql", "grpc", "trpc"];
+
+const KINDS = {
+  graphql: ["query", "mutation", "subscription"],
+  trpc: ["query", "mutation", "subscription"],
+  grpc: ["unary", "server_stream", "client_stream", "bidi_stream"],
+};
+
+const PROTOCOL_LABEL = { graphql: "GraphQL", grpc: "gRPC", trpc: "tRPC" };
+
+// SDL worth parsing: defines or extends a root operation type
+const SCHEMA_HINT =
+  /\b(?:extend\s+)?type\s+(?:Query|Mutation|Subscription)\b|\bschema\s*(?:@\w+\s*)?\{/;
+
+// gql`…`, graphql`…`, buildSchema(`…`), typeDefs = `…`, /* GraphQL */ `…`
+const EMBEDDED_SDL =
+  /(?:\b(?:gql|graphql)\s*|\bbuildSchema\s*\(\s*|\btypeDefs\s*[:=]\s*|\/\*\s*GraphQL\s*\*\/\s*)`((?:\\[\s\S]|[^`\\])*)`/g;
+
+const lineAt = (text, index) => text.slice(0, index).split("\n").length;
+
+// ─── GraphQL SDL ──────────────────────────────────────────────────
+
+const GRAPHQL_NAME = /[_A-Za-z][_0-9A-Za-z]*/y;
+const GRAPHQL_NUMBER = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+const DEFINITION_KEYWORDS = new Set([
+  "schema",
+  "scalar",
+  "type",
+  "interface",
+  "union",
+  "enum",
+  "input",
+  "directive",
+  "extend",
+]);
+
+/** A """block string""" without its common indentation. */
+function blockString(raw) {
+  const lines = raw.replace(/\r\n?/g, "\n").split("\n");
+  const indents = lines
+    .slice(1)
+    .filter((l) => l.trim())
+    .map((l) => l.match(/^[ \t]*/)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+  return lines
+    .map((l, i) => (i === 0 ? l : l.slice(common)))
+    .join("\n")
+    .trim();
+}
+
+function tokenizeGraphQL(src) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === "\n") {
+      line++;
+      i++;
+    } else if (/[\s,]/.test(ch)) {
+      i++;
+    } else if (ch === "#") {
+      while (i < src.length && src[i] !== "\n") i++;
+    } else if (src.startsWith('"""', i)) {
+      const end = src.indexOf('"""', i + 3);
+      const stop = end === -1 ? src.length : end;
+      const raw = src.slice(i + 3, stop);
+      tokens.push({ type: "string", value: blockString(raw), line });
+      line += raw.split("\n").length - 1;
+      i = stop + 3;
+    } else if (ch === '"') {
+      let value = "";
+      let j = i + 1;
+      while (j < src.length && src[j] !== '"' && src[j] !== "\n") {
+        if (src[j] === "\\") j++;
+        value += src[j++] ?? "";
+      }
+      tokens.push({ type: "string", value, line });
+      i = j + 1;
+    } else if (src.startsWith("...", i)) {
+      tokens.push({ type: "punct", value: "...", line });
+      i += 3;
+    } else if ("{}()[]:!=@|&$".includes(ch)) {
+      tokens.push({ type: "punct", value: ch, line });
+      i++;
+    } else {
+      GRAPHQL_NAME.lastIndex = i;
+      GRAPHQL_NUMBER.lastIndex = i;
+      const name = GRAPHQL_NAME.exec(src);
+      const number = name ? null : GRAPHQL_NUMBER.exec(src);
+      const match = name || number;
+      if (match) {
+        tokens.push({ type: name ? "name" : "value", value: match[0], line });
+        i += match[0].length;
+      } else {
+        i++; // stray character — not SDL
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Operations defined by GraphQL SDL: the fields of the root Query,
+ * Mutation and Subscription types (renamed through `schema { }`),
+ * including `extend type` blocks.
+ *
+ * @param {string} sdl
+ * @param {string} file
+ * @param {number} [lineOffset] — lines before `sdl` in `file`
+ */
+export function parseGraphQLSchema(sdl, file, lineOffset = 0) {
+  const tokens = tokenizeGraphQL(sdl);
+  const roots = {
+    query: "Query",
+    mutation: "Mutation",
+    subscription: "Subscription",
+  };
+  const objectTypes = [];
+  let pos = 0;
+
+  const tok = (offset = 0) => tokens[pos + offset];
+  const is = (value, offset = 0) =>
+    tok(offset)?.type === "punct" && tok(offset).value === value;
+  const startsDefinition = (offset = 0) => {
+    const t = tok(offset);
+    if (t?.type === "name") return DEFINITION_KEYWORDS.has(t.value);
+    return t?.type === "string" && startsDefinition(offset + 1);
+  };
+
+  function skipBalanced(open, close) {
+    let depth = 0;
+    do {
+      if (is(open)) depth++;
+      else if (is(close)) depth--;
+      pos++;
+    } while (pos < tokens.length && depth > 0);
+  }
+
+  function skipValue() {
+    if (is("[")) skipBalanced("[", "]");
+    else if (is("{")) skipBalanced("{", "}");
+    else pos += is("$") ? 2 : 1;
+  }
+
+  function parseType() {
+    let type;
+    if (is("[")) {
+      pos++;
+      type = `[${parseType()}]`;
+      if (is("]")) pos++;
+    } else {
+      type = tok()?.value ?? "";
+      pos++;
+    }
+    if (is("!")) {
+      pos++;
+      type += "!";
+    }
+    return type;
+  }
+
+  function parseDirectives() {
+    const directives = [];
+    while (is("@")) {
+      pos++;
+      const directive = { name: tok()?.value ?? "", args: {} };
+      pos++;
+      if (is("(")) {
+        pos++;
+        while (pos < tokens.length && !is(")")) {
+          const name = tok()?.value;
+          pos++;
+          if (!is(":")) continue;
+          pos++;
+          const start = pos;
+          skipValue();
+          directive.args[name] = tokens
+            .slice(start, pos)
+            .map((t) => t.value)
+            .join(" ");
+        }
+        pos++;
+      }
+      directives.push(directive);
+    }
+    return directives;
+  }
+
+  function parseArguments() {
+    pos++; // "("
+    const args = [];
+    while (pos < tokens.length && !is(")")) {
+      const description = tok().type === "string" ? tokens[pos++].value : "";
+      const name = tok()?.value;
+      pos++;
+      if (!is(":")) continue;
+      pos++;
+      const type = parseType();
+      let defaultValue;
+      if (is("=")) {
+        pos++;
+        const start = pos;
+        skipValue();
+        defaultValue = tokens
+          .slice(start, pos)
+          .map((t) => (t.type === "string" ? JSON.stringify(t.value) : t.value))
+          .join(" ");
+      }
+      parseDirectives();
+      args.push({
+        name,
+        type,
+        required: type.endsWith("!") && defaultValue === undefined,
+        description,
+        ...(defaultValue !== undefined ? { default: defaultValue } : {}),
+      });
+    }
+    pos++; // ")"
+    return args;
+  }
+
+  function parseFields() {
+    pos++; // "{"
+    const fields = [];
+    while (pos < tokens.length && !is("}")) {
+      const description = tok().type === "string" ? tokens[pos++].value : "";
+      const nameToken = tok();
+      pos++;
+      if (nameToken?.type !== "name") continue;
+      const input = is("(") ? parseArguments() : [];
+      if (!is(":")) continue;
+      pos++;
+      const output = parseType();
+      fields.push({
+        name: nameToken.value,
+        line: nameToken.line,
+        description,
+        input,
+        output,
+        directives: parseDirectives(),
+      });
+    }
+    pos++; // "}"
+    return fields;
+  }
+
+  while (pos < tokens.length) {
+    if (tok().type === "string") pos++; // definition description
+    const extend = tok()?.type === "name" && tok().value === "extend";
+    const keyword = tok(extend ? 1 : 0)?.value;
+
+    if (keyword === "schema") {
+      pos += extend ? 2 : 1;
+      parseDirectives();
+      if (!is("{")) continue;
+      pos++;
+      while (pos < tokens.length && !is("}")) {
+        const operation = tok().value;
+        pos++;
+        if (!is(":")) continue;
+        pos++;
+        if (operation in roots) roots[operation] = tok()?.value;
+        pos++;
+      }
+      pos++;
+    } else if (keyword === "type") {
+      pos += extend ? 2 : 1;
+      const typeName = tok()?.value;
+      pos++;
+      // implements A & B, directives
+      while (pos < tokens.length && !is("{") && !startsDefinition()) {
+        if (is("(")) skipBalanced("(", ")");
+        else pos++;
+      }
+      if (is("{")) objectTypes.push({ typeName, fields: parseFields() });
+    } else {
+      // Any other definition, or text that isn't SDL
+      pos++;
+      while (pos < tokens.length && !startsDefinition()) {
+        if (is("{")) {
+          skipBalanced("{", "}");
+          break;
+        }
+        if (is("(")) skipBalanced("(", ")");
+        else pos++;
+      }
+    }
+  }
+
+  const kindOf = new Map(Object.entries(roots).map(([k, t]) => [t, k]));
+  const operations = [];
+  for (const { typeName, fields } of objectTypes) {
+    const kind = kindOf.get(typeName);
+    if (!kind) continue;
+    for (const field of fields) {
+      const deprecated = field.directives.find((d) => d.name === "deprecated");
+      const guard = field.directives.find((d) =>
+        /auth|role|scope|permission|guard|private/i.test(d.name),
+      );
+      operations.push({
+        protocol: "graphql",
+        kind,
+        name: field.name,
+        service: typeName,
+        fullName: `${typeName}.${field.name}`,
+        file,
+        line: field.line + lineOffset,
+        description: field.description,
+        input: field.input,
+        inputType: "",
+        output: field.output,
+        http: null,
+        auth: guard
+          ? {
+              required: true,
+              type: "unknown",
+              roles: Object.values(guard.args)
+                .join(" ")
+                .match(/[A-Za-z_][\w-]*/g)
+                ?.filter((r) => !/^(?:true|false|null)$/.test(r)) ?? [],
+            }
+          : null,
+        deprecated: Boolean(deprecated),
+        deprecationReason: deprecated
+          ? (deprecated.args.reason ?? "").replace(/^"|"$/g, "")
+          : "",
+        source: "schema",
+      });
+    }
+  }
+  return operations;
+}
+
+/** Root operations in SDL template literals inside a code file. */
+export function parseEmbeddedGraphQL(content, file) {
+  const operations = [];
+  for (const match of content.matchAll(EMBEDDED_SDL)) {
+    // Interpolations are fragments or shared types — blank them out
+    const sdl = match[1].replace(/\$\{[^}]*\}/g, (s) => " ".repeat(s.length));
+    if (!SCHEMA_HINT.test(sdl)) continue;
+    const start = match.index + match[0].indexOf("`") + 1;
+    operations.push(
+      ...parseGraphQLSchema(sdl, file, lineAt(content, start) - 1),
+    );
+  }
+  return operations;
+}
+
+// ─── Protocol Buffers ─────────────────────────────────────────────
+
+const PROTO_NAME = /\.?[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*/y;
+const PROTO_NUMBER = /-?(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/y;
+
+/** Tokens carry the comment block right above them as `comment`. */
+function tokenizeProto(src) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  let comment = [];
+  let commentEnd = 0;
+  const push = (token) => {
+    // Only a comment ending on the line above documents the token
+    const attached = comment.length && commentEnd >= line - 1;
+    tokens.push({ ...token, line, comment: attached ? comment.join("\n") : "" });
+    comment = [];
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (src.startsWith("//", i)) {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      const text = src.slice(i + 2, stop).replace(/^\s?/, "");
+      // A trailing comment belongs to the previous token, not the next
+      const trailing = tokens.length && tokens[tokens.length - 1].line === line;
+      if (!trailing) {
+        comment.push(text.trimEnd());
+        commentEnd = line;
+      }
+      i = stop;
+    } else if (src.startsWith("/*", i)) {
+      const end = src.indexOf("*/", i + 2);
+      const stop = end === -1 ? src.length : end;
+      const raw = src.slice(i + 2, stop);
+      line += raw.split("\n").length - 1;
+      comment.push(
+        raw
+          .split("\n")
+          .map((l) => l.replace(/^\s*\*?\s?/, "").trimEnd())
+          .join("\n")
+          .trim(),
+      );
+      commentEnd = line;
+      i = stop + 2;
+    } else if (ch === '"' || ch === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < src.length && src[j] !== ch && src[j] !== "\n") {
+        if (src[j] === "\\") j++;
+        value += src[j++] ?? "";
+      }
+      push({ type: "string", value });
+      i = j + 1;
+    } else if ("{}()[]<>=;,:".includes(ch)) {
+      push({ type: "punct", value: ch });
+      i++;
+    } else {
+      PROTO_NAME.lastIndex = i;
+      PROTO_NUMBER.lastIndex = i;
+      const name = PROTO_NAME.exec(src);
+      const number = name ? null : PROTO_NUMBER.exec(src);
+      const match = name || number;
+      if (match) {
+        push({ type: name ? "name" : "value", value: match[0] });
+        i += match[0].length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return tokens;
+}
+
+const HTTP_RULES = ["get", "put", "post", "delete", "patch"];
+
+/**
+ * Services, rpcs and messages declared in one .proto file.
+ *
+ * @returns {{ package: string, services: object[], messages: Map }}
+ *   messages — fully qualified name → [{ name, type, required, description }]
+ */
+export function parseProto(source, file) {
+  const tokens = tokenizeProto(source);
+  const services = [];
+  const messages = new Map();
+  let pkg = "";
+  let pos = 0;
+
+  const tok = (offset = 0) => tokens[pos + offset];
+  const is = (value, offset = 0) =>
+    tok(offset)?.type === "punct" && tok(offset).value === value;
+  const isWord = (value) => tok()?.type === "name" && tok().value === value;
+
+  function skipStatement() {
+    while (pos < tokens.length && !is(";")) {
+      if (is("{")) return skipBlock();
+      pos++;
+    }
+    pos++;
+  }
+
+  function skipBlock() {
+    while (pos < tokens.length && !is("{")) pos++;
+    let depth = 0;
+    do {
+      if (is("{")) depth++;
+      else if (is("}")) depth--;
+      pos++;
+    } while (pos < tokens.length && depth > 0);
+  }
+
+  function parseField(fields, { inOneof = false } = {}) {
+    const first = tok();
+    let label = "";
+    if (["repeated", "optional", "required"].includes(first.value)) {
+      label = first.value;
+      pos++;
+    }
+    let type;
+    if (isWord("map") && is("<", 1)) {
+      pos += 2;
+      const key = tok()?.value;
+      pos += 2; // key ","
+      const value = tok()?.value;
+      pos += 2; // value ">"
+      type = `map<${key}, ${value}>`;
+    } else {
+      type = tok()?.value;
+      pos++;
+    }
+    const name = tok()?.type === "name" ? tok().value : null;
+    skipStatement();
+    if (!name || !type) return;
+    fields.push({
+      name,
+      type: label === "repeated" ? `repeated ${type}` : type,
+      required: label === "required",
+      description: first.comment || "",
+      ...(inOneof ? { oneof: true } : {}),
+    });
+  }
+
+  function parseMessage(scope) {
+    pos++; // "message"
+    const name = tok()?.value;
+    const fullName = scope ? `${scope}.${name}` : name;
+    pos++;
+    if (!is("{")) return skipStatement();
+    pos++;
+    const fields = [];
+    while (pos < tokens.length && !is("}")) {
+      if (isWord("message")) parseMessage(fullName);
+      else if (isWord("enum") || isWord("extend")) skipBlock();
+      else if (isWord("oneof")) {
+        pos += 2; // "oneof" name
+        if (is("{")) pos++;
+        while (pos < tokens.length && !is("}")) {
+          if (isWord("option")) skipStatement();
+          else parseField(fields, { inOneof: true });
+        }
+        pos++;
+      } else if (
+        ["option", "reserved", "extensions"].includes(tok().value) ||
+        is(";")
+      ) {
+        skipStatement();
+      } else {
+        parseField(fields);
+      }
+    }
+    pos++;
+    messages.set(fullName, fields);
+  }
+
+  function parseRpcOptions(rpc) {
+    pos++; // "{"
+    while (pos < tokens.length && !is("}")) {
+      if (!isWord("option")) {
+        pos++;
+        continue;
+      }
+      pos++;
+      const start = pos;
+      skipStatement();
+      const option = tokens.slice(start, pos);
+      const words = option.map((t) => t.value);
+      if (words[0] === "deprecated" && words.includes("true"))
+        rpc.deprecated = true;
+      if (words.join("").includes("(google.api.http)")) {
+        const at = option.findIndex(
+          (t, i) =>
+            HTTP_RULES.includes(t.value) && option[i + 1]?.value === ":",
+        );
+        if (at !== -1 && option[at + 2]?.type === "string")
+          rpc.http = {
+            method: option[at].value.toUpperCase(),
+            path: option[at + 2].value,
+          };
+      }
+    }
+    pos++;
+  }
+
+  function parseService() {
+    const serviceToken = tok();
+    const nameToken = tok(1);
+    pos += 2;
+    const service = {
+      name: nameToken?.value,
+      line: nameToken?.line,
+      description: serviceToken.comment,
+      rpcs: [],
+    };
+    if (!is("{")) return skipStatement();
+    pos++;
+    while (pos < tokens.length && !is("}")) {
+      if (!isWord("rpc")) {
+        if (isWord("option")) skipStatement();
+        else pos++;
+        continue;
+      }
+      const rpcToken = tok();
+      pos++;
+      const rpc = {
+        name: tok()?.value,
+        line: rpcToken.line,
+        description: rpcToken.comment,
+        deprecated: false,
+        http: null,
+      };
+      pos++;
+      const readType = () => {
+        pos++; // "("
+        const stream = isWord("stream") && tok(1)?.type === "name";
+        if (stream) pos++;
+        const type = tok()?.value;
+        pos += 2; // type ")"
+        return { type, stream };
+      };
+      const request = readType();
+      if (isWord("returns")) pos++;
+      const response = readType();
+      rpc.request = request.type;
+      rpc.response = response.type;
+      rpc.kind =
+        request.stream && response.stream
+          ? "bidi_stream"
+          : request.stream
+            ? "client_stream"
+            : response.stream
+              ? "server_stream"
+              : "unary";
+      if (is("{")) parseRpcOptions(rpc);
+      else if (is(";")) pos++;
+      service.rpcs.push(rpc);
+    }
+    pos++;
+    services.push(service);
+  }
+
+  while (pos < tokens.length) {
+    if (isWord("package")) {
+      pkg = tok(1)?.value ?? "";
+      skipStatement();
+    } else if (isWord("message")) {
+      parseMessage(pkg);
+    } else if (isWord("service")) {
+      parseService();
+    } else if (isWord("enum") || isWord("extend")) {
+      skipBlock();
+    } else if (tok().type === "name") {
+      skipStatement(); // syntax, edition, import, option
+    } else {
+      pos++;
+    }
+  }
+
+  return { package: pkg, services, messages, file };
+}
+
+/**
+ * gRPC operations from parsed .proto files. Request messages are
+ * looked up across all of them, so an rpc whose messages live in an
+ * imported file still lists its fields.
+ */
+export function protoOperations(protos) {
+  const messages = new Map();
+  for (const proto of protos) {
+    for (const [name, fields] of proto.messages) messages.set(name, fields);
+  }
+  const resolve = (type, pkg) => {
+    const name = String(type || "").replace(/^\./, "");
+    if (pkg && messages.has(`${pkg}.${name}`)) return `${pkg}.${name}`;
+    if (messages.has(name)) return name;
+    const short = [...messages.keys()].filter((k) => k.endsWith(`.${name}`));
+    return short.length === 1 ? short[0] : null;
+  };
+
+  const operations = [];
+  for (const proto of protos) {
+    for (const service of proto.services) {
+      const serviceName = proto.package
+        ? `${proto.package}.${service.name}`
+        : service.name;
+      for (const rpc of service.rpcs) {
+        const requestName = resolve(rpc.request, proto.package);
+        operations.push({
+          protocol: "grpc",
+          kind: rpc.kind,
+          name: rpc.name,
+          service: serviceName,
+          fullName: `${serviceName}/${rpc.name}`,
+          file: proto.file,
+          line: rpc.line,
+          description: rpc.description || "",
+          input: requestName
+            ? messages.get(requestName).map(({ oneof: _oneof, ...f }) => f)
+            : [],
+          inputType: rpc.request || "",
+          output: rpc.response || "",
+          http: rpc.http,
+          auth: null,
+          deprecated: rpc.deprecated,
+          deprecationReason: "",
+          source: "schema",
+        });
+      }
+    }
+  }
+  return operations;
+}
+
+/**
+ * Every operation that can be read without the LLM: GraphQL SDL files
+ * and SDL embedded in code, and .proto services.
+ *
+ * @param {Array<{ path, content }>} files
+ */
+export function extractSchemaOperations(files) {
+  const operations = [];
+  const protos = [];
+  for (const f of files) {
+    if (!f?.path || typeof f.content !== "string") continue;
+    try {
+      if (/\.proto$/i.test(f.path)) protos.push(parseProto(f.content, f.path));
+      else if (API_DEFINITION_FILE.test(f.path))
+        operations.push(...parseGraphQLSchema(f.content, f.path));
+      else if (/gql|graphql|buildSchema|typeDefs|GraphQL/.test(f.content))
+        operations.push(...parseEmbeddedGraphQL(f.content, f.path));
+    } catch (err) {
+      // Malformed schema — skip the file, keep the rest
+      console.warn(`[operations] ${f.path}: ${err.message}`);
+    }
+  }
+  return [...operations, ...protoOperations(protos)];
+}
+
+// ─── Normalising ──────────────────────────────────────────────────
+
+/**
+ * Validate an operation read from code by the LLM. Returns null when
+ * the protocol, kind or name is missing.
+ */
+export function validateOperation(op, fallbackFile) {
+  if (!op || typeof op !== "object") return null;
+
+  const protocol = String(op.protocol ?? "").toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) return null;
+  const kind = String(op.kind ?? "").toLowerCase();
+  if (!KINDS[protocol].includes(kind)) return null;
+  const name = String(op.name ?? "").trim();
+  if (!name) return null;
+
+  const service = String(op.service ?? "").trim();
+  const separator = protocol === "grpc" ? "/" : ".";
+  const input = Array.isArray(op.input) ? op.input : [];
+  return {
+    protocol,
+    kind,
+    name,
+    service,
+    fullName:
+      String(op.fullName ?? "").trim() ||
+      (service ? `${service}${separator}${name}` : name),
+    file: op.file || fallbackFile,
+    line: Number.isInteger(op.line) ? op.line : null,
+    description: op.description || "",
+    input: input
+      .filter((p) => p?.name)
+      .map((p) => ({
+        name: String(p.name),
+        type: p.type || "unknown",
+        required: Boolean(p.required),
+        description: p.description || "",
+      })),
+    inputType: op.inputType || "",
+    output: op.output || "",
+    http: null,
+    auth:
+      op.auth && typeof op.auth === "object"
+        ? {
+            required: op.auth.required ?? false,
+            type: op.auth.type || "unknown",
+            roles: Array.isArray(op.auth.roles) ? op.auth.roles : [],
+          }
+        : null,
+    deprecated: op.deprecated ?? false,
+    deprecationReason: op.deprecationReason || "",
+    source: "code",
+  };
+}
+
+/**
+ * One entry per protocol + kind + full name. A schema-parsed
+ * operation wins over the LLM's reading of the same resolver, but
+ * takes the auth the code showed.
+ */
+export function mergeOperations(operations) {
+  const byKey = new Map();
+  for (const op of operations) {
+    const key = `${op.protocol}:${op.kind}:${op.fullName}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, op);
+    } else if (existing.source === "code" && op.source === "schema") {
+      byKey.set(key, { ...op, auth: op.auth ?? existing.auth });
+    } else if (existing.source === "schema" && op.source === "code") {
+      byKey.set(key, { ...existing, auth: existing.auth ?? op.auth });
+    }
+  }
+  return [...byKey.values()].sort(
+    (a, b) =>
+      PROTOCOLS.indexOf(a.protocol) - PROTOCOLS.indexOf(b.protocol) ||
+      a.service.localeCompare(b.service) ||
+      a.name.localeCompare(b.name),
+  );
+}
+
+/** Counts for the extractor summary and the UI. */
+export function summariseOperations(operations) {
+  const byProtocol = {};
+  for (const op of operations) {
+    byProtocol[op.protocol] ??= {};
+    byProtocol[op.protocol][op.kind] =
+      (byProtocol[op.protocol][op.kind] ?? 0) + 1;
+  }
+  return { total: operations.length, byProtocol };
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────
+
+function signature(op) {
+  if (op.protocol === "grpc") {
+    const input = op.kind.startsWith("client") || op.kind.startsWith("bidi");
+    const output = op.kind.startsWith("server") || op.kind.startsWith("bidi");
+    return `rpc ${op.name}(${input ? "stream " : ""}${op.inputType}) returns (${output ? "stream " : ""}${op.output})`;
+  }
+  if (op.protocol === "graphql") {
+    const args = op.input.map((a) => `${a.name}: ${a.type}`).join(", ");
+    return `${op.kind} ${op.name}${args ? `(${args})` : ""}${op.output ? `: ${op.output}` : ""}`;
+  }
+  return `${op.fullName}.${op.kind}(${op.inputType || (op.input.length ? "input" : "")})${op.output ? ` → ${op.output}` : ""}`;
+}
+
+function operationMarkdown(op) {
+  const deprecated = op.deprecated ? " ⚠️ *Deprecated*" : "";
+  let md = `#### \`${op.fullName}\` — ${op.kind.replace("_", " ")}${deprecated}\n\n`;
+  md += "```\n" + signature(op) + "\n```\n\n";
+  if (op.description) md += `${op.description}\n\n`;
+  if (op.deprecationReason) md += `**Deprecated:** ${op.deprecationReason}\n\n`;
+  md += `**Defined in:** \`${op.file}\`${op.line ? ` (line ${op.line})` : ""}\n\n`;
+  if (op.http) md += `**HTTP:** \`${op.http.method} ${op.http.path}\`\n\n`;
+  if (op.auth) {
+    md += `**Authentication:** ${op.auth.required ? `✅ Required — \`${op.auth.type}\`` : "❌ Public"}`;
+    if (op.auth.roles?.length)
+      md += ` · Roles: ${op.auth.roles.map((r) => `\`${r}\``).join(", ")}`;
+    md += "\n\n";
+  }
+  if (op.input.length) {
+    md += `**${op.protocol === "graphql" ? "Arguments" : "Input"}:**\n\n| Name | Type | Required | Description |\n|------|------|----------|-------------|\n`;
+    for (const p of op.input) {
+      const fallback = p.default !== undefined ? `Default \`${p.default}\`` : "—";
+      md += `| \`${p.name}\` | \`${p.type}\` | ${p.required ? "✅" : "❌"} | ${p.description?.replace(/\n/g, " ") || fallback} |\n`;
+    }
+    md += "\n";
+  }
+  return md + "---\n\n";
+}
+
+/** The API reference section for operations; "" without any. */
+export function operationsMarkdown(operations) {
+  if (!operations?.length) return "";
+  const { byProtocol } = summariseOperations(operations);
+
+  let md = `${OPERATIONS_HEADING}\n\n> `;
+  md += Object.entries(byProtocol)
+    .map(([protocol, kinds]) => {
+      const total = Object.values(kinds).reduce((a, b) => a + b, 0);
+      const detail = Object.entries(kinds)
+        .map(([kind, n]) => `${n} ${kind.replace("_", " ")}`)
+        .join(", ");
+      return `**${total} ${PROTOCOL_LABEL[protocol]}** (${detail})`;
+    })
+    .join(" · ");
+  md += "\n\n";
+
+  for (const protocol of PROTOCOLS) {
+    const group = operations.filter((op) => op.protocol === protocol);
+    if (!group.length) continue;
+    const services = [...new Set(group.map((op) => op.service))];
+    for (const service of services) {
+      md += `### ${PROTOCOL_LABEL[protocol]} · ${service || "root"}\n\n`;
+      for (const op of group.filter((o) => o.service === service))
+        md += operationMarkdown(op);
+    }
+  }
+  return md;
+}
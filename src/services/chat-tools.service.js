@@ -0,0 +1,354 @@
+// ===================================================================
+// Chat tools — exact answers from a project's stored data
+// ===================================================================
+// The docs chat sees flattened markdown; agentOutputs still holds the
+// exact endpoints, models, relationships, components and findings.
+// These tools let the model query them instead of guessing
+// ("which POST routes lack auth?"):
+//
+//   listEndpoints({ method?, path?, auth?, tag?, file? })
+//   getModel({ name })                 fields + relationships
+//   findComponent({ name })            by name or file path
+//   searchFindings({ severity?, query?, includeSuppressed? })
+//   readFile({ path, startLine?, endLine? })
+//
+// Everything runs server-side against MongoDB — no repository access.
+// readFile reassembles a file from the code chunks of the retrieval
+// index, so secrets are already redacted and only indexed files can be
+// read. Results are JSON, capped at MAX_RESULTS items and
+// MAX_RESULT_CHARS so one call can't blow the prompt budget. A bad
+// call returns { error } for the model to read, never throws.
+// ===================================================================
+
+import { Project } from "../models/Project.js";
+import { RetrievalChunk } from "../models/RetrievalChunk.js";
+import { applyTriage } from "./security-findings.service.js";
+
+const MAX_RESULTS = 50;
+const MAX_RESULT_CHARS = 6000;
+const MAX_FILE_LINES = 200;
+const MAX_COMPONENTS = 10;
+
+const SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+
+// ── Definitions (provider-neutral, see config/llm-providers.js) ──
+
+export const CHAT_TOOLS = [
+  {
+    name: "listEndpoints",
+    description:
+      "List the project's HTTP endpoints with their auth requirement, file and line. All filters are optional and combine.",
+    parameters: {
+      type: "object",
+      properties: {
+        method: {
+          type: "string",
+          description: "HTTP method, e.g. POST",
+        },
+        path: {
+          type: "string",
+          description: "Text the route path contains, e.g. /users",
+        },
+        auth: {
+          type: "string",
+          enum: ["required", "public"],
+          description: "Only routes that require auth, or only public ones",
+        },
+        tag: { type: "string", description: "Endpoint tag" },
+        file: {
+          type: "string",
+          description: "Text the source file path contains",
+        },
+      },
+    },
+  },
+  {
+    name: "getModel",
+    description:
+      "Get one data model by name: its fields, source file and relationships to other models.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Model name, e.g. User" },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    name: "findComponent",
+    description:
+      "Find components (services, controllers, middleware, UI components …) whose name or file path contains the text.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Component name or part of its file path",
+        },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    name: "searchFindings",
+    description:
+      "Search the security audit's findings. Triaged findings (false positive, accepted risk, fixed) are left out unless includeSuppressed is true.",
+    parameters: {
+      type: "object",
+      properties: {
+        severity: {
+          type: "string",
+          enum: SEVERITIES,
+          description: "Only findings of this severity",
+        },
+        query: {
+          type: "string",
+          description: "Text the title, category, file or description contains",
+        },
+        includeSuppressed: { type: "boolean" },
+      },
+    },
+  },
+  {
+    name: "readFile",
+    description: `Read lines of a source file as of the last documented commit, numbered. At most ${MAX_FILE_LINES} lines per call. Secrets are redacted.`,
+    parameters: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "Repository path, e.g. src/routes/users.js",
+        },
+        startLine: { type: "integer", minimum: 1 },
+        endLine: { type: "integer", minimum: 1 },
+      },
+      required: ["path"],
+    },
+  },
+];
+
+// ── Helpers ───────────────────────────────────────────────────
+
+const lower = (v) => String(v ?? "").toLowerCase();
+const contains = (value, text) => lower(value).includes(lower(text));
+
+function capped(items, limit = MAX_RESULTS) {
+  return {
+    total: items.length,
+    ...(items.length > limit ? { truncated: true } : {}),
+    items: items.slice(0, limit),
+  };
+}
+
+// JSON the model can read, cut to the budget
+function serialise(result) {
+  const json = JSON.stringify(result);
+  return json.length > MAX_RESULT_CHARS
+    ? `${json.slice(0, MAX_RESULT_CHARS)}… (truncated — narrow the filter)`
+    : json;
+}
+
+function endpointAuth(ep) {
+  if (!ep.auth?.required) return "public";
+  return ep.auth.type || "required";
+}
+
+// ── Tools ─────────────────────────────────────────────────────
+
+function listEndpoints(outputs, { method, path, auth, tag, file } = {}) {
+  const endpoints = (outputs.endpoints || []).filter(
+    (ep) =>
+      (!method || lower(ep.method) === lower(method)) &&
+      (!path || contains(ep.path, path)) &&
+      (!auth || (auth === "public") === !ep.auth?.required) &&
+      (!tag || (ep.tags || []).some((t) => lower(t) === lower(tag))) &&
+      (!file || contains(ep.file, file)),
+  );
+  const { items, ...rest } = capped(endpoints);
+  return {
+    ...rest,
+    endpoints: items.map((ep) => ({
+      method: ep.method,
+      path: ep.path,
+      auth: endpointAuth(ep),
+      roles: ep.auth?.roles?.length ? ep.auth.roles : undefined,
+      file: ep.file,
+      line: ep.line ?? null,
+      description: ep.description || undefined,
+    })),
+  };
+}
+
+function getModel(outputs, { name } = {}) {
+  if (!name) return { error: "name is required." };
+  const models = outputs.models || [];
+  const model =
+    models.find((m) => lower(m.name) === lower(name)) ??
+    models.find((m) => contains(m.name, name));
+  if (!model)
+    return {
+      error: `No model named "${name}".`,
+      models: models.map((m) => m.name).slice(0, MAX_RESULTS),
+    };
+
+  const relationships = (outputs.relationships || []).filter(
+    (r) => r.from === model.name || r.to === model.name,
+  );
+  return { model, relationships };
+}
+
+function findComponent(outputs, { name } = {}) {
+  if (!name) return { error: "name is required." };
+  const components = (outputs.components || []).filter(
+    (c) => contains(c.name, name) || contains(c.file, name),
+  );
+  // Exact names first
+  components.sort(
+    (a, b) =>
+      (lower(b.name) === lower(name)) - (lower(a.name) === lower(name)),
+  );
+  // Components are large — fewer per call
+  const { items, ...rest } = capped(components, MAX_COMPONENTS);
+  return { ...rest, components: items };
+}
+
+function searchFindings(
+  project,
+  { severity, query, includeSuppressed = false } = {},
+) {
+  const stored = project.agentOutputs?.findings?.length
+    ? project.agentOutputs.findings
+    : project.security?.findings || [];
+  const { findings, active } = applyTriage(stored, project.securityTriage, {
+    reportedAt: null,
+  });
+  const matches = (includeSuppressed ? findings : active).filter(
+    (f) =>
+      (!severity || f.severity === String(severity).toUpperCase()) &&
+      (!query ||
+        [f.title, f.category, f.file, f.description].some((v) =>
+          contains(v, query),
+        )),
+  );
+  const { items, ...rest } = capped(matches);
+  return {
+    ...rest,
+    findings: items.map((f) => ({
+      severity: f.severity,
+      title: f.title,
+      category: f.category,
+      file: f.file,
+      line: f.location?.startLine ?? (f.line || null),
+      description: f.description,
+      advice: f.advice || undefined,
+      cwe: f.cwe || undefined,
+      triage: f.triage,
+    })),
+  };
+}
+
+async function readFile(projectId, { path, startLine, endLine } = {}) {
+  if (!path) return { error: "path is required." };
+  const wanted = String(path).replace(/^\.?\//, "");
+
+  let chunks = await RetrievalChunk.find({
+    projectId,
+    kind: "code",
+    file: wanted,
+  })
+    .select("file startLine endLine text")
+    .lean();
+
+  if (!chunks.length) {
+    // "users.js" or "routes/users.js" — accept an unambiguous suffix
+    const files = await RetrievalChunk.distinct("file", {
+      projectId,
+      kind: "code",
+    });
+    const candidates = files.filter((f) => f.endsWith(`/${wanted}`));
+    if (candidates.length !== 1)
+      return {
+        error: `"${path}" is not in the indexed source.`,
+        ...(candidates.length ? { candidates } : {}),
+      };
+    chunks = await RetrievalChunk.find({
+      projectId,
+      kind: "code",
+      file: candidates[0],
+    })
+      .select("file startLine endLine text")
+      .lean();
+  }
+
+  // Windows overlap — place every line by its number
+  const lines = [];
+  for (const c of chunks) {
+    c.text.split("\n").forEach((line, i) => {
+      lines[c.startLine + i] = line;
+    });
+  }
+  const lastLine = lines.length - 1;
+  const from = Math.max(1, Number(startLine) || 1);
+  const to = Math.min(
+    lastLine,
+    Number(endLine) || lastLine,
+    from + MAX_FILE_LINES - 1,
+  );
+  if (from > lastLine)
+    return { error: `${chunks[0].file} has ${lastLine} lines.` };
+  if (to < from) return { error: "endLine is before startLine." };
+
+  const numbered = [];
+  for (let n = from; n <= to; n++) numbered.push(`${n}: ${lines[n] ?? "…"}`);
+  return {
+    path: chunks[0].file,
+    startLine: from,
+    endLine: to,
+    totalLines: lastLine,
+    content: numbered.join("\n"),
+  };
+}
+
+// ── Toolbox ───────────────────────────────────────────────────
+
+/**
+ * Tools bound to one project. The project's outputs are loaded on the
+ * first call that needs them and reused for the rest of the reply.
+ *
+ * @param {{ projectId }} opts
+ * @returns {{ definitions: typeof CHAT_TOOLS,
+ *             run: (call: { name, arguments }) => Promise<string> }}
+ */
+export function createChatToolbox({ projectId }) {
+  let projectPromise = null;
+  const loadProject = () =>
+    (projectPromise ??= Project.findById(projectId)
+      .select("+agentOutputs securityTriage security.findings")
+      .lean()
+      .then((p) => p ?? {}));
+
+  const handlers = {
+    listEndpoints: async (args) =>
+      listEndpoints((await loadProject()).agentOutputs || {}, args),
+    getModel: async (args) =>
+      getModel((await loadProject()).agentOutputs || {}, args),
+    findComponent: async (args) =>
+      findComponent((await loadProject()).agentOutputs || {}, args),
+    searchFindings: async (args) => searchFindings(await loadProject(), args),
+    readFile: (args) => readFile(projectId, args),
+  };
+
+  return {
+    definitions: CHAT_TOOLS,
+    async run({ name, arguments: args }) {
+      const handler = handlers[name];
+      if (!handler) return serialise({ error: `Unknown tool "${name}".` });
+      try {
+        return serialise(await handler(args ?? {}));
+      } catch (err) {
+        console.warn(`[chat-tools] ${name} failed: ${err.message}`);
+        return serialise({ error: `${name} failed.` });
+      }
+    },
+  };
+}
@@ -3,26 +3,66 @@
 // ===================================================================
 // Strategy:
 //   • Docs (README + API + Schema + Internal) = permanent context
-//   • Conversation history kept per session (in-memory, ring buffer)
 //   • Smart context injection: only include relevant doc sections
 //     based on question keywords (saves tokens on each turn)
-//   • Max history: 6 turns (3 user + 3 assistant) to stay in budget
+//   • Retrieval: when the session has an index (retrieval.service.js)
+//     the top-k code / doc chunks for the question are added, and the
+//     reply cites them by number, file path and line range
+//   • Citations: the numbers a reply cites come back structured (file
+//     + lines + permalink, or doc section + heading anchor)
+//   • Tools: with a toolbox (chat-tools.service.js) the model can look
+//     up exact endpoints, models, components, findings and file lines
+//     for up to MAX_TOOL_ROUNDS steps before it answers
+//   • History is owned by the caller (ChatThread, see
+//     api/projects/chat.service.js): a running summary of older turns
+//     plus the most recent messages, trimmed to HISTORY_BUDGET_CHARS
+//
+// Sessions here hold only what a pipeline run produced — the docs
+// context and retrieval index — keyed by the run's chat session id.
+// They are rebuilt from the project after a restart (ensureSession).
 // ===================================================================
 
-const MAX_HISTORY_TURNS = 6;
+import { OPERATIONS_HEADING } from "./api-operations.service.js";
+import {
+  chunkCitation,
+  formatRetrievedContext,
+  headingAnchor,
+  searchIndex,
+} from "./retrieval.service.js";
+
 const MAX_CONTEXT_CHARS = 3000; // ~750 tokens of doc context per message
+// With retrieved sources the doc excerpt shrinks to make room for them
+const DOCS_WITH_SOURCES_CHARS = 1200;
+const MAX_SOURCE_CHARS = 4000;
+// Verbatim history per prompt (~2000 tokens); older turns live in the summary
+const HISTORY_BUDGET_CHARS = 8000;
+const MAX_SUMMARY_CHARS = 2000;
+const MAX_TOOL_ROUNDS = 4;
+
+const TOOLS_PROMPT = `
+You can call tools that query the project's extracted data: endpoints, data models, components, security findings and source files.
+Use them for lists, counts and exact details (routes, auth, fields, line numbers) instead of guessing from the excerpts.`;
 
-// In-memory sessions: sessionId → { docsContext, history[], repoMeta }
+// Run contexts: sessionId → { docsContext, index, meta }
 const sessions = new Map();
 
 // ── Build compressed docs context ────────────────────────────
 function buildDocsContext(output, meta) {
+  // Operations sit after the REST endpoints, well past the 800-char
+  // slice — give them their own section
+  const opsStart = output.apiReference?.indexOf(OPERATIONS_HEADING) ?? -1;
+  const operations =
+    opsStart === -1
+      ? ""
+      : output.apiReference.slice(opsStart + OPERATIONS_HEADING.length).trim();
+
   const sections = [
     `# Project: ${meta?.name || "Unknown"}\n${meta?.description || ""}`,
     output.readme ? `## README SUMMARY\n${output.readme.slice(0, 800)}` : "",
     output.apiReference
       ? `## API REFERENCE\n${output.apiReference.slice(0, 800)}`
       : "",
+    operations ? `## API OPERATIONS\n${operations.slice(0, 800)}` : "",
     output.schemaDocs
       ? `## DATA MODELS\n${output.schemaDocs.slice(0, 600)}`
       : "",
@@ -53,6 +93,18 @@ function selectRelevantContext(question, fullContext) {
       "url",
       "param",
     ],
+    operations: [
+      "graphql",
+      "grpc",
+      "trpc",
+      "rpc",
+      "proto",
+      "query",
+      "mutation",
+      "subscription",
+      "resolver",
+      "procedure",
+    ],
     schema: [
       "model",
       "schema",
@@ -100,6 +152,7 @@ function selectRelevantContext(question, fullContext) {
   if (bestScore >= 2 && bestSection) {
     const sectionMap = {
       api: "API REFERENCE",
+      operations: "API OPERATIONS",
       schema: "DATA MODELS",
       security: "SECURITY REPORT",
       arch: "ARCHITECTURE",
@@ -120,67 +173,308 @@ function selectRelevantContext(question, fullContext) {
 }
 
 // ── Create session ────────────────────────────────────────────
-export function createChatSession({ jobId, output, meta }) {
+// index: retrieval index from the pipeline, or null (keyword context only)
+export function createChatSession({ jobId, output, meta, index = null }) {
   const docsContext = buildDocsContext(output, meta);
-  sessions.set(jobId, { docsContext, history: [], meta });
+  sessions.set(jobId, { docsContext, index, meta });
   return jobId;
 }
 
-// ── Send message ──────────────────────────────────────────────
-export async function chat({ jobId, message }) {
+// ── Swap in a rebuilt index (after a sync) — no-op without a session ─
+export function setSessionIndex(jobId, index) {
   const session = sessions.get(jobId);
-  if (!session) throw new Error("Chat session not found. Generate docs first.");
+  if (session) session.index = index;
+}
+
+// ── Recent history that fits the budget, oldest dropped first ──
+function recentHistory(history) {
+  const recent = [];
+  let chars = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const { role, content } = history[i];
+    chars += content.length;
+    if (chars > HISTORY_BUDGET_CHARS && recent.length) break;
+    recent.unshift({ role, content });
+  }
+  // A reply without its question confuses the model more than it helps
+  if (recent[0]?.role === "assistant") recent.shift();
+  return recent;
+}
+
+// ── System prompt: doc excerpts + retrieved sources ───────────
+async function buildSystemPrompt(session, message, history) {
+  const { docsContext, index } = session;
 
-  const { docsContext, history, meta } = session;
-  const relevantContext = selectRelevantContext(message, docsContext);
+  // A follow-up ("where is that validated?") needs the question before it
+  const previous = history.findLast((m) => m.role === "user")?.content;
+  const hits = await searchIndex(
+    index,
+    previous ? `${previous}\n${message}` : message,
+  );
+  const sources = formatRetrievedContext(hits, MAX_SOURCE_CHARS);
 
-  const SYSTEM_PROMPT = `You are an expert developer assistant with deep knowledge of this specific codebase.
+  let relevantContext = selectRelevantContext(message, docsContext);
+  if (!sources) {
+    return {
+      relevantContext,
+      hits: [],
+      systemPrompt: `You are an expert developer assistant with deep knowledge of this specific codebase.
 You have been given the project documentation below as your knowledge base.
 Answer questions accurately based on the documentation. If something is not covered in the docs, say so clearly.
 Be concise but complete. Format code examples with backticks.
 
 === CODEBASE DOCUMENTATION ===
 ${relevantContext}
-=== END DOCUMENTATION ===`;
-
-  // Build messages array: system + trimmed history + new message
-  const trimmedHistory = history.slice(-MAX_HISTORY_TURNS);
-  const messages = [
-    { role: "system", content: SYSTEM_PROMPT },
-    ...trimmedHistory,
-    { role: "user", content: message },
-  ];
+=== END DOCUMENTATION ===`,
+    };
+  }
 
-  // Direct API call to preserve conversation format
-  const { client, MODEL } = await import("../config/llm.js");
-  const response = await client.chat.completions.create({
-    model: MODEL,
-    messages,
-    temperature: 0.1,
-  });
-  const reply = response.choices[0].message.content.trim();
+  relevantContext = relevantContext.slice(0, DOCS_WITH_SOURCES_CHARS);
+  return {
+    relevantContext,
+    hits,
+    systemPrompt: `You are an expert developer assistant with deep knowledge of this specific codebase.
+You have been given an excerpt of the project documentation and the numbered source excerpts most relevant to the question.
+Answer accurately from them. If something is not covered, say so clearly — never invent files, functions or line numbers.
+Cite the sources you rely on inline with their number, file path and line range, e.g. [2] src/routes/users.js:10-42.
+Be concise but complete. Format code examples with backticks.
 
-  // Update history (ring buffer)
-  history.push({ role: "user", content: message });
-  history.push({ role: "assistant", content: reply });
-  if (history.length > MAX_HISTORY_TURNS * 2) {
-    history.splice(0, 2); // drop oldest turn
+=== CODEBASE DOCUMENTATION ===
+${relevantContext}
+=== END DOCUMENTATION ===
+
+=== RETRIEVED SOURCES ===
+${sources}
+=== END SOURCES ===`,
+  };
+}
+
+// ── Messages for one turn: prompt + summary + recent history ──
+async function buildMessages(
+  session,
+  { message, history = [], summary, tools },
+) {
+  const { systemPrompt, relevantContext, hits } = await buildSystemPrompt(
+    session,
+    message,
+    history,
+  );
+  const earlier = summary
+    ? `\n\n=== EARLIER IN THIS CONVERSATION (summary) ===\n${summary}\n=== END SUMMARY ===`
+    : "";
+  return {
+    relevantContext,
+    hits,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt + (tools ? TOOLS_PROMPT : "") + earlier,
+      },
+      ...recentHistory(history),
+      { role: "user", content: message },
+    ],
+  };
+}
+
+// ── Citations: what a reply was grounded in ───────────────────
+// With retrieved sources, each [n] the reply uses outside code becomes
+// a citation, in order of first use. Numbers that match no source are
+// returned as unmatchedRefs — the model made them up. Without sources
+// the doc sections the prompt carried are listed, with ref: null.
+const CONTEXT_SECTIONS = {
+  "README SUMMARY": { section: "readme", label: "README" },
+  "API REFERENCE": { section: "apiReference", label: "API reference" },
+  "API OPERATIONS": {
+    section: "apiReference",
+    label: "API reference › RPC & GraphQL Operations",
+    heading: OPERATIONS_HEADING.replace(/^#+\s*/, ""),
+  },
+  "DATA MODELS": { section: "schemaDocs", label: "Data models" },
+  ARCHITECTURE: { section: "internalDocs", label: "Internal docs" },
+  "SECURITY REPORT": { section: "securityReport", label: "Security report" },
+};
+
+function citeSources(reply, { hits, relevantContext }, permalinkFor) {
+  if (!hits.length) {
+    const headings = new Set(
+      [...relevantContext.matchAll(/^## (.+)$/gm)].map(([, h]) => h),
+    );
+    const citations = [...headings]
+      .filter((h) => CONTEXT_SECTIONS[h])
+      .map((h) => {
+        const { section, label, heading = null } = CONTEXT_SECTIONS[h];
+        return {
+          ref: null,
+          kind: "doc",
+          label,
+          file: null,
+          startLine: null,
+          endLine: null,
+          section,
+          heading,
+          anchor: heading && headingAnchor(heading),
+          url: null,
+        };
+      });
+    return { citations, unmatchedRefs: [] };
   }
 
+  // [3] or [1, 4] — not array indexes in code, not [text](links)
+  const prose = reply
+    .replace(/```[\s\S]*?(```|$)/g, "")
+    .replace(/`[^`\n]*`/g, "");
+  const refs = [];
+  const marker = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+  for (const [, group] of prose.matchAll(marker))
+    for (const n of group.split(",").map(Number))
+      if (!refs.includes(n)) refs.push(n);
+
+  const known = (n) => n >= 1 && n <= hits.length;
+  return {
+    citations: refs
+      .filter(known)
+      .map((n) => ({
+        ref: n,
+        ...chunkCitation(hits[n - 1], { permalinkFor }),
+      })),
+    unmatchedRefs: refs.filter((n) => !known(n)),
+  };
+}
+
+// ── One model turn, running the tools it calls ────────────────
+// Tools are offered for MAX_TOOL_ROUNDS steps, then the model has to
+// answer. Text from every step is part of the reply. If the first step
+// fails with tools offered (a model without tool support) it is asked
+// again without them.
+async function converse({ messages, tools, onToken, onToolCall }) {
+  const { llmChatWithTools } = await import("../config/llm.js");
+  const parts = [];
+  const toolCalls = [];
+
+  for (let round = 0; ; round++) {
+    const offered =
+      tools && round < MAX_TOOL_ROUNDS ? tools.definitions : undefined;
+    // Steps are separated by a blank line, in the stream as in the reply
+    let separator = parts.length ? "\n\n" : "";
+    const stepToken =
+      onToken &&
+      ((token) => {
+        onToken(separator + token);
+        separator = "";
+      });
+
+    let step;
+    try {
+      step = await llmChatWithTools({
+        messages,
+        tools: offered,
+        temperature: 0.1,
+        agent: "chat",
+        onToken: stepToken,
+      });
+    } catch (err) {
+      if (!offered || round > 0 || err.code === "LLM_CALL_CANCELLED")
+        throw err;
+      console.warn(`[chat] answering without tools — ${err.message}`);
+      tools = null;
+      round--;
+      continue;
+    }
+
+    if (step.content) parts.push(step.content);
+    if (!step.toolCalls.length)
+      return { reply: parts.join("\n\n"), toolCalls };
+
+    messages.push({
+      role: "assistant",
+      content: step.content,
+      toolCalls: step.toolCalls,
+    });
+    for (const call of step.toolCalls) {
+      onToolCall?.({ name: call.name, arguments: call.arguments });
+      const content = await tools.run(call);
+      toolCalls.push({ name: call.name, arguments: call.arguments });
+      messages.push({
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content,
+      });
+    }
+  }
+}
+
+// ── Send message (non-streaming) ──────────────────────────────
+// history: [{ role, content }] oldest first; summary: older turns.
+// permalinkFor(path, { startLine, endLine }) links cited files.
+// tools: a toolbox from chat-tools.service.js, or null.
+// The caller stores the turn.
+export async function chat({
+  jobId,
+  message,
+  history = [],
+  summary = "",
+  permalinkFor,
+  tools = null,
+}) {
+  const session = sessions.get(jobId);
+  if (!session) throw new Error("Chat session not found. Generate docs first.");
+
+  const built = await buildMessages(session, {
+    message,
+    history,
+    summary,
+    tools,
+  });
+  const { reply, toolCalls } = await converse({
+    messages: built.messages,
+    tools,
+  });
+
   return {
     reply,
     sessionId: jobId,
-    contextUsed: relevantContext.slice(0, 100) + "…",
-    historyLength: history.length / 2,
+    toolCalls,
+    ...citeSources(reply, built, permalinkFor),
   };
 }
 
+// ── Fold older turns into the running summary ─────────────────
+// Returns the new summary. Throws on LLM failure — the caller keeps
+// the old one and retries on a later turn.
+export async function summariseConversation({ summary = "", messages }) {
+  const transcript = messages
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+    .join("\n\n");
+
+  const { llmChat } = await import("../config/llm.js");
+  const reply = await llmChat({
+    agent: "chat",
+    temperature: 0,
+    messages: [
+      {
+        role: "system",
+        content: `You maintain the running summary of a conversation about a codebase.
+Merge the existing summary and the new turns into one summary of at most 250 words.
+Keep what later questions may refer back to: the questions asked, the answers' key facts, file paths, function and endpoint names, decisions and open questions.
+Write plain prose or short bullets. No preamble.`,
+      },
+      {
+        role: "user",
+        content: `EXISTING SUMMARY:\n${summary || "(none)"}\n\nNEW TURNS:\n${transcript}`,
+      },
+    ],
+  });
+  return reply.trim().slice(0, MAX_SUMMARY_CHARS);
+}
+
 // ── Suggested starter questions ───────────────────────────────
 export function getSuggestedQuestions(output) {
   const questions = [
     "How does authentication work in this project?",
     "What is the overall architecture of this application?",
     "Which endpoints require authentication?",
+    "Which GraphQL / gRPC / tRPC operations does the API expose?",
     "What are the main data models and how are they related?",
     "How do I set up and run this project locally?",
     "What are the most critical security issues found?",
@@ -193,77 +487,77 @@ export function getSuggestedQuestions(output) {
       if (q.includes("security") && !output.securityReport) return false;
       if (q.includes("endpoint") && !output.apiReference?.includes("GET"))
         return false;
+      if (
+        q.includes("operations") &&
+        !output.apiReference?.includes(OPERATIONS_HEADING)
+      )
+        return false;
       return true;
     })
     .slice(0, 5);
 }
 
-// ── Reset session history ─────────────────────────────────────
-export function resetSession(jobId) {
-  const session = sessions.get(jobId);
-  if (session) session.history = [];
-}
-
 // ── Ensure session exists (auto-restore after server restart) ─
 // If the session is already in memory this is a no-op.
-// Otherwise it rebuilds the docs context from the persisted project output.
-export function ensureSession({ jobId, output, meta }) {
+// Otherwise it rebuilds the docs context from the persisted project
+// output, and reloads the stored retrieval index through loadIndex().
+// An index that fails to load leaves chat on keyword context.
+export async function ensureSession({ jobId, output, meta, loadIndex }) {
   if (sessions.has(jobId)) return;
-  createChatSession({ jobId, output, meta });
+  let index = null;
+  try {
+    index = (await loadIndex?.()) ?? null;
+  } catch (err) {
+    console.warn(`[chat] ${jobId}: could not load the index — ${err.message}`);
+  }
+  // Another request may have restored it while the index loaded
+  if (sessions.has(jobId)) return;
+  createChatSession({ jobId, output, meta, index });
 }
 
 // ── Streaming chat ────────────────────────────────────────────
-// Calls onToken for each streamed token, onDone when complete.
-export async function chatStream({ jobId, message, onToken, onDone, onError }) {
+// Calls onToken for each streamed token, onToolCall({ name, arguments })
+// before each tool runs, then
+// onDone({ reply, citations, unmatchedRefs, toolCalls }) — the caller
+// stores the turn. History, summary, permalinkFor and tools as for
+// chat().
+export async function chatStream({
+  jobId,
+  message,
+  history = [],
+  summary = "",
+  permalinkFor,
+  tools = null,
+  onToken,
+  onToolCall,
+  onDone,
+  onError,
+}) {
   const session = sessions.get(jobId);
   if (!session) {
     onError(new Error("Chat session not found. Generate docs first."));
     return;
   }
 
-  const { docsContext, history } = session;
-  const relevantContext = selectRelevantContext(message, docsContext);
-
-  const SYSTEM_PROMPT = `You are an expert developer assistant with deep knowledge of this specific codebase.
-You have been given the project documentation below as your knowledge base.
-Answer questions accurately based on the documentation. If something is not covered in the docs, say so clearly.
-Be concise but complete. Format code examples with backticks.
-
-=== CODEBASE DOCUMENTATION ===
-${relevantContext}
-=== END DOCUMENTATION ===`;
-
-  const trimmedHistory = history.slice(-MAX_HISTORY_TURNS);
-  const messages = [
-    { role: "system", content: SYSTEM_PROMPT },
-    ...trimmedHistory,
-    { role: "user", content: message },
-  ];
-
-  const { client, MODEL } = await import("../config/llm.js");
-  let fullReply = "";
   try {
-    const stream = await client.chat.completions.create({
-      model: MODEL,
-      messages,
-      temperature: 0.1,
-      stream: true,
+    const built = await buildMessages(session, {
+      message,
+      history,
+      summary,
+      tools,
+    });
+    const { reply, toolCalls } = await converse({
+      messages: built.messages,
+      tools,
+      onToken,
+      onToolCall,
     });
 
-    for await (const chunk of stream) {
-      const token = chunk.choices[0]?.delta?.content ?? "";
-      if (token) {
-        fullReply += token;
-        onToken(token);
-      }
-    }
-
-    // Update history ring buffer
-    history.push({ role: "user", content: message });
-    history.push({ role: "assistant", content: fullReply });
-    if (history.length > MAX_HISTORY_TURNS * 2) history.splice(0, 2);
-
-    onDone({ historyLength: history.length / 2 });
+    await onDone({
+      reply,
+      toolCalls,
+      ...citeSources(reply, built, permalinkFor),
+    });
   } catch (err) {
     onError(err);
   }
@@ -7,7 +7,8 @@
 //
 // Agent → File role mapping:
 //   repoScanner    — all files (role classification)
-//   apiExtractor   — route, controller, entry
+//   apiExtractor   — route, controller, entry, plus any GraphQL
+//                    schema or .proto file whatever its role
 //   schemaAnalyser — model, schema, migration
 //   componentMapper— service, middleware, utility, config, helper
 //   securityAuditor— any code file
@@ -15,8 +16,16 @@
 //
 // Manifest files (package.json etc.) trigger a FULL re-run because
 // they signal structural changes: new deps, language changes, etc.
+// So does the repo's security config — its rules apply to every
+// file, not just the changed ones.
 // =============================================================
 
+import { SECURITY_CONFIG_PATH } from "./security-config.service.js";
+import {
+  API_DEFINITION_FILE,
+  mergeOperations,
+} from "./api-operations.service.js";
+
 // ── File role → agent mapping ─────────────────────────────────
 
 const ROLE_TO_AGENTS = {
@@ -104,6 +113,12 @@ export function analyseChanges(changedFiles, fileManifest) {
       return result; // early exit — no need to analyse further
     }
 
+    if (path === SECURITY_CONFIG_PATH) {
+      result.needsFullRun = true;
+      result.fullRunReason = `Security config changed: ${path}`;
+      return result;
+    }
+
     if (status === "removed") {
       result.removedFiles.push(path);
       // Removed files still need agent re-runs to clear their entries
@@ -118,8 +133,10 @@ export function analyseChanges(changedFiles, fileManifest) {
     const role = stored?.role || inferRoleFromPath(path);
 
     // Map role → agents
-    const agents =
+    let agents =
       ROLE_TO_AGENTS[role] || (CODE_EXT.test(path) ? ["securityAuditor"] : []);
+    if (API_DEFINITION_FILE.test(path) && !agents.includes("apiExtractor"))
+      agents = [...agents, "apiExtractor"];
 
     // repoScanner handles all non-removed files (role may have changed)
     if (status !== "removed") {
@@ -189,6 +206,12 @@ export function mergeAgentOutputs(
       ...stored.endpoints.filter((e) => !allDirtyPaths.has(e.file)),
       ...(fresh.endpoints || []),
     ],
+    // Operations: filter by file, then re-merge so a schema operation
+    // and its resolver from another file collapse into one entry again
+    operations: mergeOperations([
+      ...(stored.operations || []).filter((o) => !allDirtyPaths.has(o.file)),
+      ...(fresh.operations || []),
+    ]),
     // Models: filter by file field
     models: [
       ...stored.models.filter((m) => !allDirtyPaths.has(m.file)),
@@ -11,7 +11,10 @@
 
 // ── PDF Export ────────────────────────────────────────────────
 // Streams a multi-section PDF directly to an Express response.
-export async function exportToPDF(res, { meta, output, stats, securityScore }) {
+export async function exportToPDF(
+  res,
+  { meta, output, stats, securityScore, findings = [] },
+) {
   // Dynamic import — throws a clear error if pdfkit is not installed
   let PDFDocument;
   try {
@@ -160,6 +163,32 @@ export async function exportToPDF(res, { meta, output, stats, securityScore }) {
       });
     doc.fill(DARK).moveDown(0.5);
     body(output.securityReport.slice(0, 2500));
+
+    // The report text above loses its links to stripMarkdown — list
+    // the open findings again with their permalinks kept clickable.
+    const open = findings.filter((f) => !f.triage || f.triage === "open");
+    if (open.length) {
+      heading2("Findings");
+      for (const f of open.slice(0, 30)) {
+        const line = f.location?.startLine ?? f.line_number;
+        doc
+          .fill(DARK)
+          .fontSize(9)
+          .font("Helvetica")
+          .text(`[${f.severity}] ${f.title} — `, 50, doc.y, {
+            width: PAGE_W,
+            continued: true,
+          })
+          .fill(f.permalink ? BLUE : MUTED)
+          .font("Courier")
+          .text(`${f.file}${line ? `:${line}` : ""}`, {
+            link: f.permalink || null,
+            underline: Boolean(f.permalink),
+          });
+      }
+      if (open.length > 30)
+        body(`…and ${open.length - 30} more in the security report.`);
+    }
   }
 
   if (output.internalDocs) {
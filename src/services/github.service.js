@@ -2,11 +2,15 @@
 // GitHub API client.
 //
 // v3.1 additions:
-//   getCommitSha        — resolve branch name → git SHA
+//   getCommitSha        — resolve branch / tag / SHA → commit SHA
 //   getFileTreeWithSha  — full tree with per-file blob SHAs
-//   computeFileDiff     — compare stored fileManifest against a
-//                         fresh tree to find added/modified/removed
-//                         files without using the compare API
+//
+// Functions that download content accept `{ signal }` so a cancelled
+// pipeline aborts its requests in flight.
+//
+// This is the raw REST client behind the "github" source. Ingestion,
+// filtering and manifest diffing are provider-agnostic and live in
+// sources/repo-client.js.
 // =============================================================
 
 import axios from "axios";
@@ -15,11 +19,6 @@ import dotenv from "dotenv";
 dotenv.config();
 
 const GH_API = "https://api.github.com";
-const MAX_FILES = parseInt(process.env.MAX_FILES_PER_REPO || "100");
-const MAX_KB = parseInt(process.env.MAX_FILE_SIZE_KB || "50");
-
-const SKIP_EXT =
-  /\.(png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot|pdf|zip|tar|gz|mp4|mp3|bin|exe|dll|so|dylib|lock)$/i;
 
 function ghHeaders() {
   return {
@@ -40,9 +39,10 @@ export function parseRepoUrl(url) {
 
 // ── Repo metadata ─────────────────────────────────────────────
 
-export async function getRepoMeta(owner, repo) {
+export async function getRepoMeta(owner, repo, { signal } = {}) {
   const { data } = await axios.get(`${GH_API}/repos/${owner}/${repo}`, {
     headers: ghHeaders(),
+    signal,
   });
   return {
     name: data.name,
@@ -57,22 +57,22 @@ export async function getRepoMeta(owner, repo) {
 }
 
 // ── Commit SHA resolution ─────────────────────────────────────
-// Returns the git commit SHA for the HEAD of a branch.
+// Returns the git commit SHA a ref (branch, tag or SHA) points at.
 // This is the canonical identifier we store as lastDocumentedCommit.
-export async function getCommitSha(owner, repo, branch) {
+export async function getCommitSha(owner, repo, ref) {
   const { data } = await axios.get(
-    `${GH_API}/repos/${owner}/${repo}/commits/${branch}`,
+    `${GH_API}/repos/${owner}/${repo}/commits/${ref}`,
     { headers: ghHeaders() },
   );
   return data.sha;
 }
 
-// ── File tree (original — path + size only) ───────────────────
+// ── File tree (original — path + size, plus blob SHA) ──────────
 
-export async function getFileTree(owner, repo, branch) {
+export async function getFileTree(owner, repo, ref, { signal } = {}) {
   const { data } = await axios.get(
-    `${GH_API}/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`,
-    { headers: ghHeaders() },
+    `${GH_API}/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`,
+    { headers: ghHeaders(), signal },
   );
   if (data.truncated) {
     console.warn(
@@ -81,7 +81,7 @@ export async function getFileTree(owner, repo, branch) {
   }
   return data.tree
     .filter((item) => item.type === "blob")
-    .map((item) => ({ path: item.path, size: item.size }));
+    .map((item) => ({ path: item.path, sha: item.sha, size: item.size }));
 }
 
 // ── File tree with blob SHAs ──────────────────────────────────
@@ -89,9 +89,9 @@ export async function getFileTree(owner, repo, branch) {
 // These SHAs are stable — they only change when file content changes.
 // This is how we detect what changed between two pipeline runs
 // without needing the GitHub compare API.
-export async function getFileTreeWithSha(owner, repo, branch) {
+export async function getFileTreeWithSha(owner, repo, ref) {
   const { data } = await axios.get(
-    `${GH_API}/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`,
+    `${GH_API}/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`,
     { headers: ghHeaders() },
   );
   if (data.truncated) {
@@ -102,61 +102,18 @@ export async function getFileTreeWithSha(owner, repo, branch) {
     .map((item) => ({ path: item.path, sha: item.sha, size: item.size }));
 }
 
-// ── Compute file diff from stored manifest ────────────────────
-// Compares the current GitHub tree (with SHAs) against the project's
-// stored fileManifest to find what changed since last documentation run.
-//
-// Returns:
-//   added    — new files not in manifest
-//   modified — files whose blob SHA changed
-//   removed  — files in manifest but no longer in tree
-//   unchanged — files with matching SHAs (safe to skip)
-//
-// SKIP_EXT files are filtered out — agents don't process them anyway.
-export async function computeFileDiff(owner, repo, branch, storedManifest) {
-  const currentTree = await getFileTreeWithSha(owner, repo, branch);
-  const eligible = currentTree.filter(
-    (f) => !SKIP_EXT.test(f.path) && f.size < MAX_KB * 1024,
-  );
-
-  // Build lookup maps
-  const manifestMap = new Map(storedManifest.map((f) => [f.path, f]));
-  const currentMap = new Map(eligible.map((f) => [f.path, f]));
-
-  const added = [];
-  const modified = [];
-  const removed = [];
-  const unchanged = [];
-
-  // Check current tree against stored manifest
-  for (const [path, cur] of currentMap) {
-    const stored = manifestMap.get(path);
-    if (!stored) {
-      added.push({ path, sha: cur.sha, status: "added" });
-    } else if (stored.sha !== cur.sha) {
-      modified.push({ path, sha: cur.sha, status: "modified" });
-    } else {
-      unchanged.push({ path });
-    }
-  }
-
-  // Files in manifest that are no longer in the tree
-  for (const [path] of manifestMap) {
-    if (!currentMap.has(path)) {
-      removed.push({ path, status: "removed" });
-    }
-  }
-
-  return { added, modified, removed, unchanged, currentTree: eligible };
-}
-
 // ── Individual file content ───────────────────────────────────
 
-export async function getFileContent(owner, repo, filePath) {
+export async function getFileContent(
+  owner,
+  repo,
+  filePath,
+  { signal, ref } = {},
+) {
   try {
     const { data } = await axios.get(
       `${GH_API}/repos/${owner}/${repo}/contents/${encodeURIComponent(filePath)}`,
-      { headers: ghHeaders() },
+      { headers: ghHeaders(), signal, params: ref ? { ref } : undefined },
     );
     if (data.encoding === "base64") {
       return Buffer.from(data.content, "base64").toString("utf-8");
@@ -168,73 +125,12 @@ export async function getFileContent(owner, repo, filePath) {
   }
 }
 
-// ── Batch-fetch file contents from a list of paths ────────────
-// Used by incremental sync to fetch only changed files.
-export async function fetchFileContents(owner, repo, filePaths, onProgress) {
-  const notify = (msg) => {
-    if (onProgress) onProgress(msg);
-  };
-  const files = [];
-
-  for (const [i, path] of filePaths.entries()) {
-    const content = await getFileContent(owner, repo, path);
-    if (content.trim()) files.push({ path, content });
-    if ((i + 1) % 10 === 0 || i === filePaths.length - 1) {
-      notify(`Fetching changed files… ${i + 1}/${filePaths.length}`);
-    }
-  }
-  return files;
-}
-
-// ── Full repo fetch (original — used for full pipeline runs) ──
-
-export async function fetchRepoFiles(repoUrl) {
-  const { owner, repo } = parseRepoUrl(repoUrl);
-  const meta = await getRepoMeta(owner, repo);
-  const allFiles = await getFileTree(owner, repo, meta.defaultBranch);
-
-  const eligible = allFiles
-    .filter((f) => !SKIP_EXT.test(f.path) && f.size < MAX_KB * 1024)
-    .slice(0, MAX_FILES);
-
-  console.log(`📂 Fetching ${eligible.length} files from ${owner}/${repo}…`);
-
-  const files = [];
-  for (const file of eligible) {
-    const content = await getFileContent(owner, repo, file.path);
-    if (content.trim()) files.push({ path: file.path, content });
-  }
-  return { meta, files, owner, repo };
-}
-
-// ── Full repo fetch with progress events ─────────────────────
+// ── Tarball request ───────────────────────────────────────────
+// GitHub answers with a redirect to codeload; axios follows it.
 
-export async function fetchRepoFilesWithProgress(repoUrl, onProgress) {
-  const notify = (msg) => {
-    if (onProgress) onProgress(msg);
+export function tarballRequest(owner, repo, ref) {
+  return {
+    url: `${GH_API}/repos/${owner}/${repo}/tarball/${encodeURIComponent(ref)}`,
+    headers: ghHeaders(),
   };
-
-  const { owner, repo } = parseRepoUrl(repoUrl);
-  notify(`Reading repo info for ${owner}/${repo}…`);
-  const meta = await getRepoMeta(owner, repo);
-
-  notify(`Reading file tree on branch "${meta.defaultBranch}"…`);
-  const allFiles = await getFileTree(owner, repo, meta.defaultBranch);
-
-  const eligible = allFiles
-    .filter((f) => !SKIP_EXT.test(f.path) && f.size < MAX_KB * 1024)
-    .slice(0, MAX_FILES);
-
-  notify(`Downloading ${eligible.length} source files…`);
-
-  const files = [];
-  for (const [i, file] of eligible.entries()) {
-    const content = await getFileContent(owner, repo, file.path);
-    if (content.trim()) files.push({ path: file.path, content });
-    if ((i + 1) % 20 === 0 || i === eligible.length - 1) {
-      notify(`Downloaded ${i + 1} / ${eligible.length} files…`);
-    }
-  }
-
-  return { meta, files, owner, repo };
 }
@@ -23,21 +23,62 @@
 // Progress event schema:
 //   { step, status: "running"|"done"|"error"|"skipped"|"waiting",
 //     msg, detail, ts, duration? }
+//
+// Syncs follow project.trackedRef (branch, tag or pinned commit) when
+// set, the repository's default branch otherwise.
+//
+// options.buildId syncs one of the project's DocBuilds instead: the
+// caller passes the build's state in place of the project's, and the
+// commit SHA and version history are written to that build.
+//
+// Security findings are scored through project.securityTriage (see
+// security-findings.service.js), so triage survives incremental runs.
+// The Dependency Auditor re-reads every lockfile on each sync, since
+// newly imported advisories can flag packages that didn't change.
+// `.env*` files are re-read and secret-scanned on each sync too: they
+// are outside the manifest, so the diff never reports them changed.
+// Drift between options.apiSpec (the imported spec) and the merged
+// endpoints is recomputed on each sync; the security report is rebuilt
+// when it differs from the drift stored on the spec.
+//
+// options.retrievalIndex is the chat index of the last run: code
+// chunks of changed and removed files are replaced, everything derived
+// from agent outputs and docs is rebuilt, and the result is returned
+// for the caller to store.
+//
+// options.signal cancels the sync the same way as orchestrate() —
+// incrementalSync() throws the signal's reason.
 // ===================================================================
 
-import {
-  getCommitSha,
-  getFileTreeWithSha,
-  fetchFileContents,
-  computeFileDiff,
-  getRepoMeta,
-} from "./github.service.js";
+import { openRepo } from "./sources/index.js";
+import { isEnvFile } from "./sources/repo-client.js";
 
 import { repoScannerAgent } from "../agents/repo-scanner.agent.js";
 import { apiExtractorAgent } from "../agents/api-extractor.agent.js";
 import { schemaAnalyserAgent } from "../agents/schema-analyser.agent.js";
 import { componentMapperAgent } from "../agents/component-mapper.agent.js";
-import { securityAuditorAgent } from "../agents/security-auditor.agent.js";
+import {
+  securityAuditorAgent,
+  scanSecretFiles,
+} from "../agents/security-auditor.agent.js";
+import { dependencyAuditorAgent } from "../agents/dependency-auditor.agent.js";
+import {
+  computeApiDrift,
+  driftKey,
+  driftMarkdown,
+  hasDriftSection,
+  isComparableSpec,
+} from "./api-drift.service.js";
+import {
+  applyTriage,
+  scoreFindings,
+  withPermalinks,
+  findingLocationMarkdown,
+  triagedFindingsMarkdown,
+} from "./security-findings.service.js";
+import { loadSecurityConfig } from "./security-config.service.js";
+import { operationsMarkdown } from "./api-operations.service.js";
+import { updateRetrievalIndex } from "./retrieval.service.js";
 
 import {
   analyseChanges,
@@ -46,17 +87,26 @@ import {
 } from "./diff.service.js";
 
 import { DocumentVersion } from "../models/DocumentVersion.js";
+import {
+  runWithLLMContext,
+  getLLMContext,
+  cancelQueued,
+} from "../config/llm-scheduler.js";
+import { createCacheStats, summariseCacheStats } from "./llm-cache.service.js";
 
 // ─── Configuration ────────────────────────────────────────────────
 
 const TIMEOUTS = {
-  fetch: 45_000, // GitHub file content fetch
+  fetch: 45_000, // repository file content fetch
   scan: 90_000, // Repo Scanner over changed files
   api: 60_000, // API Extractor
   schema: 60_000, // Schema Analyser
   components: 60_000, // Component Mapper
   security: 90_000, // Security Auditor (static + LLM)
+  dependencies: 30_000, // Dependency Auditor (lockfiles + advisory DB)
+  secrets: 30_000, // secret scan of .env files
   docs: 120_000, // Doc Writer (LLM sections)
+  index: 60_000, // chat retrieval index
 };
 
 // If more than this many files changed → skip incremental, do full run
@@ -95,34 +145,50 @@ async function getDocWriter() {
 
 /**
  * Wrap any async function with a hard timeout.
+ * An aborted signal settles it at once with { error, cancelled: true }.
  */
-async function withTimeout(fn, ms, label) {
+async function withTimeout(fn, ms, label, signal) {
   let handle;
+  let onAbort;
   const timeout = new Promise((_, reject) => {
     handle = setTimeout(
       () => reject(new Error(`${label} timed out after ${ms / 1000}s`)),
       ms,
     );
+    onAbort = () => reject(signal.reason);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
   });
   try {
     const result = await Promise.race([fn(), timeout]);
-    clearTimeout(handle);
     return { result };
   } catch (err) {
-    clearTimeout(handle);
+    if (signal?.aborted) return { error: signal.reason, cancelled: true };
     return { error: err, timedOut: err.message.includes("timed out") };
+  } finally {
+    clearTimeout(handle);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
 /**
  * Run a single agent with timeout, error isolation, and duration tracking.
- * Never throws — always returns a result or fallback.
+ * Only throws on cancellation — otherwise returns a result or fallback.
  */
-async function runAgent({ label, step, fn, timeout, fallback, emit }) {
+async function runAgent({ label, step, fn, timeout, fallback, emit, signal }) {
+  signal?.throwIfAborted();
   const start = Date.now();
   emit(step, "running", `Running ${label}…`);
 
-  const { result, error, timedOut } = await withTimeout(fn, timeout, label);
+  // Tag this agent's LLM calls so a timeout can drop the ones still queued
+  const { result, error, timedOut, cancelled } = await withTimeout(
+    () => runWithLLMContext({ stage: step }, fn),
+    timeout,
+    label,
+    signal,
+  );
+  if (timedOut) cancelQueued({ jobId: getLLMContext().jobId, stage: step });
+  if (cancelled) throw error;
   const duration = Date.now() - start;
 
   if (error) {
@@ -138,15 +204,6 @@ async function runAgent({ label, step, fn, timeout, fallback, emit }) {
   return { ...result, _duration: duration };
 }
 
-/**
- * Parse owner and repo name from a GitHub URL.
- */
-function parseOwnerRepo(project) {
-  const match = project.repoUrl?.match(/github\.com\/([^/]+)\/([^/?.#]+)/);
-  if (!match) throw new Error(`Cannot parse repoUrl: ${project.repoUrl}`);
-  return { owner: match[1], repoName: match[2].replace(/\.git$/, "") };
-}
-
 /**
  * Categorise webhook file entries into added / modified / removed.
  */
@@ -195,45 +252,6 @@ function mergeProjectMap(existingProjectMap, freshProjectMap, changedPathSet) {
   ];
 }
 
-/**
- * Recompute the security score and grade from a complete findings array.
- * Uses the same diminishing-deductions formula as the improved Security Auditor.
- */
-function recomputeSecurityScore(findings) {
-  const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
-  for (const f of findings || []) {
-    counts[f.severity] = (counts[f.severity] ?? 0) + 1;
-  }
-
-  const criticalDeduct =
-    Math.min(counts.CRITICAL, 3) * 25 + Math.max(0, counts.CRITICAL - 3) * 10;
-  const highDeduct =
-    Math.min(counts.HIGH, 5) * 15 + Math.max(0, counts.HIGH - 5) * 5;
-  const mediumDeduct =
-    Math.min(counts.MEDIUM, 8) * 7 + Math.max(0, counts.MEDIUM - 8) * 2;
-  const lowDeduct = counts.LOW * 2;
-
-  const score = Math.max(
-    0,
-    Math.min(
-      100,
-      100 - (criticalDeduct + highDeduct + mediumDeduct + lowDeduct),
-    ),
-  );
-  const grade =
-    score >= 90
-      ? "A"
-      : score >= 80
-        ? "B"
-        : score >= 65
-          ? "C"
-          : score >= 45
-            ? "D"
-            : "F";
-
-  return { score, grade, counts };
-}
-
 /**
  * Build a security report Markdown from merged findings.
  * Mirrors the improved Security Auditor's report format
@@ -245,6 +263,7 @@ function buildSecurityReport(
   grade,
   counts,
   categoryCounts = {},
+  suppressed = [],
 ) {
   let md = `# 🔒 Security Audit Report\n\n`;
 
@@ -252,7 +271,10 @@ function buildSecurityReport(
   md += `| Metric | Value |\n|--------|-------|\n`;
   md += `| **Score** | ${score}/100 |\n`;
   md += `| **Grade** | **${grade}** |\n`;
-  md += `| **Total Findings** | ${findings?.length ?? 0} |\n\n`;
+  md += `| **Total Findings** | ${findings?.length ?? 0} |\n`;
+  if (suppressed.length)
+    md += `| **Triaged (excluded)** | ${suppressed.length} |\n`;
+  md += "\n";
 
   md += `## Severity Breakdown\n\n`;
   md += `| Severity | Count |\n|----------|-------|\n`;
@@ -271,8 +293,8 @@ function buildSecurityReport(
   }
 
   if (!findings?.length) {
-    md += "✅ No issues detected.\n";
-    return md;
+    md += "✅ No issues detected.\n\n";
+    return md + triagedFindingsMarkdown(suppressed);
   }
 
   md += `## Findings\n\n`;
@@ -282,7 +304,7 @@ function buildSecurityReport(
     md += `### ${SEVERITY_EMOJI[sev]} ${sev} (${group.length})\n\n`;
     group.forEach((f) => {
       md += `#### [${f.id}] ${f.title}\n\n`;
-      md += `**File:** \`${f.file}\``;
+      md += `**File:** ${findingLocationMarkdown(f)}`;
       if (f.cwe) md += ` · **${f.cwe}**`;
       if (f.category) md += ` · ${f.category}`;
       md += "\n\n";
@@ -290,11 +312,17 @@ function buildSecurityReport(
         md += `**Detected:**\n\`\`\`\n${f.line.replace(/`/g, "'")}\n\`\`\`\n\n`;
       if (f.description) md += `**Description:** ${f.description}\n\n`;
       if (f.impact) md += `**Impact:** ${f.impact}\n\n`;
+      if (f.paths?.length) {
+        const via = f.paths.map((p) => `\`${p}\``).join(", ");
+        md += `**Installed via:** ${via}\n\n`;
+      }
+      if (f.fixedIn?.length)
+        md += `**Fixed in:** ${f.fixedIn.join(", ")}\n\n`;
       md += `**Fix:** ${f.advice}\n\n---\n\n`;
     });
   }
 
-  return md;
+  return md + triagedFindingsMarkdown(suppressed);
 }
 
 /**
@@ -317,7 +345,7 @@ function buildRemediationPlan(findings) {
     md += `## ${SEVERITY_EMOJI[sev]} ${sev} — ${effort[sev]}\n\n`;
     group.forEach((f, idx) => {
       md += `${idx + 1}. **[${f.id}] ${f.title}**\n`;
-      md += `   - File: \`${f.file}\`\n`;
+      md += `   - File: ${findingLocationMarkdown(f)}\n`;
       md += `   - Fix: ${f.advice}\n`;
       if (f.cwe)
         md += `   - Reference: https://cwe.mitre.org/data/definitions/${f.cwe.replace("CWE-", "")}.html\n`;
@@ -331,9 +359,11 @@ function buildRemediationPlan(findings) {
  * Build API reference from the improved Agent 2 schema.
  * Mirrors the static builder in the improved Doc Writer.
  */
-function buildApiReference(endpoints) {
-  if (!endpoints?.length)
+function buildApiReference(endpoints, operations = []) {
+  if (!endpoints?.length && !operations?.length)
     return "# API Reference\n\nNo API endpoints detected.\n";
+  if (!endpoints?.length)
+    return `# API Reference\n\n${operationsMarkdown(operations)}`;
 
   let md = "# API Reference\n\n";
   const authCount = endpoints.filter((e) => e.auth?.required || e.auth).length;
@@ -404,6 +434,7 @@ function buildApiReference(endpoints) {
       md += "---\n\n";
     }
   }
+  if (operations?.length) md += operationsMarkdown(operations);
   return md;
 }
 
@@ -577,14 +608,23 @@ function hasValidStoredState(project) {
 }
 
 /**
- * Update only the commit SHA in the database when nothing changed.
+ * Update only the commit SHA (and the ref it was read from) in the
+ * database when nothing changed — on the build being synced, or the
+ * project itself.
  */
-async function updateCommitSha(project, sha) {
-  const { Project } = await import("../models/Project.js");
-  await Project.findByIdAndUpdate(project._id, {
+async function updateCommitSha(project, sha, ref, buildId) {
+  const update = {
     lastDocumentedCommit: sha,
+    lastDocumentedRef: ref,
     "stats.lastChecked": new Date(),
-  });
+  };
+  if (buildId) {
+    const { DocBuild } = await import("../models/DocBuild.js");
+    await DocBuild.findByIdAndUpdate(buildId, update);
+    return;
+  }
+  const { Project } = await import("../models/Project.js");
+  await Project.findByIdAndUpdate(project._id, update);
 }
 
 // ─── Main Entry Point ─────────────────────────────────────────────
@@ -597,9 +637,20 @@ async function updateCommitSha(project, sha) {
  * @param {Object}   options
  * @param {Array}    options.webhookChangedFiles — pre-parsed files from webhook
  * @param {boolean}  options.forceFullRun        — skip diff, do full re-run
+ * @param {string}   [options.buildId]           — DocBuild being synced
+ * @param {Object}   [options.apiSpec]           — imported spec to check for drift
+ * @param {Object}   [options.retrievalIndex]    — chat index to patch
+ * @param {AbortSignal} [options.signal]         — cancels the sync
  * @returns {Object} syncResult
  */
 export async function incrementalSync(project, onProgress, options = {}) {
+  return runWithLLMContext({ cacheStats: createCacheStats() }, () =>
+    runIncrementalSync(project, onProgress, options),
+  );
+}
+
+async function runIncrementalSync(project, onProgress, options) {
+  const { signal } = options;
   const syncStart = Date.now();
   const syncErrors = [];
 
@@ -611,7 +662,8 @@ export async function incrementalSync(project, onProgress, options = {}) {
     if (onProgress) onProgress(event);
   };
 
-  const { owner, repoName: repo } = parseOwnerRepo(project);
+  const source = openRepo(project.repoUrl, { provider: project.provider });
+  const { owner, repo } = source;
 
   try {
     emit("sync", "running", "Starting incremental sync…", `${owner}/${repo}`);
@@ -621,17 +673,28 @@ export async function incrementalSync(project, onProgress, options = {}) {
     emit("sync:fetch", "running", "Checking for new commits…");
     const fetchStart = Date.now();
 
+    // The project's tracked branch, tag or pinned commit — or the
+    // default branch when none is set
+    const trackedRef = project.trackedRef?.name || null;
+
     let meta, currentSha;
     try {
       [meta, currentSha] = await Promise.all([
-        getRepoMeta(owner, repo),
-        getCommitSha(owner, repo, project.meta?.defaultBranch || "main"),
+        source.getRepoMeta({ signal }),
+        source.getCommitSha(
+          trackedRef || project.meta?.defaultBranch || "main",
+        ),
       ]);
     } catch (err) {
+      if (signal?.aborted) throw signal.reason;
       emit("sync:fetch", "error", "Failed to fetch repo metadata", err.message);
       return { success: false, error: err.message, phase: "fetch" };
     }
 
+    const ref = trackedRef || meta.defaultBranch;
+    // Every read is made at the resolved commit — a push mid-sync must
+    // not pair this diff with another commit's files
+    const at = currentSha || ref;
     const lastSha = project.lastDocumentedCommit;
 
     // Short-circuit: nothing changed
@@ -647,6 +710,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
         skipped: true,
         reason: "no_changes",
         currentCommit: currentSha,
+        currentRef: ref,
       };
     }
 
@@ -658,11 +722,11 @@ export async function incrementalSync(project, onProgress, options = {}) {
       emit("sync:fetch", "running", `Full re-run: ${reason}`);
       return await fullSyncFallback(
         project,
-        owner,
-        repo,
-        meta,
+        source,
+        ref,
         currentSha,
         onProgress,
+        options,
       );
     }
 
@@ -690,18 +754,14 @@ export async function incrementalSync(project, onProgress, options = {}) {
       changedFileEntries = [...added, ...modified, ...removed];
 
       // Fetch current tree for manifest update (needed in Phase 7)
-      currentTree = await getFileTreeWithSha(
-        owner,
-        repo,
-        meta.defaultBranch,
-      ).catch(() => []);
+      currentTree = await source
+        .getFileTreeWithSha(at)
+        .catch(() => []);
     } else {
-      // Compute diff from GitHub tree SHA comparison
+      // Compute diff from the host's tree SHA comparison
       try {
-        const diffResult = await computeFileDiff(
-          owner,
-          repo,
-          meta.defaultBranch,
+        const diffResult = await source.computeFileDiff(
+          at,
           project.fileManifest,
         );
         added = diffResult.added || [];
@@ -719,11 +779,11 @@ export async function incrementalSync(project, onProgress, options = {}) {
         );
         return await fullSyncFallback(
           project,
-          owner,
-          repo,
-          meta,
+          source,
+          ref,
           currentSha,
           onProgress,
+          options,
         );
       }
     }
@@ -738,7 +798,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
 
     // Nothing changed (SHA moved but no code files affected)
     if (changedFileEntries.length === 0) {
-      await updateCommitSha(project, currentSha);
+      await updateCommitSha(project, currentSha, ref, options.buildId);
       emit(
         "sync",
         "done",
@@ -750,6 +810,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
         skipped: true,
         reason: "no_eligible_changes",
         currentCommit: currentSha,
+        currentRef: ref,
       };
     }
 
@@ -765,11 +826,11 @@ export async function incrementalSync(project, onProgress, options = {}) {
       );
       return await fullSyncFallback(
         project,
-        owner,
-        repo,
-        meta,
+        source,
+        ref,
         currentSha,
         onProgress,
+        options,
       );
     }
 
@@ -782,11 +843,11 @@ export async function incrementalSync(project, onProgress, options = {}) {
       );
       return await fullSyncFallback(
         project,
-        owner,
-        repo,
-        meta,
+        source,
+        ref,
         currentSha,
         onProgress,
+        options,
       );
     }
 
@@ -820,12 +881,16 @@ export async function incrementalSync(project, onProgress, options = {}) {
     let changedFiles = [];
     const { result: fetchResult, error: fetchErr } = await withTimeout(
       () =>
-        fetchFileContents(owner, repo, changedPathsToFetch, (msg) =>
-          emit("sync:fetch", "running", msg),
+        source.fetchFileContents(
+          changedPathsToFetch,
+          (msg) => emit("sync:fetch", "running", msg),
+          { signal, ref: at },
         ),
       TIMEOUTS.fetch,
       "File fetch",
+      signal,
     );
+    if (signal?.aborted) throw signal.reason;
 
     if (fetchErr) {
       syncErrors.push({ phase: "fetch_files", error: fetchErr.message });
@@ -837,11 +902,11 @@ export async function incrementalSync(project, onProgress, options = {}) {
       );
       return await fullSyncFallback(
         project,
-        owner,
-        repo,
-        meta,
+        source,
+        ref,
         currentSha,
         onProgress,
+        options,
       );
     }
 
@@ -868,6 +933,8 @@ export async function incrementalSync(project, onProgress, options = {}) {
       schemaResult,
       componentResult,
       securityResult,
+      dependencyResult,
+      envSecretResult,
     ] = await Promise.all([
       // Agent 1: Re-classify changed files
       agentsNeeded.has("repoScanner") && changedFiles.length > 0
@@ -877,6 +944,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
             timeout: TIMEOUTS.scan,
             fallback: { projectMap: [] },
             emit,
+            signal,
             fn: () =>
               repoScannerAgent({
                 files: changedFiles,
@@ -892,8 +960,9 @@ export async function incrementalSync(project, onProgress, options = {}) {
             label: "API Extractor",
             step: "sync:api",
             timeout: TIMEOUTS.api,
-            fallback: { endpoints: [], summary: {} },
+            fallback: { endpoints: [], operations: [], summary: {} },
             emit,
+            signal,
             fn: () => {
               const routeFiles = filterFilesForAgent(
                 changedFiles,
@@ -924,6 +993,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
             timeout: TIMEOUTS.schema,
             fallback: { models: [], relationships: undefined },
             emit,
+            signal,
             fn: () => {
               const schemaFiles = filterFilesForAgent(
                 changedFiles,
@@ -961,6 +1031,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
             timeout: TIMEOUTS.components,
             fallback: { components: [], summary: {} },
             emit,
+            signal,
             fn: () => {
               const serviceFiles = filterFilesForAgent(
                 changedFiles,
@@ -1000,7 +1071,8 @@ export async function incrementalSync(project, onProgress, options = {}) {
               remediationMarkdown: "",
             },
             emit,
-            fn: () => {
+            signal,
+            fn: async () => {
               const mergedMap = mergeProjectMap(
                 existingProjectMap,
                 [],
@@ -1010,10 +1082,51 @@ export async function incrementalSync(project, onProgress, options = {}) {
                 files: changedFiles,
                 projectMap: mergedMap, // passes Agent 1 metadata for LLM prioritisation
                 emit: (msg, d) => emit("sync:security", "running", msg, d),
+                triage: project.securityTriage,
+                securityConfig: await loadSecurityConfig(source, {
+                  ref: at,
+                  signal,
+                  files: changedFiles,
+                }),
               });
             },
           })
         : Promise.resolve({ findings: [], _skipped: true }),
+
+      // Dependency Auditor: every sync — the advisory database may have
+      // gained entries even when no lockfile changed
+      runAgent({
+        label: "Dependency Auditor",
+        step: "sync:dependencies",
+        timeout: TIMEOUTS.dependencies,
+        fallback: { findings: [] },
+        emit,
+        signal,
+        fn: async () =>
+          dependencyAuditorAgent({
+            lockfiles: await source.fetchLockfiles(at, { signal }),
+            emit: (msg, d) => emit("sync:dependencies", "running", msg, d),
+          }),
+      }),
+
+      // Secret scan of .env files: every sync — see header
+      runAgent({
+        label: "Secret Scanner",
+        step: "sync:secrets",
+        timeout: TIMEOUTS.secrets,
+        fallback: { findings: [] },
+        emit,
+        signal,
+        fn: async () => {
+          const envFiles = await source.fetchEnvFiles(at, { signal });
+          if (!envFiles.length) return { findings: [] };
+          const { config } = await loadSecurityConfig(source, {
+            ref: at,
+            signal,
+          });
+          return scanSecretFiles({ files: envFiles, config });
+        },
+      }),
     ]);
 
     const agentsDuration = Date.now() - agentsStart;
@@ -1021,6 +1134,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
     // ── Unpack results ────────────────────────────────────────
     const freshProjectMap = scanResult.projectMap || [];
     const freshEndpoints = apiResult.endpoints || [];
+    const freshOperations = apiResult.operations || [];
     const freshModels = schemaResult.models || [];
     const freshRelationships = schemaResult.relationships; // undefined if agent didn't run → keep stored
     const freshComponents = componentResult.components || [];
@@ -1037,6 +1151,13 @@ export async function incrementalSync(project, onProgress, options = {}) {
       syncErrors.push({ agent: "components", error: componentResult._error });
     if (securityResult._failed)
       syncErrors.push({ agent: "security", error: securityResult._error });
+    if (dependencyResult._failed)
+      syncErrors.push({
+        agent: "dependencies",
+        error: dependencyResult._error,
+      });
+    if (envSecretResult._failed)
+      syncErrors.push({ agent: "secrets", error: envSecretResult._error });
 
     emit(
       "sync:agents",
@@ -1061,6 +1182,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
       project.agentOutputs,
       {
         endpoints: freshEndpoints,
+        operations: freshOperations,
         models: freshModels,
         relationships: freshRelationships, // undefined = not re-run → keep stored value
         components: freshComponents,
@@ -1071,31 +1193,89 @@ export async function incrementalSync(project, onProgress, options = {}) {
       removedPaths,
     );
 
+    // Dependency and .env findings are replaced wholesale — both scans
+    // always cover every file. A failed scan keeps the stored ones.
+    const storedFindings = project.agentOutputs?.findings || [];
+    const isDependency = (f) => f.source === "dependency";
+    const isEnvSecret = (f) => f.source === "secret" && isEnvFile(f.file);
+    const storedDependencyFindings = storedFindings.filter(isDependency);
+    const storedEnvFindings = storedFindings.filter(isEnvSecret);
+    const dependencyFindings = dependencyResult._failed
+      ? storedDependencyFindings
+      : dependencyResult.findings || [];
+    const envFindings = envSecretResult._failed
+      ? storedEnvFindings
+      : envSecretResult.findings || [];
+    mergedOutputs.findings = [
+      ...mergedOutputs.findings.filter(
+        (f) => !isDependency(f) && !isEnvSecret(f),
+      ),
+      ...dependencyFindings,
+      ...envFindings,
+    ];
+    const findingKeys = (list) =>
+      list
+        .map((f) => `${f.id}|${f.file}|${f.line}`)
+        .sort()
+        .join("\n");
+    const dependenciesChanged =
+      findingKeys(dependencyFindings) !== findingKeys(storedDependencyFindings);
+    const envSecretsChanged =
+      findingKeys(envFindings) !== findingKeys(storedEnvFindings);
+
     // ── PHASE 6: Recompute security from full merged findings ──
     // Security score must be recomputed from ALL merged findings
-    // (not just the fresh ones) for accuracy.
-    let securitySummary;
+    // (not just the fresh ones) for accuracy. Triage is re-applied to
+    // the merged set so stored findings pick up the current state.
+    // Either side of the spec drift may have moved — the code here, the
+    // spec through a re-import since the last run
+    const apiDrift = isComparableSpec(options.apiSpec)
+      ? computeApiDrift({
+          spec: options.apiSpec,
+          endpoints: mergedOutputs.endpoints,
+        })
+      : null;
+    const driftChanged = apiDrift
+      ? driftKey(apiDrift) !== driftKey(options.apiSpec.drift)
+      : hasDriftSection(project.output?.securityReport);
 
-    if (agentsNeeded.has("securityAuditor")) {
-      const { score, grade, counts } = recomputeSecurityScore(
-        mergedOutputs.findings,
+    let securitySummary;
+    const securityChanged =
+      agentsNeeded.has("securityAuditor") ||
+      dependenciesChanged ||
+      envSecretsChanged ||
+      driftChanged;
+
+    if (securityChanged) {
+      // Stored findings from unchanged files keep their lines, so every
+      // link can point at the new commit
+      const { findings, active, suppressed } = applyTriage(
+        withPermalinks(mergedOutputs.findings, (path, location) =>
+          source.permalink(currentSha, path, location),
+        ),
+        project.securityTriage,
       );
+      mergedOutputs.findings = findings;
+      const { score, grade, counts } = scoreFindings(active);
       const categoryCounts = securityResult.categoryCounts || {};
       securitySummary = {
         score,
         grade,
         counts,
+        suppressed: suppressed.length,
         categoryCounts,
         affectedFiles: securityResult.affectedFiles || [],
-        findings: mergedOutputs.findings.slice(0, 50),
-        reportMarkdown: buildSecurityReport(
-          mergedOutputs.findings,
-          score,
-          grade,
-          counts,
-          categoryCounts,
-        ),
-        remediationMarkdown: buildRemediationPlan(mergedOutputs.findings),
+        findings: findings.slice(0, 50),
+        reportMarkdown:
+          buildSecurityReport(
+            active,
+            score,
+            grade,
+            counts,
+            categoryCounts,
+            suppressed,
+          ) + driftMarkdown(apiDrift),
+        remediationMarkdown: buildRemediationPlan(active),
       };
     } else {
       // Security didn't run — carry forward stored values
@@ -1116,7 +1296,12 @@ export async function incrementalSync(project, onProgress, options = {}) {
     );
     const docsStart = Date.now();
 
-    const sectionsInfo = determineSectionsToRegenerate(agentsNeeded, analysis);
+    const sectionsInfo = determineSectionsToRegenerate(
+      securityChanged
+        ? new Set([...agentsNeeded, "securityAuditor"])
+        : agentsNeeded,
+      analysis,
+    );
     const sectionsAll = sectionsInfo.all;
     const regenerated = []; // sections successfully updated
     const skipped = []; // sections skipped due to user edits
@@ -1133,6 +1318,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
       techStack: project.techStack || [],
       structure: buildStructure(mergedProjectMap),
       endpoints: mergedOutputs.endpoints,
+      operations: mergedOutputs.operations,
       models: mergedOutputs.models,
       relationships:
         mergedOutputs.relationships ||
@@ -1152,6 +1338,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
         grade: securitySummary.grade,
         counts: securitySummary.counts,
         topFindings: mergedOutputs.findings
+          .filter((f) => !f.triage || f.triage === "open")
           .filter((f) => f.severity === "CRITICAL" || f.severity === "HIGH")
           .slice(0, 10),
       },
@@ -1166,7 +1353,10 @@ export async function incrementalSync(project, onProgress, options = {}) {
       try {
         switch (section) {
           case "apiReference":
-            newOutput.apiReference = buildApiReference(mergedOutputs.endpoints);
+            newOutput.apiReference = buildApiReference(
+              mergedOutputs.endpoints,
+              mergedOutputs.operations,
+            );
             break;
           case "schemaDocs":
             newOutput.schemaDocs = buildSchemaDocs(
@@ -1223,7 +1413,9 @@ export async function incrementalSync(project, onProgress, options = {}) {
         },
         TIMEOUTS.docs,
         "Doc Writer",
+        signal,
       );
+      if (signal?.aborted) throw signal.reason;
 
       if (docErr) {
         docErrors.push(
@@ -1263,15 +1455,39 @@ export async function incrementalSync(project, onProgress, options = {}) {
       `${(docsDuration / 1000).toFixed(1)}s`,
     );
 
+    // ── Chat retrieval index ──────────────────────────────────
+    // Builds have no chat. A failed update keeps the stored index.
+    let retrievalIndex = null;
+    if (!options.buildId) {
+      const indexResult = await runAgent({
+        label: "Retrieval Index",
+        step: "sync:index",
+        timeout: TIMEOUTS.index,
+        fallback: { index: null },
+        emit,
+        signal,
+        fn: async () => ({
+          index: await updateRetrievalIndex(options.retrievalIndex, {
+            files: changedFiles,
+            dirtyPaths: [...changedPathsToFetch, ...removedPaths],
+            agentOutputs: mergedOutputs,
+            output: newOutput,
+            signal,
+          }),
+        }),
+      });
+      retrievalIndex = indexResult.index;
+      if (indexResult._failed)
+        syncErrors.push({ agent: "index", error: indexResult._error });
+    }
+
     // ── PHASE 8: Update file manifest ─────────────────────────
 
     if (!currentTree.length) {
       // Fetch tree if we didn't get it from computeFileDiff (webhook path)
-      currentTree = await getFileTreeWithSha(
-        owner,
-        repo,
-        meta.defaultBranch,
-      ).catch(() => []);
+      currentTree = await source
+        .getFileTreeWithSha(at)
+        .catch(() => []);
     }
 
     const newManifest = updateFileManifest(
@@ -1285,11 +1501,13 @@ export async function incrementalSync(project, onProgress, options = {}) {
     const versionPromises = regenerated.map((section) =>
       DocumentVersion.createVersion({
         projectId: project._id,
+        buildId: options.buildId || null,
         section,
         content: newOutput[section] || "",
         source: "ai_incremental",
         meta: {
           commitSha: currentSha,
+          ref,
           previousSha: lastSha,
           changedFiles: changedPathsToFetch.slice(0, 20),
           agentsRun: [...agentsNeeded],
@@ -1315,6 +1533,8 @@ export async function incrementalSync(project, onProgress, options = {}) {
     }));
 
     const totalDuration = Date.now() - syncStart;
+    const llmCache = getLLMContext().cacheStats;
+    const cacheSummary = summariseCacheStats(llmCache);
 
     const mongoUpdate = {
       // Documentation output
@@ -1328,6 +1548,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
       "output.componentIndex": newOutput.componentIndex,
       // Sync state
       lastDocumentedCommit: currentSha,
+      lastDocumentedRef: ref,
       fileManifest: newManifest,
       agentOutputs: mergedOutputs,
       // Security aggregate
@@ -1338,6 +1559,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
       stats: {
         filesAnalysed: newManifest.length,
         endpoints: mergedOutputs.endpoints.length,
+        operations: mergedOutputs.operations.length,
         models: mergedOutputs.models.length,
         relationships: (mergedOutputs.relationships || []).length,
         components: mergedOutputs.components.length,
@@ -1357,7 +1579,10 @@ export async function incrementalSync(project, onProgress, options = {}) {
         syncErrors.length
           ? `⚠ ${syncErrors.length} non-fatal error(s)`
           : "✅ clean",
-      ].join(" · "),
+        cacheSummary && `LLM cache: ${cacheSummary}`,
+      ]
+        .filter(Boolean)
+        .join(" · "),
       totalDuration,
     );
 
@@ -1366,6 +1591,7 @@ export async function incrementalSync(project, onProgress, options = {}) {
       skipped: false,
       isFullRun: false,
       currentCommit: currentSha,
+      currentRef: ref,
       previousCommit: lastSha,
       sectionsRegenerated: regenerated,
       sectionsSkipped: skipped,
@@ -1373,11 +1599,15 @@ export async function incrementalSync(project, onProgress, options = {}) {
       changedFileCount: changedPathsToFetch.length,
       removedFileCount: removedPaths.length,
       totalDuration,
+      llmCache,
       errors: syncErrors.length > 0 ? syncErrors : undefined,
+      apiDrift,
+      retrievalIndex,
       // The caller (project.service.js) is responsible for persisting this
       _update: mongoUpdate,
     };
   } catch (err) {
+    if (signal?.aborted) throw signal.reason;
     console.error("❌ Incremental sync failed:", err);
     emit("sync:error", "error", err.message, err.stack?.split("\n")[1]?.trim());
     return { success: false, error: err.message, errors: syncErrors };
@@ -1394,32 +1624,37 @@ export async function incrementalSync(project, onProgress, options = {}) {
  */
 async function fullSyncFallback(
   project,
-  owner,
-  repo,
-  meta,
+  source,
+  ref,
   currentSha,
   onProgress,
+  { signal, apiSpec, retrievalIndex },
 ) {
   const emit = (step, status, msg, detail = null) => {
     const event = { step, status, msg, detail, ts: Date.now() };
     if (onProgress) onProgress(event);
   };
 
-  emit("sync:full", "running", "Running full pipeline…", `${owner}/${repo}`);
+  emit("sync:full", "running", "Running full pipeline…", source.fullName);
 
   const { orchestrate } = await import("./orchestrator.service.js");
-  const result = await orchestrate(project.repoUrl, onProgress);
+  const result = await orchestrate(project.repoUrl, onProgress, {
+    signal,
+    provider: project.provider,
+    ref,
+    securityTriage: project.securityTriage,
+    apiSpec,
+    retrievalIndex,
+  });
 
   if (!result.success) {
     return { success: false, error: result.error };
   }
 
-  // Fetch fresh tree for manifest storage
-  const currentTree = await getFileTreeWithSha(
-    owner,
-    repo,
-    meta?.defaultBranch || "main",
-  ).catch(() => []);
+  // Fresh tree for manifest storage — at the commit the run documented
+  const currentTree = await source
+    .getFileTreeWithSha(result.lastDocumentedCommit || ref)
+    .catch(() => []);
 
   const allSections = [
     "readme",
@@ -1437,6 +1672,7 @@ async function fullSyncFallback(
     skipped: false,
     isFullRun: true,
     currentCommit: currentSha || result.lastDocumentedCommit,
+    currentRef: ref,
     previousCommit: project.lastDocumentedCommit,
     sectionsRegenerated: allSections,
     sectionsSkipped: [],
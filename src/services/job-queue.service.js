@@ -0,0 +1,398 @@
+// ===================================================================
+// Durable job queue — MongoDB-backed pipeline worker.
+// ===================================================================
+// Problem: pipelines ran fire-and-forget inside the request's
+// process. A deploy in the middle of a 10-minute run lost the job
+// and the project was marked failed on the next boot.
+//
+// Solution: every run is a PipelineJob document. Each instance runs
+// one worker loop that claims jobs with an atomic findOneAndUpdate:
+//   • queued jobs whose runAfter has passed
+//   • running jobs whose lease expired — their instance died
+//
+// While a job runs its lease is renewed by a heartbeat. A thrown
+// handler error requeues the job with exponential backoff until
+// maxAttempts; after that the handler's onGiveUp() runs. Agent
+// checkpoints (see orchestrator.service.js) let a resumed full run
+// skip the steps that already finished.
+//
+// A heartbeat that finds the lease gone (the instance stalled past
+// JOB_LEASE_MS and another one claimed the job) aborts the local run
+// with leaseLostError() and fences the job: this instance makes no
+// further job or project writes for it, and neither onCancel nor a
+// retry runs — the new owner settles it.
+//
+// cancelJob() aborts a job: a running handler gets its AbortSignal
+// fired (on this instance directly, elsewhere via cancelRequested,
+// picked up on the next poll) and the handler's onCancel() runs
+// instead of a retry.
+//
+// Env (read at call time):
+//   JOB_CONCURRENCY     default 2      — jobs run at once per instance
+//   JOB_LEASE_MS        default 60000  — renewed every third of this
+//   JOB_POLL_MS         default 5000
+//   JOB_MAX_ATTEMPTS    default 3
+//   JOB_RETRY_BASE_MS   default 30000  — doubled per attempt, max 15 min
+// ===================================================================
+
+import os from "os";
+import { randomBytes } from "crypto";
+import mongoose from "mongoose";
+import { PipelineJob } from "../models/PipelineJob.js";
+import {
+  registerJob,
+  pushEvent,
+  handOffJob,
+  fenceJob,
+} from "./job-registry.service.js";
+
+// Unique per process — a restarted instance never reuses an old lease
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${randomBytes(3).toString("hex")}`;
+
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+let handlers = null;
+let pollTimer = null;
+let polling = false;
+const active = new Map(); // jobId → { heartbeat, controller }
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Error a handler throws when retrying cannot help (project deleted,
+ * job superseded). Goes straight to onGiveUp.
+ */
+export function permanentJobError(message) {
+  const err = new Error(message);
+  err.code = "JOB_NOT_RETRYABLE";
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * Reason a cancelled job's AbortSignal carries. Never retried.
+ */
+export function cancelledError(message = "Pipeline cancelled by user.") {
+  const err = new Error(message);
+  err.code = "PIPELINE_CANCELLED";
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * Reason a job's AbortSignal carries when its lease went to another
+ * instance. The run is dropped here, never retried or cancelled.
+ */
+export function leaseLostError() {
+  const err = new Error("Job lease lost — another instance owns it now.");
+  err.code = "JOB_LEASE_LOST";
+  err.retryable = false;
+  return err;
+}
+
+// ── Producer ──────────────────────────────────────────────────
+
+/**
+ * Persist a new job and nudge the local worker to claim it.
+ * @param {{ jobId, projectId, userId?, kind: "full"|"sync"|"build", payload? }} job
+ */
+export async function enqueueJob({ jobId, projectId, userId, kind, payload }) {
+  await PipelineJob.create({
+    jobId,
+    projectId,
+    userId: userId || null,
+    kind,
+    payload: payload || {},
+    maxAttempts: envInt("JOB_MAX_ATTEMPTS", 3),
+  });
+  console.log(`[job-queue] Enqueued ${kind} job ${jobId}`);
+  kickWorker();
+}
+
+// ── Worker ────────────────────────────────────────────────────
+
+/**
+ * Start this instance's worker loop. Safe to call multiple times.
+ * @param {Record<string, { run: (job, { signal }) => Promise<void>,
+ *                          onGiveUp: (job, err) => Promise<void>,
+ *                          onCancel: (job) => Promise<void> }>} jobHandlers
+ */
+export function startJobWorker(jobHandlers) {
+  if (handlers) return;
+  handlers = jobHandlers;
+  pollTimer = setInterval(poll, envInt("JOB_POLL_MS", 5000));
+  pollTimer.unref?.();
+  console.log(`-- Job worker ${WORKER_ID} started`);
+  kickWorker();
+}
+
+function kickWorker() {
+  if (handlers) setImmediate(poll);
+}
+
+async function poll() {
+  if (polling || !handlers) return;
+  if (mongoose.connection.readyState !== 1) return;
+  polling = true;
+  try {
+    await abortRemoteCancels();
+    while (active.size < envInt("JOB_CONCURRENCY", 2)) {
+      const job = await claimNext();
+      if (!job) break;
+      execute(job);
+    }
+  } catch (err) {
+    console.error("[job-queue] Poll failed:", err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+// Abort local jobs whose cancel was requested through another instance
+async function abortRemoteCancels() {
+  if (!active.size) return;
+  const flagged = await PipelineJob.find({
+    jobId: { $in: [...active.keys()] },
+    cancelRequested: true,
+  })
+    .select("jobId")
+    .lean();
+  for (const { jobId } of flagged) {
+    active.get(jobId)?.controller.abort(cancelledError());
+  }
+}
+
+async function claimNext() {
+  const now = new Date();
+  return PipelineJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAfter: { $lte: now } },
+        { status: "running", leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + envInt("JOB_LEASE_MS", 60000)),
+        heartbeatAt: now,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAfter: 1 }, new: true },
+  ).lean();
+}
+
+async function renewLease(jobId) {
+  const now = new Date();
+  try {
+    const { matchedCount } = await PipelineJob.updateOne(
+      { jobId, leaseOwner: WORKER_ID, status: "running" },
+      {
+        $set: {
+          heartbeatAt: now,
+          leaseExpiresAt: new Date(now.getTime() + envInt("JOB_LEASE_MS", 60000)),
+        },
+      },
+    );
+    if (!matchedCount) {
+      console.warn(
+        `[job-queue] Lost lease on ${jobId} — another instance owns it now`,
+      );
+      const local = active.get(jobId);
+      clearInterval(local?.heartbeat);
+      fenceJob(jobId);
+      local?.controller.abort(leaseLostError());
+    }
+  } catch (err) {
+    console.warn(`[job-queue] Heartbeat failed for ${jobId}: ${err.message}`);
+  }
+}
+
+async function execute(job) {
+  const handler = handlers[job.kind];
+  const heartbeat = setInterval(
+    () => renewLease(job.jobId),
+    Math.floor(envInt("JOB_LEASE_MS", 60000) / 3),
+  );
+  heartbeat.unref?.();
+  const controller = new AbortController();
+  const { signal } = controller;
+  active.set(job.jobId, { heartbeat, controller });
+
+  // Replay the persisted log so clients on this instance see it all
+  registerJob(job.jobId, job.events, job.eventCount);
+
+  try {
+    if (!handler) throw permanentJobError(`No handler for job kind "${job.kind}"`);
+    if (job.cancelRequested) throw cancelledError();
+    if (job.attempts > job.maxAttempts)
+      throw permanentJobError(
+        `Gave up after ${job.maxAttempts} attempt(s): ${job.lastError || "instance lost"}`,
+      );
+
+    if (job.attempts > 1) {
+      pushEvent(job.jobId, {
+        step: "resume",
+        status: "running",
+        msg: `Resuming pipeline — attempt ${job.attempts} of ${job.maxAttempts}`,
+        detail: job.lastError,
+        ts: Date.now(),
+      });
+    }
+
+    await handler.run(job, { signal });
+  } catch (err) {
+    if (signal.reason?.code === "JOB_LEASE_LOST") {
+      // Fenced — the instance that owns the lease now settles the job
+      console.warn(`[job-queue] Dropped run of ${job.jobId} after losing its lease`);
+    } else if (signal.aborted || err.code === "PIPELINE_CANCELLED") {
+      await handleCancel(job, handler);
+    } else {
+      await handleFailure(job, handler, err);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    active.delete(job.jobId);
+    kickWorker();
+  }
+}
+
+async function handleCancel(job, handler) {
+  console.log(`[job-queue] Job ${job.jobId} cancelled`);
+  try {
+    await handler?.onCancel(job);
+  } catch (cancelErr) {
+    console.error(`[job-queue] onCancel failed for ${job.jobId}:`, cancelErr.message);
+  }
+}
+
+async function handleFailure(job, handler, err) {
+  const retry = err.retryable !== false && job.attempts < job.maxAttempts;
+
+  if (!retry) {
+    console.error(`[job-queue] Job ${job.jobId} failed permanently:`, err.message);
+    try {
+      await handler?.onGiveUp(job, err);
+    } catch (giveUpErr) {
+      console.error(`[job-queue] onGiveUp failed for ${job.jobId}:`, giveUpErr.message);
+    }
+    // Settled here too — with no handler, or a failed onGiveUp, the
+    // job would otherwise be reclaimed on every lease expiry
+    await PipelineJob.updateOne(
+      { jobId: job.jobId, leaseOwner: WORKER_ID },
+      {
+        $set: {
+          status: "error",
+          lastError: err.message,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          finishedAt: new Date(),
+        },
+      },
+    ).catch((e) =>
+      console.error(`[job-queue] Settle failed for ${job.jobId}:`, e.message),
+    );
+    return;
+  }
+
+  const delay = Math.min(
+    envInt("JOB_RETRY_BASE_MS", 30000) * 2 ** (job.attempts - 1),
+    MAX_BACKOFF_MS,
+  );
+  console.warn(
+    `[job-queue] Job ${job.jobId} attempt ${job.attempts} failed (${err.message}) — retrying in ${delay / 1000}s`,
+  );
+
+  pushEvent(job.jobId, {
+    step: "retry",
+    status: "waiting",
+    msg: `Attempt ${job.attempts} failed — retrying in ${Math.round(delay / 1000)}s`,
+    detail: err.message,
+    ts: Date.now(),
+  });
+  await handOffJob(job.jobId);
+
+  await PipelineJob.updateOne(
+    { jobId: job.jobId, leaseOwner: WORKER_ID },
+    {
+      $set: {
+        status: "queued",
+        runAfter: new Date(Date.now() + delay),
+        lastError: err.message,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+      },
+    },
+  ).catch((e) =>
+    console.error(`[job-queue] Requeue failed for ${job.jobId}:`, e.message),
+  );
+}
+
+/**
+ * Cancel a job wherever it is.
+ *   • running here      → its AbortSignal fires; the handler's onCancel
+ *                         runs when the pipeline unwinds
+ *   • queued            → marked cancelled without ever running
+ *   • running elsewhere → flagged; that instance aborts on its next poll
+ *
+ * The caller settles project state itself for "queued" — no handler
+ * will run for it.
+ *
+ * @param {string} jobId
+ * @returns {Promise<{ state: "running"|"queued"|"none", job: object|null }>}
+ */
+export async function cancelJob(jobId) {
+  const local = active.get(jobId);
+  if (local) {
+    local.controller.abort(cancelledError());
+    return { state: "running", job: null };
+  }
+
+  const queued = await PipelineJob.findOneAndUpdate(
+    { jobId, status: "queued" },
+    { $set: { status: "cancelled", cancelRequested: true, finishedAt: new Date() } },
+    { new: true },
+  ).lean();
+  if (queued) return { state: "queued", job: queued };
+
+  const running = await PipelineJob.findOneAndUpdate(
+    { jobId, status: "running" },
+    { $set: { cancelRequested: true } },
+    { new: true },
+  ).lean();
+  if (running) return { state: "running", job: running };
+
+  return { state: "none", job: null };
+}
+
+/**
+ * True while a non-terminal durable job exists for this jobId —
+ * i.e. some instance will (re)run it.
+ */
+export async function isJobPending(jobId) {
+  if (!jobId) return false;
+  return Boolean(
+    await PipelineJob.exists({ jobId, status: { $in: ["queued", "running"] } }),
+  );
+}
+
+/**
+ * Queue depth and this instance's workload — for /admin/stats.
+ */
+export async function getJobQueueStats() {
+  const counts = await PipelineJob.aggregate([
+    { $group: { _id: "$status", n: { $sum: 1 } } },
+  ]);
+  return {
+    workerId: WORKER_ID,
+    runningHere: active.size,
+    concurrency: envInt("JOB_CONCURRENCY", 2),
+    ...Object.fromEntries(counts.map((c) => [c._id, c.n])),
+  };
+}
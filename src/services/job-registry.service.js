@@ -1,15 +1,38 @@
 // ===================================================================
-// Shared in-memory job store — single source of truth for
-// pipeline job state and active SSE client connections.
+// Job registry — live pipeline state and SSE client connections.
 //
-// Both the legacy /api/document route (index.js) and the new
-// project service import from here. This is the ONLY file that
-// needs to change if you later switch to Redis pub/sub.
+// Two layers:
+//   • In memory (jobs / streams) — jobs running on THIS instance,
+//     delivered to local SSE clients instantly.
+//   • PipelineJob documents — every event and the final result are
+//     also written to MongoDB, so a stream endpoint on any instance
+//     (or after a restart) can replay and tail the job.
+//
+// Every event carries `seq`, its 1-based position in the job's whole
+// log (= eventCount once written). The persisted log keeps only the
+// last MAX_PERSISTED_EVENTS, so tailing clients track seq, not array
+// positions.
+//
+// The job queue (job-queue.service.js) decides where a job runs;
+// this file only records and fans out what it emits.
 // ===================================================================
 
+import { cancelQueued } from "../config/llm-scheduler.js";
+import { PipelineJob } from "../models/PipelineJob.js";
+
+// Finished jobs are kept this long for late stream clients
+const FINISHED_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Persisted event log cap per job
+const MAX_PERSISTED_EVENTS = 1000;
+// Remote tail settings
+const FOLLOW_POLL_MS = 1000;
+const FOLLOW_BATCH = 200;
+
 /**
- * jobs Map — jobId → { status, events[], result }
- * status: "running" | "done" | "error"
+ * jobs Map — jobId → { status, events[], eventCount, result, persist }
+ * status: "running" | "done" | "error" | "cancelled"
+ * eventCount: seq of the last event
+ * persist: promise chain that keeps MongoDB writes in emit order
  */
 export const jobs = new Map();
 
@@ -20,13 +43,83 @@ export const jobs = new Map();
 export const streams = new Map();
 
 /**
- * Register a new job and initialise its streams slot.
+ * Jobs whose lease this instance lost (see fenceJob). Their writes are
+ * dropped until the job is registered here again.
+ */
+const fenced = new Set();
+
+/**
+ * Queue a write to the job's PipelineJob document. Writes for one job
+ * run strictly in order; failures are logged, never thrown — SSE
+ * delivery to local clients must not depend on the database.
+ */
+function persist(jobId, update) {
+  if (fenced.has(jobId)) return Promise.resolve();
+  const write = () =>
+    PipelineJob.updateOne({ jobId }, update).catch((err) =>
+      console.warn(`[job-registry] Persist failed for ${jobId}: ${err.message}`),
+    );
+  const job = jobs.get(jobId);
+  if (!job) return write();
+  job.persist = job.persist.then(write);
+  return job.persist;
+}
+
+/**
+ * The last event a stream client gets for a finished job — the same
+ * whether it watched locally or tailed the persisted log.
+ * @param {"done"|"error"} status
+ * @param {object} result
+ */
+export function terminalEvent(status, result) {
+  return status === "error"
+    ? { step: "error", status: "error", msg: result?.error }
+    : { step: "done", result };
+}
+
+/**
+ * Events with their seq filled in. Logs written before events carried
+ * one are numbered from eventCount — `events` is the log's tail.
+ */
+function sequenced(events = [], eventCount = events.length) {
+  const first = eventCount - events.length + 1;
+  return events.map((e, i) => (e.seq ? e : { ...e, seq: first + i }));
+}
+
+function terminalUpdate(status, result) {
+  const now = Date.now();
+  return {
+    $set: {
+      status,
+      result,
+      finishedAt: new Date(now),
+      expiresAt: new Date(now + FINISHED_TTL_MS),
+      leaseOwner: null,
+      leaseExpiresAt: null,
+    },
+  };
+}
+
+/**
+ * Register a job running on this instance and initialise its streams
+ * slot. A job resumed after a retry or takeover passes its persisted
+ * events and eventCount so local clients still get the full log and
+ * new events continue its seq.
  * @param {string} jobId
+ * @param {object[]} [events]
+ * @param {number} [eventCount]
  */
-export function registerJob(jobId) {
+export function registerJob(jobId, events = [], eventCount = events.length) {
   console.log(`[job-registry] Registering job ${jobId}`);
-  jobs.set(jobId, { status: "running", events: [], result: null });
-  streams.set(jobId, new Set());
+  fenced.delete(jobId);
+  jobs.set(jobId, {
+    status: "running",
+    events: sequenced(events, eventCount),
+    eventCount,
+    result: null,
+    persist: Promise.resolve(),
+  });
+  if (!streams.has(jobId)) streams.set(jobId, new Set());
   console.log(
     `[job-registry] Job ${jobId} registered · total jobs: ${jobs.size}`,
   );
@@ -41,6 +134,7 @@ export function registerJob(jobId) {
 export function pushEvent(jobId, event) {
   const job = jobs.get(jobId);
   if (!job) return;
+  event = { ...event, seq: ++job.eventCount };
   job.events.push(event);
 
   const payload = `data: ${JSON.stringify(event)}\n\n`;
@@ -51,6 +145,11 @@ export function pushEvent(jobId, event) {
       /* client disconnected */
     }
   }
+
+  persist(jobId, {
+    $push: { events: { $each: [event], $slice: -MAX_PERSISTED_EVENTS } },
+    $inc: { eventCount: 1 },
+  });
 }
 
 /**
@@ -65,7 +164,13 @@ export function finishJob(jobId, result) {
     job.result = result;
   }
 
-  const payload = `data: ${JSON.stringify({ step: "done", result })}\n\n`;
+  // Drop LLM calls still queued by agents that timed out mid-run
+  cancelQueued({ jobId });
+
+  const status = result.success ? "done" : "error";
+  persist(jobId, terminalUpdate(status, result));
+
+  const payload = `data: ${JSON.stringify(terminalEvent(status, result))}\n\n`;
   for (const client of streams.get(jobId) || new Set()) {
     try {
       client.write(payload);
@@ -77,8 +182,8 @@ export function finishJob(jobId, result) {
 
 /**
  * Register a pre-failed job that represents state lost on server restart.
- * This lets the SSE stream endpoint serve a proper error event instead
- * of the generic "state lost" message.
+ * Only used for projects whose run predates the durable queue — those
+ * have no PipelineJob to resume.
  *
  * @param {string} jobId
  * @param {string} [message]
@@ -97,6 +202,7 @@ export function recoverLostJob(
     status: "error",
     events: [errorEvent],
     result: { success: false, error: message },
+    persist: Promise.resolve(),
   });
   // No streams slot — any connecting client will see the buffered error
   // event immediately and the job will be served as done (error).
@@ -114,7 +220,13 @@ export function failJob(jobId, err) {
     job.result = { success: false, error: err.message };
   }
 
-  const payload = `data: ${JSON.stringify({ step: "error", status: "error", msg: err.message })}\n\n`;
+  // The job is abandoned — its queued LLM calls would only burn budget
+  cancelQueued({ jobId });
+
+  const result = { success: false, error: err.message };
+  persist(jobId, terminalUpdate("error", result));
+
+  const payload = `data: ${JSON.stringify(terminalEvent("error", result))}\n\n`;
   for (const client of streams.get(jobId) || new Set()) {
     try {
       client.write(payload);
@@ -123,3 +235,179 @@ export function failJob(jobId, err) {
   }
   streams.delete(jobId);
 }
+
+/**
+ * Mark a job as cancelled: broadcast a `cancelled` event, close all SSE
+ * clients and record the terminal state for clients on other instances.
+ * Works whether or not the job ran on this instance.
+ * @param {string} jobId
+ * @param {string} [message]
+ */
+export function markJobCancelled(jobId, message = "Pipeline cancelled.") {
+  const event = {
+    step: "cancelled",
+    status: "cancelled",
+    msg: message,
+    ts: Date.now(),
+  };
+  const result = { success: false, cancelled: true, error: message };
+
+  const job = jobs.get(jobId);
+  if (job) {
+    job.status = "cancelled";
+    job.result = result;
+    event.seq = ++job.eventCount;
+    job.events.push(event);
+  }
+  // Otherwise it goes without seq — readers number it from eventCount
+
+  cancelQueued({ jobId });
+
+  persist(jobId, {
+    ...terminalUpdate("cancelled", result),
+    $push: { events: { $each: [event], $slice: -MAX_PERSISTED_EVENTS } },
+    $inc: { eventCount: 1 },
+  });
+
+  const payload = `data: ${JSON.stringify(event)}\n\n`;
+  for (const client of streams.get(jobId) || new Set()) {
+    try {
+      client.write(payload);
+      client.end();
+    } catch {}
+  }
+  streams.delete(jobId);
+}
+
+/**
+ * Stop serving a job from this instance — it was requeued and may be
+ * claimed anywhere. Local clients switch to tailing the persisted log.
+ * @param {string} jobId
+ */
+export async function handOffJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  await job.persist;
+
+  const seen = job.eventCount;
+  for (const client of streams.get(jobId) || new Set()) {
+    followPersistedJob(jobId, client, seen);
+  }
+  jobs.delete(jobId);
+  streams.delete(jobId);
+}
+
+/**
+ * Stop a job this instance no longer owns from writing anything: its
+ * PipelineJob now belongs to another instance. Pending and later
+ * writes are dropped and local clients switch to tailing the new
+ * owner's log.
+ * @param {string} jobId
+ */
+export function fenceJob(jobId) {
+  fenced.add(jobId);
+  cancelQueued({ jobId });
+
+  const job = jobs.get(jobId);
+  if (!job) return;
+  const seen = job.eventCount;
+  for (const client of streams.get(jobId) || new Set()) {
+    followPersistedJob(jobId, client, seen);
+  }
+  jobs.delete(jobId);
+  streams.delete(jobId);
+}
+
+// ── Cross-instance access ─────────────────────────────────────
+
+/**
+ * Load a job from MongoDB in the same shape as the in-memory entry.
+ * queued / running both read as "running" to stream clients.
+ * A job cancelled before any instance ran it reads as "cancelled".
+ * @param {string} jobId
+ * @returns {Promise<{ status, events, eventCount, result } | null>}
+ */
+export async function loadPersistedJob(jobId) {
+  if (!jobId) return null;
+  try {
+    const doc = await PipelineJob.findOne({ jobId })
+      .select("status events eventCount result")
+      .lean();
+    if (!doc) return null;
+    return {
+      status: doc.status === "queued" ? "running" : doc.status,
+      events: sequenced(doc.events, doc.eventCount || 0),
+      eventCount: doc.eventCount || 0,
+      result: doc.result,
+    };
+  } catch (err) {
+    console.warn(`[job-registry] Load failed for ${jobId}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Tail a job that runs on another instance: poll its PipelineJob,
+ * write new events to the SSE response, and close it with the final
+ * result. Stops when the client disconnects.
+ *
+ * @param {string} jobId
+ * @param {express.Response} res
+ * @param {number} seen — seq of the last event the client received
+ * @returns {() => void} stop function
+ */
+export function followPersistedJob(jobId, res, seen = 0) {
+  let stopped = false;
+  let timer = null;
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+  res.on("close", stop);
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const doc = await PipelineJob.findOne({ jobId })
+        .select({
+          status: 1,
+          eventCount: 1,
+          result: 1,
+          events: { $slice: -FOLLOW_BATCH },
+        })
+        .lean();
+
+      if (!doc) {
+        res.write(
+          `data: ${JSON.stringify({ step: "error", status: "error", msg: "Job no longer exists." })}\n\n`,
+        );
+        stop();
+        return res.end();
+      }
+
+      for (const e of sequenced(doc.events, doc.eventCount || 0)) {
+        if (e.seq <= seen) continue;
+        res.write(`data: ${JSON.stringify(e)}\n\n`);
+        seen = e.seq;
+      }
+
+      if (doc.status === "done" || doc.status === "error") {
+        const final = terminalEvent(doc.status, doc.result);
+        res.write(`data: ${JSON.stringify(final)}\n\n`);
+        stop();
+        return res.end();
+      }
+      if (doc.status === "cancelled") {
+        // The cancelled event is the last entry of the log just sent
+        stop();
+        return res.end();
+      }
+    } catch (err) {
+      console.warn(`[job-registry] Follow failed for ${jobId}: ${err.message}`);
+    }
+    if (!stopped) timer = setTimeout(tick, FOLLOW_POLL_MS);
+  };
+
+  tick();
+  return stop;
+}
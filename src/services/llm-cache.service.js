@@ -0,0 +1,211 @@
+// ===================================================================
+// LLM response cache — content-addressed, MongoDB-backed.
+// ===================================================================
+// Used by llmCall() when an agent passes `cache: { files }` for a
+// batch. Lookup happens before the call is scheduled, so a hit costs
+// no tokens and no scheduler slot.
+//
+// Env (read at call time):
+//   LLM_CACHE_ENABLED       default "true"
+//   LLM_CACHE_TTL_DAYS      default 30   — sliding, renewed on each hit
+//   LLM_CACHE_MAX_ENTRY_KB  default 64   — larger responses not stored
+//   LLM_CACHE_MAX_ENTRIES   default 50000 — LRU prune above this
+//
+// The cache is skipped entirely while MongoDB is not connected so the
+// offline fixture provider keeps working without a database.
+// ===================================================================
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { LlmCacheEntry } from "../models/LlmCacheEntry.js";
+
+const PRUNE_EVERY_WRITES = 200;
+let writesSincePrune = 0;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function cacheEnabled() {
+  if (String(process.env.LLM_CACHE_ENABLED ?? "true").toLowerCase() === "false")
+    return false;
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Git blob SHA-1 of a file's content — identical to the SHA GitHub
+ * reports in the tree API, so locally fetched files key the same way.
+ */
+export function gitBlobSha(content) {
+  const buf = Buffer.from(content ?? "", "utf8");
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${buf.length}\0`)
+    .update(buf)
+    .digest("hex");
+}
+
+/**
+ * Build the cache key for one call.
+ * @param {{ provider, model, systemPrompt, userContent,
+ *           files?: Array<{ content, sha? }> }} args
+ * @returns {{ key, promptHash, blobShas }}
+ */
+export function buildCacheKey({
+  provider,
+  model,
+  systemPrompt,
+  userContent,
+  files = [],
+}) {
+  const promptHash = sha256(`${systemPrompt}\0${userContent}`);
+  const blobShas = files.map((f) => f.sha || gitBlobSha(f.content)).sort();
+  const key = sha256(
+    JSON.stringify([provider, model, promptHash, blobShas]),
+  );
+  return { key, promptHash, blobShas };
+}
+
+/**
+ * Look up a cached response. Returns null on miss or any DB error —
+ * the cache must never fail a pipeline.
+ */
+export async function getCached(key) {
+  try {
+    const entry = await LlmCacheEntry.findOne({ key })
+      .select("response tokens")
+      .lean();
+    if (!entry) return null;
+
+    const ttlMs = envInt("LLM_CACHE_TTL_DAYS", 30) * 24 * 60 * 60 * 1000;
+    LlmCacheEntry.updateOne(
+      { key },
+      {
+        $inc: { hits: 1 },
+        $set: { lastHitAt: new Date(), expiresAt: new Date(Date.now() + ttlMs) },
+      },
+    ).catch(() => {});
+
+    return { response: entry.response, tokens: entry.tokens || 0 };
+  } catch (err) {
+    console.warn(`[llm-cache] lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a response. Oversized responses are skipped; every
+ * PRUNE_EVERY_WRITES writes the least-recently-hit overflow is removed.
+ */
+export async function putCached({
+  key,
+  promptHash,
+  blobShas,
+  provider,
+  model,
+  agent,
+  response,
+  tokens,
+}) {
+  const bytes = Buffer.byteLength(response, "utf8");
+  if (bytes > envInt("LLM_CACHE_MAX_ENTRY_KB", 64) * 1024) return;
+
+  const ttlMs = envInt("LLM_CACHE_TTL_DAYS", 30) * 24 * 60 * 60 * 1000;
+  try {
+    await LlmCacheEntry.updateOne(
+      { key },
+      {
+        $setOnInsert: {
+          key,
+          promptHash,
+          blobShas,
+          provider,
+          model,
+          agent: agent || null,
+          response,
+          bytes,
+          tokens: tokens || 0,
+        },
+        $set: { lastHitAt: new Date(), expiresAt: new Date(Date.now() + ttlMs) },
+      },
+      { upsert: true },
+    );
+
+    if (++writesSincePrune >= PRUNE_EVERY_WRITES) {
+      writesSincePrune = 0;
+      await pruneOverflow();
+    }
+  } catch (err) {
+    console.warn(`[llm-cache] write failed: ${err.message}`);
+  }
+}
+
+async function pruneOverflow() {
+  const max = envInt("LLM_CACHE_MAX_ENTRIES", 50000);
+  const total = await LlmCacheEntry.estimatedDocumentCount();
+  if (total <= max) return;
+
+  const stale = await LlmCacheEntry.find()
+    .sort({ lastHitAt: 1 })
+    .limit(total - max)
+    .select("_id")
+    .lean();
+  await LlmCacheEntry.deleteMany({ _id: { $in: stale.map((e) => e._id) } });
+  console.log(`[llm-cache] Pruned ${stale.length} least-recently-used entries`);
+}
+
+// ── Per-run hit/miss accounting ───────────────────────────────
+// A stats object lives in the LLM context for one pipeline run; llm.js
+// records into it and the orchestrators put it in their report.
+
+export function createCacheStats() {
+  return { hits: 0, misses: 0, tokensSaved: 0, byAgent: {} };
+}
+
+export function recordCacheResult(stats, agent, hit, tokens = 0) {
+  if (!stats) return;
+  const name = agent || "other";
+  const row = (stats.byAgent[name] ??= { hits: 0, misses: 0 });
+  if (hit) {
+    stats.hits++;
+    row.hits++;
+    stats.tokensSaved += tokens;
+  } else {
+    stats.misses++;
+    row.misses++;
+  }
+}
+
+/**
+ * One-line summary, e.g. "3 hit(s) · 1 miss(es) · 75% hit rate · ~1,200
+ * tokens saved". Empty string when the run made no cacheable calls.
+ */
+export function summariseCacheStats(stats) {
+  const total = (stats?.hits ?? 0) + (stats?.misses ?? 0);
+  if (!total) return "";
+  const rate = Math.round((stats.hits / total) * 100);
+  return (
+    `${stats.hits} hit(s) · ${stats.misses} miss(es) · ${rate}% hit rate` +
+    ` · ~${stats.tokensSaved.toLocaleString("en-US")} tokens saved`
+  );
+}
+
+/**
+ * Markdown block for the pipeline report — summary plus per-agent table.
+ */
+export function formatCacheStats(stats) {
+  const summary = summariseCacheStats(stats);
+  if (!summary) return "";
+  let md = `\n**LLM cache:** ${summary}\n`;
+  const agents = Object.entries(stats.byAgent);
+  if (agents.length) {
+    md += `\n| Agent | Hits | Misses |\n|-------|------|--------|\n`;
+    for (const [agent, row] of agents) {
+      md += `| ${agent} | ${row.hits} | ${row.misses} |\n`;
+    }
+  }
+  return md;
+}
@@ -0,0 +1,435 @@
+// ===================================================================
+// OpenAPI 3.1 generation from the pipeline's extracted API
+// ===================================================================
+//
+// Builds an OpenAPI 3.1 document from what the agents found — no LLM
+// call, so the same endpoints and models always give the same spec:
+//
+//   paths                 ← API Extractor endpoints; ":id" and "<id>"
+//                           path params become "{id}"
+//   components.schemas    ← Schema Analyser models (fields → properties)
+//   securitySchemes       ← each endpoint's inferred auth type (JWT →
+//                           bearer, API_KEY → header key, SESSION →
+//                           cookie, BASIC, OAUTH → bearer token)
+//   tags                  ← endpoint tags
+//
+// Request bodies and responses reference a component when the
+// endpoint names a DTO or response type that matches a model; body
+// fields the extractor listed are inlined otherwise.
+//
+// Used by the API spec routes (download, save as the project's
+// ApiSpec with source "generated") and after every run to refresh a
+// saved generated spec — api/apispec/apispec.service.js.
+// ===================================================================
+
+import yaml from "js-yaml";
+
+export const OPENAPI_VERSION = "3.1.0";
+
+const BODY_METHODS = new Set(["POST", "PUT", "PATCH"]);
+
+const SECURITY_SCHEMES = {
+  JWT: [
+    "bearerAuth",
+    { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  ],
+  OAUTH: [
+    "oauth2Bearer",
+    {
+      type: "http",
+      scheme: "bearer",
+      description: "OAuth 2.0 access token",
+    },
+  ],
+  BASIC: ["basicAuth", { type: "http", scheme: "basic" }],
+  API_KEY: ["apiKeyAuth", { type: "apiKey", in: "header", name: "X-API-Key" }],
+  SESSION: [
+    "sessionCookie",
+    { type: "apiKey", in: "cookie", name: "connect.sid" },
+  ],
+};
+
+// ─── Types ────────────────────────────────────────────────────────
+
+/** JSON Schema for an ORM, DTO or validator type name. */
+function schemaForType(rawType, { validation = "", enumValues } = {}) {
+  let type = String(rawType ?? "").trim();
+
+  // String[], [String], Array<String>, List[str] …
+  const item =
+    type.match(/^(.+)\[\]$/)?.[1] ??
+    type.match(/^\[\s*(.+?)\s*\]$/)?.[1] ??
+    type.match(/^(?:Array|List|Set)\s*[<[]\s*(.+?)\s*[>\]]$/i)?.[1];
+  if (item) return { type: "array", items: schemaForType(item) };
+
+  const t = type.toLowerCase();
+  let schema;
+  if (/^(?:array|list)$/.test(t)) schema = { type: "array", items: {} };
+  else if (/^(?:int|integer|bigint|int\d+|smallint|(?:big)?serial)$/.test(t))
+    schema = { type: "integer" };
+  else if (/^(?:number|float|double|decimal|numeric|real|decimal128)$/.test(t))
+    schema = { type: "number" };
+  else if (/^(?:bool|boolean)$/.test(t)) schema = { type: "boolean" };
+  else if (/^(?:date|datetime|timestamp|timestamptz|instant)$/.test(t))
+    schema = { type: "string", format: "date-time" };
+  else if (/^(?:uuid|guid)$/.test(t))
+    schema = { type: "string", format: "uuid" };
+  else if (/^(?:objectid|schema\.types\.objectid)$/.test(t))
+    schema = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+  else if (/^(?:email)$/.test(t)) schema = { type: "string", format: "email" };
+  else if (/^(?:url|uri)$/.test(t)) schema = { type: "string", format: "uri" };
+  else if (/^(?:buffer|bytes|binary|blob|file)$/.test(t))
+    schema = { type: "string", contentEncoding: "base64" };
+  else if (/^(?:object|json|jsonb|mixed|map|record|dict|hash|any)$/.test(t))
+    schema = { type: "object" };
+  else schema = { type: "string" };
+
+  // Validation hints the extractor noted: "email", "uuid", "min:1" …
+  const v = String(validation || "").toLowerCase();
+  if (schema.type === "string") {
+    if (/\bemail\b/.test(v)) schema.format = "email";
+    else if (/\buuid\b/.test(v)) schema.format = "uuid";
+    else if (/\b(?:url|uri)\b/.test(v)) schema.format = "uri";
+  }
+  const min = v.match(/\bmin(?:length)?\s*[:=]\s*(\d+)/)?.[1];
+  const max = v.match(/\bmax(?:length)?\s*[:=]\s*(\d+)/)?.[1];
+  const [lower, upper] =
+    schema.type === "string"
+      ? ["minLength", "maxLength"]
+      : schema.type === "array"
+        ? ["minItems", "maxItems"]
+        : ["minimum", "maximum"];
+  if (min != null && schema.type !== "boolean") schema[lower] = Number(min);
+  if (max != null && schema.type !== "boolean") schema[upper] = Number(max);
+
+  if (enumValues?.length) schema.enum = [...new Set(enumValues.map(String))];
+  return schema;
+}
+
+/** A default value as its JSON type, when it parses as one. */
+function parseDefault(value, schema) {
+  const v = String(value).trim().replace(/^(['"`])(.*)\1$/, "$2");
+  if (!v || /\(|=>|\bnow\b|uuid/i.test(v)) return undefined; // computed
+  if (schema.type === "boolean")
+    return /^(true|false)$/i.test(v) ? v.toLowerCase() === "true" : undefined;
+  if (schema.type === "integer" || schema.type === "number") {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  return schema.type === "string" ? v : undefined;
+}
+
+// ─── Components ───────────────────────────────────────────────────
+
+/** A component key OpenAPI accepts (^[a-zA-Z0-9._-]+$). */
+function componentName(name) {
+  return String(name ?? "").replace(/[^a-zA-Z0-9._-]/g, "_");
+}
+
+function modelSchema(model) {
+  const properties = {};
+  const required = [];
+
+  for (const field of model.fields || []) {
+    if (!field?.name) continue;
+    const schema = schemaForType(field.type, {
+      enumValues: field.enum_values,
+    });
+    if (field.description) schema.description = field.description;
+    else if (field.relation)
+      schema.description = `References ${field.relation}`;
+    if (field.auto || field.primary) schema.readOnly = true;
+    if (field.default) {
+      const value = parseDefault(field.default, schema);
+      if (value !== undefined) schema.default = value;
+    }
+    properties[field.name] = schema;
+    if (field.required && !field.auto) required.push(field.name);
+  }
+
+  return {
+    type: "object",
+    ...(model.description ? { description: model.description } : {}),
+    properties,
+    ...(required.length ? { required } : {}),
+  };
+}
+
+/**
+ * A reference to the component a type name points at — "User",
+ * "UserDto[]", "Promise<User>" — or null when it names none.
+ */
+function refForType(typeName, components) {
+  let name = String(typeName ?? "").trim();
+  if (!name) return null;
+  name = name.replace(/^(?:Promise|Observable|Response)\s*<(.+)>$/i, "$1");
+
+  const item =
+    name.match(/^(.+)\[\]$/)?.[1] ??
+    name.match(/^(?:Array|List)\s*<(.+)>$/i)?.[1];
+  if (item) {
+    const ref = refForType(item, components);
+    return ref && { type: "array", items: ref };
+  }
+
+  // "CreateUserDto" has no model, but "UserDto" → "User" may
+  const key = [name, name.replace(/(?:Dto|DTO|Schema|Model|Entity)$/, "")]
+    .map(componentName)
+    .find((k) => components[k]);
+  return key ? { $ref: `#/components/schemas/${key}` } : null;
+}
+
+// ─── Operations ───────────────────────────────────────────────────
+
+/** "/users/:id", "/users/<int:id>" → "/users/{id}", with the names. */
+export function openApiPath(path) {
+  const names = [];
+  const converted = path
+    .replace(/\/:([A-Za-z_]\w*)\??/g, (_, n) => (names.push(n), `/{${n}}`))
+    .replace(
+      /<(?:\w+:)?([A-Za-z_]\w*)>/g,
+      (_, n) => (names.push(n), `{${n}}`),
+    )
+    .replace(/\{([A-Za-z_]\w*)(?::[^}]*)?\}/g, (m, n) => {
+      if (!names.includes(n)) names.push(n);
+      return `{${n}}`;
+    })
+    .replace(/\/\*$/, () => (names.push("wildcard"), "/{wildcard}"));
+  return { path: converted.replace(/\/+$/, "") || "/", names };
+}
+
+function operationIdFor(ep, taken) {
+  const fromHandler = String(ep.handler || "")
+    .replace(/[^A-Za-z0-9_.]/g, "")
+    .replace(/\./g, "_");
+  // GET /users/:id → getUsersById
+  const fromPath =
+    ep.method.toLowerCase() +
+    ep.path
+      .split("/")
+      .filter(Boolean)
+      .filter((segment) => /\w/.test(segment))
+      .map((segment) => {
+        const param = segment.match(/^(?::|\{|<(?:\w+:)?)(\w+)/)?.[1];
+        const word = (param ?? segment).replace(/\W+/g, "");
+        const capitalised = word.charAt(0).toUpperCase() + word.slice(1);
+        return param ? `By${capitalised}` : capitalised;
+      })
+      .join("");
+  let id =
+    fromHandler && fromHandler !== "unknown" && !taken.has(fromHandler)
+      ? fromHandler
+      : fromPath;
+  for (let n = 2; taken.has(id); n++) id = `${fromPath}_${n}`;
+  taken.add(id);
+  return id;
+}
+
+/** The security scheme an endpoint's auth maps to, or null. */
+function securitySchemeFor(auth, headers) {
+  if (!auth?.required) return null;
+  const type = String(auth.type || "").toUpperCase();
+  const [name, scheme] = SECURITY_SCHEMES[type] ?? SECURITY_SCHEMES.JWT;
+  if (type !== "API_KEY") return [name, scheme];
+
+  // Use the header the extractor saw, when it looks like the key
+  const header = headers.find((h) => /api[-_]?key|token/i.test(h?.name));
+  return header ? [name, { ...scheme, name: header.name }] : [name, scheme];
+}
+
+function buildOperation(ep, { components, operationIds, securitySchemes }) {
+  const { names: pathNames } = openApiPath(ep.path);
+  const params = ep.request?.params || [];
+  const headers = ep.request?.headers || [];
+
+  const parameters = [];
+  const seen = new Set();
+  const addParam = (p, location) => {
+    const key = `${location}:${p.name}`;
+    if (!p?.name || seen.has(key)) return;
+    seen.add(key);
+    const schema = schemaForType(p.type, { validation: p.validation });
+    parameters.push({
+      name: p.name,
+      in: location,
+      required: location === "path" ? true : Boolean(p.required),
+      ...(p.description ? { description: p.description } : {}),
+      schema,
+    });
+  };
+
+  for (const p of params) {
+    const location = String(p.in || "").toLowerCase();
+    if (location === "path" && pathNames.includes(p.name)) addParam(p, "path");
+    else if (location === "query" || location === "header")
+      addParam(p, location);
+  }
+  // Every templated segment must be declared
+  for (const name of pathNames) addParam({ name, type: "string" }, "path");
+  for (const h of headers) {
+    // Authorization and Content-Type are described by security / media type
+    if (/^(?:authorization|content-type|cookie)$/i.test(h?.name || ""))
+      continue;
+    addParam({ ...h, in: "header" }, "header");
+  }
+
+  const operation = {
+    operationId: operationIdFor(ep, operationIds),
+    ...(ep.tags?.length ? { tags: ep.tags } : {}),
+    ...(ep.description
+      ? { summary: ep.description.split(/(?<=\.)\s/)[0] }
+      : {}),
+    ...(ep.description || ep.notes
+      ? {
+          description: [ep.description, ep.notes].filter(Boolean).join("\n\n"),
+        }
+      : {}),
+    ...(parameters.length ? { parameters } : {}),
+  };
+
+  // ── Request body ──────────────────────────────────────────────
+  const bodyFields = params.filter(
+    (p) => String(p.in || "").toLowerCase() === "body" && p.name,
+  );
+  const bodyRef = refForType(ep.request?.body_schema, components);
+  const takesBody = BODY_METHODS.has(ep.method) || ep.method === "DELETE";
+  if (bodyRef || (bodyFields.length && takesBody)) {
+    const required = bodyFields.filter((p) => p.required).map((p) => p.name);
+    const schema = bodyRef ?? {
+      type: "object",
+      properties: Object.fromEntries(
+        bodyFields.map((p) => [
+          p.name,
+          {
+            ...schemaForType(p.type, { validation: p.validation }),
+            ...(p.description ? { description: p.description } : {}),
+          },
+        ]),
+      ),
+      ...(required.length ? { required } : {}),
+    };
+    operation.requestBody = {
+      required: bodyRef ? true : required.length > 0,
+      content: { "application/json": { schema } },
+    };
+  }
+
+  // ── Responses ─────────────────────────────────────────────────
+  const success = ep.response?.success || {};
+  const status = String(success.status || (ep.method === "POST" ? 201 : 200));
+  const responseRef = refForType(success.schema, components);
+  const responses = {
+    [status]: {
+      description: success.description || "Success",
+      ...(responseRef && status !== "204"
+        ? { content: { "application/json": { schema: responseRef } } }
+        : {}),
+    },
+  };
+  for (const err of ep.response?.errors || []) {
+    const code = String(err?.status ?? "");
+    if (!/^[1-5]\d\d$/.test(code) || responses[code]) continue;
+    responses[code] = { description: err.description || "Error" };
+  }
+
+  // ── Security ──────────────────────────────────────────────────
+  const security = securitySchemeFor(ep.auth, headers);
+  if (security) {
+    const [name, scheme] = security;
+    securitySchemes[name] ??= scheme;
+    // 3.1 allows role names in the requirement for non-OAuth schemes
+    operation.security = [{ [name]: ep.auth.roles || [] }];
+    responses["401"] ??= { description: "Authentication required" };
+    if (ep.auth.roles?.length)
+      responses["403"] ??= {
+        description: `Requires role: ${ep.auth.roles.join(", ")}`,
+      };
+  }
+
+  operation.responses = responses;
+  if (ep.deprecated) operation.deprecated = true;
+  return operation;
+}
+
+// ─── Document ─────────────────────────────────────────────────────
+
+/**
+ * OpenAPI 3.1 document for a project's extracted API.
+ *
+ * @param {object} opts
+ * @param {object} opts.project   — repoOwner, repoName, repoUrl, meta,
+ *                                  lastDocumentedCommit
+ * @param {object[]} opts.endpoints — agentOutputs.endpoints
+ * @param {object[]} [opts.models]  — agentOutputs.models
+ * @returns {object}
+ */
+export function buildOpenApiDocument({
+  project,
+  endpoints = [],
+  models = [],
+}) {
+  const schemas = {};
+  for (const model of models) {
+    const key = componentName(model?.name);
+    if (key && !schemas[key]) schemas[key] = modelSchema(model);
+  }
+
+  const paths = {};
+  const tagNames = new Set();
+  const securitySchemes = {};
+  const operationIds = new Set();
+
+  const sorted = [...endpoints]
+    .filter((ep) => ep?.method && ep?.path)
+    .sort(
+      (a, b) =>
+        a.path.localeCompare(b.path) || a.method.localeCompare(b.method),
+    );
+  for (const ep of sorted) {
+    const { path } = openApiPath(ep.path);
+    const method = ep.method.toLowerCase();
+    paths[path] ??= {};
+    if (paths[path][method]) continue; // ":id" and "{id}" variants of one route
+    paths[path][method] = buildOperation(ep, {
+      components: schemas,
+      operationIds,
+      securitySchemes,
+    });
+    for (const tag of ep.tags || []) tagNames.add(tag);
+  }
+
+  const commit = project.lastDocumentedCommit;
+  const repoUrl = /^https?:\/\//.test(project.repoUrl || "")
+    ? project.repoUrl
+    : null;
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: project.meta?.name || `${project.repoOwner}/${project.repoName}`,
+      version: commit ? commit.slice(0, 7) : "0.0.0",
+      description:
+        project.meta?.description ||
+        `API of ${project.repoOwner}/${project.repoName}, generated from its source code.`,
+    },
+    servers: [{ url: "/" }],
+    ...(tagNames.size
+      ? { tags: [...tagNames].sort().map((name) => ({ name })) }
+      : {}),
+    paths,
+    components: {
+      schemas,
+      ...(Object.keys(securitySchemes).length ? { securitySchemes } : {}),
+    },
+    ...(repoUrl
+      ? { externalDocs: { description: "Source repository", url: repoUrl } }
+      : {}),
+  };
+}
+
+/** The document as a file body. */
+export function serializeOpenApi(document, format = "json") {
+  return format === "yaml"
+    ? yaml.dump(document, { noRefs: true, lineWidth: -1 })
+    : JSON.stringify(document, null, 2);
+}
@@ -9,40 +9,59 @@
 //   - Rich progress events with timing
 //   - Partial success — one agent failure never kills the pipeline
 //   - Full incremental sync baseline in return payload
+//   - Any source host — the repo is read through the source registry
+//     (GitHub, GitLab, Bitbucket, plain git; see sources/index.js)
+//   - Cancellation — an aborted options.signal stops repo fetches,
+//     agents and queued LLM calls; orchestrate() then throws the
+//     signal's reason instead of returning a result
 //
 // Progress event schema:
 //   { step, status: "running"|"done"|"error"|"skipped"|"waiting",
 //     msg, detail, ts, duration? }
 // ===================================================================
 
-import {
-  fetchRepoFilesWithProgress,
-  getCommitSha,
-  getFileTreeWithSha,
-  parseRepoUrl,
-} from "./github.service.js";
+import { openRepo } from "./sources/index.js";
 
 import { repoScannerAgent } from "../agents/repo-scanner.agent.js";
 import { apiExtractorAgent } from "../agents/api-extractor.agent.js";
 import { schemaAnalyserAgent } from "../agents/schema-analyser.agent.js";
 import { componentMapperAgent } from "../agents/component-mapper.agent.js";
 import { docWriterAgent } from "../agents/doc-writer.agent.js";
-import { securityAuditorAgent } from "../agents/security-auditor.agent.js";
+import {
+  securityAuditorAgent,
+  retriageAudit,
+} from "../agents/security-auditor.agent.js";
+import { dependencyAuditorAgent } from "../agents/dependency-auditor.agent.js";
+import { loadSecurityConfig } from "./security-config.service.js";
+import { API_DEFINITION_FILE } from "./api-operations.service.js";
+import {
+  computeApiDrift,
+  driftMarkdown,
+  isComparableSpec,
+} from "./api-drift.service.js";
 import { createChatSession, getSuggestedQuestions } from "./chat.service.js";
+import { buildRetrievalIndex } from "./retrieval.service.js";
 import { updateFileManifest } from "./diff.service.js";
+import {
+  runWithLLMContext,
+  getLLMContext,
+  cancelQueued,
+} from "../config/llm-scheduler.js";
+import { createCacheStats, formatCacheStats } from "./llm-cache.service.js";
 
 // ─── Timeouts (ms) ────────────────────────────────────────────────
 // Each agent has an independent timeout so one slow agent can't
 // stall the entire pipeline indefinitely.
 
 const TIMEOUTS = {
-  fetch: 60_000, // GitHub API fetch
+  fetch: 60_000, // repository fetch
   scan: 120_000, // Repo Scanner — LLM batches over all files
   api: 90_000, // API Extractor
   schema: 90_000, // Schema Analyser
   components: 90_000, // Component Mapper
   security: 120_000, // Security Auditor — static + LLM
   write: 180_000, // Doc Writer — multiple LLM calls
+  index: 90_000, // Chat retrieval index — embedding calls
   chat: 15_000, // Chat session setup
 };
 
@@ -58,6 +77,7 @@ const ROUTING = {
   // Skip component mapper if fewer than this many service/middleware/hook/component files
   minComponentFiles: 1,
   // Skip security auditor if total code files below this (tiny repos)
+  // and there are no lockfiles to audit or .env files to scan
   minCodeFiles: 3,
   // Skip LLM doc sections if we have essentially nothing to document
   minDocumentableItems: 1,
@@ -67,35 +87,127 @@ const ROUTING = {
 
 /**
  * Wrap any async function with a hard timeout.
- * Returns { result } on success, { error, timedOut: true } on timeout.
+ * Returns { result } on success, { error, timedOut: true } on timeout,
+ * { error, cancelled: true } as soon as the optional signal aborts.
  */
-async function withTimeout(fn, ms, label) {
+async function withTimeout(fn, ms, label, signal) {
   let timeoutHandle;
+  let onAbort;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutHandle = setTimeout(
       () => reject(new Error(`${label} timed out after ${ms / 1000}s`)),
       ms,
     );
+    onAbort = () => reject(signal.reason);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
   });
   try {
     const result = await Promise.race([fn(), timeoutPromise]);
-    clearTimeout(timeoutHandle);
     return { result };
   } catch (err) {
-    clearTimeout(timeoutHandle);
+    if (signal?.aborted) return { error: signal.reason, cancelled: true };
     return { error: err, timedOut: err.message.includes("timed out") };
+  } finally {
+    clearTimeout(timeoutHandle);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
+/**
+ * Bind a checkpoint store to this run's commit. Saved steps are only
+ * trusted when they were produced from the same commit; without a
+ * store or a commit SHA checkpointing is a no-op.
+ *
+ * A restored step is only valid while its inputs are too — callers
+ * invalidate() downstream steps once an upstream step actually re-runs
+ * (scan feeds every agent; the four analysis agents feed the writer).
+ * They are dropped from the store too, so a later resume can't restore
+ * them. Store writes run in call order.
+ *
+ * store: { load(commitSha) → { [step]: { output, duration } },
+ *          save(commitSha, step, entry) → Promise,
+ *          invalidate(commitSha, steps) → Promise }
+ */
+async function openCheckpoints(store, commitSha) {
+  let saved = {};
+  if (store && commitSha) {
+    try {
+      saved = (await store.load(commitSha)) || {};
+    } catch (err) {
+      console.warn(`[checkpoint] load failed: ${err.message}`);
+    }
+  }
+  const restored = new Set();
+  // An invalidate must land before a later save of the same step
+  let writes = Promise.resolve();
+  const write = (label, fn) => {
+    if (!store || !commitSha) return;
+    writes = writes
+      .then(fn)
+      .catch((err) =>
+        console.warn(`[checkpoint] ${label} failed: ${err.message}`),
+      );
+  };
+
+  return {
+    restore: (step) => {
+      if (!saved[step]) return null;
+      restored.add(step);
+      return saved[step];
+    },
+    invalidate: (...steps) => {
+      const dropped = steps.length ? steps : Object.keys(saved);
+      for (const step of dropped) delete saved[step];
+      if (dropped.length)
+        write(`invalidate ${dropped.join(", ")}`, () =>
+          store.invalidate(commitSha, dropped),
+        );
+    },
+    restoredSteps: () => [...restored],
+    save: (step, output, duration) =>
+      write(`save ${step}`, () =>
+        store.save(commitSha, step, { output, duration, savedAt: new Date() }),
+      ),
+  };
+}
+
 /**
  * Run an agent with timeout, error isolation, and duration tracking.
- * Never throws — always returns a result object so the pipeline continues.
+ * A step restored from a checkpoint is returned without running.
+ * Only throws on cancellation — any other failure returns the fallback
+ * so the pipeline continues.
  */
-async function runAgent({ label, step, fn, timeout, emit, fallback }) {
+async function runAgent({
+  label,
+  step,
+  fn,
+  timeout,
+  emit,
+  fallback,
+  checkpoint,
+  signal,
+}) {
+  signal?.throwIfAborted();
+
+  const saved = checkpoint?.restore(step);
+  if (saved) {
+    emit(step, "done", `${label} restored from checkpoint`);
+    return { ...saved.output, _duration: saved.duration, _restored: true };
+  }
+
   const start = Date.now();
   emit(step, "running", `Starting ${label}…`);
 
-  const { result, error, timedOut } = await withTimeout(fn, timeout, label);
+  // Tag this agent's LLM calls so a timeout can drop the ones still queued
+  const { result, error, timedOut, cancelled } = await withTimeout(
+    () => runWithLLMContext({ stage: step }, fn),
+    timeout,
+    label,
+    signal,
+  );
+  if (timedOut) cancelQueued({ jobId: getLLMContext().jobId, stage: step });
+  if (cancelled) throw error;
 
   const duration = Date.now() - start;
 
@@ -110,6 +222,7 @@ async function runAgent({ label, step, fn, timeout, emit, fallback }) {
     return { ...fallback, _failed: true, _error: reason, _duration: duration };
   }
 
+  checkpoint?.save(step, result, duration);
   emit(step, "done", `${label} complete`, `${(duration / 1000).toFixed(1)}s`);
   return { ...result, _duration: duration };
 }
@@ -118,7 +231,13 @@ async function runAgent({ label, step, fn, timeout, emit, fallback }) {
  * Determine which agents to run based on Agent 1 outputs.
  * Returns a routing decision object with reasons for each skip.
  */
-function computeRouting(projectMap, structure, files) {
+function computeRouting(
+  projectMap,
+  structure,
+  files,
+  lockfiles = [],
+  envFiles = [],
+) {
   const roles = Object.fromEntries(
     Object.entries(structure).map(([role, paths]) => [role, paths.length]),
   );
@@ -145,10 +264,19 @@ function computeRouting(projectMap, structure, files) {
     (f) => !/\.(md|yaml|yml|txt|svg|png|jpg|json|lock)$/i.test(f.path),
   ).length;
 
-  const runApi = routeFileCount >= ROUTING.minRouteFiles;
+  // A GraphQL schema or .proto file is an API on its own
+  const apiDefinitionCount = files.filter((f) =>
+    API_DEFINITION_FILE.test(f.path),
+  ).length;
+
+  const runApi =
+    routeFileCount >= ROUTING.minRouteFiles || apiDefinitionCount > 0;
   const runSchema = schemaFileCount >= ROUTING.minSchemaFiles;
   const runComponents = componentFileCount >= ROUTING.minComponentFiles;
-  const runSecurity = codeFileCount >= ROUTING.minCodeFiles;
+  const runSecurity =
+    codeFileCount >= ROUTING.minCodeFiles ||
+    lockfiles.length > 0 ||
+    envFiles.length > 0;
 
   return {
     runApi,
@@ -158,7 +286,7 @@ function computeRouting(projectMap, structure, files) {
     reasons: {
       api: runApi
         ? null
-        : `Only ${routeFileCount} route/controller files found`,
+        : `Only ${routeFileCount} route/controller files and no GraphQL / proto schemas found`,
       schema: runSchema
         ? null
         : `Only ${schemaFileCount} model/schema files found`,
@@ -167,17 +295,38 @@ function computeRouting(projectMap, structure, files) {
         : `Only ${componentFileCount} component/service files found`,
       security: runSecurity
         ? null
-        : `Only ${codeFileCount} code files — below threshold`,
+        : `Only ${codeFileCount} code files, no lockfiles or .env files — below threshold`,
     },
     counts: {
       routeFiles: routeFileCount,
+      apiDefinitions: apiDefinitionCount,
       schemaFiles: schemaFileCount,
       componentFiles: componentFileCount,
       codeFiles: codeFileCount,
+      lockfiles: lockfiles.length,
+      envFiles: envFiles.length,
     },
   };
 }
 
+/**
+ * Dependency Auditor findings for the Security Auditor. A failed
+ * lookup costs the dependency findings, not the whole audit.
+ */
+async function auditDependencies(lockfiles, notify) {
+  if (!lockfiles?.length) return [];
+  try {
+    const { findings } = await dependencyAuditorAgent({
+      lockfiles,
+      emit: notify,
+    });
+    return findings;
+  } catch (err) {
+    notify("⚠ Dependency audit failed — continuing without it", err.message);
+    return [];
+  }
+}
+
 /**
  * Build empty fallback outputs for each agent.
  * Used when an agent is skipped or fails.
@@ -197,6 +346,7 @@ const FALLBACKS = {
   },
   api: {
     endpoints: [],
+    operations: [],
     summary: {
       total: 0,
       authRequired: 0,
@@ -240,7 +390,7 @@ const FALLBACKS = {
  * Build a structured pipeline report summarising what ran,
  * what was skipped, timings, and any errors.
  */
-function buildPipelineReport(steps) {
+function buildPipelineReport(steps, cacheStats) {
   const totalDuration = steps.reduce((s, step) => s + (step.duration ?? 0), 0);
   const failed = steps.filter((s) => s.status === "error");
   const skipped = steps.filter((s) => s.status === "skipped");
@@ -269,13 +419,49 @@ function buildPipelineReport(steps) {
   if (skipped.length) md += ` · **${skipped.length} skipped**`;
   if (failed.length) md += ` · **${failed.length} failed**`;
   md += "\n";
+  md += formatCacheStats(cacheStats);
 
-  return { md, failed, skipped, succeeded, totalDuration };
+  return {
+    md,
+    failed,
+    skipped,
+    succeeded,
+    totalDuration,
+    llmCache: cacheStats ?? null,
+  };
 }
 
 // ─── Orchestrator ─────────────────────────────────────────────────
 
-export async function orchestrate(repoUrl, onProgress) {
+/**
+ * Run the full pipeline for one repo. Each run gets its own LLM cache
+ * hit/miss counters, surfaced in pipelineReport.
+ *
+ * @param {string} repoUrl
+ * @param {Function} onProgress
+ * @param {{ checkpoints?, signal?, provider?, ref?, securityTriage?, apiSpec?,
+ *          retrievalIndex? }} [options]
+ *   checkpoints — per-step store (see openCheckpoints) so a resumed run
+ *                 skips finished agents
+ *   signal      — AbortSignal that cancels the run
+ *   provider    — the project's source; inferred from repoUrl if omitted
+ *   ref         — branch, tag or commit SHA to document; default branch
+ *                 if omitted
+ *   securityTriage — the project's finding triage; triaged findings are
+ *                 kept but not scored
+ *   apiSpec     — the project's imported ApiSpec; its drift from the
+ *                 extracted endpoints is added to the security report
+ *   retrievalIndex — the previous run's chat index; vectors of chunks
+ *                 that didn't change are re-used instead of re-embedded
+ */
+export async function orchestrate(repoUrl, onProgress, options = {}) {
+  return runWithLLMContext({ cacheStats: createCacheStats() }, () =>
+    runOrchestration(repoUrl, onProgress, options),
+  );
+}
+
+async function runOrchestration(repoUrl, onProgress, options = {}) {
+  const { signal } = options;
   const pipelineStart = Date.now();
   const pipelineSteps = []; // tracks each step for the pipeline report
   const agentErrors = []; // collects non-fatal errors across all agents
@@ -295,24 +481,30 @@ export async function orchestrate(repoUrl, onProgress) {
   };
 
   // ── PHASE 1: Fetch Repository ─────────────────────────────────
-  emit("fetch", "running", "Connecting to GitHub…");
+  emit("fetch", "running", "Connecting to repository host…");
   const fetchStart = Date.now();
 
-  let meta, files, owner, repo;
+  let source, meta, ref, files, lockfiles, envFiles, owner, repo;
+  let currentCommitSha, treeWithSha;
   try {
-    const fetched = await Promise.race([
-      fetchRepoFilesWithProgress(repoUrl, (msg) =>
-        emit("fetch", "running", msg),
-      ),
-      new Promise((_, reject) =>
-        setTimeout(
-          () => reject(new Error("GitHub fetch timed out")),
-          TIMEOUTS.fetch,
+    source = openRepo(repoUrl, { provider: options.provider });
+    const { result: fetched, error: fetchErr } = await withTimeout(
+      () =>
+        source.fetchRepoFilesWithProgress(
+          (msg) => emit("fetch", "running", msg),
+          { signal, ref: options.ref },
         ),
-      ),
-    ]);
-    ({ meta, files, owner, repo } = fetched);
+      TIMEOUTS.fetch,
+      "Repository fetch",
+      signal,
+    );
+    if (fetchErr) throw fetchErr;
+    ({ meta, ref, files, lockfiles, envFiles, owner, repo } = fetched);
+    // The commit and tree the files were read at — not the ref's head
+    // now, which a push since may have moved
+    ({ commitSha: currentCommitSha, tree: treeWithSha } = fetched);
   } catch (err) {
+    if (signal?.aborted) throw signal.reason;
     // Fetch failure is fatal — nothing else can run without files
     emit("fetch", "error", "Failed to fetch repository", err.message);
     return { success: false, error: err.message, phase: "fetch" };
@@ -323,16 +515,15 @@ export async function orchestrate(repoUrl, onProgress) {
     "fetch",
     "done",
     `${files.length} files downloaded`,
-    `${owner}/${repo}`,
+    `${owner}/${repo}@${ref}`,
     fetchDuration,
   );
   trackStep("Fetch Repo", "done", `${files.length} files`, fetchDuration);
 
-  // Fetch commit SHA and file tree in parallel — lightweight, non-blocking
-  const [currentCommitSha, treeWithSha] = await Promise.all([
-    getCommitSha(owner, repo, meta.defaultBranch).catch(() => null),
-    getFileTreeWithSha(owner, repo, meta.defaultBranch).catch(() => []),
-  ]);
+  const checkpoint = await openCheckpoints(
+    options.checkpoints,
+    currentCommitSha,
+  );
 
   // ── PHASE 2: Agent 1 — Repo Scanner (Sequential, blocks all others) ──
   // Must run first — its projectMap, structure, and techStack drive
@@ -347,16 +538,28 @@ export async function orchestrate(repoUrl, onProgress) {
   const scanStart = Date.now();
 
   let scanResult;
-  const { result: scanRes, error: scanErr } = await withTimeout(
-    () =>
-      repoScannerAgent({
-        files,
-        meta,
-        emit: (msg, detail) => emit("scan", "running", msg, detail),
-      }),
-    TIMEOUTS.scan,
-    "Repo Scanner",
-  );
+  const scanSaved = checkpoint.restore("scan");
+  const { result: scanRes, error: scanErr } = scanSaved
+    ? { result: scanSaved.output }
+    : await withTimeout(
+        () =>
+          repoScannerAgent({
+            files,
+            meta,
+            emit: (msg, detail) => emit("scan", "running", msg, detail),
+          }),
+        TIMEOUTS.scan,
+        "Repo Scanner",
+        signal,
+      );
+  signal?.throwIfAborted();
+  if (scanSaved) {
+    emit("scan", "running", "Repo Scanner restored from checkpoint");
+  } else {
+    // Fresh classification — every downstream checkpoint is stale
+    checkpoint.invalidate();
+    if (!scanErr) checkpoint.save("scan", scanRes, Date.now() - scanStart);
+  }
 
   if (scanErr) {
     // Agent 1 failure is semi-fatal — we can continue with empty projectMap
@@ -406,7 +609,13 @@ export async function orchestrate(repoUrl, onProgress) {
   // ── PHASE 3: Intelligent Routing ─────────────────────────────
   // Decide which agents to run based on what Agent 1 found.
 
-  const routing = computeRouting(projectMap, structure, files);
+  const routing = computeRouting(
+    projectMap,
+    structure,
+    files,
+    lockfiles,
+    envFiles,
+  );
 
   emit(
     "routing",
@@ -471,6 +680,8 @@ export async function orchestrate(repoUrl, onProgress) {
             timeout: TIMEOUTS.api,
             fallback: FALLBACKS.api,
             emit,
+            checkpoint,
+            signal,
             fn: () =>
               apiExtractorAgent({
                 files,
@@ -488,6 +699,8 @@ export async function orchestrate(repoUrl, onProgress) {
             timeout: TIMEOUTS.schema,
             fallback: FALLBACKS.schema,
             emit,
+            checkpoint,
+            signal,
             fn: () =>
               schemaAnalyserAgent({
                 files,
@@ -505,6 +718,8 @@ export async function orchestrate(repoUrl, onProgress) {
             timeout: TIMEOUTS.components,
             fallback: FALLBACKS.components,
             emit,
+            checkpoint,
+            signal,
             fn: () =>
               componentMapperAgent({
                 files,
@@ -518,7 +733,9 @@ export async function orchestrate(repoUrl, onProgress) {
 
       // Agent 6: Security Auditor
       // Receives projectMap so it can use has_auth flags and importance scores
-      // from Agent 1 to prioritise LLM deep-scan files.
+      // from Agent 1 to prioritise LLM deep-scan files. The Dependency
+      // Auditor runs first inside the same step — it's a database lookup,
+      // and its findings are scored with the rest.
       routing.runSecurity
         ? runAgent({
             label: "Security Auditor",
@@ -526,12 +743,35 @@ export async function orchestrate(repoUrl, onProgress) {
             timeout: TIMEOUTS.security,
             fallback: FALLBACKS.security,
             emit,
-            fn: () =>
+            checkpoint,
+            signal,
+            fn: async () =>
               securityAuditorAgent({
                 files,
                 projectMap, // NEW: passes Agent 1 metadata to improve file prioritisation
                 emit: (msg, detail) => emit("security", "running", msg, detail),
+                triage: options.securityTriage,
+                securityConfig: await loadSecurityConfig(source, {
+                  ref,
+                  signal,
+                  files,
+                }),
+                dependencyFindings: await auditDependencies(
+                  lockfiles,
+                  (msg, detail) => emit("security", "running", msg, detail),
+                ),
+                envFiles,
+                permalinkFor: (path, location) =>
+                  source.permalink(currentCommitSha, path, location),
               }),
+          }).then((result) => {
+            // A restored audit carries the triage from when it was saved
+            if (!result._restored) return result;
+            const retriaged = retriageAudit(result, options.securityTriage);
+            const changed = retriaged.findings.some(
+              (f, i) => f.triage !== result.findings[i].triage,
+            );
+            return { ...retriaged, _retriaged: changed };
           })
         : Promise.resolve({ ...FALLBACKS.security, _skipped: true }),
     ]);
@@ -541,6 +781,7 @@ export async function orchestrate(repoUrl, onProgress) {
   // ── Unpack and track parallel results ─────────────────────────
   const {
     endpoints,
+    operations,
     summary: apiSummary,
     _failed: apiFailed,
     _skipped: apiSkipped,
@@ -569,16 +810,24 @@ export async function orchestrate(repoUrl, onProgress) {
     score: securityScore,
     grade: securityGrade,
     counts: securityCounts,
+    suppressed: securitySuppressed,
     categoryCounts,
     affectedFiles,
     summary: securitySummary,
-    reportMarkdown: securityReport,
+    reportMarkdown: auditReport,
     remediationMarkdown: remediationReport,
     _failed: securityFailed,
     _skipped: securitySkipped,
     _duration: securityDuration,
   } = securityResult;
 
+  // Spec drift is recomputed every run — the spec may have been
+  // re-imported since the audit was checkpointed
+  const apiDrift = isComparableSpec(options.apiSpec)
+    ? computeApiDrift({ spec: options.apiSpec, endpoints: endpoints ?? [] })
+    : null;
+  const securityReport = (auditReport ?? "") + driftMarkdown(apiDrift);
+
   // Collect agent errors
   if (apiFailed) agentErrors.push({ agent: "api", error: apiResult._error });
   if (schemaFailed)
@@ -593,7 +842,7 @@ export async function orchestrate(repoUrl, onProgress) {
     trackStep(
       "API Extractor",
       apiFailed ? "error" : "done",
-      `${endpoints?.length ?? 0} endpoints`,
+      `${endpoints?.length ?? 0} endpoints · ${operations?.length ?? 0} operations`,
       apiDuration,
     );
   if (!schemaSkipped)
@@ -625,6 +874,7 @@ export async function orchestrate(repoUrl, onProgress) {
     "All parallel agents complete",
     [
       `${endpoints?.length ?? 0} endpoints`,
+      `${operations?.length ?? 0} operations`,
       `${models?.length ?? 0} models`,
       `${relationships?.length ?? 0} relationships`,
       `${components?.length ?? 0} components`,
@@ -639,6 +889,16 @@ export async function orchestrate(repoUrl, onProgress) {
   // complexity, state), endpoints (with auth.roles, request/response schema),
   // models (with indexes, hooks, soft_delete), security findings.
 
+  // The writer consumes every analysis output — reuse its checkpoint
+  // only if none of them was recomputed or re-triaged in this run
+  const analysisRerun = [
+    apiResult,
+    schemaResult,
+    componentResult,
+    securityResult,
+  ].some((r) => r._retriaged || (!r._restored && !r._skipped));
+  if (analysisRerun) checkpoint.invalidate("write");
+
   emit("write", "running", "Generating documentation…", "Agent 5 — Doc Writer");
   const writeStart = Date.now();
 
@@ -648,12 +908,15 @@ export async function orchestrate(repoUrl, onProgress) {
     timeout: TIMEOUTS.write,
     fallback: FALLBACKS.write,
     emit,
+    checkpoint,
+    signal,
     fn: () =>
       docWriterAgent({
         meta,
         techStack,
         structure,
         endpoints: endpoints ?? [],
+        operations: operations ?? [],
         models: models ?? [],
         relationships: relationships ?? [],
         components: components ?? [],
@@ -671,6 +934,7 @@ export async function orchestrate(repoUrl, onProgress) {
           grade: securityGrade,
           counts: securityCounts,
           topFindings: (findings ?? [])
+            .filter((f) => !f.triage || f.triage === "open")
             .filter((f) => f.severity === "CRITICAL" || f.severity === "HIGH")
             .slice(0, 10),
         },
@@ -700,11 +964,9 @@ export async function orchestrate(repoUrl, onProgress) {
     writeDuration,
   );
 
-  // ── PHASE 6: Chat Session ─────────────────────────────────────
-
-  emit("chat", "running", "Setting up chat session…");
-  const chatStart = Date.now();
-
+  // ── PHASE 6: Retrieval Index + Chat Session ──────────────────
+  // Code, agent outputs and docs are embedded so chat can retrieve the
+  // chunks a question is about. No index only means keyword context.
   const docOutput = {
     readme,
     internalDocs,
@@ -716,12 +978,49 @@ export async function orchestrate(repoUrl, onProgress) {
     remediationReport,
   };
 
+  const indexResult = await runAgent({
+    label: "Retrieval Index",
+    step: "index",
+    timeout: TIMEOUTS.index,
+    emit,
+    signal,
+    fallback: { index: null },
+    fn: async () => ({
+      index: await buildRetrievalIndex({
+        files,
+        agentOutputs: { endpoints, operations, models, components },
+        output: docOutput,
+        previous: options.retrievalIndex,
+        signal,
+      }),
+    }),
+  });
+  const retrievalIndex = indexResult.index;
+  if (indexResult._failed)
+    agentErrors.push({ agent: "index", error: indexResult._error });
+  trackStep(
+    "Retrieval Index",
+    indexResult._failed ? "error" : "done",
+    `${retrievalIndex?.chunks.length ?? 0} chunks · ${retrievalIndex?.embedder ?? "none"}`,
+    indexResult._duration,
+  );
+
+  signal?.throwIfAborted();
+
+  emit("chat", "running", "Setting up chat session…");
+  const chatStart = Date.now();
+
   let sessionId, suggestedQuestions;
   try {
     const chatResult = await Promise.race([
       (async () => {
         const sid = `${owner}-${repo}-${Date.now()}`;
-        createChatSession({ jobId: sid, output: docOutput, meta });
+        createChatSession({
+          jobId: sid,
+          output: docOutput,
+          meta,
+          index: retrievalIndex,
+        });
         return {
           sessionId: sid,
           suggestedQuestions: getSuggestedQuestions(docOutput),
@@ -780,6 +1079,7 @@ export async function orchestrate(repoUrl, onProgress) {
     filesAnalysed: files.length,
     filesClassified: projectMap.length,
     endpoints: endpoints?.length ?? 0,
+    operations: operations?.length ?? 0,
     models: models?.length ?? 0,
     relationships: relationships?.length ?? 0,
     components: components?.length ?? 0,
@@ -790,7 +1090,8 @@ export async function orchestrate(repoUrl, onProgress) {
   };
 
   const { md: pipelineReportMd, ...pipelineReportStats } =
-    buildPipelineReport(pipelineSteps);
+    buildPipelineReport(pipelineSteps, getLLMContext().cacheStats);
+  const resumedSteps = checkpoint.restoredSteps();
 
   emit(
     "done",
@@ -806,7 +1107,12 @@ export async function orchestrate(repoUrl, onProgress) {
       agentErrors.length
         ? `⚠ ${agentErrors.length} agent error(s)`
         : "✅ no errors",
-    ].join(" · "),
+      resumedSteps.length
+        ? `♻ ${resumedSteps.length} step(s) from checkpoint`
+        : null,
+    ]
+      .filter(Boolean)
+      .join(" · "),
     null,
     totalDuration,
   );
@@ -836,13 +1142,19 @@ export async function orchestrate(repoUrl, onProgress) {
       score: securityScore,
       grade: securityGrade,
       counts: securityCounts,
+      suppressed: securitySuppressed ?? 0,
       categoryCounts,
       affectedFiles,
       findings: (findings ?? []).slice(0, 50), // top 50 for display
     },
 
+    // ── Imported spec vs extracted endpoints (null: no spec) ──
+    apiDrift,
+
     // ── Chat ──────────────────────────────────────────────────
     chat: { sessionId, suggestedQuestions },
+    // Stored by the caller (RetrievalChunk) so chat survives a restart
+    retrievalIndex,
 
     // ── Stats ─────────────────────────────────────────────────
     stats,
@@ -857,16 +1169,21 @@ export async function orchestrate(repoUrl, onProgress) {
     // ── Agent errors (non-fatal) ──────────────────────────────
     agentErrors: agentErrors.length > 0 ? agentErrors : undefined,
 
+    // ── Steps reused from checkpoints instead of re-run ───────
+    resumedSteps,
+
     // ── Routing decisions (for debugging and UI display) ──────
     routing,
 
     // ── v3.2: Incremental sync baseline ──────────────────────
     // Stored in Project so future syncs only re-run changed files.
     lastDocumentedCommit: currentCommitSha,
+    lastDocumentedRef: ref,
     fileManifest,
     agentOutputs: {
       projectMap,
       endpoints: endpoints ?? [],
+      operations: operations ?? [],
       models: models ?? [],
       relationships: relationships ?? [],
       components: components ?? [],
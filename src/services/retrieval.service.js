@@ -0,0 +1,492 @@
+// ===================================================================
+// Retrieval index for chat
+// ===================================================================
+// Chat used to see a few hundred characters of each doc section. The
+// index lets it look up the parts of the project a question is about:
+//
+//   code       — source files in overlapping line windows
+//   doc        — the generated docs, one chunk per heading
+//   endpoint / operation / model / component
+//              — one chunk per agent output entry, pointing at its file
+//
+// Every chunk is embedded (config/embedding-providers.js) and a
+// question's top-k chunks by cosine similarity go into the prompt with
+// their file path and line range, so the reply can cite them.
+//
+// Index shape (in memory, and RetrievalChunk documents in MongoDB):
+//   { embedder: "<name>:<model>", builtAt,
+//     chunks: [{ kind, title, file, startLine, endLine, section,
+//                heading, text, hash, embedding }] }
+//
+// Vectors are keyed by the sha256 of their text, so a rebuild only
+// embeds chunks that changed. A remote embedder that fails falls back
+// to the local one for the whole index — vectors from two embedders
+// are never compared.
+//
+// Env (read at call time):
+//   RETRIEVAL_TOP_K        default 6     chunks per question
+//   RETRIEVAL_MAX_CHUNKS   default 3000  per project
+// ===================================================================
+
+import crypto from "crypto";
+import {
+  embedderForId,
+  getEmbedder,
+  resolveEmbedder,
+  DEFAULT_EMBEDDER,
+} from "../config/embedding-providers.js";
+import { RetrievalChunk } from "../models/RetrievalChunk.js";
+import { redactSecrets } from "./secret-scanner.service.js";
+
+const CHUNK_LINES = 60;
+const CHUNK_OVERLAP = 10;
+const CHUNK_MAX_CHARS = 2400;
+const EMBED_BATCH = 64;
+const INSERT_BATCH = 500;
+
+// Generated docs worth retrieving from — the API reference is covered
+// by the endpoint and operation chunks
+const DOC_SECTIONS = ["readme", "internalDocs", "schemaDocs", "securityReport"];
+
+const SECTION_TITLES = {
+  readme: "README",
+  internalDocs: "Internal docs",
+  schemaDocs: "Data models",
+  securityReport: "Security report",
+};
+
+// Generated, minified or data files — noise for retrieval
+const SKIP_FILE =
+  /\.(min\.(js|css)|map|lock|svg|png|jpe?g|gif|ico|pdf|woff2?|snap)$|(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/i;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function normalise(vector) {
+  const norm = Math.sqrt(vector.reduce((s, x) => s + x * x, 0));
+  return norm ? vector.map((x) => x / norm) : vector;
+}
+
+const chunk = (fields) => ({
+  kind: fields.kind,
+  title: fields.title || "",
+  file: fields.file ?? null,
+  startLine: fields.startLine ?? null,
+  endLine: fields.endLine ?? null,
+  section: fields.section ?? null,
+  heading: fields.heading ?? null,
+  text: fields.text,
+  hash: sha256(`${fields.kind}\0${fields.title}\0${fields.text}`),
+});
+
+// ─── Chunking ─────────────────────────────────────────────────────
+
+/** A source file cut into overlapping windows of whole lines. */
+export function chunkSourceFile(file) {
+  if (!file?.path || !file.content?.trim() || SKIP_FILE.test(file.path))
+    return [];
+  const lines = redactSecrets(file.content, { keepLines: true }).split("\n");
+  const chunks = [];
+
+  let start = 0;
+  while (start < lines.length) {
+    let end = Math.min(start + CHUNK_LINES, lines.length);
+    // Long lines: shrink the window to the character budget
+    let text = lines.slice(start, end).join("\n");
+    while (text.length > CHUNK_MAX_CHARS && end - start > 1) {
+      end = start + Math.max(1, Math.floor((end - start) / 2));
+      text = lines.slice(start, end).join("\n");
+    }
+    if (text.trim())
+      chunks.push(
+        chunk({
+          kind: "code",
+          title: file.path,
+          file: file.path,
+          startLine: start + 1,
+          endLine: end,
+          text: text.slice(0, CHUNK_MAX_CHARS),
+        }),
+      );
+    if (end >= lines.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return chunks;
+}
+
+/** The generated docs, one chunk per H1–H3 heading. */
+export function docChunks(output) {
+  const chunks = [];
+  for (const section of DOC_SECTIONS) {
+    const md = output?.[section];
+    if (!md?.trim()) continue;
+
+    let heading = SECTION_TITLES[section];
+    let body = [];
+    const flush = () => {
+      const text = body.join("\n").trim();
+      for (let i = 0; i < text.length; i += CHUNK_MAX_CHARS)
+        chunks.push(
+          chunk({
+            kind: "doc",
+            title: `${SECTION_TITLES[section]} › ${heading}`,
+            section,
+            heading,
+            text: text.slice(i, i + CHUNK_MAX_CHARS),
+          }),
+        );
+      body = [];
+    };
+
+    let inFence = false;
+    for (const line of md.split("\n")) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      const match = !inFence && line.match(/^#{1,3}\s+(.+?)\s*#*\s*$/);
+      if (match) {
+        flush();
+        heading = match[1];
+      }
+      body.push(line);
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/** One chunk per endpoint, operation, model and component. */
+export function structuredChunks({
+  endpoints = [],
+  operations = [],
+  models = [],
+  components = [],
+} = {}) {
+  const lines = (...parts) => parts.filter(Boolean).join("\n");
+  const list = (items) => (items?.length ? items.join(", ") : "");
+
+  return [
+    ...endpoints.map((ep) =>
+      chunk({
+        kind: "endpoint",
+        title: `${ep.method} ${ep.path}`,
+        file: ep.file,
+        startLine: ep.line,
+        text: lines(
+          `Endpoint ${ep.method} ${ep.path}`,
+          ep.description,
+          ep.auth?.required
+            ? `Auth: ${ep.auth.type || "required"}${ep.auth.roles?.length ? ` (roles: ${list(ep.auth.roles)})` : ""}`
+            : "Auth: public",
+          ep.request?.params?.length &&
+            `Parameters: ${list(ep.request.params.map((p) => `${p.name} (${p.in}${p.required ? ", required" : ""})`))}`,
+          ep.request?.body_schema && `Body: ${ep.request.body_schema}`,
+          ep.response?.success?.schema &&
+            `Response: ${ep.response.success.schema}`,
+          ep.tags?.length && `Tags: ${list(ep.tags)}`,
+        ),
+      }),
+    ),
+    ...operations.map((op) =>
+      chunk({
+        kind: "operation",
+        title: op.fullName,
+        file: op.file,
+        startLine: op.line,
+        text: lines(
+          `${op.protocol} ${op.kind} ${op.fullName}`,
+          op.description,
+          op.input?.length &&
+            `Input: ${list(op.input.map((i) => `${i.name}: ${i.type}`))}`,
+          op.output && `Returns: ${op.output}`,
+          op.auth?.required && `Auth: ${op.auth.type || "required"}`,
+        ),
+      }),
+    ),
+    ...models.map((m) =>
+      chunk({
+        kind: "model",
+        title: m.name,
+        file: m.file,
+        startLine: m.line,
+        text: lines(
+          `Model ${m.name}${m.table ? ` (table ${m.table})` : ""}`,
+          m.description,
+          m.fields?.length &&
+            `Fields: ${list(m.fields.map((f) => `${f.name}: ${f.type}${f.required ? " (required)" : ""}`))}`,
+        ),
+      }),
+    ),
+    ...components.map((c) =>
+      chunk({
+        kind: "component",
+        title: c.name,
+        file: c.file,
+        startLine: c.line,
+        text: lines(
+          `${c.type || "Component"} ${c.name}`,
+          c.description,
+          c.responsibilities?.length &&
+            `Responsibilities: ${c.responsibilities.join("; ")}`,
+          c.dependencies?.internal?.length &&
+            `Depends on: ${list(c.dependencies.internal)}`,
+        ),
+      }),
+    ),
+  ].filter((c) => c.text.trim());
+}
+
+// ─── Embedding ────────────────────────────────────────────────────
+
+async function embedWith(embedder, chunks, reuse, signal) {
+  const todo = chunks.filter((c) => !reuse.has(c.hash));
+  const fresh = new Map();
+  for (let i = 0; i < todo.length; i += EMBED_BATCH) {
+    signal?.throwIfAborted();
+    const batch = todo.slice(i, i + EMBED_BATCH);
+    const vectors = await embedder.embed(
+      batch.map((c) => c.text),
+      { signal },
+    );
+    batch.forEach((c, j) => fresh.set(c.hash, normalise(vectors[j])));
+  }
+  return chunks.map((c) => ({
+    ...c,
+    embedding: reuse.get(c.hash) ?? fresh.get(c.hash),
+  }));
+}
+
+/**
+ * Embed chunks with the deployment's embedder, re-using the previous
+ * index's vectors for unchanged text.
+ */
+async function embedChunks(chunks, previous, { signal } = {}) {
+  let embedder = resolveEmbedder();
+  const reuseFrom = (id) =>
+    new Map(
+      previous?.embedder === id
+        ? previous.chunks.map((c) => [c.hash, c.embedding])
+        : [],
+    );
+
+  try {
+    const embedded = await embedWith(
+      embedder,
+      chunks,
+      reuseFrom(embedder.id),
+      signal,
+    );
+    return { embedder: embedder.id, chunks: embedded };
+  } catch (err) {
+    if (signal?.aborted || embedder.name === DEFAULT_EMBEDDER) throw err;
+    console.warn(
+      `[retrieval] ${embedder.id} failed — using the local embedder: ${err.message}`,
+    );
+    embedder = getEmbedder(DEFAULT_EMBEDDER);
+    const embedded = await embedWith(
+      embedder,
+      chunks,
+      reuseFrom(embedder.id),
+      signal,
+    );
+    return { embedder: embedder.id, chunks: embedded };
+  }
+}
+
+function capChunks(structured, code) {
+  const max = envInt("RETRIEVAL_MAX_CHUNKS", 3000);
+  return [...structured, ...code].slice(0, max);
+}
+
+/**
+ * Build a project's index after a full run.
+ *
+ * @param {{ files: Array<{ path, content }>,
+ *           agentOutputs: { endpoints, operations, models, components },
+ *           output: object, previous?: object, signal?: AbortSignal }} args
+ * @returns {Promise<{ embedder, builtAt, chunks }>}
+ */
+export async function buildRetrievalIndex({
+  files = [],
+  agentOutputs,
+  output,
+  previous = null,
+  signal,
+}) {
+  const chunks = capChunks(
+    [...structuredChunks(agentOutputs), ...docChunks(output)],
+    files.flatMap(chunkSourceFile),
+  );
+  const embedded = await embedChunks(chunks, previous, { signal });
+  return { ...embedded, builtAt: new Date() };
+}
+
+/**
+ * Patch an index after an incremental sync: code chunks of the dirty
+ * (changed or removed) paths are replaced by `files`, the structured
+ * and doc chunks are rebuilt from the merged outputs. Without a
+ * previous index only the changed files' code is indexed.
+ *
+ * @param {object|null} previous
+ * @param {{ files: Array<{ path, content }>, dirtyPaths: string[],
+ *           agentOutputs, output, signal?: AbortSignal }} args
+ */
+export async function updateRetrievalIndex(
+  previous,
+  { files = [], dirtyPaths = [], agentOutputs, output, signal },
+) {
+  const dirty = new Set(dirtyPaths);
+  const keptCode = (previous?.chunks || []).filter(
+    (c) => c.kind === "code" && !dirty.has(c.file),
+  );
+  const chunks = capChunks(
+    [...structuredChunks(agentOutputs), ...docChunks(output)],
+    [...keptCode, ...files.flatMap(chunkSourceFile)],
+  );
+  const embedded = await embedChunks(chunks, previous, { signal });
+  return { ...embedded, builtAt: new Date() };
+}
+
+// ─── Search ───────────────────────────────────────────────────────
+
+/** "src/app.js:10-42", "GET /users — src/routes/users.js:12", … */
+export function chunkLabel(c) {
+  if (c.kind === "doc") return c.title;
+  const lines =
+    c.startLine && c.endLine && c.endLine !== c.startLine
+      ? `:${c.startLine}-${c.endLine}`
+      : c.startLine
+        ? `:${c.startLine}`
+        : "";
+  const location = c.file ? `${c.file}${lines}` : "";
+  if (c.kind === "code") return location;
+  return location ? `${c.title} — ${location}` : c.title;
+}
+
+/**
+ * GitHub-style anchor for a Markdown heading:
+ * "Setup & `npm run dev`" → "setup--npm-run-dev".
+ */
+export function headingAnchor(heading) {
+  return String(heading ?? "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .trim()
+    .replace(/\s/g, "-");
+}
+
+/**
+ * Where a chunk came from, for a chat citation: the file and line
+ * range, or the doc section and heading anchor.
+ *
+ * @param {object} c  chunk
+ * @param {{ permalinkFor?: (path, location?) => string|null }} [opts]
+ */
+export function chunkCitation(c, { permalinkFor } = {}) {
+  // Text before a section's first heading sits under the section title
+  const underHeading =
+    c.kind === "doc" && c.heading !== SECTION_TITLES[c.section];
+  const location = c.startLine
+    ? { startLine: c.startLine, endLine: c.endLine ?? c.startLine }
+    : undefined;
+  return {
+    kind: c.kind,
+    label: chunkLabel(c),
+    file: c.file ?? null,
+    startLine: c.startLine ?? null,
+    endLine: c.endLine ?? null,
+    section: c.section ?? null,
+    heading: underHeading ? c.heading : null,
+    anchor: underHeading ? headingAnchor(c.heading) : null,
+    url: (c.file && permalinkFor?.(c.file, location)) || null,
+  };
+}
+
+/**
+ * The top-k chunks for a question. Returns [] when the index is empty
+ * or its embedder can't embed the question — chat then falls back to
+ * the doc excerpts alone.
+ *
+ * @returns {Promise<Array<object & { score: number }>>}
+ */
+export async function searchIndex(index, query, { k, signal } = {}) {
+  if (!index?.chunks?.length || !query?.trim()) return [];
+  const topK = k ?? envInt("RETRIEVAL_TOP_K", 6);
+
+  const embedder = embedderForId(index.embedder);
+  if (!embedder) return [];
+  let vector;
+  try {
+    [vector] = await embedder.embed([query], { signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn(`[retrieval] ${index.embedder} failed: ${err.message}`);
+    return [];
+  }
+  vector = normalise(vector);
+  if (vector.length !== index.chunks[0].embedding?.length) return [];
+
+  // A question that names a file by its base name should reach it
+  const q = query.toLowerCase();
+  const namesFile = (file) => {
+    const base = file?.split("/").pop()?.replace(/\.\w+$/, "").toLowerCase();
+    return base?.length > 2 && q.includes(base);
+  };
+
+  return index.chunks
+    .map((c) => {
+      let score = 0;
+      for (let i = 0; i < vector.length; i++) score += vector[i] * c.embedding[i];
+      if (namesFile(c.file)) score += 0.15;
+      return { ...c, score };
+    })
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Numbered source blocks for the prompt, within maxChars.
+ * @param {Array<object>} hits  from searchIndex()
+ */
+export function formatRetrievedContext(hits, maxChars = 4000) {
+  let budget = maxChars;
+  const blocks = [];
+  hits.forEach((hit, i) => {
+    const header = `[${i + 1}] ${chunkLabel(hit)} (${hit.kind})`;
+    const room = budget - header.length - 2;
+    if (room < 200) return;
+    const text = hit.text.length > room ? `${hit.text.slice(0, room)}…` : hit.text;
+    blocks.push(`${header}\n${text}`);
+    budget -= header.length + text.length + 2;
+  });
+  return blocks.join("\n\n");
+}
+
+// ─── Persistence ──────────────────────────────────────────────────
+
+/** Replace a project's stored index. */
+export async function saveRetrievalIndex(projectId, index) {
+  await RetrievalChunk.deleteMany({ projectId });
+  const chunks = index?.chunks || [];
+  for (let i = 0; i < chunks.length; i += INSERT_BATCH) {
+    await RetrievalChunk.insertMany(
+      chunks
+        .slice(i, i + INSERT_BATCH)
+        .map((c) => ({ ...c, projectId, embedder: index.embedder })),
+      { ordered: false },
+    );
+  }
+}
+
+/** A project's stored index, or null when it has none. */
+export async function loadRetrievalIndex(projectId) {
+  const chunks = await RetrievalChunk.find({ projectId })
+    .select("-_id -projectId")
+    .lean();
+  if (!chunks.length) return null;
+  return { embedder: chunks[0].embedder, builtAt: null, chunks };
+}
@@ -0,0 +1,222 @@
+// ==============================================================
+// SARIF 2.1.0 export of security findings
+//
+// One run per export, tool "Docnine Security Auditor":
+//
+//   rules     — one per rule that produced a finding: built-in and
+//               custom static rules by id, dependency advisories by
+//               OSV id; AI findings by "llm/<title>" since their ids
+//               are per-run
+//   results   — one per finding; file + line/column region when the
+//               finding was located, file only otherwise
+//   partialFingerprints["docnine/v1"] — the triage fingerprint, so
+//               SARIF consumers can track findings across uploads
+//   suppressions — from triage: false_positive / accepted_risk are
+//               "accepted", fixed-but-unconfirmed is "underReview"
+//
+// Pure — the caller loads the findings (see api/projects/security.service.js).
+// ==============================================================
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+const LEVEL = {
+  CRITICAL: "error",
+  HIGH: "error",
+  MEDIUM: "warning",
+  LOW: "note",
+};
+
+// GitHub code scanning reads this property to rank security alerts
+const SECURITY_SEVERITY = {
+  CRITICAL: "9.5",
+  HIGH: "8.0",
+  MEDIUM: "5.5",
+  LOW: "2.0",
+};
+
+function ruleIdOf(finding) {
+  if (finding.source !== "llm") return String(finding.id || "unknown");
+  const slug = String(finding.title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `llm/${slug || "finding"}`;
+}
+
+function buildRule(id, finding) {
+  const tags = ["security", finding.category, finding.cwe].filter(Boolean);
+  return {
+    id,
+    shortDescription: { text: finding.title || id },
+    ...(finding.description && finding.source === "llm"
+      ? { fullDescription: { text: finding.description } }
+      : {}),
+    ...(finding.advice ? { help: { text: finding.advice } } : {}),
+    ...(finding.cwe
+      ? {
+          helpUri: `https://cwe.mitre.org/data/definitions/${finding.cwe.replace(/^CWE-/i, "")}.html`,
+        }
+      : {}),
+    defaultConfiguration: { level: LEVEL[finding.severity] || "warning" },
+    properties: {
+      tags,
+      ...(finding.cwe ? { cwe: finding.cwe } : {}),
+      ...(finding.category ? { category: finding.category } : {}),
+      source: finding.source || "static",
+      "security-severity": SECURITY_SEVERITY[finding.severity] || "5.5",
+    },
+  };
+}
+
+function buildSuppressions(finding, decision) {
+  if (!decision || finding.triage === "open") return undefined;
+
+  if (finding.triage === "false_positive") {
+    return [
+      {
+        kind: "external",
+        status: "accepted",
+        justification: decision.note || "Marked as a false positive.",
+      },
+    ];
+  }
+  if (finding.triage === "accepted_risk") {
+    return [
+      {
+        kind: "external",
+        status: "accepted",
+        justification: decision.note || "Risk accepted.",
+        ...(decision.expiresAt
+          ? {
+              properties: {
+                expiresAt: new Date(decision.expiresAt).toISOString(),
+              },
+            }
+          : {}),
+      },
+    ];
+  }
+  if (finding.triage === "fixed") {
+    return [
+      {
+        kind: "external",
+        status: "underReview",
+        justification:
+          decision.note || "Marked fixed; not yet confirmed by a new run.",
+      },
+    ];
+  }
+  return undefined;
+}
+
+function buildLocation(finding) {
+  const physicalLocation = {
+    artifactLocation: { uri: finding.file, uriBaseId: "SRCROOT" },
+  };
+  // Dependency findings' `line` is "name@version", not source text
+  const snippet =
+    finding.line && finding.source !== "dependency"
+      ? { snippet: { text: finding.line } }
+      : {};
+  const loc = finding.location;
+  if (loc?.startLine > 0) {
+    physicalLocation.region = {
+      startLine: loc.startLine,
+      ...(loc.endLine ? { endLine: loc.endLine } : {}),
+      ...(loc.startColumn ? { startColumn: loc.startColumn } : {}),
+      ...(loc.endColumn ? { endColumn: loc.endColumn } : {}),
+      ...snippet,
+    };
+  } else if (Number.isInteger(finding.line_number) && finding.line_number > 0) {
+    physicalLocation.region = { startLine: finding.line_number, ...snippet };
+  }
+  return { physicalLocation };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.project — repoUrl, lastDocumentedCommit,
+ *   lastDocumentedRef, security
+ * @param {object[]} opts.findings — annotated by applyTriage()
+ * @param {object[]} [opts.triage] — Project.securityTriage
+ * @returns {object} SARIF log
+ */
+export function buildSarifLog({ project, findings, triage = [] }) {
+  const decisions = new Map(triage.map((t) => [t.fingerprint, t]));
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  for (const finding of findings) {
+    const ruleId = ruleIdOf(finding);
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push(buildRule(ruleId, finding));
+    }
+
+    const suppressions = buildSuppressions(
+      finding,
+      decisions.get(finding.fingerprint),
+    );
+
+    results.push({
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: LEVEL[finding.severity] || "warning",
+      message: {
+        text: finding.description
+          ? `${finding.title}: ${finding.description}`
+          : finding.title,
+      },
+      locations: finding.file ? [buildLocation(finding)] : [],
+      partialFingerprints: { "docnine/v1": finding.fingerprint },
+      ...(suppressions ? { suppressions } : {}),
+      properties: {
+        source: finding.source || "static",
+        severity: finding.severity,
+        ...(finding.originalSeverity
+          ? { originalSeverity: finding.originalSeverity }
+          : {}),
+        ...(finding.confidence ? { confidence: finding.confidence } : {}),
+        ...(finding.count > 1 ? { occurrences: finding.count } : {}),
+        ...(finding.regressed ? { regressed: true } : {}),
+        ...(finding.package ? { package: finding.package } : {}),
+        ...(finding.fixedIn?.length ? { fixedIn: finding.fixedIn } : {}),
+        ...(finding.permalink ? { permalink: finding.permalink } : {}),
+      },
+    });
+  }
+
+  const run = {
+    tool: {
+      driver: {
+        name: "Docnine Security Auditor",
+        rules,
+      },
+    },
+    originalUriBaseIds: {
+      SRCROOT: { description: { text: "Repository root" } },
+    },
+    results,
+    properties: {
+      score: project.security?.score ?? null,
+      grade: project.security?.grade ?? null,
+    },
+  };
+
+  if (project.repoUrl) {
+    run.versionControlProvenance = [
+      {
+        repositoryUri: project.repoUrl,
+        ...(project.lastDocumentedCommit
+          ? { revisionId: project.lastDocumentedCommit }
+          : {}),
+        ...(project.lastDocumentedRef
+          ? { branch: project.lastDocumentedRef }
+          : {}),
+      },
+    ];
+  }
+
+  return { $schema: SARIF_SCHEMA, version: "2.1.0", runs: [run] };
+}
@@ -0,0 +1,361 @@
+// ===================================================================
+// Secret scanner — credentials committed to the repository
+// ===================================================================
+//
+// Part of the Security Auditor's static scan. Each detector finds the
+// secret itself, not just the line, so it can be redacted: a finding
+// quotes its line with the value replaced — `ghp_[REDACTED]` — and
+// the report, SARIF export, PDF and API never carry the secret.
+//
+//   SEC004  value assigned to a key/secret/password/token name
+//   SEC005  AWS access key ID
+//   SEC006  private key (PEM block)
+//   SEC033  GitHub token (classic, fine-grained, OAuth, app)
+//   SEC034  Stripe live secret / restricted key
+//   SEC035  Slack token or incoming webhook URL
+//   SEC036  Google API key
+//   SEC037  Flutterwave secret or encryption key
+//   SEC038  JSON Web Token
+//   SEC039  high-entropy string (Shannon entropy, see below)
+//   SEC040  secret-named variable set in a .env file
+//
+// Ids are rule ids like any other: .docnine/security.yml can disable
+// or re-grade them, and `docnine-ignore SEC038` comments suppress a
+// match (fixtures, documented test keys).
+//
+// Entropy: a quoted or assigned token of 20+ characters counts when
+// its Shannon entropy reaches 4.5 bits per character for base64-like
+// strings, or 3.0 for hex — hex only next to a secret-like name, as
+// commit SHAs and content hashes look exactly the same.
+//
+// redactSecrets() runs the detectors over free text — snippets the AI
+// scan quotes, findings stored by older runs — and is applied to every
+// finding when it is triaged (services/security-findings.service.js).
+// ===================================================================
+
+const REDACTED = "[REDACTED]";
+
+// Names that hold credentials — assignment keys and env variable names
+const SECRET_NAME =
+  /(?:api_?key|apikey|secret|password|passwd|pwd|token|auth|credential|private_?key|access_?key|signing_?key|client_?secret|dsn|database_url|connection_?string|mongo(?:db)?_?ur[il])/i;
+
+// Example env files hold placeholders, not values
+export const EXAMPLE_ENV_FILE = /\.(?:example|sample|template|dist|defaults?)$/i;
+
+const ENV_FILE = /(^|\/)\.env(?:rc|[.-][\w.-]+)?$/;
+
+const ENTROPY = {
+  minLength: 20,
+  maxLength: 200,
+  base64: 4.5,
+  hex: 3.0,
+};
+
+/** Obvious non-secrets: empty, masked, templated or documentation values. */
+export function isPlaceholder(value) {
+  const v = String(value || "").trim();
+  return (
+    v.length < 4 ||
+    /^(?:x+|\*+|\.+|-+|_+|0+)$/i.test(v) ||
+    /^(?:<.*>|\$\{.*\}|\$[A-Z_][A-Z0-9_]*|\{\{.*\}\}|%\(.*\)s?)$/i.test(v) ||
+    /^(?:changeme|change_?me|null|none|nil|undefined|true|false|todo|tbd|secret|password|example|dummy|test|sample|placeholder)$/i.test(
+      v,
+    ) ||
+    /your[_-]|xxxx|\.\.\.|placeholder|replace[_-]?me|example\.com/i.test(v)
+  );
+}
+
+/** Shannon entropy of a string, in bits per character. */
+export function shannonEntropy(text) {
+  if (!text) return 0;
+  const freq = new Map();
+  for (const ch of text) freq.set(ch, (freq.get(ch) ?? 0) + 1);
+  let bits = 0;
+  for (const n of freq.values()) {
+    const p = n / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// ─── Detectors ────────────────────────────────────────────────────
+// regex finds the secret; `group` is the capture holding it (0 = the
+// whole match) and `keep` how many leading characters are a public
+// prefix that stays visible. accept(match, file) can veto a match.
+
+const PROVIDER_ADVICE =
+  "Revoke and rotate this credential now — it is in the repository history. Load it from the environment or a secrets manager instead.";
+
+export const SECRET_DETECTORS = [
+  {
+    id: "SEC004",
+    severity: "CRITICAL",
+    title: "Hardcoded secret, API key, or password",
+    regex:
+      /(?:api_?key|apikey|secret|password|passwd|token|auth_?token|private_?key|access_?key)\s*[:=]\s*(['"`])([a-zA-Z0-9_\-./+]{12,})\1/gi,
+    group: 2,
+    accept: (m) => !isPlaceholder(m[2]),
+    advice:
+      "Move all credentials to environment variables. Never commit secrets to source control.",
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC005",
+    severity: "CRITICAL",
+    title: "AWS access key ID embedded in code",
+    regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    keep: 4,
+    advice:
+      "Rotate this key immediately. Use IAM roles, AWS Secrets Manager, or environment variables.",
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC006",
+    severity: "CRITICAL",
+    title: "Private key embedded in source",
+    regex:
+      /-----BEGIN ((?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?(?:-----END \1-----|$)/g,
+    keep: (secret) => secret.indexOf("-----", 5) + 5,
+    advice:
+      "Never store private keys in source code. Revoke this key and load its replacement from a secrets manager or HSM.",
+    cwe: "CWE-321",
+  },
+  {
+    id: "SEC033",
+    severity: "CRITICAL",
+    title: "GitHub token embedded in code",
+    regex:
+      /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+    keep: (secret) => secret.indexOf("_") + 1,
+    advice: `${PROVIDER_ADVICE} Revoke it under GitHub → Settings → Developer settings.`,
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC034",
+    severity: "CRITICAL",
+    title: "Stripe live API key embedded in code",
+    regex: /\b(?:sk|rk)_live_[A-Za-z0-9]{20,247}\b/g,
+    keep: 8,
+    advice: `${PROVIDER_ADVICE} Roll the key in the Stripe dashboard (Developers → API keys).`,
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC035",
+    severity: "HIGH",
+    title: "Slack token or webhook URL embedded in code",
+    regex:
+      /\bxox[abposr]-[A-Za-z0-9-]{10,250}|https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]{20,}/g,
+    keep: (secret) =>
+      secret.startsWith("xox") ? 5 : secret.lastIndexOf("/", 40) + 1,
+    advice: `${PROVIDER_ADVICE} Regenerate the token or webhook in the Slack app settings.`,
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC036",
+    severity: "HIGH",
+    title: "Google API key embedded in code",
+    regex: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+    keep: 4,
+    advice: `${PROVIDER_ADVICE} Regenerate it in Google Cloud Console and restrict it to the APIs and referrers that need it.`,
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC037",
+    severity: "CRITICAL",
+    // Test-mode keys move no money
+    severityFor: (secret) =>
+      secret.includes("_TEST") ? "LOW" : "CRITICAL",
+    title: "Flutterwave secret key embedded in code",
+    regex: /\bFLWSECK(?:_TEST)?-?[0-9a-fA-F]{12,32}(?:-X)?\b/g,
+    keep: (secret) => secret.match(/^FLWSECK(?:_TEST)?-?/)[0].length,
+    advice: `${PROVIDER_ADVICE} Regenerate the keys in the Flutterwave dashboard (Settings → API).`,
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC038",
+    severity: "HIGH",
+    title: "JSON Web Token embedded in code",
+    regex:
+      /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,}/g,
+    keep: 3,
+    advice:
+      "A signed token grants whatever it claims until it expires. Remove it, and rotate the signing key if the token is long-lived.",
+    cwe: "CWE-798",
+  },
+  {
+    id: "SEC040",
+    severity: "HIGH",
+    title: "Secret set in a committed .env file",
+    regex:
+      /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_]*)[ \t]*=[ \t]*(['"]?)([^\s'"#][^\r\n'"#]*?)\2[ \t]*(?:#.*)?$/gm,
+    group: 3,
+    appliesTo: (path) => ENV_FILE.test(path) && !EXAMPLE_ENV_FILE.test(path),
+    accept: (m) => SECRET_NAME.test(m[1]) && !isPlaceholder(m[3]),
+    advice:
+      "Remove the file from the repository (and its history), add it to .gitignore and rotate every value in it. Commit a .env.example with placeholders instead.",
+    cwe: "CWE-798",
+  },
+];
+
+// SEC039 — not a regex detector; see entropyMatches()
+export const ENTROPY_DETECTOR = {
+  id: "SEC039",
+  severity: "MEDIUM",
+  title: "High-entropy string — possible hardcoded secret",
+  advice:
+    "If this is a credential, move it to the environment and rotate it. If it is not (a hash, an ID, test data), suppress it with a docnine-ignore SEC039 comment.",
+  cwe: "CWE-798",
+};
+
+/** Ids of every secret detector, for rule lists and config checks. */
+export const SECRET_RULE_IDS = [
+  ...SECRET_DETECTORS.map((d) => d.id),
+  ENTROPY_DETECTOR.id,
+];
+
+// Quoted strings, and unquoted values after = or : (config files)
+const ENTROPY_CANDIDATE =
+  /(['"`])([A-Za-z0-9+/=_.~-]{20,200})\1|[=:][ \t]*([A-Za-z0-9+/=_.~-]{20,200})(?=[ \t]*(?:[#\r\n]|$))/gm;
+
+function entropyMatches(content) {
+  const matches = [];
+  for (const m of content.matchAll(ENTROPY_CANDIDATE)) {
+    const secret = m[2] ?? m[3];
+    if (secret.length < ENTROPY.minLength || secret.length > ENTROPY.maxLength)
+      continue;
+    // Paths, URLs, integrity hashes and dotted identifiers
+    if (/^(?:sha\d+-|\.{0,2}\/)|:\/\/|\/\w+\/\w+/.test(secret)) continue;
+    if (/^[\w-]+(?:\.[\w-]+){2,}$/.test(secret) && !/\d{4}/.test(secret))
+      continue;
+
+    const start = m.index + m[0].indexOf(secret);
+    const isHex = /^[0-9a-f]+$/i.test(secret);
+    if (isHex) {
+      const lineStart = content.lastIndexOf("\n", start) + 1;
+      const before = content.slice(Math.max(lineStart, start - 40), start);
+      if (!SECRET_NAME.test(before)) continue;
+      if (shannonEntropy(secret) < ENTROPY.hex) continue;
+    } else {
+      // Real keys mix character classes; words and camelCase don't
+      if (!/\d/.test(secret) || !/[a-z]/.test(secret) || !/[A-Z]/.test(secret))
+        continue;
+      if (shannonEntropy(secret) < ENTROPY.base64) continue;
+    }
+    matches.push({ start, end: start + secret.length, secret });
+  }
+  return matches;
+}
+
+function regexMatches(detector, content, path) {
+  if (detector.appliesTo && !detector.appliesTo(path)) return [];
+  const matches = [];
+  for (const m of content.matchAll(detector.regex)) {
+    if (detector.accept && !detector.accept(m)) continue;
+    const group = detector.group ?? 0;
+    const secret = m[group];
+    const start = group ? m.index + m[0].indexOf(secret) : m.index;
+    matches.push({ start, end: start + secret.length, secret });
+  }
+  return matches;
+}
+
+// ─── Redaction ────────────────────────────────────────────────────
+
+function keepLength(detector, secret) {
+  const keep =
+    typeof detector?.keep === "function"
+      ? detector.keep(secret)
+      : (detector?.keep ?? 0);
+  // Never leave most of a secret showing, whatever the prefix rule says
+  return Math.max(0, Math.min(keep, Math.floor(secret.length / 2)));
+}
+
+/** The secret as it may be shown: its public prefix, if any, then a mask. */
+export function redact(secret, detector) {
+  return `${secret.slice(0, keepLength(detector, secret))}${REDACTED}`;
+}
+
+/**
+ * Secrets in one file, grouped by detector.
+ *
+ * @param {{ path: string, content: string }} file
+ * @param {object} [opts]
+ * @param {(id: string) => boolean} [opts.enabled] — detector filter
+ * @returns {Array<{ detector, matches: Array<{ start, end, secret }> }>}
+ */
+export function scanSecrets(file, { enabled = () => true } = {}) {
+  const results = [];
+  const claimed = []; // [start, end) spans already reported
+
+  for (const detector of SECRET_DETECTORS) {
+    if (!enabled(detector.id)) continue;
+    const matches = regexMatches(detector, file.content, file.path).filter(
+      (m) => !claimed.some(([s, e]) => m.start < e && m.end > s),
+    );
+    if (!matches.length) continue;
+    claimed.push(...matches.map((m) => [m.start, m.end]));
+    results.push({ detector, matches });
+  }
+
+  if (enabled(ENTROPY_DETECTOR.id)) {
+    const matches = entropyMatches(file.content).filter(
+      (m) => !claimed.some(([s, e]) => m.start < e && m.end > s),
+    );
+    if (matches.length) results.push({ detector: ENTROPY_DETECTOR, matches });
+  }
+  return results;
+}
+
+/**
+ * The source line(s) around [start, end) with that secret — and any
+ * other one on the line — redacted, trimmed to 120 characters.
+ */
+export function redactedSnippet(content, start, end, detector) {
+  const lineStart = content.lastIndexOf("\n", start - 1) + 1;
+  const nl = content.indexOf("\n", end);
+  const lineEnd = nl === -1 ? content.length : nl;
+  const line =
+    content.slice(lineStart, start) +
+    redact(content.slice(start, end), detector) +
+    content.slice(end, lineEnd);
+  return redactSecrets(line).replace(/\s+/g, " ").trim().slice(0, 120);
+}
+
+/**
+ * Free text with every secret the detectors recognise replaced. Bare
+ * high-entropy strings are left alone — out of context they are as
+ * likely a hash as a key.
+ *
+ * With `keepLines`, a secret spanning several lines (a PEM block) is
+ * followed by as many line breaks as it removed, so line numbers in
+ * the redacted text still match the source.
+ *
+ * @param {string} text
+ * @param {{ keepLines?: boolean }} [opts]
+ */
+export function redactSecrets(text, { keepLines = false } = {}) {
+  if (!text) return text;
+  const breaks = (s) => s.split("\n").length - 1;
+  let out = String(text);
+  for (const detector of [...SECRET_DETECTORS, QUOTED_ENV_VALUE]) {
+    if (detector.appliesTo) continue;
+    for (const { start, end, secret } of regexMatches(detector, out, "")
+      .reverse()) {
+      let replacement = redact(secret, detector);
+      if (keepLines)
+        replacement += "\n".repeat(
+          breaks(out.slice(start, end)) - breaks(replacement),
+        );
+      out = out.slice(0, start) + replacement + out.slice(end);
+    }
+  }
+  return out;
+}
+
+// SEC040 matches whole lines of a .env file; prose quotes them inline
+const QUOTED_ENV_VALUE = {
+  id: "SEC040",
+  regex: /\b([A-Z][A-Z0-9_]*)=(['"]?)([^\s'"]+)\2/g,
+  group: 3,
+  accept: (m) => SECRET_NAME.test(m[1]) && !isPlaceholder(m[3]),
+};
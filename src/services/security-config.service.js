@@ -0,0 +1,486 @@
+// ===================================================================
+// In-repo security configuration — .docnine/security.yml
+// ===================================================================
+//
+// Lets a repository tune the Security Auditor's static scan:
+//
+//   disable: [SEC004, SEC012]         # built-in rule ids to skip
+//
+//   severity:                         # overrides, first match wins
+//     - paths: ["test/**", "**/*.spec.js"]
+//       rules: [SEC010]               # optional — omitted = every rule
+//       severity: LOW
+//
+//   rules:                            # house rules, scanned like the
+//     - id: ACME001                   # built-in ones
+//       title: Internal token in URL
+//       regex: "token=[a-z0-9]{32}"
+//       flags: i                      # optional, "g" is implied
+//       severity: HIGH
+//       cwe: CWE-598                  # optional
+//       category: A02:CryptographicFailures   # optional
+//       advice: Send the token in a header.
+//       paths: ["src/**"]             # optional — omitted = every file
+//
+//   inlineSuppressions: true          # default — honour
+//                                     # `docnine-ignore SEC004` comments
+//
+// Inline suppressions: a comment containing `docnine-ignore` followed
+// by rule ids (space or comma separated) on the matched line or the
+// line above it drops that match. `docnine-ignore` with no ids drops
+// every rule's match there.
+//
+// Path globs match the repo-relative path: `*` and `?` stay within a
+// directory, `**` spans directories.
+//
+// Problems never fail the pipeline — invalid entries are skipped and
+// reported as pipeline events; unparseable YAML disables the file.
+//
+// Custom regexes come from the scanned repo, so they never run on the
+// API's event loop: runCustomRules() matches them in a worker thread,
+// against the first CUSTOM_RULE_MAX_BYTES of each file, and skips a
+// rule that takes longer than CUSTOM_RULE_TIMEOUT_MS over all files.
+// ===================================================================
+
+import { Worker } from "worker_threads";
+import yaml from "js-yaml";
+
+export const SECURITY_CONFIG_PATH = ".docnine/security.yml";
+
+const SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+const RULE_ID = /^[A-Za-z][\w-]{1,31}$/;
+const TOP_LEVEL_KEYS = new Set([
+  "version",
+  "disable",
+  "severity",
+  "rules",
+  "inlineSuppressions",
+]);
+
+const MAX_CONFIG_BYTES = 64 * 1024;
+const MAX_CUSTOM_RULES = 50;
+const MAX_REGEX_LENGTH = 500;
+
+// A quantified group that is itself quantified — (a+)+, (x*)* … —
+// backtracks exponentially. Rejected up front; other slow patterns,
+// e.g. (a|aa)+, are caught by the worker's time limit.
+const NESTED_QUANTIFIER = /\([^()]*[+*}][^()]*\)\s*[+*{]/;
+
+const CUSTOM_RULE_TIMEOUT_MS = 2000;
+const CUSTOM_RULE_MAX_BYTES = 256 * 1024;
+const CUSTOM_RULE_MAX_MATCHES = 1000;
+const WORKER_URL = new URL("./security-rules.worker.js", import.meta.url);
+
+// ─── Globs ────────────────────────────────────────────────────────
+
+/**
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let re = "";
+  const src = String(glob).replace(/^\.?\//, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === "*" && src[i + 1] === "*") {
+      // "**/" → zero or more directories; trailing "**" → anything
+      if (src[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function compilePaths(paths, where, errors) {
+  if (paths === undefined) return null;
+  const list = Array.isArray(paths) ? paths : [paths];
+  const compiled = [];
+  for (const p of list) {
+    if (typeof p !== "string" || !p.trim()) {
+      errors.push(`${where}.paths: every entry must be a glob string`);
+      continue;
+    }
+    compiled.push(globToRegExp(p.trim()));
+  }
+  return compiled.length ? compiled : null;
+}
+
+function matchesPaths(compiled, path) {
+  return !compiled || compiled.some((re) => re.test(path));
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────
+
+function parseSeverity(value, where, errors) {
+  const sev = String(value ?? "").toUpperCase();
+  if (SEVERITIES.includes(sev)) return sev;
+  errors.push(`${where}.severity must be one of ${SEVERITIES.join(", ")}`);
+  return null;
+}
+
+function parseCustomRule(raw, i, errors) {
+  const where = `rules[${i}]`;
+  if (!raw || typeof raw !== "object") {
+    errors.push(`${where}: must be a mapping`);
+    return null;
+  }
+  if (!RULE_ID.test(String(raw.id ?? ""))) {
+    errors.push(`${where}.id: letters, digits, "_" or "-", 2–32 characters`);
+    return null;
+  }
+  const id = String(raw.id);
+  if (typeof raw.title !== "string" || !raw.title.trim()) {
+    errors.push(`${where} (${id}): title is required`);
+    return null;
+  }
+  if (typeof raw.regex !== "string" || !raw.regex) {
+    errors.push(`${where} (${id}): regex is required`);
+    return null;
+  }
+  if (raw.regex.length > MAX_REGEX_LENGTH) {
+    errors.push(
+      `${where} (${id}): regex longer than ${MAX_REGEX_LENGTH} characters`,
+    );
+    return null;
+  }
+  if (NESTED_QUANTIFIER.test(raw.regex)) {
+    errors.push(
+      `${where} (${id}): nested quantifiers like (a+)+ are not allowed`,
+    );
+    return null;
+  }
+  const flags = String(raw.flags ?? "").replace(/g/g, "");
+  let regex;
+  try {
+    regex = new RegExp(raw.regex, flags + "g");
+  } catch (err) {
+    errors.push(`${where} (${id}): invalid regex — ${err.message}`);
+    return null;
+  }
+  const severity = parseSeverity(raw.severity, `${where} (${id})`, errors);
+  if (!severity) return null;
+
+  return {
+    id,
+    category: typeof raw.category === "string" ? raw.category : "custom",
+    severity,
+    title: raw.title.trim(),
+    regex,
+    advice:
+      typeof raw.advice === "string" && raw.advice.trim()
+        ? raw.advice.trim()
+        : "See the repository's security guidelines.",
+    cwe: typeof raw.cwe === "string" ? raw.cwe : undefined,
+    paths: compilePaths(raw.paths, `${where} (${id})`, errors),
+    custom: true,
+  };
+}
+
+/**
+ * Parse and validate the config file's text.
+ *
+ * @param {string} text
+ * @returns {{ config: object|null, errors: string[] }}
+ *   config — { disable: Set<string>, severity: [{ paths, rules, severity }],
+ *              rules: [compiled custom rule], inlineSuppressions: boolean }
+ */
+export function parseSecurityConfig(text) {
+  const errors = [];
+  if (Buffer.byteLength(text) > MAX_CONFIG_BYTES) {
+    return {
+      config: null,
+      errors: [`larger than ${MAX_CONFIG_BYTES / 1024} KB — ignored`],
+    };
+  }
+
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch (err) {
+    return {
+      config: null,
+      errors: [`invalid YAML — ${err.reason || err.message}`],
+    };
+  }
+  if (doc == null) return { config: null, errors };
+  if (typeof doc !== "object" || Array.isArray(doc)) {
+    return { config: null, errors: ["must be a YAML mapping — ignored"] };
+  }
+
+  for (const key of Object.keys(doc)) {
+    if (!TOP_LEVEL_KEYS.has(key)) errors.push(`unknown key "${key}"`);
+  }
+
+  const config = {
+    disable: new Set(),
+    severity: [],
+    rules: [],
+    inlineSuppressions: true,
+  };
+
+  // ── disable ───────────────────────────────────────────────────
+  if (doc.disable !== undefined) {
+    const list = Array.isArray(doc.disable) ? doc.disable : [doc.disable];
+    for (const id of list) {
+      if (typeof id === "string" && RULE_ID.test(id)) config.disable.add(id);
+      else errors.push(`disable: "${id}" is not a rule id`);
+    }
+  }
+
+  // ── severity overrides ────────────────────────────────────────
+  if (doc.severity !== undefined) {
+    if (!Array.isArray(doc.severity)) {
+      errors.push("severity: must be a list of overrides");
+    } else {
+      doc.severity.forEach((raw, i) => {
+        const where = `severity[${i}]`;
+        if (!raw || typeof raw !== "object") {
+          errors.push(`${where}: must be a mapping`);
+          return;
+        }
+        const paths = compilePaths(raw.paths, where, errors);
+        if (!paths) {
+          errors.push(`${where}: paths is required`);
+          return;
+        }
+        const severity = parseSeverity(raw.severity, where, errors);
+        if (!severity) return;
+        const rules =
+          raw.rules === undefined
+            ? null
+            : new Set([].concat(raw.rules).map(String));
+        config.severity.push({ paths, rules, severity });
+      });
+    }
+  }
+
+  // ── custom rules ──────────────────────────────────────────────
+  if (doc.rules !== undefined) {
+    if (!Array.isArray(doc.rules)) {
+      errors.push("rules: must be a list");
+    } else {
+      if (doc.rules.length > MAX_CUSTOM_RULES) {
+        errors.push(
+          `rules: only the first ${MAX_CUSTOM_RULES} custom rules are used`,
+        );
+      }
+      const seen = new Set();
+      doc.rules.slice(0, MAX_CUSTOM_RULES).forEach((raw, i) => {
+        const rule = parseCustomRule(raw, i, errors);
+        if (!rule) return;
+        if (seen.has(rule.id)) {
+          errors.push(`rules[${i}]: duplicate id ${rule.id}`);
+          return;
+        }
+        seen.add(rule.id);
+        config.rules.push(rule);
+      });
+    }
+  }
+
+  if (doc.inlineSuppressions !== undefined) {
+    if (typeof doc.inlineSuppressions === "boolean")
+      config.inlineSuppressions = doc.inlineSuppressions;
+    else errors.push("inlineSuppressions: must be true or false");
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Read and parse the config from the scanned repo. Uses the fetched
+ * file when the run already has it, otherwise asks the source.
+ *
+ * @param {object} source — repo client (sources/index.js openRepo)
+ * @param {{ ref?: string, signal?: AbortSignal, files?: object[] }} [opts]
+ * @returns {Promise<{ config: object|null, errors: string[] }>}
+ *   config is null when the repo has no (usable) config file
+ */
+export async function loadSecurityConfig(source, { ref, signal, files } = {}) {
+  let text = files?.find((f) => f.path === SECURITY_CONFIG_PATH)?.content;
+
+  if (text === undefined) {
+    try {
+      text = await source.getFileContent(SECURITY_CONFIG_PATH, {
+        ref,
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      if (err.response?.status === 404) return { config: null, errors: [] };
+      return {
+        config: null,
+        errors: [`could not be read — ${err.message}`],
+      };
+    }
+  }
+
+  if (!text?.trim()) return { config: null, errors: [] };
+  return parseSecurityConfig(text);
+}
+
+// ─── Applying ─────────────────────────────────────────────────────
+
+/**
+ * Inline `docnine-ignore` comments of one file.
+ *
+ * @param {string} content
+ * @returns {{ suppresses(ruleId: string, index: number): boolean } | null}
+ *   null when the file has none
+ */
+export function inlineSuppressions(content) {
+  if (!content.includes("docnine-ignore")) return null;
+
+  const lines = content.split("\n");
+  const byLine = new Map(); // 1-based line → Set of ids, or null = all
+  lines.forEach((line, i) => {
+    const m = line.match(/docnine-ignore\b([\w\s,-]*)/);
+    if (!m) return;
+    const ids = m[1]
+      .split(/[\s,]+/)
+      .filter((t) => RULE_ID.test(t) && /\d/.test(t));
+    byLine.set(i + 1, ids.length ? new Set(ids) : null);
+  });
+
+  // Start offset of each line, for index → line lookups
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") starts.push(i + 1);
+  }
+  const lineOf = (index) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= index) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+
+  const covers = (lineNo, ruleId) => {
+    if (!byLine.has(lineNo)) return false;
+    const ids = byLine.get(lineNo);
+    return ids === null || ids.has(ruleId);
+  };
+
+  return {
+    suppresses(ruleId, index) {
+      const line = lineOf(index);
+      return covers(line, ruleId) || covers(line - 1, ruleId);
+    },
+  };
+}
+
+/**
+ * Match custom rules against files in a worker thread. A rule that
+ * overruns CUSTOM_RULE_TIMEOUT_MS (or crashes the worker) is skipped —
+ * the worker is terminated and a fresh one takes the remaining rules.
+ *
+ * @param {Array<{ path, content }>} files
+ * @param {object[]} rules  compiled custom rules
+ * @returns {Promise<{ matches: Map<string, Map<string, Array<{ index, length, text }>>>,
+ *                     skipped: string[] }>}
+ *   matches — rule id → path → matches, in order (at most
+ *   CUSTOM_RULE_MAX_MATCHES per file)
+ */
+export async function runCustomRules(files, rules) {
+  const matches = new Map();
+  const skipped = [];
+  if (!rules.length || !files.length) return { matches, skipped };
+
+  const workerData = {
+    files: files.map((f) => ({
+      path: f.path,
+      content: f.content.slice(0, CUSTOM_RULE_MAX_BYTES),
+    })),
+    maxMatches: CUSTOM_RULE_MAX_MATCHES,
+  };
+  let worker = null;
+
+  const runRule = (rule, fileIndexes) =>
+    new Promise((resolve) => {
+      worker ??= new Worker(WORKER_URL, { workerData });
+      const current = worker;
+      const done = (found) => {
+        clearTimeout(timer);
+        current.off("message", onMessage);
+        current.off("error", onFailure);
+        if (!found) {
+          worker = null;
+          current.terminate();
+        }
+        resolve(found);
+      };
+      const onMessage = (msg) => done(msg.matches);
+      const onFailure = () => done(null);
+      const timer = setTimeout(onFailure, CUSTOM_RULE_TIMEOUT_MS);
+      current.on("message", onMessage);
+      current.on("error", onFailure);
+      current.postMessage({
+        id: rule.id,
+        source: rule.regex.source,
+        flags: rule.regex.flags,
+        fileIndexes,
+      });
+    });
+
+  try {
+    for (const rule of rules) {
+      const fileIndexes = [];
+      workerData.files.forEach((f, i) => {
+        if (ruleAppliesTo(rule, f.path)) fileIndexes.push(i);
+      });
+      if (!fileIndexes.length) continue;
+
+      const found = await runRule(rule, fileIndexes);
+      if (!found) {
+        skipped.push(rule.id);
+        continue;
+      }
+      matches.set(
+        rule.id,
+        new Map(found.map(([i, list]) => [workerData.files[i].path, list])),
+      );
+    }
+  } finally {
+    await worker?.terminate();
+  }
+  return { matches, skipped };
+}
+
+/**
+ * Whether a rule (built-in or custom) scans the given file.
+ */
+export function ruleAppliesTo(rule, path) {
+  return matchesPaths(rule.paths, path);
+}
+
+/**
+ * Apply severity overrides in place. First matching override wins.
+ *
+ * @param {object[]} findings
+ * @param {object|null} config
+ * @returns {object[]} the same findings
+ */
+export function applySeverityOverrides(findings, config) {
+  if (!config?.severity?.length) return findings;
+  for (const f of findings) {
+    const override = config.severity.find(
+      (o) =>
+        (!o.rules || o.rules.has(f.id)) && matchesPaths(o.paths, f.file || ""),
+    );
+    if (override && override.severity !== f.severity) {
+      f.originalSeverity = f.originalSeverity || f.severity;
+      f.severity = override.severity;
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,302 @@
+// ===================================================================
+// Security findings — fingerprints, triage and scoring
+// ===================================================================
+//
+// Findings are re-reported on every run, so user triage is keyed by a
+// fingerprint that stays stable across runs: the rule (static rule id,
+// or the normalised title for AI findings, whose ids are per-run),
+// the file and the normalised detected snippet.
+//
+// Triage states (Project.securityTriage):
+//   open            — counts towards the score (the default)
+//   false_positive  — not a real issue; excluded from the score
+//   accepted_risk   — known and accepted until expiresAt; excluded
+//                     from the score until then
+//   fixed           — claimed fixed; excluded until a run after the
+//                     decision reports it again, then counts and is
+//                     flagged `regressed`
+//
+// Code locations: findings carry `location` — { path, startLine,
+// endLine, startColumn, endColumn }, 1-based, endColumn one past the
+// last character as in SARIF — and a `permalink` to those lines at the
+// documented commit, on hosts that have a web UI for it.
+//
+// Secrets: applyTriage() redacts every credential the secret scanner
+// recognises from a finding's quoted line and prose before it is
+// fingerprinted, so AI findings and findings stored by older runs are
+// as safe to show as the scanner's own.
+//
+// Used by the Security Auditor (full runs), the incremental sync and
+// the triage routes, so every path scores the same findings the same
+// way.
+// ===================================================================
+
+import { createHash } from "crypto";
+import { redactSecrets } from "./secret-scanner.service.js";
+
+export const TRIAGE_STATES = [
+  "open",
+  "false_positive",
+  "accepted_risk",
+  "fixed",
+];
+
+const SEVERITY_ORDER = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+
+// Free-text fields that can quote code — and so a credential
+const REDACTED_FIELDS = ["line", "description", "impact", "advice"];
+
+/** Collapse whitespace and trailing punctuation so reformatting keeps the key. */
+function normaliseSnippet(line) {
+  return String(line || "")
+    .replace(/\s+/g, " ")
+    .replace(/[;,\s]+$/, "")
+    .trim();
+}
+
+function ruleKey(finding) {
+  if (finding.source === "llm")
+    return `llm:${String(finding.title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "")}`;
+  return String(finding.id || "");
+}
+
+/**
+ * Stable fingerprint of a finding (16 hex chars).
+ * @param {{ id, source?, title?, file, line? }} finding
+ */
+export function findingFingerprint(finding) {
+  const key = [
+    ruleKey(finding),
+    finding.file || "",
+    normaliseSnippet(finding.line),
+  ].join("\n");
+  return createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * The state a triage entry puts its finding in right now — an
+ * accepted risk past its expiry is open again.
+ */
+export function effectiveTriageState(entry, now = new Date()) {
+  if (!entry?.state) return "open";
+  if (
+    entry.state === "accepted_risk" &&
+    entry.expiresAt &&
+    new Date(entry.expiresAt) <= now
+  )
+    return "open";
+  return entry.state;
+}
+
+/**
+ * Annotate findings with their fingerprint and triage state, and split
+ * them into the ones that count (`active`) and the ones triage
+ * suppresses.
+ *
+ * @param {object[]} findings
+ * @param {{ fingerprint, state, expiresAt?, updatedAt? }[]} [triage]
+ * @param {{ now?: Date, reportedAt?: Date|null }} [opts]
+ *   reportedAt — when a run produced these findings; stamped on each
+ *                one. Pass null when re-scoring stored findings, so
+ *                their own stamp decides whether a "fixed" regressed.
+ * @returns {{ findings: object[], active: object[], suppressed: object[] }}
+ */
+export function applyTriage(
+  findings,
+  triage = [],
+  { now = new Date(), reportedAt = now } = {},
+) {
+  const byFingerprint = new Map(
+    (triage || []).map((entry) => [entry.fingerprint, entry]),
+  );
+  const annotated = [];
+  const active = [];
+  const suppressed = [];
+
+  for (const raw of findings || []) {
+    const finding = raw?.toObject?.() ?? { ...raw };
+    for (const field of REDACTED_FIELDS) {
+      if (finding[field]) finding[field] = redactSecrets(finding[field]);
+    }
+    finding.fingerprint = finding.fingerprint || findingFingerprint(finding);
+
+    if (reportedAt) finding.reportedAt = reportedAt;
+
+    const entry = byFingerprint.get(finding.fingerprint);
+    const state = effectiveTriageState(entry, now);
+    const regressed =
+      state === "fixed" &&
+      Boolean(finding.reportedAt) &&
+      new Date(finding.reportedAt) > new Date(entry.updatedAt);
+    finding.triage = regressed ? "open" : state;
+    finding.regressed = regressed || undefined;
+
+    annotated.push(finding);
+    if (finding.triage === "open") active.push(finding);
+    else suppressed.push(finding);
+  }
+
+  return { findings: annotated, active, suppressed };
+}
+
+/**
+ * Score and grade from the findings that count, with the Security
+ * Auditor's diminishing-deductions formula.
+ */
+export function scoreFindings(findings) {
+  const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+  for (const f of findings || []) {
+    counts[f.severity] = (counts[f.severity] ?? 0) + 1;
+  }
+
+  const criticalDeduct =
+    Math.min(counts.CRITICAL, 3) * 25 + Math.max(0, counts.CRITICAL - 3) * 10;
+  const highDeduct =
+    Math.min(counts.HIGH, 5) * 15 + Math.max(0, counts.HIGH - 5) * 5;
+  const mediumDeduct =
+    Math.min(counts.MEDIUM, 8) * 7 + Math.max(0, counts.MEDIUM - 8) * 2;
+  const lowDeduct = counts.LOW * 2;
+
+  const score = Math.max(
+    0,
+    Math.min(
+      100,
+      100 - (criticalDeduct + highDeduct + mediumDeduct + lowDeduct),
+    ),
+  );
+  const grade =
+    score >= 90
+      ? "A"
+      : score >= 80
+        ? "B"
+        : score >= 65
+          ? "C"
+          : score >= 45
+            ? "D"
+            : "F";
+
+  return { score, grade, counts };
+}
+
+/**
+ * Markdown section listing triaged findings, for the security report.
+ * Empty string when nothing is suppressed.
+ */
+export function triagedFindingsMarkdown(suppressed) {
+  if (!suppressed?.length) return "";
+
+  const label = {
+    false_positive: "False positive",
+    accepted_risk: "Accepted risk",
+    fixed: "Fixed",
+  };
+  const sorted = [...suppressed].sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity),
+  );
+
+  let md = `## Triaged Findings (${suppressed.length})\n\n`;
+  md += `Excluded from the score.\n\n`;
+  md += `| Severity | Finding | File | Triage |\n|----------|---------|------|--------|\n`;
+  for (const f of sorted) {
+    md += `| ${f.severity} | [${f.id}] ${f.title} | ${findingLocationMarkdown(f)} | ${label[f.triage] || f.triage} |\n`;
+  }
+  return md + "\n";
+}
+
+// ── Code locations ────────────────────────────────────────────
+
+/**
+ * Location of content[start, end) in a file.
+ * @returns {{ path, startLine, endLine, startColumn, endColumn }}
+ */
+export function locationAt(content, path, start, end = start) {
+  const pointAt = (index) => {
+    const before = content.slice(0, index);
+    const lineStart = before.lastIndexOf("\n") + 1;
+    return {
+      line: before.split("\n").length,
+      column: index - lineStart + 1,
+    };
+  };
+  // A match ending in a newline ends on the line it terminates
+  const last = end > start && content[end - 1] === "\n" ? end - 1 : end;
+  const from = pointAt(start);
+  const to = pointAt(last);
+  return {
+    path,
+    startLine: from.line,
+    endLine: to.line,
+    startColumn: from.column,
+    endColumn: to.column,
+  };
+}
+
+/**
+ * Find a quoted snippet in a file — verbatim first, then ignoring
+ * whitespace differences (re-indented or re-wrapped quotes) and a
+ * trailing "…" from truncation.
+ *
+ * @returns {object|null} location, as locationAt()
+ */
+export function locateSnippet(content, path, snippet) {
+  const quoted = String(snippet || "")
+    .trim()
+    .replace(/(\.\.\.|…)$/, "")
+    .trim();
+  if (!content || quoted.length < 3) return null;
+
+  const exact = content.indexOf(quoted);
+  if (exact !== -1)
+    return locationAt(content, path, exact, exact + quoted.length);
+
+  // Collapse whitespace runs in the file, remembering where each
+  // character came from
+  let flat = "";
+  const origin = [];
+  for (let i = 0; i < content.length; i++) {
+    if (/\s/.test(content[i])) {
+      if (flat.endsWith(" ")) continue;
+      flat += " ";
+    } else {
+      flat += content[i];
+    }
+    origin.push(i);
+  }
+  const needle = quoted.replace(/\s+/g, " ");
+  const at = flat.indexOf(needle);
+  if (at === -1) return null;
+  return locationAt(
+    content,
+    path,
+    origin[at],
+    origin[at + needle.length - 1] + 1,
+  );
+}
+
+/**
+ * Set `permalink` on every finding that has a file.
+ *
+ * @param {object[]} findings
+ * @param {(path, location?) => string|null} linkFor — a repo client's
+ *   permalink() bound to the documented commit
+ * @returns {object[]} new finding objects
+ */
+export function withPermalinks(findings, linkFor) {
+  if (!linkFor) return findings;
+  return findings.map((f) => {
+    const permalink = f.file
+      ? linkFor(f.file, f.location?.path === f.file ? f.location : null)
+      : null;
+    return permalink ? { ...(f?.toObject?.() ?? f), permalink } : f;
+  });
+}
+
+/** "`path:line`" for a report, linked when the finding has a permalink. */
+export function findingLocationMarkdown(finding) {
+  const line = finding.location?.startLine ?? finding.line_number;
+  const label = `\`${finding.file}${line ? `:${line}` : ""}\``;
+  return finding.permalink ? `[${label}](${finding.permalink})` : label;
+}
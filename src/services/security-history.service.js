@@ -0,0 +1,177 @@
+// ===================================================================
+// Security history — score trend and regression alerts
+// ===================================================================
+//
+// Every full run and sync of a project records a SecuritySnapshot of
+// the score it ended with. Each snapshot is compared with the one
+// before it; a run has regressed when
+//
+//   • the grade dropped (B → C), or
+//   • an open CRITICAL finding appeared that the previous run did not
+//     have (by fingerprint, so a moved line is not "new").
+//
+// Regressions from webhook-triggered syncs are emailed to the project
+// owner — a push made the repository less secure. Runs started by
+// hand are recorded but not emailed; the user is already looking.
+//
+// Projects documented before history existed have no snapshot yet;
+// their first run is compared with the stored project.security.
+// ===================================================================
+
+import { SecuritySnapshot } from "../models/SecuritySnapshot.js";
+import { User } from "../models/User.js";
+import { findingFingerprint } from "./security-findings.service.js";
+import { sendSecurityRegressionEmail } from "../config/email.js";
+
+const GRADES = ["A", "B", "C", "D", "F"];
+const MAX_ALERT_FINDINGS = 5; // new criticals listed in one email
+
+/** Fingerprints of the findings that are CRITICAL and still open. */
+export function openCriticalFingerprints(findings) {
+  return [
+    ...new Set(
+      (findings || [])
+        .filter(
+          (f) =>
+            f.severity === "CRITICAL" && (!f.triage || f.triage === "open"),
+        )
+        .map((f) => f.fingerprint || findingFingerprint(f)),
+    ),
+  ];
+}
+
+/**
+ * What got worse between two runs, or null when nothing did.
+ * Either side is { grade, critical: [fingerprint] }; with no
+ * previous run there is nothing to regress from.
+ *
+ * @returns {{ previousGrade, grade, gradeDropped, newCritical } | null}
+ */
+export function compareSnapshots(previous, current) {
+  if (!previous?.grade) return null;
+
+  const gradeDropped =
+    GRADES.indexOf(current.grade) > GRADES.indexOf(previous.grade);
+  const before = new Set(previous.critical || []);
+  const newCritical = (current.critical || []).filter((fp) => !before.has(fp));
+
+  if (!gradeDropped && !newCritical.length) return null;
+  return {
+    previousGrade: previous.grade,
+    grade: current.grade,
+    gradeDropped,
+    newCritical,
+  };
+}
+
+/**
+ * Record a finished run's security result and alert on regressions.
+ *
+ * @param {object} opts
+ * @param {object} opts.project    the project as loaded before the run
+ * @param {object} opts.security   the run's { score, grade, counts, suppressed }
+ * @param {object[]} opts.findings every finding of the run, triaged
+ * @param {"full"|"sync"|"webhook"} opts.trigger
+ * @returns {{ snapshot, regression } | null} null when the run has no score
+ */
+export async function recordSecurityRun({
+  project,
+  security,
+  findings,
+  commitSha,
+  ref,
+  trigger,
+  isFullRun = false,
+}) {
+  if (security?.score == null || !security.grade) return null;
+
+  const previous =
+    (await SecuritySnapshot.findOne({ projectId: project._id })
+      .sort({ createdAt: -1 })
+      .lean()) ?? legacyBaseline(project.security);
+
+  const fields = {
+    projectId: project._id,
+    score: security.score,
+    grade: security.grade,
+    counts: security.counts,
+    suppressed: security.suppressed ?? 0,
+    critical: openCriticalFingerprints(findings),
+    trigger,
+    isFullRun,
+    commitSha,
+    ref,
+  };
+  const regression = compareSnapshots(previous, fields);
+  const snapshot = await SecuritySnapshot.record({
+    ...fields,
+    regression: regression && {
+      previousGrade: regression.previousGrade,
+      gradeDropped: regression.gradeDropped,
+      newCritical: regression.newCritical.length,
+    },
+  });
+
+  if (regression && trigger === "webhook") {
+    await notifyRegression({ project, snapshot, regression, findings });
+  }
+  return { snapshot, regression };
+}
+
+/** Stored project.security in snapshot shape, or null if never scored. */
+function legacyBaseline(security) {
+  if (!security?.grade) return null;
+  return {
+    grade: security.grade,
+    critical: openCriticalFingerprints(security.findings),
+  };
+}
+
+async function notifyRegression({ project, snapshot, regression, findings }) {
+  const owner = await User.findById(project.userId).select("name email");
+  if (!owner?.email) return;
+
+  const byFingerprint = new Map(
+    (findings || []).map((f) => [f.fingerprint || findingFingerprint(f), f]),
+  );
+  const newCritical = regression.newCritical
+    .map((fp) => byFingerprint.get(fp))
+    .filter(Boolean);
+
+  await sendSecurityRegressionEmail({
+    to: owner.email,
+    name: owner.name,
+    projectId: project._id.toString(),
+    projectName: `${project.repoOwner}/${project.repoName}`,
+    score: snapshot.score,
+    previousGrade: regression.gradeDropped ? regression.previousGrade : null,
+    grade: snapshot.grade,
+    commitSha: snapshot.commitSha,
+    newCritical: newCritical.slice(0, MAX_ALERT_FINDINGS).map((f) => ({
+      title: f.title,
+      file: f.file,
+      line: f.location?.startLine ?? f.line_number ?? null,
+      permalink: f.permalink || null,
+    })),
+    moreCritical: Math.max(0, newCritical.length - MAX_ALERT_FINDINGS),
+  });
+}
+
+/**
+ * A project's snapshots, newest first.
+ * @param {object} [opts]
+ * @param {number} [opts.limit=100]
+ * @param {Date}   [opts.since]  only snapshots recorded after this
+ */
+export async function listSecurityHistory(
+  projectId,
+  { limit = 100, since } = {},
+) {
+  const query = { projectId };
+  if (since) query.createdAt = { $gt: since };
+  return SecuritySnapshot.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("-critical -projectId")
+    .lean();
+}
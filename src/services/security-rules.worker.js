@@ -0,0 +1,34 @@
+// ===================================================================
+// Worker for custom security rules (security-config.service.js).
+//
+// Repo-supplied regexes can backtrack for seconds, so they run here,
+// off the API's event loop; the parent terminates the worker when a
+// rule overruns its time limit.
+//
+// workerData: { files: [{ path, content }], maxMatches }
+// message in:  { id, source, flags, fileIndexes: number[] }
+// message out: { id, matches: [[fileIndex, [{ index, length, text }]]] }
+// ===================================================================
+
+import { parentPort, workerData } from "worker_threads";
+
+const { files, maxMatches } = workerData;
+
+parentPort.on("message", ({ id, source, flags, fileIndexes }) => {
+  const re = new RegExp(source, flags);
+  const matches = [];
+  for (const i of fileIndexes) {
+    re.lastIndex = 0;
+    const found = [];
+    for (const m of files[i].content.matchAll(re)) {
+      found.push({
+        index: m.index,
+        length: m[0].length,
+        text: m[0].slice(0, 200),
+      });
+      if (found.length >= maxMatches) break;
+    }
+    if (found.length) matches.push([i, found]);
+  }
+  parentPort.postMessage({ id, matches });
+});
@@ -0,0 +1,258 @@
+// ===================================================================
+// Bitbucket source — Bitbucket Cloud (API 2.0).
+//
+// The Bitbucket API exposes no git blob SHAs, so this is a snapshot
+// source: the commit archive is downloaded once and blob SHAs are
+// computed from the contents (identical to what git would report).
+// Self-hosted Bitbucket Server / Data Center repos can be added with
+// the generic "git" source.
+//
+// Env (read at call time):
+//   BITBUCKET_USERNAME + BITBUCKET_APP_PASSWORD   server-side basic auth
+//   BITBUCKET_TOKEN                               or a repository /
+//                                                 workspace access token
+//   BITBUCKET_CLIENT_ID / BITBUCKET_CLIENT_SECRET / BITBUCKET_REDIRECT_URI
+//                                                 OAuth consumer for the
+//                                                 repo picker
+//
+// Webhooks: X-Hub-Signature HMAC (set a secret on the webhook).
+// repo:push payloads list no files — the sync diffs by tree SHA.
+// ===================================================================
+
+import axios from "axios";
+import { gitBlobSha } from "../llm-cache.service.js";
+import {
+  readArchive,
+  isIngested,
+  ingestLimits,
+  contentSelector,
+  encodeRepoPath,
+} from "./repo-client.js";
+import { verifyHmacSha256 } from "./github.source.js";
+
+const HOST = "bitbucket.org";
+const API = "https://api.bitbucket.org/2.0";
+const AUTH_BASE = "https://bitbucket.org/site/oauth2";
+
+function serverHeaders() {
+  if (process.env.BITBUCKET_TOKEN)
+    return { Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` };
+  if (process.env.BITBUCKET_USERNAME && process.env.BITBUCKET_APP_PASSWORD) {
+    const basic = Buffer.from(
+      `${process.env.BITBUCKET_USERNAME}:${process.env.BITBUCKET_APP_PASSWORD}`,
+    ).toString("base64");
+    return { Authorization: `Basic ${basic}` };
+  }
+  return {};
+}
+
+const repoPath = ({ owner, repo }) =>
+  `${API}/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+function mapRepo(r) {
+  return {
+    id: r.uuid,
+    name: r.name,
+    fullName: r.full_name,
+    description: r.description || null,
+    url: r.links?.html?.href,
+    cloneUrl: r.links?.clone?.find((l) => l.name === "https")?.href,
+    language: r.language || null,
+    stars: null,
+    forks: null,
+    isPrivate: r.is_private,
+    isArchived: false,
+    defaultBranch: r.mainbranch?.name,
+    updatedAt: r.updated_on,
+  };
+}
+
+export default {
+  name: "bitbucket",
+  label: "Bitbucket",
+
+  matchHost: (host) => host === HOST || host === `www.${HOST}`,
+  repoUrl: ({ owner, repo }) => `https://${HOST}/${owner}/${repo}`,
+  defaultHost: HOST,
+
+  async getRepoMeta(repo, { signal } = {}) {
+    const { data } = await axios.get(repoPath(repo), {
+      headers: serverHeaders(),
+      signal,
+    });
+    return {
+      name: data.name,
+      description: data.description,
+      language: data.language || null,
+      stars: null,
+      defaultBranch: data.mainbranch?.name || "main",
+      topics: [],
+      createdAt: data.created_on,
+      updatedAt: data.updated_on,
+    };
+  },
+
+  async getCommitSha(repo, ref) {
+    const { data } = await axios.get(
+      `${repoPath(repo)}/commit/${encodeURIComponent(ref)}`,
+      { headers: serverHeaders() },
+    );
+    return data.hash;
+  },
+
+  async readSnapshot(repo, ref, { signal } = {}) {
+    const commitSha = /^[0-9a-f]{40}$/i.test(ref)
+      ? ref
+      : await this.getCommitSha(repo, ref);
+    const limits = ingestLimits();
+    const keep = contentSelector(limits);
+    const tree = [];
+    const contents = new Map();
+
+    await readArchive(
+      {
+        url: `https://${HOST}/${repo.owner}/${repo.repo}/get/${commitSha}.tar.gz`,
+        headers: serverHeaders(),
+      },
+      {
+        want: (path, size) => isIngested({ path, size }, limits),
+        // Every file is hashed for the tree; only the ones a run reads
+        // stay in memory
+        onFile: (path, content) => {
+          const entry = {
+            path,
+            sha: gitBlobSha(content),
+            size: content.length,
+          };
+          tree.push(entry);
+          if (keep(entry)) contents.set(path, content.toString("utf-8"));
+        },
+        signal,
+      },
+    );
+    return { commitSha, tree, contents };
+  },
+
+  blobUrl({ owner, repo }, sha, path, lines) {
+    const url = `https://${HOST}/${owner}/${repo}/src/${sha}/${encodeRepoPath(path)}`;
+    if (!lines?.startLine) return url;
+    return `${url}#lines-${lines.startLine}${lines.endLine > lines.startLine ? `:${lines.endLine}` : ""}`;
+  },
+
+  // ── OAuth (repo picker) ─────────────────────────────────────
+  oauth: {
+    config() {
+      const clientId = process.env.BITBUCKET_CLIENT_ID;
+      const clientSecret = process.env.BITBUCKET_CLIENT_SECRET;
+      if (!clientId || !clientSecret) return null;
+      return {
+        clientId,
+        clientSecret,
+        redirectUri: process.env.BITBUCKET_REDIRECT_URI,
+      };
+    },
+
+    // Bitbucket takes the callback URL from the consumer settings
+    authorizeUrl({ clientId }, state) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        response_type: "code",
+        state,
+      });
+      return `${AUTH_BASE}/authorize?${params}`;
+    },
+
+    async exchangeCode({ clientId, clientSecret }, code) {
+      const { data } = await axios.post(
+        `${AUTH_BASE}/access_token`,
+        new URLSearchParams({ grant_type: "authorization_code", code }),
+        { auth: { username: clientId, password: clientSecret } },
+      );
+      return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || null,
+        expiresIn: data.expires_in || null,
+        scopes: (data.scopes || "").split(" ").filter(Boolean),
+      };
+    },
+
+    async refresh({ clientId, clientSecret }, refreshToken) {
+      const { data } = await axios.post(
+        `${AUTH_BASE}/access_token`,
+        new URLSearchParams({
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+        }),
+        { auth: { username: clientId, password: clientSecret } },
+      );
+      return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || refreshToken,
+        expiresIn: data.expires_in || null,
+      };
+    },
+
+    async fetchAccount(token) {
+      const { data } = await axios.get(`${API}/user`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return {
+        id: data.uuid,
+        username: data.username || data.nickname,
+        email: null,
+      };
+    },
+
+    async listRepos(token, { page = 1, perPage = 30 } = {}) {
+      const { data } = await axios.get(`${API}/repositories`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { role: "member", sort: "-updated_on", pagelen: perPage, page },
+      });
+      return {
+        repos: (data.values || []).map(mapRepo),
+        hasNextPage: Boolean(data.next),
+      };
+    },
+  },
+
+  // ── Webhooks ────────────────────────────────────────────────
+  webhook: {
+    verify: (rawPayload, headers, secret) =>
+      verifyHmacSha256(rawPayload, headers["x-hub-signature"], secret),
+
+    parse(payload, headers) {
+      if (headers["x-event-key"] !== "repo:push")
+        return { event: "other", payload };
+
+      const repository = payload.repository || {};
+      const change = payload.push?.changes?.[0] || {};
+      const target = change.new || change.old;
+      const ref =
+        target?.type === "tag"
+          ? `refs/tags/${target.name}`
+          : target?.type === "branch"
+            ? `refs/heads/${target.name}`
+            : null;
+
+      return {
+        event: "push",
+        payload: {
+          ref,
+          before: change.old?.target?.hash,
+          after: change.new
+            ? change.new.target?.hash
+            : "0000000000000000000000000000000000000000",
+          pusher: { name: payload.actor?.nickname || payload.actor?.display_name },
+          repository: {
+            html_url: repository.links?.html?.href,
+            full_name: repository.full_name,
+            default_branch: repository.mainbranch?.name || null,
+          },
+          // File lists are not part of the payload
+          commits: (change.commits || []).map((c) => ({ id: c.hash })),
+          filesListed: false,
+        },
+      };
+    },
+  },
+};
@@ -0,0 +1,253 @@
+// ===================================================================
+// Generic git source — any git-over-HTTPS remote (Gitea, Forgejo,
+// cgit, Bitbucket Server, self-hosted GitLab without API access …).
+//
+// Uses the git CLI, so the binary must be on PATH. A snapshot is one
+// shallow fetch of the ref into a temp bare repo: `ls-tree` gives the
+// blob SHAs, `cat-file --batch` the contents of the files a run reads
+// (see contentSelector); the repo is removed right after. Pinned
+// commit SHAs need a server that allows fetching by SHA (GitHub,
+// GitLab, Gitea and git ≥ 2.5 with the default uploadpack settings
+// for reachable commits do).
+//
+// Repo URLs: git+https://host/path/repo(.git) selects this source
+// explicitly; an https URL ending in .git on a host no other source
+// claims falls through to it. Either way the host must be listed in
+// GIT_HOSTS — the server clones whatever it is pointed at, so only
+// hosts the operator chose are reachable, and never one that resolves
+// to a loopback, private or link-local address.
+//
+// Env (read at call time):
+//   GIT_HOSTS         allowed hostnames, comma-separated; the source is
+//                     disabled while empty
+//   GIT_HTTPS_TOKEN   sent as "Authorization: Bearer …", only to
+//                     GIT_HOSTS and never across a redirect
+//   GIT_TIMEOUT_MS    per git command, default 120000
+//
+// Webhooks: GitHub-compatible push payloads (Gitea / Forgejo / Gogs)
+// signed with X-Hub-Signature-256, X-Gitea-Signature or
+// X-Gogs-Signature.
+// ===================================================================
+
+import { execFile, spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  isIngested,
+  ingestLimits,
+  contentSelector,
+} from "./repo-client.js";
+import { verifyHmacSha256 } from "./github.source.js";
+import { resolvesToPrivateHost } from "../../utils/url-guard.util.js";
+
+function allowedHosts() {
+  return (process.env.GIT_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const allowsHost = (host) => allowedHosts().includes(host.toLowerCase());
+
+function hostError(message) {
+  const err = new Error(message);
+  err.code = "GIT_HOST_NOT_ALLOWED";
+  err.status = 400;
+  return err;
+}
+
+// Checked before every remote command — a stored project may outlive
+// its host's place in GIT_HOSTS, and DNS may have changed since
+async function assertRemoteAllowed({ host }) {
+  if (!allowsHost(host))
+    throw hostError(`Git host "${host}" is not in GIT_HOSTS.`);
+  if (await resolvesToPrivateHost(host))
+    throw hostError(`Git host "${host}" resolves to a private address.`);
+}
+
+// The token is scoped to the remote's origin, and redirects (which
+// could carry it to another host) are refused
+function gitArgs(args, remote) {
+  const token = process.env.GIT_HTTPS_TOKEN;
+  return [
+    "-c",
+    "http.followRedirects=false",
+    ...(token && remote
+      ? [
+          "-c",
+          `http.https://${remote.host}/.extraHeader=Authorization: Bearer ${token}`,
+        ]
+      : []),
+    ...args,
+  ];
+}
+
+function git(args, { cwd, signal, remote } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      gitArgs(args, remote),
+      {
+        cwd,
+        signal,
+        timeout: parseInt(process.env.GIT_TIMEOUT_MS || "120000", 10),
+        maxBuffer: 64 * 1024 * 1024,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+      },
+      (err, stdout, stderr) => {
+        if (err) {
+          err.message = `git ${args[0]} failed: ${(stderr || err.message).trim()}`;
+          return reject(err);
+        }
+        resolve(stdout);
+      },
+    );
+  });
+}
+
+// Read many blobs through one `git cat-file --batch` process
+function readBlobs(cwd, shas, signal) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn("git", ["cat-file", "--batch"], { cwd, signal });
+    const chunks = [];
+    proc.stdout.on("data", (c) => chunks.push(c));
+    proc.on("error", reject);
+    proc.on("close", (code) => {
+      if (code !== 0) return reject(new Error(`git cat-file exited ${code}`));
+      const out = Buffer.concat(chunks);
+      const blobs = new Map();
+      let pos = 0;
+      while (pos < out.length) {
+        const nl = out.indexOf(0x0a, pos);
+        const [sha, type, size] = out.subarray(pos, nl).toString().split(" ");
+        pos = nl + 1;
+        if (type === "missing") continue;
+        const len = parseInt(size, 10);
+        blobs.set(sha, out.subarray(pos, pos + len));
+        pos += len + 1;
+      }
+      resolve(blobs);
+    });
+    proc.stdin.end(shas.join("\n") + "\n");
+  });
+}
+
+const remoteUrl = ({ host, owner, repo }) =>
+  `https://${host}/${owner}/${repo}.git`;
+
+export default {
+  name: "git",
+  label: "Git (HTTPS)",
+
+  // Fallback source — the registry only picks it for .git URLs or an
+  // explicit git+https:// scheme, and only on GIT_HOSTS
+  matchHost: () => false,
+  allowsHost,
+  isEnabled: () => allowedHosts().length > 0,
+  repoUrl: ({ host, owner, repo }) => `https://${host}/${owner}/${repo}.git`,
+  nestedOwners: true,
+
+  async getRepoMeta(repo, { signal } = {}) {
+    await assertRemoteAllowed(repo);
+    const out = await git(["ls-remote", "--symref", remoteUrl(repo), "HEAD"], {
+      signal,
+      remote: repo,
+    });
+    const head = out.match(/^ref: refs\/heads\/(\S+)\s+HEAD/m);
+    return {
+      name: repo.repo,
+      description: null,
+      language: null,
+      stars: null,
+      defaultBranch: head?.[1] || "main",
+      topics: [],
+      createdAt: null,
+      updatedAt: null,
+    };
+  },
+
+  // Branch first, then tag — annotated tags resolve to their commit
+  async getCommitSha(repo, ref) {
+    await assertRemoteAllowed(repo);
+    const out = await git(
+      [
+        "ls-remote",
+        remoteUrl(repo),
+        `refs/heads/${ref}`,
+        `refs/tags/${ref}`,
+        `refs/tags/${ref}^{}`,
+      ],
+      { remote: repo },
+    );
+    const refs = new Map(
+      out
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => line.split("\t").reverse()),
+    );
+    const sha =
+      refs.get(`refs/heads/${ref}`) ||
+      refs.get(`refs/tags/${ref}^{}`) ||
+      refs.get(`refs/tags/${ref}`);
+    if (!sha) throw new Error(`Ref "${ref}" not found on ${repo.repoUrl}`);
+    return sha;
+  },
+
+  async readSnapshot(repo, ref, { signal } = {}) {
+    await assertRemoteAllowed(repo);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "docnine-git-"));
+    try {
+      await git(["init", "--bare", "--quiet", dir]);
+      await git(
+        ["fetch", "--depth", "1", "--no-tags", "--quiet", remoteUrl(repo), ref],
+        { cwd: dir, signal, remote: repo },
+      );
+      const commitSha = (
+        await git(["rev-parse", "FETCH_HEAD^{commit}"], { cwd: dir })
+      ).trim();
+
+      // "<mode> blob <sha> <size>\t<path>"
+      const limits = ingestLimits();
+      const tree = [];
+      for (const line of (
+        await git(["ls-tree", "-r", "-l", commitSha], { cwd: dir })
+      ).split("\n")) {
+        const m = line.match(/^\d+ blob ([0-9a-f]+)\s+(\d+)\t(.+)$/);
+        if (!m) continue;
+        const entry = { path: m[3], sha: m[1], size: parseInt(m[2], 10) };
+        if (isIngested(entry, limits)) tree.push(entry);
+      }
+
+      // Only the files a run reads — a monorepo's blobs won't fit
+      const wanted = tree.filter(contentSelector(limits));
+      const blobs = await readBlobs(
+        dir,
+        wanted.map((f) => f.sha),
+        signal,
+      );
+      const contents = new Map(
+        wanted.map((f) => [f.path, blobs.get(f.sha)?.toString("utf-8") ?? ""]),
+      );
+      return { commitSha, tree, contents };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  },
+
+  webhook: {
+    verify(rawPayload, headers, secret) {
+      const signature =
+        headers["x-hub-signature-256"] ||
+        headers["x-gitea-signature"] ||
+        headers["x-gogs-signature"];
+      return verifyHmacSha256(rawPayload, signature, secret);
+    },
+
+    parse(payload) {
+      if (payload.ref && payload.commits !== undefined)
+        return { event: "push", payload };
+      return { event: "other", payload };
+    },
+  },
+};
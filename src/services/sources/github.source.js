@@ -0,0 +1,77 @@
+// ===================================================================
+// GitHub source — github.com via the REST API.
+//
+// Ingestion uses the server-side GITHUB_TOKEN (see github.service.js);
+// the user's OAuth connection lives in api/github and is only used to
+// list repositories in the picker.
+//
+// Webhooks: X-Hub-Signature-256 HMAC; push and ping events.
+// ===================================================================
+
+import crypto from "crypto";
+import * as gh from "../github.service.js";
+import { encodeRepoPath } from "./repo-client.js";
+
+const HOST = "github.com";
+
+/**
+ * HMAC-SHA256 check used by GitHub and GitHub-compatible senders.
+ * `signature` is "sha256=<hex>"; a bare hex digest is accepted too.
+ */
+export function verifyHmacSha256(rawPayload, signature, secret) {
+  if (!secret) return true;
+  if (!signature || typeof signature !== "string") return false;
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(rawPayload)
+    .digest("hex");
+  const expected = signature.startsWith("sha256=") ? `sha256=${digest}` : digest;
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+export default {
+  name: "github",
+  label: "GitHub",
+
+  matchHost: (host) => host === HOST || host === `www.${HOST}`,
+  repoUrl: ({ owner, repo }) => `https://${HOST}/${owner}/${repo}`,
+  defaultHost: HOST,
+
+  getRepoMeta: ({ owner, repo }, { signal } = {}) =>
+    gh.getRepoMeta(owner, repo, { signal }),
+
+  getCommitSha: ({ owner, repo }, ref) => gh.getCommitSha(owner, repo, ref),
+
+  getFileTree: ({ owner, repo }, ref, { signal } = {}) =>
+    gh.getFileTree(owner, repo, ref, { signal }),
+
+  getFileContent: ({ owner, repo }, path, { signal, ref } = {}) =>
+    gh.getFileContent(owner, repo, path, { signal, ref }),
+
+  archiveRequest: ({ owner, repo }, ref) => gh.tarballRequest(owner, repo, ref),
+
+  blobUrl({ owner, repo }, sha, path, lines) {
+    const url = `https://${HOST}/${owner}/${repo}/blob/${sha}/${encodeRepoPath(path)}`;
+    if (!lines?.startLine) return url;
+    return lines.endLine > lines.startLine
+      ? `${url}#L${lines.startLine}-L${lines.endLine}`
+      : `${url}#L${lines.startLine}`;
+  },
+
+  webhook: {
+    verify: (rawPayload, headers, secret) =>
+      verifyHmacSha256(rawPayload, headers["x-hub-signature-256"], secret),
+
+    parse(payload) {
+      if (payload.zen !== undefined) return { event: "ping", payload };
+      if (payload.ref && payload.commits !== undefined)
+        return { event: "push", payload };
+      return { event: "other", payload };
+    },
+  },
+};
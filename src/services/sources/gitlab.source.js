@@ -0,0 +1,292 @@
+// ===================================================================
+// GitLab source — gitlab.com and self-hosted instances (API v4).
+//
+// Env (read at call time):
+//   GITLAB_URL            default https://gitlab.com — self-hosted base
+//   GITLAB_HOSTS          extra hostnames served by that instance,
+//                         comma-separated (e.g. a vanity domain)
+//   GITLAB_TOKEN          server-side token used for ingestion
+//                         (PRIVATE-TOKEN, read_api + read_repository)
+//   GITLAB_CLIENT_ID / GITLAB_CLIENT_SECRET / GITLAB_REDIRECT_URI
+//                         OAuth application for the repo picker
+//
+// Only URLs on GITLAB_URL's host or GITLAB_HOSTS are accepted, forced
+// provider or not: every request goes to GITLAB_URL's API, so a repo
+// on another GitLab host would be read from the wrong instance.
+//
+// Webhooks: X-Gitlab-Token must equal the user's webhook secret.
+// "Push Hook" / "Tag Push Hook" payloads are mapped onto the GitHub
+// push shape.
+// ===================================================================
+
+import crypto from "crypto";
+import axios from "axios";
+import { ingestLimits, isLockfile, encodeRepoPath } from "./repo-client.js";
+
+function baseUrl() {
+  return (process.env.GITLAB_URL || "https://gitlab.com").replace(/\/+$/, "");
+}
+
+function apiUrl() {
+  return `${baseUrl()}/api/v4`;
+}
+
+function serverHeaders() {
+  return process.env.GITLAB_TOKEN
+    ? { "PRIVATE-TOKEN": process.env.GITLAB_TOKEN }
+    : {};
+}
+
+// Hostnames GITLAB_URL's instance answers for
+function servedHosts() {
+  return [
+    new URL(baseUrl()).hostname,
+    ...(process.env.GITLAB_HOSTS || "").split(","),
+  ]
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const servesHost = (host) => servedHosts().includes(host.toLowerCase());
+
+// Checked on every API call too — a stored project may outlive a
+// change of GITLAB_URL
+function projectPath({ host, owner, repo }) {
+  if (!servesHost(host)) {
+    const err = new Error(
+      `GitLab host "${host}" is not served by GITLAB_URL (${baseUrl()}).`,
+    );
+    err.code = "GITLAB_HOST_NOT_SERVED";
+    err.status = 400;
+    throw err;
+  }
+  return `${apiUrl()}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+}
+
+function timingSafeEqualString(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export default {
+  name: "gitlab",
+  label: "GitLab",
+
+  matchHost: servesHost,
+  allowsHost: servesHost,
+  repoUrl: ({ host, owner, repo }) => `https://${host}/${owner}/${repo}`,
+  get defaultHost() {
+    return new URL(baseUrl()).hostname;
+  },
+  // Sub-groups nest: group/sub/project
+  nestedOwners: true,
+
+  async getRepoMeta(repo, { signal } = {}) {
+    const { data } = await axios.get(projectPath(repo), {
+      headers: serverHeaders(),
+      signal,
+    });
+    return {
+      name: data.name,
+      description: data.description,
+      language: null,
+      stars: data.star_count,
+      defaultBranch: data.default_branch,
+      topics: data.topics || data.tag_list || [],
+      createdAt: data.created_at,
+      updatedAt: data.last_activity_at,
+    };
+  },
+
+  async getCommitSha(repo, ref) {
+    const { data } = await axios.get(
+      `${projectPath(repo)}/repository/commits/${encodeURIComponent(ref)}`,
+      { headers: serverHeaders() },
+    );
+    return data.id;
+  },
+
+  // Tree entries carry blob SHAs (id) but no sizes — size is enforced
+  // after download instead
+  async getFileTree(repo, ref, { signal } = {}) {
+    const tree = [];
+    let page = "1";
+    while (page) {
+      const res = await axios.get(`${projectPath(repo)}/repository/tree`, {
+        headers: serverHeaders(),
+        params: { ref, recursive: true, per_page: 100, page },
+        signal,
+      });
+      for (const item of res.data) {
+        if (item.type === "blob") tree.push({ path: item.path, sha: item.id });
+      }
+      page = res.headers["x-next-page"] || null;
+    }
+    return tree;
+  },
+
+  async getFileContent(repo, path, { signal, ref } = {}) {
+    try {
+      const { data } = await axios.get(
+        `${projectPath(repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+        {
+          headers: serverHeaders(),
+          params: { ref: ref || "HEAD" },
+          responseType: "text",
+          transformResponse: (d) => d,
+          signal,
+        },
+      );
+      const { maxKb, lockfileMaxKb } = ingestLimits();
+      const limitKb = isLockfile(path) ? lockfileMaxKb : maxKb;
+      return Buffer.byteLength(data) < limitKb * 1024 ? data : "";
+    } catch (err) {
+      if (err.response?.status === 404) return "";
+      throw err;
+    }
+  },
+
+  archiveRequest: (repo, ref) => ({
+    url: `${projectPath(repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`,
+    headers: serverHeaders(),
+  }),
+
+  blobUrl(repo, sha, path, lines) {
+    const url = `${this.repoUrl(repo)}/-/blob/${sha}/${encodeRepoPath(path)}`;
+    if (!lines?.startLine) return url;
+    return lines.endLine > lines.startLine
+      ? `${url}#L${lines.startLine}-${lines.endLine}`
+      : `${url}#L${lines.startLine}`;
+  },
+
+  // ── OAuth (repo picker) ─────────────────────────────────────
+  oauth: {
+    config() {
+      const clientId = process.env.GITLAB_CLIENT_ID;
+      const clientSecret = process.env.GITLAB_CLIENT_SECRET;
+      if (!clientId || !clientSecret) return null;
+      return {
+        clientId,
+        clientSecret,
+        redirectUri: process.env.GITLAB_REDIRECT_URI,
+      };
+    },
+
+    authorizeUrl({ clientId, redirectUri }, state) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: "code",
+        scope: "read_api read_user read_repository",
+        state,
+      });
+      return `${baseUrl()}/oauth/authorize?${params}`;
+    },
+
+    async exchangeCode({ clientId, clientSecret, redirectUri }, code) {
+      const { data } = await axios.post(`${baseUrl()}/oauth/token`, {
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        grant_type: "authorization_code",
+        redirect_uri: redirectUri,
+      });
+      return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || null,
+        expiresIn: data.expires_in || null,
+        scopes: (data.scope || "").split(" ").filter(Boolean),
+      };
+    },
+
+    async refresh({ clientId, clientSecret, redirectUri }, refreshToken) {
+      const { data } = await axios.post(`${baseUrl()}/oauth/token`, {
+        client_id: clientId,
+        client_secret: clientSecret,
+        refresh_token: refreshToken,
+        grant_type: "refresh_token",
+        redirect_uri: redirectUri,
+      });
+      return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || refreshToken,
+        expiresIn: data.expires_in || null,
+      };
+    },
+
+    async fetchAccount(token) {
+      const { data } = await axios.get(`${apiUrl()}/user`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return {
+        id: String(data.id),
+        username: data.username,
+        email: data.email || null,
+      };
+    },
+
+    async listRepos(token, { page = 1, perPage = 30 } = {}) {
+      const res = await axios.get(`${apiUrl()}/projects`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: {
+          membership: true,
+          order_by: "last_activity_at",
+          per_page: perPage,
+          page,
+        },
+      });
+      return {
+        repos: res.data.map((p) => ({
+          id: p.id,
+          name: p.name,
+          fullName: p.path_with_namespace,
+          description: p.description,
+          url: p.web_url,
+          cloneUrl: p.http_url_to_repo,
+          language: null,
+          stars: p.star_count,
+          forks: p.forks_count,
+          isPrivate: p.visibility !== "public",
+          isArchived: p.archived,
+          defaultBranch: p.default_branch,
+          updatedAt: p.last_activity_at,
+        })),
+        hasNextPage: Boolean(res.headers["x-next-page"]),
+      };
+    },
+  },
+
+  // ── Webhooks ────────────────────────────────────────────────
+  webhook: {
+    verify: (_rawPayload, headers, secret) =>
+      !secret || timingSafeEqualString(headers["x-gitlab-token"], secret),
+
+    parse(payload) {
+      // Tag Push Hooks share the Push Hook shape (ref refs/tags/…)
+      if (!["push", "tag_push"].includes(payload.object_kind))
+        return { event: "other", payload };
+      const project = payload.project || {};
+      return {
+        event: "push",
+        payload: {
+          ref: payload.ref,
+          before: payload.before,
+          after: payload.after,
+          pusher: { name: payload.user_username || payload.user_name },
+          repository: {
+            html_url: project.web_url,
+            full_name: project.path_with_namespace,
+            default_branch: project.default_branch,
+          },
+          commits: (payload.commits || []).map((c) => ({
+            id: c.id,
+            added: c.added || [],
+            modified: c.modified || [],
+            removed: c.removed || [],
+          })),
+        },
+      };
+    },
+  },
+};
@@ -0,0 +1,233 @@
+// ===================================================================
+// Source Provider Registry
+// ===================================================================
+// Where a repository lives. Every source exposes the same surface so
+// the pipelines, webhooks and repo picker stay host-agnostic:
+//
+//   {
+//     name, label,
+//     matchHost(host) → boolean      // claims URLs on this host
+//     repoUrl({ host, owner, repo }) → canonical URL
+//     nestedOwners?                  // owner may be "group/sub"
+//     allowsHost?(host) → boolean    // hosts it may be used for at all
+//     isEnabled?() → boolean
+//
+//     getRepoMeta(repo, { signal }) → { name, description, language,
+//                                       stars, defaultBranch, topics, … }
+//     getCommitSha(repo, ref)       → sha
+//
+//     // API sources
+//     getFileTree(repo, ref, { signal }) → [{ path, sha, size? }]
+//     getFileContent(repo, path, { signal, ref }) → string
+//     archiveRequest?(repo, ref)   → { url, headers }  // .tar.gz
+//     blobUrl?(repo, sha, path, { startLine, endLine }?) → web URL
+//
+//     // or snapshot sources
+//     readSnapshot(repo, ref, { signal })
+//                     → { commitSha, tree, contents: Map<path, string> }
+//
+//     oauth?: { config, authorizeUrl, exchangeCode, refresh?,
+//               fetchAccount, listRepos }
+//     webhook: { verify(raw, headers, secret) → boolean,
+//                parse(payload, headers) → { event, payload } }
+//   }
+//
+// `repo` is the parsed identity { host, owner, repo, fullName, repoUrl }.
+// `ref` is a branch, tag or full commit SHA by name.
+// Webhook payloads are normalised to the GitHub push shape so the
+// webhook service handles every host the same way.
+//
+// Sources:
+//   github     — github.com REST API
+//   gitlab     — gitlab.com or a self-hosted instance (GITLAB_URL)
+//   bitbucket  — Bitbucket Cloud
+//   git        — git-over-HTTPS remotes on GIT_HOSTS via the git CLI
+//   local      — directory on disk, for tests (SOURCE_LOCAL_ROOT)
+// ===================================================================
+
+import github from "./github.source.js";
+import gitlab from "./gitlab.source.js";
+import bitbucket from "./bitbucket.source.js";
+import git from "./git.source.js";
+import local from "./local.source.js";
+import { createRepoClient } from "./repo-client.js";
+
+export {
+  parseTrackedRef,
+  fullRefName,
+  REF_KINDS,
+} from "./repo-client.js";
+
+const SOURCES = { github, gitlab, bitbucket, git, local };
+
+export const SOURCE_NAMES = Object.keys(SOURCES);
+export const DEFAULT_SOURCE = "github";
+
+/**
+ * @param {string} name
+ * @returns {object} source
+ */
+export function getSource(name) {
+  const source = SOURCES[name || DEFAULT_SOURCE];
+  if (!source) {
+    const err = new Error(
+      `Unknown source "${name}". Expected one of: ${SOURCE_NAMES.join(", ")}`,
+    );
+    err.code = "UNKNOWN_SOURCE";
+    err.status = 400;
+    throw err;
+  }
+  return source;
+}
+
+function identity(source, host, owner, repo) {
+  return {
+    provider: source.name,
+    host,
+    owner,
+    repo,
+    fullName: `${owner}/${repo}`,
+    repoUrl: source.repoUrl({ host, owner, repo }),
+  };
+}
+
+/**
+ * Parse any supported repository reference:
+ *   https://github.com/owner/repo          git@gitlab.com:group/sub/repo.git
+ *   https://gitlab.example.com/group/repo  git+https://git.example.com/x/y
+ *   https://host/owner/repo.git            owner/repo  (GitHub shorthand)
+ * git URLs only parse for hosts in GIT_HOSTS.
+ *   local://name
+ *
+ * Pass `provider` to interpret the URL as that source regardless of
+ * host (stored projects, webhook payloads).
+ *
+ * @param {string} raw
+ * @param {{ provider?: string }} [opts]
+ * @returns {{ provider, host, owner, repo, fullName, repoUrl } | null}
+ */
+export function parseRepoUrl(raw, { provider } = {}) {
+  let input = String(raw || "").trim();
+  if (!input) return null;
+
+  const local = input.match(/^local:\/\/([\w.-]+)\/?$/i);
+  if (local) {
+    if (provider && provider !== "local") return null;
+    return identity(SOURCES.local, "local", "local", local[1]);
+  }
+
+  let forced = provider ? SOURCES[provider] : null;
+  if (provider && !forced) return null;
+
+  if (/^git\+https?:\/\//i.test(input)) {
+    forced ??= SOURCES.git;
+    input = input.replace(/^git\+/i, "");
+  }
+
+  // owner/repo shorthand — GitHub unless a source was forced
+  const short = input.match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (short) {
+    const source = forced || SOURCES[DEFAULT_SOURCE];
+    if (!source.defaultHost) return null;
+    return identity(
+      source,
+      source.defaultHost,
+      short[1],
+      short[2].replace(/\.git$/i, ""),
+    );
+  }
+
+  // scp-style SSH: git@host:path
+  const ssh = input.match(/^[\w.-]+@([^:/]+):(.+)$/);
+  if (ssh) input = `https://${ssh[1]}/${ssh[2]}`;
+
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+  if (!/^(https?|ssh):$/.test(url.protocol)) return null;
+
+  const host = url.hostname.toLowerCase();
+  const hadGitSuffix = /\.git\/?$/i.test(url.pathname);
+  let parts = url.pathname
+    .replace(/^\/+|\/+$/g, "")
+    .replace(/\.git$/i, "")
+    .split("/")
+    .filter(Boolean);
+
+  const source =
+    forced ||
+    Object.values(SOURCES).find((s) => s.matchHost(host)) ||
+    (hadGitSuffix ? SOURCES.git : null);
+  if (!source || (source.allowsHost && !source.allowsHost(host))) return null;
+
+  if (source.nestedOwners) {
+    // GitLab UI paths: group/repo/-/tree/main
+    const dash = parts.indexOf("-");
+    if (dash !== -1) parts = parts.slice(0, dash);
+  } else {
+    // github.com/owner/repo/tree/main → owner/repo
+    parts = parts.slice(0, 2);
+  }
+  if (parts.length < 2) return null;
+
+  const repo = parts.pop();
+  return identity(source, host, parts.join("/"), repo);
+}
+
+/**
+ * Mongo filter on Project.provider. Projects created before sources
+ * existed have no provider stored — they are all GitHub.
+ *
+ * @param {string} name
+ */
+export function providerFilter(name) {
+  return name === DEFAULT_SOURCE ? { $in: [name, null] } : name;
+}
+
+/**
+ * Open a repository for ingestion.
+ *
+ * @param {string} repoUrl
+ * @param {{ provider?: string }} [opts] — the project's stored source
+ * @returns {ReturnType<typeof createRepoClient>}
+ */
+export function openRepo(repoUrl, { provider } = {}) {
+  const parsed = parseRepoUrl(repoUrl, { provider });
+  if (!parsed) {
+    const err = new Error(`Cannot parse repository URL: "${repoUrl}"`);
+    err.code = "INVALID_REPO_URL";
+    err.status = 400;
+    throw err;
+  }
+  const source = getSource(parsed.provider);
+  if (source.isEnabled && !source.isEnabled()) {
+    const err = new Error(`The ${source.label} source is disabled.`);
+    err.code = "SOURCE_DISABLED";
+    err.status = 400;
+    throw err;
+  }
+  return createRepoClient(source, parsed);
+}
+
+/**
+ * Sources this deployment offers, for the repo picker. Safe to expose.
+ */
+export function listSources() {
+  return SOURCE_NAMES.filter((name) => SOURCES[name].isEnabled?.() ?? true).map(
+    (name) => {
+      const source = SOURCES[name];
+      return {
+        name,
+        label: source.label,
+        oauth:
+          name === "github"
+            ? Boolean(process.env.GITHUB_CLIENT_ID)
+            : Boolean(source.oauth?.config()),
+        webhookPath: `/webhook/${name}`,
+      };
+    },
+  );
+}
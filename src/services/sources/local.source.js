@@ -0,0 +1,101 @@
+// ===================================================================
+// Local source — stub provider that reads a directory on disk.
+//
+// For tests and air-gapped development, alongside the "fixture" LLM
+// provider: `local://<name>` maps to SOURCE_LOCAL_ROOT/<name>. The
+// branch is ignored; the "commit SHA" is a hash of the tree, so it
+// changes whenever a file does and incremental sync works as usual.
+//
+// Disabled unless SOURCE_LOCAL_ROOT is set — it reads the server's
+// filesystem, so never enable it on a shared deployment.
+//
+// Webhooks: GitHub-shaped push payloads, X-Hub-Signature-256.
+// ===================================================================
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { gitBlobSha } from "../llm-cache.service.js";
+import {
+  isIngested,
+  ingestLimits,
+  contentSelector,
+} from "./repo-client.js";
+import github from "./github.source.js";
+
+const IGNORED_DIRS = new Set([".git", "node_modules"]);
+
+function rootDir() {
+  const root = process.env.SOURCE_LOCAL_ROOT;
+  if (!root) throw new Error("The local source is disabled (SOURCE_LOCAL_ROOT is not set).");
+  return path.resolve(root);
+}
+
+function repoDir({ repo }) {
+  const root = rootDir();
+  const dir = path.resolve(root, repo);
+  if (!dir.startsWith(root + path.sep)) throw new Error(`Invalid local repo: ${repo}`);
+  return dir;
+}
+
+async function walk(dir, base = dir, out = []) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name)) await walk(full, base, out);
+    } else if (entry.isFile()) {
+      out.push(path.relative(base, full).split(path.sep).join("/"));
+    }
+  }
+  return out;
+}
+
+export default {
+  name: "local",
+  label: "Local directory",
+
+  matchHost: () => false,
+  repoUrl: ({ repo }) => `local://${repo}`,
+  defaultHost: "local",
+
+  isEnabled: () => Boolean(process.env.SOURCE_LOCAL_ROOT),
+
+  async getRepoMeta(repo) {
+    await fs.access(repoDir(repo));
+    return {
+      name: repo.repo,
+      description: null,
+      language: null,
+      stars: 0,
+      defaultBranch: "main",
+      topics: [],
+      createdAt: null,
+      updatedAt: null,
+    };
+  },
+
+  async readSnapshot(repo) {
+    const dir = repoDir(repo);
+    const limits = ingestLimits();
+    const keep = contentSelector(limits);
+    const tree = [];
+    const contents = new Map();
+
+    for (const rel of (await walk(dir)).sort()) {
+      const { size } = await fs.stat(path.join(dir, rel));
+      if (!isIngested({ path: rel, size }, limits)) continue;
+      const content = await fs.readFile(path.join(dir, rel));
+      const entry = { path: rel, sha: gitBlobSha(content), size };
+      tree.push(entry);
+      if (keep(entry)) contents.set(rel, content.toString("utf-8"));
+    }
+
+    const commitSha = crypto
+      .createHash("sha1")
+      .update(tree.map((f) => `${f.sha} ${f.path}`).join("\n"))
+      .digest("hex");
+    return { commitSha, tree, contents };
+  },
+
+  webhook: github.webhook,
+};
@@ -0,0 +1,620 @@
+// ===================================================================
+// Repo client — provider-agnostic ingestion on top of a source.
+// ===================================================================
+// A source (see sources/index.js) only knows how to talk to its host.
+// Everything the pipelines need on top — eligibility filters, tarball
+// ingestion with per-file fallback, SHA diffing against the stored
+// manifest, progress messages — lives here once for all of them.
+//
+// Every read takes a ref — branch, tag or commit SHA, by name; the
+// hosts' APIs accept all three in the same place. Omitted, it is the
+// repository's default branch.
+//
+// Sources come in two shapes:
+//   • API sources   — getFileTree() + getFileContent(), optionally
+//                     archiveRequest() for one-shot tarball ingestion
+//   • snapshot      — readSnapshot() returns tree + contents in one go
+//     sources         (Bitbucket, plain git, local). A client caches
+//                     its snapshots per ref, so a run's tree, fetch
+//                     and diff calls share one download; the next run
+//                     opens a new client and sees the ref's new head.
+//
+// Env (read at call time):
+//   MAX_FILES_PER_REPO     default 100
+//   MAX_FILE_SIZE_KB       default 50
+//   MAX_LOCKFILES          default 20 — lockfiles read for the
+//                          dependency audit, on top of MAX_FILES_PER_REPO
+//   LOCKFILE_MAX_KB        default 2048 — lockfiles are often larger
+//                          than source files
+//
+// `.env*` files are read on top of MAX_FILES_PER_REPO too, but kept
+// out of `files`: only the secret scanner sees them, so their values
+// never reach an LLM prompt or the generated docs. Example files
+// (`.env.example`, `.env.sample` …) hold placeholders and are ingested
+// like any other file.
+//
+//   REPO_INGEST            tarball (default) | contents — "contents"
+//                          skips archive downloads (GITHUB_INGEST is
+//                          still honoured as an alias)
+//   REPO_ARCHIVE_MAX_MB    default 200 (alias GITHUB_TARBALL_MAX_MB)
+// ===================================================================
+
+import axios from "axios";
+import { readTarGz } from "../../utils/tar.util.js";
+import { EXAMPLE_ENV_FILE } from "../secret-scanner.service.js";
+
+export const SKIP_EXT =
+  /\.(png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot|pdf|zip|tar|gz|mp4|mp3|bin|exe|dll|so|dylib|lock)$/i;
+
+// Dependency lockfiles the dependency auditor understands
+const LOCKFILE =
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|requirements[\w.-]*\.txt|go\.sum|Cargo\.lock)$/;
+
+// .env, .env.local, .env.production, .envrc …
+const ENV_FILE = /(^|\/)\.env(?:rc|[.-][\w.-]+)?$/;
+const MAX_ENV_FILES = 20;
+
+export function ingestLimits() {
+  return {
+    maxFiles: parseInt(process.env.MAX_FILES_PER_REPO || "100", 10),
+    maxKb: parseInt(process.env.MAX_FILE_SIZE_KB || "50", 10),
+    maxLockfiles: parseInt(process.env.MAX_LOCKFILES || "20", 10),
+    lockfileMaxKb: parseInt(process.env.LOCKFILE_MAX_KB || "2048", 10),
+  };
+}
+
+/** Files the agents can use. Sources that don't report sizes pass. */
+export function isEligible(file, { maxKb } = ingestLimits()) {
+  if (SKIP_EXT.test(file.path) || isEnvFile(file.path)) return false;
+  return file.size == null || file.size < maxKb * 1024;
+}
+
+export function isLockfile(path) {
+  return LOCKFILE.test(path) && !/(^|\/)node_modules\//.test(path);
+}
+
+/** Real env files — not their committed examples. */
+export function isEnvFile(path) {
+  return (
+    ENV_FILE.test(path) &&
+    !EXAMPLE_ENV_FILE.test(path) &&
+    !/(^|\/)node_modules\//.test(path)
+  );
+}
+
+/**
+ * Files a snapshot source lists in its tree: everything eligible, plus
+ * lockfiles up to LOCKFILE_MAX_KB for the dependency audit and env
+ * files for the secret scanner. Contents are only kept for the ones
+ * contentSelector() picks.
+ */
+export function isIngested(file, limits = ingestLimits()) {
+  if (isEligible(file, limits)) return true;
+  const fits = (kb) => file.size == null || file.size < kb * 1024;
+  if (isLockfile(file.path)) return fits(limits.lockfileMaxKb);
+  return isEnvFile(file.path) && fits(limits.maxKb);
+}
+
+/**
+ * Which tree entries a snapshot source reads into memory, fed one at a
+ * time in tree order: the same files fetchRepoFilesWithProgress uses —
+ * eligible ones up to MAX_FILES_PER_REPO, lockfiles up to
+ * MAX_LOCKFILES, env files up to MAX_ENV_FILES. The rest stay listed
+ * in the tree (blob SHAs for the diff) with no content, so a changed
+ * file past the caps reads as empty on an incremental sync.
+ *
+ * @returns {(file: { path, size }) => boolean}
+ */
+export function contentSelector(limits = ingestLimits()) {
+  let files = 0;
+  let lockfiles = 0;
+  let envFiles = 0;
+  const fits = (file, kb) => file.size == null || file.size < kb * 1024;
+  return (file) => {
+    // Every check runs — a file can count in more than one list
+    const eligible = isEligible(file, limits) && files++ < limits.maxFiles;
+    const lockfile =
+      isLockfile(file.path) &&
+      fits(file, limits.lockfileMaxKb) &&
+      lockfiles++ < limits.maxLockfiles;
+    const envFile =
+      isEnvFile(file.path) &&
+      fits(file, limits.maxKb) &&
+      envFiles++ < MAX_ENV_FILES;
+    return eligible || lockfile || envFile;
+  };
+}
+
+function lockfilesIn(tree, limits = ingestLimits()) {
+  return tree
+    .filter(
+      (f) =>
+        isLockfile(f.path) &&
+        (f.size == null || f.size < limits.lockfileMaxKb * 1024),
+    )
+    .slice(0, limits.maxLockfiles);
+}
+
+function envFilesIn(tree, limits = ingestLimits()) {
+  return tree
+    .filter(
+      (f) =>
+        isEnvFile(f.path) && (f.size == null || f.size < limits.maxKb * 1024),
+    )
+    .slice(0, MAX_ENV_FILES);
+}
+
+/** A repo-relative path as a URL path, each segment escaped. */
+export function encodeRepoPath(path) {
+  return path.split("/").map(encodeURIComponent).join("/");
+}
+
+// ── Tracked refs ──────────────────────────────────────────────
+
+export const REF_KINDS = ["branch", "tag", "commit"];
+
+const FULL_SHA = /^[0-9a-f]{40}$/i;
+
+/**
+ * Normalise a tracked ref as sent by a client:
+ *   "main" | "refs/heads/main"   → { kind: "branch", name: "main" }
+ *   "refs/tags/v1.2"             → { kind: "tag",    name: "v1.2" }
+ *   40-char SHA                  → { kind: "commit", name: sha }
+ *   { kind, name }               → as given, checked
+ *
+ * @returns {{ kind, name } | null} null when the input is not a ref
+ */
+export function parseTrackedRef(input) {
+  if (input && typeof input === "object") {
+    const name = String(input.name || "").trim();
+    if (!REF_KINDS.includes(input.kind) || !isRefName(name)) return null;
+    if (input.kind === "commit" && !FULL_SHA.test(name)) return null;
+    return {
+      kind: input.kind,
+      name: input.kind === "commit" ? name.toLowerCase() : name,
+    };
+  }
+  const raw = String(input || "").trim();
+  if (FULL_SHA.test(raw)) return { kind: "commit", name: raw.toLowerCase() };
+  const tag = raw.match(/^refs\/tags\/(.+)$/);
+  if (tag) return isRefName(tag[1]) ? { kind: "tag", name: tag[1] } : null;
+  const name = raw.replace(/^refs\/heads\//, "");
+  return isRefName(name) ? { kind: "branch", name } : null;
+}
+
+// The subset of git-check-ref-format that matters for URLs and CLI args
+function isRefName(name) {
+  return (
+    Boolean(name) &&
+    name.length <= 255 &&
+    !/[\s~^:?*[\\]|\.\.|@\{|^[-/.]|[/.]$|\/\/|\.lock$/.test(name)
+  );
+}
+
+/** "refs/heads/main" / "refs/tags/v1.2" — the name pushes report. */
+export function fullRefName({ kind, name }) {
+  return kind === "tag" ? `refs/tags/${name}` : `refs/heads/${name}`;
+}
+
+function ingestMode() {
+  return (
+    process.env.REPO_INGEST ||
+    process.env.GITHUB_INGEST ||
+    "tarball"
+  ).toLowerCase();
+}
+
+function archiveMaxMb() {
+  return parseInt(
+    process.env.REPO_ARCHIVE_MAX_MB || process.env.GITHUB_TARBALL_MAX_MB || "200",
+    10,
+  );
+}
+
+// ── Archive download ──────────────────────────────────────────
+
+/**
+ * Stream a .tar.gz and hand every regular file to onFile. Hosts wrap
+ * the tree in one top-level directory ("<repo>-<sha>/"), which is
+ * stripped from paths.
+ *
+ * @param {{ url: string, headers?: object }} request
+ * @param {{ want: (path, size) => boolean,
+ *           onFile: (path, content: Buffer) => void,
+ *           notify?: (msg) => void, signal?: AbortSignal }} opts
+ */
+export async function readArchive(request, { want, onFile, notify, signal }) {
+  const maxBytes = archiveMaxMb() * 1024 * 1024;
+  const res = await axios.get(request.url, {
+    headers: request.headers,
+    responseType: "stream",
+    signal,
+  });
+  const body = res.data;
+
+  let received = 0;
+  let nextReport = 1024 * 1024;
+  body.on("data", (chunk) => {
+    received += chunk.length;
+    if (received > maxBytes) {
+      body.destroy(new Error(`Archive exceeds ${archiveMaxMb()} MB`));
+    } else if (received >= nextReport) {
+      notify?.(`Downloading archive… ${(received / 1024 / 1024).toFixed(1)} MB`);
+      nextReport += 1024 * 1024;
+    }
+  });
+
+  const strip = (path) => path.slice(path.indexOf("/") + 1);
+  try {
+    await readTarGz(body, {
+      want: (path, size) => want(strip(path), size),
+      onEntry: (path, content) => onFile(strip(path), content),
+    });
+  } finally {
+    body.destroy();
+  }
+}
+
+// wanted: path → size limit in bytes
+async function downloadArchiveFiles(request, wanted, notify, signal) {
+  const contents = new Map();
+  await readArchive(request, {
+    want: (path, size) => wanted.has(path) && size < wanted.get(path),
+    onFile: (path, content) => {
+      contents.set(path, content.toString("utf-8"));
+      if (contents.size % 20 === 0 || contents.size === wanted.size) {
+        notify(`Extracted ${contents.size} / ${wanted.size} files…`);
+      }
+    },
+    notify,
+    signal,
+  });
+  return contents;
+}
+
+// ── Manifest diff ─────────────────────────────────────────────
+
+/**
+ * Compare a fresh tree (with blob SHAs) against a stored fileManifest.
+ * Ineligible files are filtered out — agents don't process them anyway.
+ *
+ * @returns {{ added, modified, removed, unchanged, currentTree }}
+ */
+export function diffAgainstManifest(tree, storedManifest) {
+  const eligible = tree.filter((f) => isEligible(f));
+
+  const manifestMap = new Map(storedManifest.map((f) => [f.path, f]));
+  const currentMap = new Map(eligible.map((f) => [f.path, f]));
+
+  const added = [];
+  const modified = [];
+  const removed = [];
+  const unchanged = [];
+
+  for (const [path, cur] of currentMap) {
+    const stored = manifestMap.get(path);
+    if (!stored) {
+      added.push({ path, sha: cur.sha, status: "added" });
+    } else if (stored.sha !== cur.sha) {
+      modified.push({ path, sha: cur.sha, status: "modified" });
+    } else {
+      unchanged.push({ path });
+    }
+  }
+
+  for (const [path] of manifestMap) {
+    if (!currentMap.has(path)) {
+      removed.push({ path, status: "removed" });
+    }
+  }
+
+  return { added, modified, removed, unchanged, currentTree: eligible };
+}
+
+// ── Snapshot cache ────────────────────────────────────────────
+
+/**
+ * Wait for a download several callers share. It runs on its own
+ * controller, aborted only once every caller still waiting has
+ * aborted — one cancelled caller doesn't fail the others.
+ *
+ * @param {{ promise, controller: AbortController, waiters: number }} entry
+ * @param {AbortSignal} [signal]
+ */
+function awaitShared(entry, signal) {
+  signal?.throwIfAborted();
+  entry.waiters += 1;
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const settle = () => {
+      if (done) return false;
+      done = true;
+      entry.waiters -= 1;
+      signal?.removeEventListener("abort", onAbort);
+      return true;
+    };
+    const onAbort = () => {
+      if (!settle()) return;
+      if (!entry.waiters) entry.controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    entry.promise.then(
+      (snapshot) => settle() && resolve(snapshot),
+      (err) => settle() && reject(err),
+    );
+  });
+}
+
+// ── Client ────────────────────────────────────────────────────
+
+/**
+ * Bind a source to one repository.
+ *
+ * @param {object} source — entry from the sources registry
+ * @param {{ host, owner, repo, repoUrl, fullName }} repo
+ */
+export function createRepoClient(source, repo) {
+  // ref → { promise, controller, waiters } — this client's run only
+  const snapshots = new Map();
+
+  const snapshotFor = async (ref, signal) => {
+    const key = ref || (await getRepoMeta({ signal })).defaultBranch;
+    let entry = snapshots.get(key);
+    if (!entry || entry.controller.signal.aborted) {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0 };
+      entry.promise = source
+        .readSnapshot(repo, key, { signal: controller.signal })
+        .then((snapshot) => {
+          // Later reads pinned to the commit share it too
+          if (!snapshots.has(snapshot.commitSha))
+            snapshots.set(snapshot.commitSha, entry);
+          return snapshot;
+        })
+        .catch((err) => {
+          if (snapshots.get(key) === entry) snapshots.delete(key);
+          throw err;
+        });
+      snapshots.set(key, entry);
+    }
+    return awaitShared(entry, signal);
+  };
+
+  const getRepoMeta = ({ signal } = {}) => source.getRepoMeta(repo, { signal });
+
+  const getCommitSha = async (ref) => {
+    // A pinned commit resolves to itself
+    if (FULL_SHA.test(ref || "")) return ref.toLowerCase();
+    if (source.readSnapshot && !source.getCommitSha) {
+      return (await snapshotFor(ref)).commitSha;
+    }
+    return source.getCommitSha(repo, ref);
+  };
+
+  // Full tree with git blob SHAs — stable until the file content changes
+  const getFileTreeWithSha = async (ref, { signal } = {}) => {
+    if (source.readSnapshot) return (await snapshotFor(ref, signal)).tree;
+    return source.getFileTree(repo, ref, { signal });
+  };
+
+  const getFileContent = async (path, { signal, ref } = {}) => {
+    if (source.readSnapshot) {
+      return (await snapshotFor(ref, signal)).contents.get(path) ?? "";
+    }
+    return source.getFileContent(repo, path, { signal, ref });
+  };
+
+  // Batch-fetch contents for a list of paths (incremental sync)
+  const fetchFileContents = async (
+    filePaths,
+    onProgress,
+    { signal, ref } = {},
+  ) => {
+    const notify = (msg) => {
+      if (onProgress) onProgress(msg);
+    };
+    const files = [];
+    for (const [i, path] of filePaths.entries()) {
+      signal?.throwIfAborted();
+      const content = await getFileContent(path, { signal, ref });
+      if (content.trim()) files.push({ path, content });
+      if ((i + 1) % 10 === 0 || i === filePaths.length - 1) {
+        notify(`Fetching changed files… ${i + 1}/${filePaths.length}`);
+      }
+    }
+    return files;
+  };
+
+  // Contents of files read outside the MAX_FILES_PER_REPO budget —
+  // lockfiles, env files; `extracted` holds what an archive download
+  // already provided
+  const readExtraFiles = async (entries, { extracted, signal, ref }) => {
+    const files = [];
+    for (const file of entries) {
+      let content = extracted?.get(file.path);
+      if (content === undefined) {
+        signal?.throwIfAborted();
+        content = await getFileContent(file.path, { signal, ref });
+      }
+      if (content.trim())
+        files.push({ path: file.path, sha: file.sha, content });
+    }
+    return files;
+  };
+
+  /**
+   * Lockfiles at a ref, up to MAX_LOCKFILES — incremental syncs re-run
+   * the dependency audit on every sync, lockfile changed or not.
+   *
+   * @returns {Array<{ path, sha, content }>}
+   */
+  const fetchLockfiles = async (ref, { signal } = {}) =>
+    readExtraFiles(lockfilesIn(await getFileTreeWithSha(ref, { signal })), {
+      signal,
+      ref,
+    });
+
+  /**
+   * `.env*` files at a ref — incremental syncs re-scan them for
+   * secrets on every sync, as they are not part of the manifest.
+   *
+   * @returns {Array<{ path, sha, content }>}
+   */
+  const fetchEnvFiles = async (ref, { signal } = {}) =>
+    readExtraFiles(envFilesIn(await getFileTreeWithSha(ref, { signal })), {
+      signal,
+      ref,
+    });
+
+  /**
+   * Web link to a file at a commit, narrowed to the location's lines
+   * when given. Null for hosts without a web UI (plain git, local).
+   *
+   * @param {string} commitSha
+   * @param {string} path
+   * @param {{ startLine, endLine }} [location]
+   */
+  const permalink = (commitSha, path, location) =>
+    source.blobUrl && commitSha && path
+      ? source.blobUrl(repo, commitSha, path, location)
+      : null;
+
+  const computeFileDiff = async (ref, storedManifest) =>
+    diffAgainstManifest(await getFileTreeWithSha(ref), storedManifest);
+
+  /**
+   * Full-repo ingestion for a pipeline run: eligible files up to
+   * MAX_FILES_PER_REPO, from one archive download when the source
+   * offers one, per file for whatever the archive didn't provide.
+   *
+   * The ref is resolved to a commit once and every read is made at
+   * that commit, so the tree's blob SHAs always match the contents.
+   *
+   * @param {Function} onProgress
+   * @param {{ signal?: AbortSignal, ref?: string }} [opts] — ref
+   *   defaults to the repository's default branch
+   * @returns {{ meta, ref, commitSha, tree: Array<{ path, sha, size }>,
+   *            files: Array<{ path, sha, content }>,
+   *            lockfiles: Array<{ path, sha, content }>,
+   *            envFiles: Array<{ path, sha, content }>, owner, repo }}
+   */
+  const fetchRepoFilesWithProgress = async (
+    onProgress,
+    { signal, ref: requestedRef } = {},
+  ) => {
+    const notify = (msg) => {
+      if (onProgress) onProgress(msg);
+    };
+    const limits = ingestLimits();
+
+    notify(`Reading repo info for ${repo.fullName}…`);
+    const meta = await getRepoMeta({ signal });
+
+    const ref = requestedRef || meta.defaultBranch;
+    // A snapshot is one download, consistent by construction; API
+    // sources read tree and contents separately, so pin the commit
+    let commitSha;
+    let at = ref;
+    if (source.readSnapshot) {
+      commitSha = (await snapshotFor(ref, signal)).commitSha;
+    } else {
+      commitSha = at = await getCommitSha(ref);
+    }
+    notify(`Reading file tree at "${ref}" (${commitSha.slice(0, 7)})…`);
+    const tree = await getFileTreeWithSha(at, { signal });
+    const eligible = tree
+      .filter((f) => isEligible(f, limits))
+      .slice(0, limits.maxFiles);
+    const lockfileEntries = lockfilesIn(tree, limits);
+    const envFileEntries = envFilesIn(tree, limits);
+
+    let extracted = new Map();
+    if (source.readSnapshot) {
+      extracted = (await snapshotFor(at, signal)).contents;
+    } else if (
+      source.archiveRequest &&
+      ingestMode() === "tarball" &&
+      eligible.length
+    ) {
+      notify(`Downloading repository archive (${eligible.length} source files)…`);
+      try {
+        extracted = await downloadArchiveFiles(
+          source.archiveRequest(repo, at),
+          new Map([
+            ...eligible.map((f) => [f.path, limits.maxKb * 1024]),
+            ...lockfileEntries.map((f) => [
+              f.path,
+              limits.lockfileMaxKb * 1024,
+            ]),
+            ...envFileEntries.map((f) => [f.path, limits.maxKb * 1024]),
+          ]),
+          notify,
+          signal,
+        );
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        console.warn(
+          `-- Archive ingestion failed for ${repo.fullName} (${err.message}) — falling back to per-file fetch`,
+        );
+        notify("Archive unavailable — downloading files individually…");
+      }
+    }
+
+    const missing = eligible.filter((f) => !extracted.has(f.path));
+    if (missing.length) {
+      notify(`Downloading ${missing.length} source files…`);
+    }
+
+    const files = [];
+    let fetched = 0;
+    for (const file of eligible) {
+      let content = extracted.get(file.path);
+      if (content === undefined) {
+        signal?.throwIfAborted();
+        content = await source.getFileContent(repo, file.path, {
+          signal,
+          ref: at,
+        });
+        fetched++;
+        if (fetched % 20 === 0 || fetched === missing.length) {
+          notify(`Downloaded ${fetched} / ${missing.length} files…`);
+        }
+      }
+      // sha travels with the file so agents can key the LLM cache on it
+      if (content.trim())
+        files.push({ path: file.path, sha: file.sha, content });
+    }
+
+    const readOpts = { extracted, signal, ref: at };
+    const lockfiles = await readExtraFiles(lockfileEntries, readOpts);
+    const envFiles = await readExtraFiles(envFileEntries, readOpts);
+
+    return {
+      meta,
+      ref,
+      commitSha,
+      tree,
+      files,
+      lockfiles,
+      envFiles,
+      owner: repo.owner,
+      repo: repo.repo,
+    };
+  };
+
+  return {
+    provider: source.name,
+    ...repo,
+    getRepoMeta,
+    getCommitSha,
+    getFileTreeWithSha,
+    getFileContent,
+    fetchFileContents,
+    fetchLockfiles,
+    fetchEnvFiles,
+    permalink,
+    computeFileDiff,
+    fetchRepoFilesWithProgress,
+  };
+}
@@ -1,37 +1,97 @@
-import crypto from "crypto";
+import {
+  getSource,
+  parseRepoUrl,
+  providerFilter,
+  fullRefName,
+} from "./sources/index.js";
+import { verifyHmacSha256 } from "./sources/github.source.js";
 
 const CODE_FILE =
-  /\.(js|ts|jsx|tsx|py|go|rs|java|rb|php|cs|cpp|c|h|vue|svelte|prisma|graphql|sql|kt|swift|dart)$/i;
+  /\.(js|ts|jsx|tsx|py|go|rs|java|rb|php|cs|cpp|c|h|vue|svelte|prisma|graphql|graphqls|gql|proto|sql|kt|swift|dart)$/i;
 
 const MANIFEST_FILE =
   /^(package\.json|package-lock\.json|yarn\.lock|pnpm-lock\.yaml|requirements\.txt|Pipfile|Pipfile\.lock|go\.mod|go\.sum|Cargo\.toml|Cargo\.lock|pom\.xml|build\.gradle|composer\.json|Gemfile|Gemfile\.lock)$/i;
 
+/**
+ * GitHub-style "sha256=<hex>" HMAC check. Each source's
+ * `webhook.verify` knows its own header and scheme; this stays for
+ * callers that already hold the signature.
+ */
 export function validateWebhookSignature(rawPayload, signature, secret) {
-  if (!secret) return true;
-  if (!signature || typeof signature !== "string") return false;
-
-  const computed = `sha256=${crypto
-    .createHmac("sha256", secret)
-    .update(rawPayload)
-    .digest("hex")}`;
+  return verifyHmacSha256(rawPayload, signature, secret);
+}
 
-  const a = Buffer.from(signature);
-  const b = Buffer.from(computed);
-  if (a.length !== b.length) return false;
+/**
+ * The ref a project follows: its tracked branch / tag / commit, or the
+ * repository's default branch.
+ */
+function trackedRefOf(project, repository) {
+  if (project?.trackedRef?.name) return project.trackedRef;
+  return {
+    kind: "branch",
+    name:
+      repository?.default_branch || project?.meta?.defaultBranch || "main",
+  };
+}
 
-  return crypto.timingSafeEqual(a, b);
+/** Whether a push to `ref` moves what the project documents. */
+function tracksRef(project, pushPayload) {
+  const tracked = trackedRefOf(project, pushPayload.repository);
+  return tracked.kind !== "commit" && pushPayload.ref === fullRefName(tracked);
 }
 
-export function shouldReDocument(pushPayload) {
+/**
+ * @param {object} pushPayload — normalised push (GitHub shape)
+ * @param {{ trackedRef?: { kind, name }, defaultBranch?: string }} [opts]
+ *   trackedRef — the project's tracked ref; without one the default
+ *   branch is followed — the payload's, else `defaultBranch`
+ */
+export function shouldReDocument(
+  pushPayload,
+  { trackedRef, defaultBranch } = {},
+) {
   const { ref, repository, commits = [], after } = pushPayload;
-  const defaultBranch = repository?.default_branch || "main";
+  const tracked = trackedRefOf(
+    { trackedRef, meta: { defaultBranch } },
+    repository,
+  );
 
-  if (!ref || !ref.endsWith(`/${defaultBranch}`)) {
-    return { should: false, reason: "not_default_branch", ref, defaultBranch };
+  if (tracked.kind === "commit") {
+    return { should: false, reason: "pinned_commit", ref, commit: tracked.name };
+  }
+
+  if (ref !== fullRefName(tracked)) {
+    return {
+      should: false,
+      reason: trackedRef?.name ? "not_tracked_ref" : "not_default_branch",
+      ref,
+      trackedRef: tracked.name,
+    };
   }
 
   if (after === "0000000000000000000000000000000000000000") {
-    return { should: false, reason: "branch_deleted" };
+    return {
+      should: false,
+      reason: tracked.kind === "tag" ? "tag_deleted" : "branch_deleted",
+    };
+  }
+
+  // Tag pushes list no commits, and Bitbucket push payloads carry no
+  // file lists — let the sync diff the tree by blob SHA instead
+  if (tracked.kind === "tag" || pushPayload.filesListed === false) {
+    return {
+      should: true,
+      reason: tracked.kind === "tag" ? "tag_moved" : "files_not_listed",
+      changedFiles: [],
+      codeFiles: [],
+      needsFullRun: false,
+      repoUrl: repository?.html_url,
+      repoFullName: repository?.full_name,
+      pusher: pushPayload.pusher?.name,
+      ref: tracked.name,
+      headCommit: after,
+      commitCount: commits.length,
+    };
   }
 
   if (!commits.length) {
@@ -73,7 +133,7 @@ export function shouldReDocument(pushPayload) {
     repoUrl: repository?.html_url,
     repoFullName: repository?.full_name,
     pusher: pushPayload.pusher?.name || pushPayload.sender?.login,
-    branch: defaultBranch,
+    ref: tracked.name,
     headCommit: after,
     commitCount: commits.length,
   };
@@ -83,84 +143,31 @@ function escapeRegExp(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function parseRepoIdentity(input) {
-  const raw = String(input || "").trim();
-  if (!raw) return null;
-
-  const fullName = raw.match(/^([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)$/);
-  if (fullName) {
-    const owner = fullName[1];
-    const repo = fullName[2].replace(/\.git$/i, "");
-    return {
-      owner,
-      repo,
-      fullName: `${owner}/${repo}`,
-      repoUrl: `https://github.com/${owner}/${repo}`,
-    };
-  }
-
-  try {
-    let normalized = raw;
-    if (/^git@github\.com:/i.test(normalized)) {
-      normalized = `https://github.com/${normalized.replace(/^git@github\.com:/i, "")}`;
-    }
-
-    const u = new URL(normalized);
-    if (!/github\.com$/i.test(u.hostname)) return null;
-
-    const parts = u.pathname
-      .replace(/^\/+|\/+$/g, "")
-      .replace(/\.git$/i, "")
-      .split("/");
-
-    if (parts.length < 2 || !parts[0] || !parts[1]) return null;
-
-    const owner = parts[0];
-    const repo = parts[1];
-    return {
-      owner,
-      repo,
-      fullName: `${owner}/${repo}`,
-      repoUrl: `https://github.com/${owner}/${repo}`,
-    };
-  } catch {
-    return null;
-  }
-}
-
-function getRepoIdentityFromPayload(payload) {
+function getRepoIdentityFromPayload(payload, provider) {
   const repository = payload?.repository || {};
+  // URLs first — full_name alone cannot tell a self-hosted host apart
   const candidates = [
-    repository.full_name,
     repository.html_url,
     repository.clone_url,
     repository.ssh_url,
-    repository.git_url,
+    repository.full_name,
   ];
+  if (repository.owner?.login && repository.name)
+    candidates.push(`${repository.owner.login}/${repository.name}`);
 
   for (const c of candidates) {
-    const parsed = parseRepoIdentity(c);
+    const parsed = c && parseRepoUrl(String(c), { provider });
     if (parsed) return parsed;
   }
-
-  if (repository.owner?.login && repository.name) {
-    const owner = String(repository.owner.login);
-    const repo = String(repository.name).replace(/\.git$/i, "");
-    return {
-      owner,
-      repo,
-      fullName: `${owner}/${repo}`,
-      repoUrl: `https://github.com/${owner}/${repo}`,
-    };
-  }
-
   return null;
 }
 
 async function findProjectAndUserForWebhook({
   rawPayload,
-  signature,
+  headers,
+  source,
   repoIdentity,
+  push,
 }) {
   const { Project } = await import("../models/Project.js");
   const { User } = await import("../models/User.js");
@@ -168,14 +175,24 @@ async function findProjectAndUserForWebhook({
   const ownerRx = new RegExp(`^${escapeRegExp(repoIdentity.owner)}$`, "i");
   const repoRx = new RegExp(`^${escapeRegExp(repoIdentity.repo)}$`, "i");
 
-  const candidates = await Project.find({
-    repoOwner: ownerRx,
-    repoName: repoRx,
-    status: { $ne: "archived" },
-  })
-    .select("_id userId repoUrl repoOwner repoName status updatedAt")
-    .sort({ updatedAt: -1 })
-    .lean(false);
+  const candidates = (
+    await Project.find({
+      provider: providerFilter(source.name),
+      repoOwner: ownerRx,
+      repoName: repoRx,
+      status: { $ne: "archived" },
+    })
+      .select(
+        "_id userId provider repoUrl repoOwner repoName status trackedRef meta.defaultBranch updatedAt",
+      )
+      .sort({ updatedAt: -1 })
+      .lean(false)
+  ).filter(
+    // Same owner/repo on another instance of a self-hosted source
+    (p) =>
+      parseRepoUrl(p.repoUrl, { provider: source.name })?.host ===
+      repoIdentity.host,
+  );
 
   if (!candidates.length) {
     return { kind: "no_project" };
@@ -203,9 +220,9 @@ async function findProjectAndUserForWebhook({
     const user = userCache.get(userId);
     if (!user?.webhookSecret) continue;
 
-    const valid = validateWebhookSignature(
+    const valid = source.webhook.verify(
       rawPayload,
-      signature || "",
+      headers,
       user.webhookSecret,
     );
 
@@ -214,9 +231,14 @@ async function findProjectAndUserForWebhook({
     const userProjects = candidates.filter(
       (p) => p.userId.toString() === userId,
     );
+    // Several projects may document the same repo at different refs —
+    // prefer the one this push moves
+    const pick = (list) =>
+      list.find((p) => p.status === "done" || p.status === "error") ||
+      list[0];
     const project =
-      userProjects.find((p) => p.status === "done" || p.status === "error") ||
-      userProjects[0];
+      pick(userProjects.filter((p) => tracksRef(p, push))) ||
+      pick(userProjects);
 
     return { kind: "match", project, user };
   }
@@ -240,7 +262,20 @@ async function updateUserWebhookStatus({ userId, status }) {
   }
 }
 
-export async function handleWebhook({ payload, signature }) {
+/**
+ * Handle a push webhook from any source.
+ *
+ * @param {{ payload: Buffer|string, headers: object, provider?: string }}
+ *   headers — lower-cased request headers (signature, event type)
+ *   provider — source name from the route, /webhook/<provider>
+ * @returns {{ status: number, body: object }}
+ */
+export async function handleWebhook({
+  payload,
+  headers = {},
+  provider = "github",
+}) {
+  const source = getSource(provider);
   const rawPayload = Buffer.isBuffer(payload)
     ? payload
     : typeof payload === "string"
@@ -268,7 +303,9 @@ export async function handleWebhook({ payload, signature }) {
     };
   }
 
-  const repoIdentity = getRepoIdentityFromPayload(parsed);
+  const { event, payload: push } = source.webhook.parse(parsed, headers);
+
+  const repoIdentity = getRepoIdentityFromPayload(push, source.name);
   if (!repoIdentity) {
     return {
       status: 400,
@@ -281,8 +318,10 @@ export async function handleWebhook({ payload, signature }) {
 
   const match = await findProjectAndUserForWebhook({
     rawPayload,
-    signature,
+    headers,
+    source,
     repoIdentity,
+    push,
   });
 
   if (match.kind === "no_project") {
@@ -318,10 +357,7 @@ export async function handleWebhook({ payload, signature }) {
     };
   }
 
-  const isPushEvent = parsed.ref && parsed.commits !== undefined;
-  const isPingEvent = parsed.zen !== undefined;
-
-  if (isPingEvent) {
+  if (event === "ping") {
     console.log(`[webhook] Ping event verified for user ${user._id}`);
     await updateUserWebhookStatus({ userId: user._id, status: "success" });
     return {
@@ -330,7 +366,7 @@ export async function handleWebhook({ payload, signature }) {
     };
   }
 
-  if (!isPushEvent) {
+  if (event !== "push") {
     await updateUserWebhookStatus({ userId: user._id, status: "skipped" });
     return {
       status: 200,
@@ -340,7 +376,25 @@ export async function handleWebhook({ payload, signature }) {
     };
   }
 
-  const check = shouldReDocument(parsed);
+  // Some hosts omit the default branch — fall back to the stored one
+  const check = shouldReDocument(push, {
+    trackedRef: project.trackedRef,
+    defaultBranch: project.meta?.defaultBranch,
+  });
+
+  // A push to another ref may move one of the project's doc builds
+  if (
+    check.reason === "not_tracked_ref" ||
+    check.reason === "not_default_branch"
+  ) {
+    const { DocBuild } = await import("../models/DocBuild.js");
+    const builds = await DocBuild.find({ projectId: project._id }).select(
+      "ref status",
+    );
+    const build = builds.find((b) => tracksRef({ trackedRef: b.ref }, push));
+    if (build) return triggerBuildSync({ project, user, build, push });
+  }
+
   if (!check.should) {
     console.log(`[webhook] Skipped for ${project._id}: ${check.reason}`);
     await updateUserWebhookStatus({ userId: user._id, status: "skipped" });
@@ -386,6 +440,7 @@ export async function handleWebhook({ payload, signature }) {
       userId: project.userId.toString(),
       forceFullRun: check.needsFullRun,
       webhookChangedFiles: check.changedFiles,
+      trigger: "webhook",
     });
 
     await updateUserWebhookStatus({ userId: user._id, status: "success" });
@@ -398,7 +453,7 @@ export async function handleWebhook({ payload, signature }) {
         jobId: result.project?.jobId,
         streamUrl: result.streamUrl,
         repoUrl: project.repoUrl || repoIdentity.repoUrl,
-        branch: check.branch,
+        ref: check.ref,
         headCommit: check.headCommit?.slice(0, 8),
         codeFiles: check.codeFiles.length,
         needsFullRun: check.needsFullRun,
@@ -419,6 +474,76 @@ export async function handleWebhook({ payload, signature }) {
   }
 }
 
+/**
+ * Re-document a doc build whose ref a push moved. Builds sync by
+ * diffing their stored manifest — the push's file list only decides
+ * whether anything relevant changed.
+ */
+async function triggerBuildSync({ project, user, build, push }) {
+  const check = shouldReDocument(push, { trackedRef: build.ref });
+  const body = { projectId: project._id, buildId: build._id };
+
+  if (!check.should) {
+    console.log(`[webhook] Skipped build ${build._id}: ${check.reason}`);
+    await updateUserWebhookStatus({ userId: user._id, status: "skipped" });
+    return {
+      status: 200,
+      body: { message: `Skipped: ${check.reason}`, detail: check, ...body },
+    };
+  }
+
+  if (project.status === "archived") {
+    await updateUserWebhookStatus({ userId: user._id, status: "skipped" });
+    return { status: 202, body: { message: "Project is archived", ...body } };
+  }
+
+  if (build.status === "running" || build.status === "queued") {
+    await updateUserWebhookStatus({ userId: user._id, status: "skipped" });
+    return {
+      status: 202,
+      body: { message: "Pipeline already running", ...body },
+    };
+  }
+
+  const { syncBuild } = await import("../api/projects/project.service.js");
+
+  try {
+    const result = await syncBuild({
+      projectId: project._id.toString(),
+      userId: project.userId.toString(),
+      buildId: build._id.toString(),
+      forceFullRun: check.needsFullRun,
+    });
+
+    await updateUserWebhookStatus({ userId: user._id, status: "success" });
+
+    return {
+      status: 202,
+      body: {
+        message: "Build sync triggered",
+        ...body,
+        jobId: result.build?.jobId,
+        streamUrl: result.streamUrl,
+        ref: check.ref,
+        headCommit: check.headCommit?.slice(0, 8),
+        needsFullRun: check.needsFullRun,
+      },
+    };
+  } catch (err) {
+    console.error(
+      `[webhook] Failed to trigger sync for build ${build._id}: ${err.message}`,
+    );
+    await updateUserWebhookStatus({ userId: user._id, status: "failed" });
+    return {
+      status: 500,
+      body: {
+        error: `Failed to trigger sync: ${err.message}`,
+        code: err.code,
+      },
+    };
+  }
+}
+
 export function generateGitHubActionsWorkflow(apiBaseUrl) {
   const base = (apiBaseUrl || "https://your-docnine-instance.com").replace(
     /\/$/,
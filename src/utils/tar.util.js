@@ -0,0 +1,143 @@
+// ===================================================================
+// Streaming reader for (gzipped) tar archives — enough of ustar,
+// GNU and pax to read the tarballs GitHub and GitLab serve.
+//
+// Entries are visited one at a time as the archive streams in; only
+// entries the caller asks for are buffered, the rest are skipped
+// byte-for-byte, so memory stays bounded by the wanted files.
+//
+// Handled header types:
+//   "0" / "\0"  regular file        — passed to onEntry
+//   "x"         pax extended header — path= overrides the next name
+//   "L"         GNU long name       — overrides the next name
+//   "g", "5", symlinks, …           — skipped
+//
+// pax and long-name headers larger than MAX_META_BYTES are skipped
+// unread, like any unwanted entry — a crafted size can't make the
+// reader buffer it.
+// ===================================================================
+
+import zlib from "zlib";
+
+const BLOCK = 512;
+const MAX_META_BYTES = 64 * 1024;
+
+function readString(buf, start, length) {
+  const slice = buf.subarray(start, start + length);
+  const nul = slice.indexOf(0);
+  return slice.subarray(0, nul === -1 ? slice.length : nul).toString("utf8");
+}
+
+function readOctal(buf, start, length) {
+  const str = readString(buf, start, length).trim();
+  return str ? parseInt(str, 8) : 0;
+}
+
+// pax records are "<len> <key>=<value>\n"
+function parsePax(buf) {
+  const out = {};
+  let pos = 0;
+  while (pos < buf.length) {
+    const space = buf.indexOf(0x20, pos);
+    if (space === -1) break;
+    const len = parseInt(buf.subarray(pos, space).toString("utf8"), 10);
+    if (!len) break;
+    const record = buf.subarray(space + 1, pos + len - 1).toString("utf8");
+    const eq = record.indexOf("=");
+    if (eq !== -1) out[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += len;
+  }
+  return out;
+}
+
+function parseHeader(block) {
+  const name = readString(block, 0, 100);
+  const prefix = readString(block, 345, 155);
+  return {
+    path: prefix ? `${prefix}/${name}` : name,
+    size: readOctal(block, 124, 12),
+    type: String.fromCharCode(block[156] || 0x30),
+  };
+}
+
+/**
+ * Walk a tar stream.
+ *
+ * @param {AsyncIterable<Buffer>} stream — decompressed tar bytes
+ * @param {{ want: (path: string, size: number) => boolean,
+ *           onEntry: (path: string, content: Buffer) => void }} handlers
+ */
+export async function readTar(stream, { want, onEntry }) {
+  let pending = Buffer.alloc(0);
+  let entry = null; // { path, size, type, keep, chunks, remaining, padding }
+  let override = null; // path from a pax / GNU long-name header
+
+  const startEntry = (header) => {
+    const path = override ?? header.path;
+    override = null;
+    const meta = header.type === "x" || header.type === "L";
+    const isFile = header.type === "0" || header.type === "\0";
+    entry = {
+      ...header,
+      path,
+      keep:
+        (meta && header.size <= MAX_META_BYTES) ||
+        (isFile && want(path, header.size)),
+      chunks: [],
+      remaining: header.size,
+      padding: (BLOCK - (header.size % BLOCK)) % BLOCK,
+    };
+  };
+
+  const endEntry = () => {
+    // Skipped entries — oversized pax / long-name headers too — do nothing
+    if (entry.keep) {
+      const content = Buffer.concat(entry.chunks);
+      if (entry.type === "x") override = parsePax(content).path ?? null;
+      else if (entry.type === "L")
+        override = readString(content, 0, content.length);
+      else onEntry(entry.path, content);
+    }
+    entry = null;
+  };
+
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+    while (true) {
+      if (!entry) {
+        if (pending.length < BLOCK) break;
+        const block = pending.subarray(0, BLOCK);
+        pending = pending.subarray(BLOCK);
+        // Two zero blocks end the archive; one is enough to stop
+        if (block.every((b) => b === 0)) return;
+        startEntry(parseHeader(block));
+        if (entry.remaining === 0 && entry.padding === 0) endEntry();
+        continue;
+      }
+
+      if (entry.remaining > 0) {
+        if (!pending.length) break;
+        const take = Math.min(entry.remaining, pending.length);
+        if (entry.keep) entry.chunks.push(pending.subarray(0, take));
+        pending = pending.subarray(take);
+        entry.remaining -= take;
+        if (entry.remaining > 0) break;
+      }
+
+      if (pending.length < entry.padding) break;
+      pending = pending.subarray(entry.padding);
+      endEntry();
+    }
+  }
+}
+
+/**
+ * readTar() over a gzip-compressed stream.
+ * @param {import('stream').Readable} stream
+ */
+export function readTarGz(stream, handlers) {
+  const gunzip = zlib.createGunzip();
+  stream.on("error", (err) => gunzip.destroy(err));
+  return readTar(stream.pipe(gunzip), handlers);
+}
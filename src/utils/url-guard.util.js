@@ -0,0 +1,73 @@
+// ===================================================================
+// Private-network guard for server-side requests to user-supplied
+// hosts (the API "Try It" proxy, plain git remotes).
+//
+// isPrivateHost(hostname)        — literal check: localhost, loopback,
+//                                  private, link-local, unique-local
+// resolvesToPrivateHost(hostname) — same check on every address the
+//                                  name resolves to
+// ===================================================================
+
+import dns from "dns/promises";
+import net from "net";
+
+function isPrivateIPv4(ip) {
+  const [a, b] = ip.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 169 && b === 254) || // link-local
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+  );
+}
+
+function isPrivateIPv6(ip) {
+  const addr = ip.toLowerCase();
+  if (addr === "::" || addr === "::1") return true;
+  // IPv4-mapped, e.g. ::ffff:127.0.0.1
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateIPv4(mapped[1]);
+  return /^f[cd]/.test(addr) || /^fe[89ab]/.test(addr); // fc00::/7, fe80::/10
+}
+
+/**
+ * True for hostnames and IP literals that point into the server's own
+ * network. Doesn't resolve names — see resolvesToPrivateHost.
+ * @param {string} hostname  as in URL.hostname (IPv6 may be bracketed)
+ */
+export function isPrivateHost(hostname) {
+  const host = String(hostname || "")
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "");
+  if (
+    !host ||
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    host.endsWith(".local") ||
+    host.endsWith(".internal")
+  )
+    return true;
+  if (net.isIPv4(host)) return isPrivateIPv4(host);
+  if (net.isIPv6(host)) return isPrivateIPv6(host);
+  return false;
+}
+
+/**
+ * isPrivateHost, then every address the name resolves to. A name that
+ * doesn't resolve counts as private — there is nothing safe to reach.
+ * @param {string} hostname
+ */
+export async function resolvesToPrivateHost(hostname) {
+  if (isPrivateHost(hostname)) return true;
+  const host = String(hostname).replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return false;
+  try {
+    const addresses = await dns.lookup(host, { all: true });
+    return addresses.some(({ address }) => isPrivateHost(address));
+  } catch {
+    return true;
+  }
+}